@@ -3,14 +3,18 @@ pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
 
 /**
  * @title AirdropManager
  * @dev Gestor de airdrops con múltiples campañas y verificación Merkle Proof
  */
-contract AirdropManager is AccessControl {
+contract AirdropManager is AccessControl, EIP712 {
     bytes32 public constant AIRDROP_MANAGER_ROLE = keccak256("AIRDROP_MANAGER_ROLE");
+    bytes32 public constant CLAIM_TYPEHASH =
+        keccak256("ClaimAirdrop(uint256 campaignId,address account,uint256 amount,uint256 deadline)");
     
     IERC20 public tbToken;
     
@@ -44,7 +48,7 @@ contract AirdropManager is AccessControl {
     );
     event CampaignUpdated(uint256 indexed campaignId, bool active);
     
-    constructor(address _tbToken) {
+    constructor(address _tbToken) EIP712("AirdropManager", "1") {
         require(_tbToken != address(0), "Token address cannot be zero");
         tbToken = IERC20(_tbToken);
         
@@ -93,32 +97,64 @@ contract AirdropManager is AccessControl {
         uint256 amount,
         bytes32[] calldata merkleProof
     ) external {
+        _claim(campaignId, msg.sender, amount, merkleProof);
+    }
+    
+    // Reclamar en nombre de otra cuenta (relayer sin gas para el usuario).
+    // `account` firma (EIP-712, o ERC-1271 si es un contrato) la campaña, el
+    // importe y un plazo; la hoja Merkle es la de `account` y los tokens
+    // siempre van a `account`.
+    function claimAirdropFor(
+        uint256 campaignId,
+        address account,
+        uint256 amount,
+        bytes32[] calldata merkleProof,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        require(block.timestamp <= deadline, "Claim signature expired");
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(CLAIM_TYPEHASH, campaignId, account, amount, deadline))
+        );
+        require(
+            SignatureChecker.isValidSignatureNow(account, digest, signature),
+            "Invalid claim signature"
+        );
+        _claim(campaignId, account, amount, merkleProof);
+    }
+    
+    function _claim(
+        uint256 campaignId,
+        address account,
+        uint256 amount,
+        bytes32[] calldata merkleProof
+    ) internal {
         AirdropCampaign storage campaign = campaigns[campaignId];
         
         require(campaign.active, "Campaign is not active");
         require(block.timestamp >= campaign.startTime, "Campaign has not started");
         require(block.timestamp <= campaign.endTime, "Campaign has ended");
-        require(!campaign.claimed[msg.sender], "Already claimed");
+        require(!campaign.claimed[account], "Already claimed");
         require(
             campaign.claimedAmount + amount <= campaign.totalAmount,
             "Insufficient campaign funds"
         );
         
         // Verificar Merkle Proof
-        bytes32 leaf = keccak256(abi.encodePacked(msg.sender, amount));
+        bytes32 leaf = keccak256(abi.encodePacked(account, amount));
         require(
             MerkleProof.verify(merkleProof, campaign.merkleRoot, leaf),
             "Invalid proof"
         );
         
         // Marcar como reclamado
-        campaign.claimed[msg.sender] = true;
+        campaign.claimed[account] = true;
         campaign.claimedAmount += amount;
         
         // Transferir tokens
-        require(tbToken.transfer(msg.sender, amount), "Token transfer failed");
+        require(tbToken.transfer(account, amount), "Token transfer failed");
         
-        emit AirdropClaimed(campaignId, msg.sender, amount);
+        emit AirdropClaimed(campaignId, account, amount);
     }
     
     // Actualizar estado de la campaña
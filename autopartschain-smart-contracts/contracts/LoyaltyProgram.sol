@@ -311,7 +311,7 @@ contract LoyaltyProgram is AccessControl, ERC721, ERC721Enumerable {
         view 
         override 
         returns (string memory) 
-        require(_ownerOf(tokenId) != address(0), "Token does not exist");
+    {
         require(_exists(tokenId), "Token does not exist");
         uint256 tier = tokenIdToTier[tokenId];
         return tiers[tier].tokenURI;
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../upgradeable/LoyaltyProgramUpgradeable.sol";
+
+/**
+ * @title LoyaltyProgramUpgradeableV2
+ * @dev Implementación de prueba para ensayar upgrades: añade estado al final del layout
+ * @custom:oz-upgrades-from LoyaltyProgramUpgradeable
+ */
+contract LoyaltyProgramUpgradeableV2 is LoyaltyProgramUpgradeable {
+    uint256 public pointsMultiplier;
+    
+    function setPointsMultiplier(uint256 multiplier) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        pointsMultiplier = multiplier;
+    }
+    
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
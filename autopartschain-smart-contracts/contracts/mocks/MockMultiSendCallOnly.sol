@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MockMultiSendCallOnly
+ * @dev Misma codificación que MultiSendCallOnly de Safe
+ * (uint8 operation, address to, uint256 value, uint256 dataLength, bytes data),
+ * pensado para ejecutarse con delegatecall desde MockSafe
+ */
+contract MockMultiSendCallOnly {
+    function multiSend(bytes calldata transactions) external payable {
+        uint256 i = 0;
+        while (i < transactions.length) {
+            uint8 operation = uint8(transactions[i]);
+            address to = address(bytes20(transactions[i + 1:i + 21]));
+            uint256 value = uint256(bytes32(transactions[i + 21:i + 53]));
+            uint256 dataLength = uint256(bytes32(transactions[i + 53:i + 85]));
+            bytes calldata data = transactions[i + 85:i + 85 + dataLength];
+
+            require(operation == 0, "MultiSend: only calls");
+            (bool success, ) = to.call{value: value}(data);
+            require(success, "MultiSend: call failed");
+
+            i += 85 + dataLength;
+        }
+    }
+}
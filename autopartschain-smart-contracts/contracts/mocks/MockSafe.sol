@@ -0,0 +1,107 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MockSafe
+ * @dev Ejecutor mínimo compatible con Safe para pruebas: mismo hash EIP-712
+ * (SafeTx, Safe >= 1.3.0) y nonce, pero sin verificar firmas. Solo los owners
+ * pueden ejecutar.
+ */
+contract MockSafe {
+    bytes32 private constant DOMAIN_SEPARATOR_TYPEHASH =
+        keccak256("EIP712Domain(uint256 chainId,address verifyingContract)");
+    bytes32 private constant SAFE_TX_TYPEHASH = keccak256(
+        "SafeTx(address to,uint256 value,bytes data,uint8 operation,uint256 safeTxGas,uint256 baseGas,uint256 gasPrice,address gasToken,address refundReceiver,uint256 nonce)"
+    );
+
+    string public constant VERSION = "1.3.0";
+
+    address[] private owners;
+    mapping(address => bool) public isOwner;
+    uint256 public threshold;
+    uint256 public nonce;
+
+    event ExecutionSuccess(bytes32 indexed txHash);
+
+    constructor(address[] memory _owners, uint256 _threshold) {
+        require(_threshold > 0 && _threshold <= _owners.length, "Invalid threshold");
+        for (uint256 i = 0; i < _owners.length; i++) {
+            owners.push(_owners[i]);
+            isOwner[_owners[i]] = true;
+        }
+        threshold = _threshold;
+    }
+
+    function getOwners() external view returns (address[] memory) {
+        return owners;
+    }
+
+    function getThreshold() external view returns (uint256) {
+        return threshold;
+    }
+
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_SEPARATOR_TYPEHASH, block.chainid, address(this)));
+    }
+
+    function getTransactionHash(
+        address to,
+        uint256 value,
+        bytes calldata data,
+        uint8 operation,
+        uint256 safeTxGas,
+        uint256 baseGas,
+        uint256 gasPrice,
+        address gasToken,
+        address refundReceiver,
+        uint256 _nonce
+    ) public view returns (bytes32) {
+        bytes32 safeTxHash = keccak256(
+            abi.encode(
+                SAFE_TX_TYPEHASH,
+                to,
+                value,
+                keccak256(data),
+                operation,
+                safeTxGas,
+                baseGas,
+                gasPrice,
+                gasToken,
+                refundReceiver,
+                _nonce
+            )
+        );
+        return keccak256(abi.encodePacked(bytes1(0x19), bytes1(0x01), domainSeparator(), safeTxHash));
+    }
+
+    // Sin reembolsos de gas: safeTxGas, baseGas, gasPrice, gasToken y refundReceiver solo entran en el hash
+    function execTransaction(
+        address to,
+        uint256 value,
+        bytes calldata data,
+        uint8 operation,
+        uint256 safeTxGas,
+        uint256 baseGas,
+        uint256 gasPrice,
+        address gasToken,
+        address payable refundReceiver,
+        bytes calldata
+    ) external payable returns (bool success) {
+        require(isOwner[msg.sender], "MockSafe: not an owner");
+        {
+            bytes32 txHash = getTransactionHash(
+                to, value, data, operation, safeTxGas, baseGas, gasPrice, gasToken, refundReceiver, nonce
+            );
+            nonce++;
+            emit ExecutionSuccess(txHash);
+        }
+        if (operation == 1) {
+            (success, ) = to.delegatecall(data);
+        } else {
+            (success, ) = to.call{value: value}(data);
+        }
+        require(success, "MockSafe: execution failed");
+    }
+
+    receive() external payable {}
+}
@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title MockV3Aggregator
+ * @dev Feed de Chainlink simulado para pruebas locales y ensayos en fork
+ */
+contract MockV3Aggregator is AggregatorV3Interface {
+    uint8 public override decimals;
+    string public override description;
+
+    uint80 public latestRound;
+    mapping(uint80 => int256) public answers;
+    mapping(uint80 => uint256) public timestamps;
+
+    constructor(uint8 _decimals, int256 _initialAnswer) {
+        decimals = _decimals;
+        description = "Mock Aggregator";
+        updateAnswer(_initialAnswer);
+    }
+
+    function version() external pure override returns (uint256) {
+        return 4;
+    }
+
+    function updateAnswer(int256 _answer) public {
+        latestRound++;
+        answers[latestRound] = _answer;
+        timestamps[latestRound] = block.timestamp;
+    }
+
+    // Permite simular feeds desactualizados
+    function updateRoundData(uint80 _roundId, int256 _answer, uint256 _timestamp) external {
+        latestRound = _roundId;
+        answers[_roundId] = _answer;
+        timestamps[_roundId] = _timestamp;
+    }
+
+    function getRoundData(uint80 _roundId)
+        external
+        view
+        override
+        returns (uint80, int256, uint256, uint256, uint80)
+    {
+        return (_roundId, answers[_roundId], timestamps[_roundId], timestamps[_roundId], _roundId);
+    }
+
+    function latestRoundData()
+        external
+        view
+        override
+        returns (uint80, int256, uint256, uint256, uint80)
+    {
+        return (latestRound, answers[latestRound], timestamps[latestRound], timestamps[latestRound], latestRound);
+    }
+}
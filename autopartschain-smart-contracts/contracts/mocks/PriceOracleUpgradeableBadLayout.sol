@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+
+/**
+ * @title PriceOracleUpgradeableBadLayout
+ * @dev Implementación incompatible a propósito: inserta una variable antes de
+ * currentPrice, así que el chequeo de storage layout debe rechazar el upgrade
+ */
+contract PriceOracleUpgradeableBadLayout is Initializable, AccessControlUpgradeable, UUPSUpgradeable {
+    address public priceAdmin;
+    uint256 public currentPrice;
+    uint256 public lastUpdated;
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+}
@@ -0,0 +1,239 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+
+/**
+ * @title AirdropManagerUpgradeable
+ * @dev Versión UUPS de AirdropManager: misma lógica, configuración en initialize()
+ */
+contract AirdropManagerUpgradeable is Initializable, AccessControlUpgradeable, EIP712Upgradeable, UUPSUpgradeable {
+    bytes32 public constant AIRDROP_MANAGER_ROLE = keccak256("AIRDROP_MANAGER_ROLE");
+    bytes32 public constant CLAIM_TYPEHASH =
+        keccak256("ClaimAirdrop(uint256 campaignId,address account,uint256 amount,uint256 deadline)");
+    
+    IERC20 public tbToken;
+    
+    struct AirdropCampaign {
+        uint256 id;
+        string name;
+        bytes32 merkleRoot;
+        uint256 totalAmount;
+        uint256 claimedAmount;
+        uint256 startTime;
+        uint256 endTime;
+        bool active;
+        mapping(address => bool) claimed;
+    }
+    
+    uint256 public campaignCount;
+    mapping(uint256 => AirdropCampaign) public campaigns;
+    
+    // Eventos
+    event CampaignCreated(
+        uint256 indexed campaignId, 
+        string name, 
+        uint256 totalAmount, 
+        uint256 startTime, 
+        uint256 endTime
+    );
+    event AirdropClaimed(
+        uint256 indexed campaignId, 
+        address indexed user, 
+        uint256 amount
+    );
+    event CampaignUpdated(uint256 indexed campaignId, bool active);
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    function initialize(address _tbToken) public initializer {
+        require(_tbToken != address(0), "Token address cannot be zero");
+        __AccessControl_init();
+        __EIP712_init("AirdropManager", "1");
+        __UUPSUpgradeable_init();
+        
+        tbToken = IERC20(_tbToken);
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(AIRDROP_MANAGER_ROLE, msg.sender);
+    }
+    
+    // Solo el admin puede cambiar la implementación
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+    
+    // Crear una nueva campaña de airdrop
+    function createCampaign(
+        string memory name,
+        bytes32 merkleRoot,
+        uint256 totalAmount,
+        uint256 startTime,
+        uint256 endTime
+    ) external onlyRole(AIRDROP_MANAGER_ROLE) returns (uint256) {
+        require(totalAmount > 0, "Total amount must be positive");
+        require(startTime < endTime, "Invalid time range");
+        require(merkleRoot != bytes32(0), "Merkle root cannot be zero");
+        
+        campaignCount++;
+        uint256 newCampaignId = campaignCount;
+        
+        AirdropCampaign storage campaign = campaigns[newCampaignId];
+        campaign.id = newCampaignId;
+        campaign.name = name;
+        campaign.merkleRoot = merkleRoot;
+        campaign.totalAmount = totalAmount;
+        campaign.claimedAmount = 0;
+        campaign.startTime = startTime;
+        campaign.endTime = endTime;
+        campaign.active = true;
+        
+        // Transferir los tokens al contrato
+        require(
+            tbToken.transferFrom(msg.sender, address(this), totalAmount),
+            "Token transfer failed"
+        );
+        
+        emit CampaignCreated(newCampaignId, name, totalAmount, startTime, endTime);
+        return newCampaignId;
+    }
+    
+    // Reclamar airdrop
+    function claimAirdrop(
+        uint256 campaignId,
+        uint256 amount,
+        bytes32[] calldata merkleProof
+    ) external {
+        _claim(campaignId, msg.sender, amount, merkleProof);
+    }
+    
+    // Reclamar en nombre de otra cuenta (relayer sin gas para el usuario).
+    // `account` firma (EIP-712, o ERC-1271 si es un contrato) la campaña, el
+    // importe y un plazo; la hoja Merkle es la de `account` y los tokens
+    // siempre van a `account`.
+    function claimAirdropFor(
+        uint256 campaignId,
+        address account,
+        uint256 amount,
+        bytes32[] calldata merkleProof,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        require(block.timestamp <= deadline, "Claim signature expired");
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(CLAIM_TYPEHASH, campaignId, account, amount, deadline))
+        );
+        require(
+            SignatureChecker.isValidSignatureNow(account, digest, signature),
+            "Invalid claim signature"
+        );
+        _claim(campaignId, account, amount, merkleProof);
+    }
+    
+    function _claim(
+        uint256 campaignId,
+        address account,
+        uint256 amount,
+        bytes32[] calldata merkleProof
+    ) internal {
+        AirdropCampaign storage campaign = campaigns[campaignId];
+        
+        require(campaign.active, "Campaign is not active");
+        require(block.timestamp >= campaign.startTime, "Campaign has not started");
+        require(block.timestamp <= campaign.endTime, "Campaign has ended");
+        require(!campaign.claimed[account], "Already claimed");
+        require(
+            campaign.claimedAmount + amount <= campaign.totalAmount,
+            "Insufficient campaign funds"
+        );
+        
+        // Verificar Merkle Proof
+        bytes32 leaf = keccak256(abi.encodePacked(account, amount));
+        require(
+            MerkleProof.verify(merkleProof, campaign.merkleRoot, leaf),
+            "Invalid proof"
+        );
+        
+        // Marcar como reclamado
+        campaign.claimed[account] = true;
+        campaign.claimedAmount += amount;
+        
+        // Transferir tokens
+        require(tbToken.transfer(account, amount), "Token transfer failed");
+        
+        emit AirdropClaimed(campaignId, account, amount);
+    }
+    
+    // Actualizar estado de la campaña
+    function updateCampaignStatus(uint256 campaignId, bool active) 
+        external 
+        onlyRole(AIRDROP_MANAGER_ROLE) 
+    {
+        require(campaignId <= campaignCount, "Invalid campaign ID");
+        campaigns[campaignId].active = active;
+        
+        emit CampaignUpdated(campaignId, active);
+    }
+    
+    // Recuperar tokens no reclamados después de que termine la campaña
+    function recoverUnclaimedTokens(uint256 campaignId) 
+        external 
+        onlyRole(AIRDROP_MANAGER_ROLE) 
+    {
+        AirdropCampaign storage campaign = campaigns[campaignId];
+        
+        require(block.timestamp > campaign.endTime, "Campaign has not ended");
+        
+        uint256 unclaimedAmount = campaign.totalAmount - campaign.claimedAmount;
+        if (unclaimedAmount > 0) {
+            campaign.totalAmount = campaign.claimedAmount;
+            require(
+                tbToken.transfer(msg.sender, unclaimedAmount),
+                "Token transfer failed"
+            );
+        }
+    }
+    
+    // Verificar si un usuario ha reclamado en una campaña
+    function hasClaimed(uint256 campaignId, address user) 
+        external 
+        view 
+        returns (bool) 
+    {
+        return campaigns[campaignId].claimed[user];
+    }
+    
+    // Obtener información de la campaña
+    function getCampaignInfo(uint256 campaignId)
+        external
+        view
+        returns (
+            string memory name,
+            uint256 totalAmount,
+            uint256 claimedAmount,
+            uint256 startTime,
+            uint256 endTime,
+            bool active
+        )
+    {
+        AirdropCampaign storage campaign = campaigns[campaignId];
+        return (
+            campaign.name,
+            campaign.totalAmount,
+            campaign.claimedAmount,
+            campaign.startTime,
+            campaign.endTime,
+            campaign.active
+        );
+    }
+    
+    // Espacio reservado para variables de futuras versiones
+    uint256[47] private __gap;
+}
@@ -1,18 +1,26 @@
 import "@nomicfoundation/hardhat-toolbox";
 import "@nomicfoundation/hardhat-verify";
+import "@openzeppelin/hardhat-upgrades";
 import "hardhat-gas-reporter";
 import "solidity-coverage";
 import "dotenv/config";
+import "./tasks/airdrop.js";
+import "./tasks/referrals.js";
+import "./tasks/admin.js";
+import "./tasks/roles.js";
+import "./tasks/upgrade.js";
+import "./tasks/rehearse.js";
+import "./tasks/budget.js";
+import "./tasks/scenarios.js";
+import "./tasks/catalog.js";
+import "./tasks/fees.js";
 
-const {
-    PRIVATE_KEY,
-    SEPOLIA_RPC_URL,
-    MUMBAI_RPC_URL,
-    POLYGON_RPC_URL,
-    ETHERSCAN_API_KEY,
-    POLYGONSCAN_API_KEY,
-    COINMARKETCAP_API_KEY
-} = process.env;
+import { loadProfiles, hardhatNetworks, etherscanConfig } from "./scripts/lib/networks.js";
+
+const { COINMARKETCAP_API_KEY } = process.env;
+
+// RPC URLs, chain ids, gas policy and explorer keys live in networks/<name>.json
+const profiles = loadProfiles();
 
 /** @type import('hardhat/config').HardhatUserConfig */
 export const solidity = {
@@ -34,42 +42,9 @@ export const networks = {
         url: "http://127.0.0.1:8545",
         chainId: 31337,
     },
-    sepolia: {
-        url: SEPOLIA_RPC_URL || "https://rpc.sepolia.org",
-        accounts: PRIVATE_KEY ? [PRIVATE_KEY] : [],
-        chainId: 11155111,
-    },
-    mumbai: {
-        url: MUMBAI_RPC_URL || "https://rpc-mumbai.maticvigil.com",
-        accounts: PRIVATE_KEY ? [PRIVATE_KEY] : [],
-        chainId: 80001,
-        gasPrice: 35000000000, // 35 gwei
-    },
-    polygon: {
-        url: POLYGON_RPC_URL || "https://polygon-rpc.com",
-        accounts: PRIVATE_KEY ? [PRIVATE_KEY] : [],
-        chainId: 137,
-    },
-    arbitrum: {
-        url: "https://arb1.arbitrum.io/rpc",
-        accounts: PRIVATE_KEY ? [PRIVATE_KEY] : [],
-        chainId: 42161,
-    },
-    optimism: {
-        url: "https://mainnet.optimism.io",
-        accounts: PRIVATE_KEY ? [PRIVATE_KEY] : [],
-        chainId: 10,
-    },
-};
-export const etherscan = {
-    apiKey: {
-        sepolia: ETHERSCAN_API_KEY,
-        polygon: POLYGONSCAN_API_KEY,
-        polygonMumbai: POLYGONSCAN_API_KEY,
-        arbitrumOne: process.env.ARBISCAN_API_KEY,
-        optimisticEthereum: process.env.OPTIMISM_API_KEY,
-    },
+    ...hardhatNetworks(profiles),
 };
+export const etherscan = etherscanConfig(profiles);
 export const gasReporter = {
     enabled: process.env.REPORT_GAS ? true : false,
     currency: "USD",
@@ -0,0 +1,363 @@
+const hre = require("hardhat");
+const { loadManifest, saveManifest } = require("./lib/manifest");
+const { loadProfile, profileDeployDefaults } = require("./lib/networks");
+
+const LOCAL_CHAIN_IDS = [31337];
+
+/**
+ * Contracts in dependency order. `args` receives the deployment context and
+ * returns the constructor arguments, so dependent contracts pick up the
+ * addresses recorded for the contracts deployed before them. Entries with an
+ * `upgradeable` implementation are deployed behind a UUPS proxy when
+ * DEPLOY_PROXY is set, and `args` are then passed to initialize().
+ */
+const DEPLOYMENT_PLAN = [
+    {
+        name: "TBToken",
+        args: (ctx) => [ctx.config.treasuryWallet, ctx.config.liquidityWallet, ctx.config.marketingWallet],
+    },
+    {
+        name: "PriceOracle",
+        upgradeable: "PriceOracleUpgradeable",
+        args: (ctx) => [ctx.config.chainlinkAggregator],
+    },
+    {
+        name: "LoyaltyProgram",
+        upgradeable: "LoyaltyProgramUpgradeable",
+        args: (ctx) => [ctx.address("TBToken")],
+    },
+    {
+        name: "ReferralProgram",
+        upgradeable: "ReferralProgramUpgradeable",
+        args: (ctx) => [ctx.address("TBToken")],
+    },
+    {
+        name: "TBStaking",
+        args: (ctx) => [ctx.address("TBToken")],
+    },
+    {
+        name: "AutoPartsMarketplaceV2",
+        args: (ctx) => [
+            ctx.address("TBToken"),
+            ctx.address("PriceOracle"),
+            ctx.address("LoyaltyProgram"),
+            ctx.config.feeRecipient,
+        ],
+    },
+    {
+        name: "AirdropManager",
+        upgradeable: "AirdropManagerUpgradeable",
+        args: (ctx) => [ctx.address("TBToken")],
+    },
+];
+
+/**
+ * Post-deployment wiring. Each step checks the on-chain state first, so a
+ * re-run only sends the transactions that are still missing.
+ */
+const SETUP_STEPS = [
+    {
+        id: "TBToken.MINTER_ROLE.AutoPartsMarketplaceV2",
+        contract: "TBToken",
+        done: async (c, ctx) => c.hasRole(await c.MINTER_ROLE(), ctx.address("AutoPartsMarketplaceV2")),
+        send: async (c, ctx) => c.grantRole(await c.MINTER_ROLE(), ctx.address("AutoPartsMarketplaceV2")),
+    },
+    {
+        id: "TBToken.MINTER_ROLE.LoyaltyProgram",
+        contract: "TBToken",
+        done: async (c, ctx) => c.hasRole(await c.MINTER_ROLE(), ctx.address("LoyaltyProgram")),
+        send: async (c, ctx) => c.grantRole(await c.MINTER_ROLE(), ctx.address("LoyaltyProgram")),
+    },
+    {
+        id: "LoyaltyProgram.MARKETPLACE_ROLE.AutoPartsMarketplaceV2",
+        contract: "LoyaltyProgram",
+        done: async (c, ctx) => c.hasRole(await c.MARKETPLACE_ROLE(), ctx.address("AutoPartsMarketplaceV2")),
+        send: async (c, ctx) => c.grantRole(await c.MARKETPLACE_ROLE(), ctx.address("AutoPartsMarketplaceV2")),
+    },
+    {
+        id: "ReferralProgram.MARKETPLACE_ROLE.AutoPartsMarketplaceV2",
+        contract: "ReferralProgram",
+        done: async (c, ctx) => c.hasRole(await c.MARKETPLACE_ROLE(), ctx.address("AutoPartsMarketplaceV2")),
+        send: async (c, ctx) => c.grantRole(await c.MARKETPLACE_ROLE(), ctx.address("AutoPartsMarketplaceV2")),
+    },
+    {
+        id: "TBToken.enableTrading",
+        contract: "TBToken",
+        done: async (c) => c.tradingEnabled(),
+        send: async (c) => c.enableTrading(),
+    },
+];
+
+function parseList(value) {
+    return (value || "")
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
+
+// Environment first, then the network profile (networks/<name>.json), then local defaults
+function loadDeployConfig(profile, deployer) {
+    const env = process.env;
+    const defaults = profileDeployDefaults(profile);
+    return {
+        treasuryWallet: env.TREASURY_WALLET || defaults.treasuryWallet || deployer,
+        liquidityWallet: env.LIQUIDITY_WALLET || defaults.liquidityWallet || deployer,
+        marketingWallet: env.MARKETING_WALLET || defaults.marketingWallet || deployer,
+        feeRecipient: env.FEE_RECIPIENT || defaults.feeRecipient || deployer,
+        chainlinkAggregator: env.CHAINLINK_AGGREGATOR || defaults.chainlinkAggregator || hre.ethers.ZeroAddress,
+        confirmations: Number(env.DEPLOY_CONFIRMATIONS || defaults.confirmations || 1),
+        redeploy: parseList(env.REDEPLOY),
+        proxy: env.DEPLOY_PROXY === "true" || env.DEPLOY_PROXY === "1",
+    };
+}
+
+function sameArgs(a, b) {
+    return JSON.stringify(a).toLowerCase() === JSON.stringify(b).toLowerCase();
+}
+
+async function hasCode(provider, address) {
+    const code = await provider.getCode(address);
+    return code !== "0x";
+}
+
+/**
+ * Resolve what is already on-chain for a contract recorded in the manifest.
+ * Returns the confirmed record, or null when the contract must be deployed.
+ */
+async function resolveExisting(ctx, name, expectedArgs, asProxy) {
+    const { ethers, manifest, config, log } = ctx;
+    const record = manifest.deployments[name];
+    if (!record || config.redeploy.includes(name)) {
+        return null;
+    }
+
+    if (Boolean(record.proxy) !== asProxy) {
+        throw new Error(
+            `${name} at ${record.address} was deployed ${record.proxy ? "behind a proxy" : "without a proxy"}, ` +
+            `but DEPLOY_PROXY is ${asProxy ? "set" : "not set"}. Set REDEPLOY=${name} to deploy it again.`
+        );
+    }
+
+    // A previous run sent the transaction but died before it was confirmed
+    if (record.status === "pending") {
+        log(`   ⏳ Found pending deployment ${record.txHash}, waiting for receipt...`);
+        const receipt = await ethers.provider.waitForTransaction(record.txHash, config.confirmations, 5 * 60 * 1000)
+            .catch(() => null);
+        if (!receipt || !receipt.contractAddress || receipt.status !== 1) {
+            log(`   ⚠️  Pending deployment of ${name} was not mined, deploying again`);
+            return null;
+        }
+        Object.assign(record, {
+            status: "deployed",
+            address: receipt.contractAddress,
+            blockNumber: receipt.blockNumber,
+        });
+        if (record.proxy) {
+            record.proxy.implementation = await ctx.upgrades.erc1967.getImplementationAddress(record.address);
+        }
+    }
+
+    if (!(await hasCode(ethers.provider, record.address))) {
+        if (LOCAL_CHAIN_IDS.includes(ctx.chainId)) {
+            log(`   ⚠️  No code at ${record.address} (node was reset?), deploying again`);
+            return null;
+        }
+        throw new Error(
+            `${name} is recorded at ${record.address} but has no code on ${ctx.networkName}. ` +
+            `Set REDEPLOY=${name} to deploy it again.`
+        );
+    }
+
+    const recordedArgs = record.proxy ? record.initializerArgs : record.constructorArgs;
+    if (!sameArgs(recordedArgs, expectedArgs)) {
+        throw new Error(
+            `${name} at ${record.address} was deployed with different ${record.proxy ? "initializer" : "constructor"} arguments ` +
+            `(${JSON.stringify(recordedArgs)} vs ${JSON.stringify(expectedArgs)}). ` +
+            `Set REDEPLOY=${name} to deploy it again.`
+        );
+    }
+
+    return record;
+}
+
+async function deployContract(ctx, { name, args, upgradeable }) {
+    const { ethers, manifest, deployer, config, log } = ctx;
+    const asProxy = Boolean(config.proxy && upgradeable);
+    const deployArgs = args(ctx);
+
+    const existing = await resolveExisting(ctx, name, deployArgs, asProxy);
+    if (existing) {
+        manifest.contracts[name] = existing.address;
+        ctx.save();
+        log(`   ⏭️  ${name} already deployed at ${existing.address}`);
+        return existing;
+    }
+
+    let contract;
+    if (asProxy) {
+        // deployProxy sends the implementation first and returns once the proxy tx is sent
+        const factory = await ethers.getContractFactory(upgradeable, deployer);
+        contract = await ctx.upgrades.deployProxy(factory, deployArgs, { kind: "uups", initializer: "initialize" });
+    } else {
+        const factory = await ethers.getContractFactory(name, deployer);
+        contract = await factory.deploy(...deployArgs);
+    }
+    const tx = contract.deploymentTransaction();
+    const argsRecord = asProxy
+        ? { constructorArgs: [], initializerArgs: deployArgs, proxy: { kind: "uups", contract: upgradeable } }
+        : { constructorArgs: deployArgs };
+
+    // Record the tx hash before waiting so an interrupted run can resume from it
+    manifest.deployments[name] = {
+        status: "pending",
+        txHash: tx.hash,
+        ...argsRecord,
+    };
+    delete manifest.contracts[name];
+    ctx.save();
+
+    const receipt = await tx.wait(config.confirmations);
+    const record = {
+        status: "deployed",
+        address: await contract.getAddress(),
+        ...argsRecord,
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        deployedAt: new Date().toISOString(),
+    };
+    if (asProxy) {
+        record.proxy.implementation = await ctx.upgrades.erc1967.getImplementationAddress(record.address);
+    }
+    manifest.deployments[name] = record;
+    manifest.contracts[name] = record.address;
+    ctx.save();
+
+    log(`   ✅ ${name} deployed at ${record.address} (block ${record.blockNumber})` +
+        (asProxy ? `, implementation ${record.proxy.implementation}` : ""));
+    return record;
+}
+
+async function runSetupStep(ctx, step) {
+    const { ethers, manifest, deployer, config, log } = ctx;
+    const contract = await ethers.getContractAt(step.contract, ctx.address(step.contract), deployer);
+
+    if (await step.done(contract, ctx)) {
+        log(`   ⏭️  ${step.id} already configured`);
+        return;
+    }
+
+    const tx = await step.send(contract, ctx);
+    manifest.setup[step.id] = { status: "pending", txHash: tx.hash };
+    ctx.save();
+
+    const receipt = await tx.wait(config.confirmations);
+    manifest.setup[step.id] = {
+        status: "done",
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+    };
+    ctx.save();
+    log(`   ✅ ${step.id} (tx ${tx.hash})`);
+}
+
+/**
+ * Deploy and wire the full contract suite, resuming from whatever the
+ * network's manifest already records. `profile` defaults to the network's
+ * profile; fork rehearsals pass the profile of the network being forked.
+ */
+async function deploySuite({
+    ethers = hre.ethers,
+    upgrades = hre.upgrades,
+    networkName = hre.network.name,
+    profile = loadProfile(networkName),
+    config: overrides = {},
+    persist = true,
+    log = console.log,
+} = {}) {
+    const [deployer] = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
+    if (profile && profile.chainId !== Number(chainId) && !LOCAL_CHAIN_IDS.includes(Number(chainId))) {
+        throw new Error(`Profile ${profile.name} is for chainId ${profile.chainId}, but the connected network reports ${chainId}`);
+    }
+    if (profile && profile.deprecated) {
+        log(`⚠️  ${profile.name}: ${profile.deprecated}`);
+    }
+    const config = { ...loadDeployConfig(profile, deployer.address), ...overrides };
+
+    const stored = persist ? loadManifest(networkName) : null;
+    if (stored && stored.chainId !== undefined && BigInt(stored.chainId) !== chainId) {
+        throw new Error(
+            `Manifest for ${networkName} was written for chainId ${stored.chainId}, ` +
+            `but the connected network reports ${chainId}`
+        );
+    }
+
+    const manifest = {
+        network: networkName,
+        chainId: Number(chainId),
+        deployer: deployer.address,
+        contracts: {},
+        deployments: {},
+        setup: {},
+        ...stored,
+    };
+
+    const ctx = {
+        ethers,
+        upgrades,
+        networkName,
+        chainId: Number(chainId),
+        deployer,
+        config,
+        manifest,
+        log,
+        address(name) {
+            const address = manifest.contracts[name];
+            if (!address) {
+                throw new Error(`${name} has not been deployed yet`);
+            }
+            return address;
+        },
+        save() {
+            if (persist) {
+                saveManifest(networkName, manifest);
+            }
+        },
+    };
+
+    log(`Deploying AutoPartsChain suite to ${networkName} (chainId ${chainId}) from ${deployer.address}` +
+        (config.proxy ? " with upgradeable proxies" : ""));
+
+    log("\nContracts:");
+    for (const entry of DEPLOYMENT_PLAN) {
+        await deployContract(ctx, entry);
+    }
+
+    log("\nRoles and settings:");
+    for (const step of SETUP_STEPS) {
+        await runSetupStep(ctx, step);
+    }
+
+    return manifest;
+}
+
+async function main() {
+    await deploySuite();
+    console.log("\n✅ Deployment completed!");
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    DEPLOYMENT_PLAN,
+    SETUP_STEPS,
+    deploySuite,
+};
@@ -0,0 +1,75 @@
+/**
+ * Event indexer. Follows the deployed suite from its first deployment block
+ * into a local SQLite file and keeps polling for new blocks.
+ *
+ *   hardhat run scripts/indexer.js --network sepolia
+ *
+ * INDEXER_DB, INDEXER_START_BLOCK, INDEXER_BATCH_SIZE, INDEXER_REORG_DEPTH,
+ * INDEXER_CONFIRMATIONS and INDEXER_POLL_INTERVAL override the defaults.
+ */
+const path = require("path");
+const hre = require("hardhat");
+const { requireManifest } = require("./lib/manifest");
+const { openEventStore } = require("./lib/event-store");
+const { INDEXED_EVENTS, createIndexer } = require("./lib/indexer");
+
+async function loadIndexedContracts(manifest) {
+    const contracts = {};
+    for (const name of Object.keys(INDEXED_EVENTS)) {
+        const address = manifest.contracts[name];
+        if (!address) continue;
+
+        const { abi } = await hre.artifacts.readArtifact(name);
+        contracts[name] = { address, iface: new hre.ethers.Interface(abi) };
+    }
+    return contracts;
+}
+
+function firstDeploymentBlock(manifest) {
+    const blocks = Object.values(manifest.deployments || {})
+        .map((record) => record.blockNumber)
+        .filter((block) => typeof block === "number");
+    return blocks.length > 0 ? Math.min(...blocks) : 0;
+}
+
+async function main() {
+    const networkName = hre.network.name;
+    const env = process.env;
+    const manifest = requireManifest(networkName);
+
+    const dbFile = env.INDEXER_DB || path.join(__dirname, "..", "data", `events-${networkName}.sqlite`);
+    const store = openEventStore(dbFile);
+    const indexer = createIndexer({
+        provider: hre.ethers.provider,
+        contracts: await loadIndexedContracts(manifest),
+        store,
+        startBlock: env.INDEXER_START_BLOCK ? Number(env.INDEXER_START_BLOCK) : firstDeploymentBlock(manifest),
+        batchSize: Number(env.INDEXER_BATCH_SIZE || 2000),
+        reorgDepth: Number(env.INDEXER_REORG_DEPTH || 12),
+        confirmations: Number(env.INDEXER_CONFIRMATIONS || 0),
+        pollInterval: Number(env.INDEXER_POLL_INTERVAL || 15),
+    });
+
+    console.log(`Indexing ${networkName} into ${dbFile}`);
+    const shutdown = () => {
+        console.log("\nStopping indexer...");
+        indexer.stop();
+        store.close();
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+
+    await indexer.start();
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    loadIndexedContracts,
+    firstDeploymentBlock,
+};
@@ -0,0 +1,41 @@
+/**
+ * PriceOracle keeper. Polls the oracle's active sources and pushes the median
+ * price on deviation or heartbeat; see scripts/lib/keeper.js for the policy.
+ *
+ *   KEEPER_DEVIATION_BPS=50 KEEPER_HEARTBEAT=1800 hardhat run scripts/keeper.js --network sepolia
+ *   KEEPER_DRY_RUN=1 hardhat run scripts/keeper.js --network sepolia
+ */
+const hre = require("hardhat");
+const { requireManifest } = require("./lib/manifest");
+const { createKeeper, loadKeeperConfig } = require("./lib/keeper");
+const { loadProfile } = require("./lib/networks");
+
+async function main() {
+    const { ethers, network } = hre;
+    const manifest = requireManifest(network.name);
+    const [signer] = await ethers.getSigners();
+    const oracle = await ethers.getContractAt("PriceOracle", manifest.contracts.PriceOracle, signer);
+    const config = loadKeeperConfig(process.env, loadProfile(network.name));
+
+    console.log(`PriceOracle keeper on ${network.name}`);
+    console.log(`   Oracle:    ${manifest.contracts.PriceOracle}`);
+    console.log(`   Keeper:    ${signer.address}`);
+    console.log(`   Policy:    ${config.deviationBps} bps deviation / ${config.heartbeat}s heartbeat`);
+    console.log(`   Max fee:   ${config.maxFeePerGas ? `${ethers.formatUnits(config.maxFeePerGas, "gwei")} gwei` : "uncapped"}`);
+    console.log(`   Log:       ${config.logFile}${config.dryRun ? " (dry run)" : ""}`);
+
+    const keeper = createKeeper({ oracle, signer, config });
+    const shutdown = () => {
+        console.log("\nStopping keeper...");
+        keeper.stop();
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+
+    await keeper.start();
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
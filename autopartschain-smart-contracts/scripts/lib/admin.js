@@ -0,0 +1,632 @@
+/**
+ * Admin actions for the deployed suite. Each action knows how to read the
+ * on-chain values it touches, validate its arguments against them and build
+ * the call; runAdminAction() shows the before/after diff, supports dry runs
+ * via staticCall and appends every attempt to a JSONL audit log.
+ */
+const fs = require("fs");
+const path = require("path");
+const { Contract, ZeroAddress, ZeroHash, formatUnits, getAddress, isAddress, parseUnits } = require("ethers");
+const { readArray } = require("./chain");
+const { MAX_LEVELS, parseCommissions } = require("./referrals");
+const { readSafe, createSafeProposal, readProposalCalls, writeSafeProposal } = require("./safe");
+
+const BPS = 10000n;
+const FEE_CAPS = { buyFee: 1000n, sellFee: 1000n, transferFee: 500n };
+// LoyaltyProgram has no tier count getter; tiers are read up to this many
+const MAX_TIERS = 64;
+
+function defaultAuditFile(env = process.env) {
+    return env.ADMIN_AUDIT_LOG || path.join(process.cwd(), "logs", "admin-audit.jsonl");
+}
+
+function appendAudit(file, entry) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const line = JSON.stringify(entry, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+    fs.appendFileSync(file, line + "\n");
+}
+
+function requireAddress(value, name, { allowZero = false } = {}) {
+    if (typeof value !== "string" || !isAddress(value)) {
+        throw new Error(`--${name} must be an address, got "${value}"`);
+    }
+    const address = getAddress(value);
+    if (!allowZero && address === ZeroAddress) {
+        throw new Error(`--${name} cannot be the zero address`);
+    }
+    return address;
+}
+
+function requireUint(value, name) {
+    if (!/^\d+$/.test(String(value))) {
+        throw new Error(`--${name} must be a non-negative integer, got "${value}"`);
+    }
+    return BigInt(value);
+}
+
+function requireBps(value, name, max = BPS) {
+    const bps = requireUint(value, name);
+    if (bps > max) {
+        throw new Error(`--${name} cannot exceed ${max} bps, got ${bps}`);
+    }
+    return bps;
+}
+
+/** A TB amount in whole tokens ("1500.5"), returned in wei */
+function parseTokenAmount(value, name) {
+    if (!/^\d+(\.\d{1,18})?$/.test(String(value))) {
+        throw new Error(`--${name} must be a positive TB amount, got "${value}"`);
+    }
+    const amount = parseUnits(String(value), 18);
+    if (amount === 0n) {
+        throw new Error(`--${name} must be positive`);
+    }
+    return amount;
+}
+
+/** Keys whose value differs between two flat state objects */
+function diffState(before, after) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys]
+        .map((key) => ({ key, before: before[key], after: after[key] }))
+        .filter(({ before: a, after: b }) => String(a) !== String(b));
+}
+
+function printDiff(before, after, log, { predicted = false } = {}) {
+    const changed = new Set(diffState(before, after).map((change) => change.key));
+    const rows = Object.keys(before).map((key) => ({
+        field: key,
+        before: String(before[key]),
+        [predicted ? "after (predicted)" : "after"]: String(after[key]),
+        changed: changed.has(key) ? "✱" : "",
+    }));
+    if (log === console.log) {
+        console.table(rows);
+    } else {
+        rows.forEach((row) => log(JSON.stringify(row)));
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Actions
+// ---------------------------------------------------------------------------
+
+async function resolveRole(contract, role) {
+    if (/^0x[0-9a-fA-F]{64}$/.test(role)) return role;
+    if (role === "DEFAULT_ADMIN_ROLE") return ZeroHash;
+
+    const fragment = contract.interface.getFunction(role);
+    if (!fragment || !role.endsWith("_ROLE") || fragment.inputs.length !== 0) {
+        const known = contract.interface.fragments
+            .filter((f) => f.type === "function" && f.name.endsWith("_ROLE"))
+            .map((f) => f.name);
+        throw new Error(`Unknown role "${role}"; this contract has ${known.join(", ")}`);
+    }
+    return contract.getFunction(role).staticCall();
+}
+
+function roleAction(contract, { contractName, role, account, revoke = false, signerAddress }) {
+    const target = requireAddress(account, "account");
+    let roleHash;
+
+    return {
+        name: contractName,
+        contract,
+        method: revoke ? "revokeRole" : "grantRole",
+        async read() {
+            roleHash = roleHash || (await resolveRole(contract, role));
+            return { [`hasRole(${role}, ${target})`]: await contract.hasRole(roleHash, target) };
+        },
+        async prepare(before) {
+            if (revoke && roleHash === ZeroHash && signerAddress && target === getAddress(signerAddress)) {
+                throw new Error("Refusing to revoke DEFAULT_ADMIN_ROLE from the signer; grant it to another admin first");
+            }
+            return {
+                args: [roleHash, target],
+                expected: Object.fromEntries(Object.keys(before).map((key) => [key, !revoke])),
+            };
+        },
+    };
+}
+
+function feesAction(tbToken, { buy, sell, transfer }) {
+    return {
+        name: "TBToken",
+        contract: tbToken,
+        method: "updateFees",
+        async read() {
+            return {
+                buyFee: await tbToken.buyFee(),
+                sellFee: await tbToken.sellFee(),
+                transferFee: await tbToken.transferFee(),
+            };
+        },
+        async prepare(before) {
+            const next = {
+                buyFee: buy === undefined ? before.buyFee : requireBps(buy, "buy", FEE_CAPS.buyFee),
+                sellFee: sell === undefined ? before.sellFee : requireBps(sell, "sell", FEE_CAPS.sellFee),
+                transferFee: transfer === undefined ? before.transferFee : requireBps(transfer, "transfer", FEE_CAPS.transferFee),
+            };
+            return { args: [next.buyFee, next.sellFee, next.transferFee], expected: next };
+        },
+    };
+}
+
+function walletsAction(tbToken, { treasury, liquidity, marketing }) {
+    return {
+        name: "TBToken",
+        contract: tbToken,
+        method: "updateWallets",
+        async read() {
+            return {
+                treasuryWallet: await tbToken.treasuryWallet(),
+                liquidityWallet: await tbToken.liquidityWallet(),
+                marketingWallet: await tbToken.marketingWallet(),
+            };
+        },
+        async prepare(before) {
+            const next = {
+                treasuryWallet: treasury === undefined ? before.treasuryWallet : requireAddress(treasury, "treasury"),
+                liquidityWallet: liquidity === undefined ? before.liquidityWallet : requireAddress(liquidity, "liquidity"),
+                marketingWallet: marketing === undefined ? before.marketingWallet : requireAddress(marketing, "marketing"),
+            };
+            return { args: [next.treasuryWallet, next.liquidityWallet, next.marketingWallet], expected: next };
+        },
+    };
+}
+
+function ammPairAction(tbToken, { pair, enabled = true }) {
+    const address = requireAddress(pair, "pair");
+    const key = `automatedMarketMakerPairs(${address})`;
+    return {
+        name: "TBToken",
+        contract: tbToken,
+        method: "setAutomatedMarketMakerPair",
+        async read() {
+            return { [key]: await tbToken.automatedMarketMakerPairs(address) };
+        },
+        async prepare() {
+            return { args: [address, enabled], expected: { [key]: enabled } };
+        },
+    };
+}
+
+function describeTier(tier) {
+    return `${tier.name} (${tier.minPoints} pts, ${tier.minPurchasesUSD} cents, discount ${tier.discount} bps, cashback ${tier.cashback} bps)`;
+}
+
+function addTierAction(loyalty, tier) {
+    return {
+        name: "LoyaltyProgram",
+        contract: loyalty,
+        method: "addTier",
+        async read() {
+            const count = await countTiers(loyalty);
+            return {
+                tierCount: count,
+                highestTier: count === 0 ? "(none)" : describeTier(await loyalty.tiers(count - 1)),
+            };
+        },
+        async prepare(before) {
+            if (typeof tier.name !== "string" || tier.name.trim() === "") {
+                throw new Error("--name is required");
+            }
+            const next = {
+                name: tier.name,
+                minPoints: requireUint(tier.minPoints, "min-points"),
+                minPurchasesUSD: requireUint(tier.minPurchasesUSD, "min-purchases"),
+                discount: requireBps(tier.discount, "discount"),
+                cashback: requireBps(tier.cashback, "cashback"),
+                stakingBoost: requireBps(tier.stakingBoost, "staking-boost"),
+                freeShippingThreshold: requireUint(tier.freeShippingThreshold, "free-shipping"),
+                tokenURI: tier.tokenURI || "",
+            };
+
+            // getTierForCustomer scans from the last tier down, so a new tier
+            // below the current highest one would shadow it
+            if (before.tierCount > 0) {
+                const highest = await loyalty.tiers(before.tierCount - 1);
+                if (next.minPoints < highest.minPoints || next.minPurchasesUSD < highest.minPurchasesUSD) {
+                    throw new Error(`New tier thresholds must be at least those of ${highest.name} ` +
+                        `(${highest.minPoints} points, ${highest.minPurchasesUSD} cents)`);
+                }
+            }
+
+            return {
+                args: [next.name, next.minPoints, next.minPurchasesUSD, next.discount, next.cashback,
+                    next.stakingBoost, next.freeShippingThreshold, next.tokenURI],
+                expected: { tierCount: before.tierCount + 1, highestTier: describeTier(next) },
+            };
+        },
+    };
+}
+
+async function countTiers(loyalty) {
+    return (await readArray(loyalty, "tiers", MAX_TIERS)).length;
+}
+
+function commissionsAction(referral, { levels }) {
+    return {
+        name: "ReferralProgram",
+        contract: referral,
+        method: "updateLevelCommissions",
+        async read() {
+            return { levelCommissions: (await readArray(referral, "levelCommissions", MAX_LEVELS)).join(",") };
+        },
+        async prepare() {
+            const commissions = parseCommissions(levels);
+            return { args: [commissions], expected: { levelCommissions: commissions.join(",") } };
+        },
+    };
+}
+
+function addPriceSourceAction(oracle, { aggregator, description }) {
+    const address = requireAddress(aggregator, "aggregator");
+    return {
+        name: "PriceOracle",
+        contract: oracle,
+        method: "addPriceSource",
+        async read() {
+            return { sourceCount: await oracle.getPriceSourcesCount() };
+        },
+        async prepare(before) {
+            if (typeof description !== "string" || description.trim() === "") {
+                throw new Error("--description is required");
+            }
+            const provider = oracle.runner.provider;
+            if ((await provider.getCode(address)) === "0x") {
+                throw new Error(`No contract at aggregator address ${address}`);
+            }
+            const feed = new Contract(address, [
+                "function decimals() view returns (uint8)",
+                "function latestRoundData() view returns (uint80, int256, uint256, uint256, uint80)",
+            ], provider);
+            try {
+                await feed.decimals();
+                const [, answer] = await feed.latestRoundData();
+                if (answer <= 0n) {
+                    throw new Error(`aggregator reports a non-positive answer (${answer})`);
+                }
+            } catch (error) {
+                throw new Error(`${address} is not a usable Chainlink aggregator: ${error.shortMessage || error.message}`);
+            }
+            return { args: [address, description], expected: { sourceCount: before.sourceCount + 1n } };
+        },
+    };
+}
+
+function removePriceSourceAction(oracle, { id }) {
+    const sourceId = requireUint(id, "id");
+    const key = `priceSources(${sourceId}).active`;
+    return {
+        name: "PriceOracle",
+        contract: oracle,
+        method: "removePriceSource",
+        async read() {
+            const count = await oracle.getPriceSourcesCount();
+            if (sourceId >= count) {
+                throw new Error(`--id ${sourceId} is out of range; the oracle has ${count} sources`);
+            }
+            return { [key]: (await oracle.priceSources(sourceId)).active };
+        },
+        async prepare() {
+            return { args: [sourceId], expected: { [key]: false } };
+        },
+    };
+}
+
+function campaignStatusAction(airdropManager, { id, active }) {
+    const campaignId = requireUint(id, "id");
+    const key = `campaigns(${campaignId}).active`;
+    return {
+        name: "AirdropManager",
+        contract: airdropManager,
+        method: "updateCampaignStatus",
+        async read() {
+            const count = await airdropManager.campaignCount();
+            if (campaignId < 1n || campaignId > count) {
+                throw new Error(`--id must be between 1 and ${count}, got ${campaignId}`);
+            }
+            return { [key]: (await airdropManager.campaigns(campaignId)).active };
+        },
+        async prepare() {
+            return { args: [campaignId, active], expected: { [key]: active } };
+        },
+    };
+}
+
+function mintAction(tbToken, { to, amount }) {
+    const recipient = requireAddress(to, "to");
+    const value = parseTokenAmount(amount, "amount");
+    const balanceKey = `balanceOf(${recipient})`;
+    return {
+        name: "TBToken",
+        contract: tbToken,
+        method: "mint",
+        async read() {
+            return { totalSupply: await tbToken.totalSupply(), [balanceKey]: await tbToken.balanceOf(recipient) };
+        },
+        async prepare(before) {
+            const maxSupply = await tbToken.MAX_SUPPLY();
+            if (before.totalSupply + value > maxSupply) {
+                throw new Error(`Minting ${formatUnits(value, 18)} TB would exceed MAX_SUPPLY ` +
+                    `(${formatUnits(maxSupply - before.totalSupply, 18)} TB left)`);
+            }
+            return {
+                args: [recipient, value],
+                expected: { totalSupply: before.totalSupply + value, [balanceKey]: before[balanceKey] + value },
+            };
+        },
+    };
+}
+
+function recoverTokensAction(tbToken, { token, amount }) {
+    const tokenAddress = requireAddress(token, "token");
+    const key = `${tokenAddress}.balanceOf(TBToken)`;
+    let erc20;
+    return {
+        name: "TBToken",
+        contract: tbToken,
+        method: "recoverTokens",
+        async read() {
+            if (tokenAddress === getAddress(await tbToken.getAddress())) {
+                throw new Error("TBToken cannot recover its own token");
+            }
+            erc20 = erc20 || new Contract(tokenAddress, ["function balanceOf(address) view returns (uint256)"], tbToken.runner);
+            return { [key]: await erc20.balanceOf(tbToken.target) };
+        },
+        async prepare(before) {
+            // raw units: the recovered token may not have 18 decimals
+            const value = requireUint(amount, "amount");
+            if (value > before[key]) {
+                throw new Error(`--amount ${value} exceeds the ${before[key]} held by TBToken`);
+            }
+            return { args: [tokenAddress, value], expected: { [key]: before[key] - value } };
+        },
+    };
+}
+
+function recoverUnclaimedAction(airdropManager, { id }) {
+    const campaignId = requireUint(id, "id");
+    const key = `campaigns(${campaignId}).totalAmount`;
+    return {
+        name: "AirdropManager",
+        contract: airdropManager,
+        method: "recoverUnclaimedTokens",
+        async read() {
+            const campaign = await airdropManager.campaigns(campaignId);
+            return { [key]: campaign.totalAmount, claimedAmount: campaign.claimedAmount, endTime: campaign.endTime };
+        },
+        async prepare(before) {
+            if (before.endTime === 0n) {
+                throw new Error(`Campaign ${campaignId} does not exist`);
+            }
+            const latest = await airdropManager.runner.provider.getBlock("latest");
+            if (BigInt(latest.timestamp) <= before.endTime) {
+                throw new Error(`Campaign ${campaignId} ends at ${new Date(Number(before.endTime) * 1000).toISOString()}`);
+            }
+            return { args: [campaignId], expected: { ...before, [key]: before.claimedAmount } };
+        },
+    };
+}
+
+function manualPriceAction(oracle, { price }) {
+    const newPrice = requireUint(price, "price");
+    return {
+        name: "PriceOracle",
+        contract: oracle,
+        method: "updatePriceManually",
+        async read() {
+            return { currentPrice: await oracle.currentPrice() };
+        },
+        async prepare() {
+            if (newPrice === 0n) {
+                throw new Error("--price must be positive");
+            }
+            return { args: [newPrice], expected: { currentPrice: newPrice } };
+        },
+    };
+}
+
+function renounceRoleAction(contract, { contractName, role, account }) {
+    const target = requireAddress(account, "account");
+    let roleHash;
+    return {
+        name: contractName,
+        contract,
+        method: "renounceRole",
+        async read() {
+            roleHash = roleHash || (await resolveRole(contract, role));
+            return { [`hasRole(${role}, ${target})`]: await contract.hasRole(roleHash, target) };
+        },
+        async prepare(before) {
+            return {
+                args: [roleHash, target],
+                expected: Object.fromEntries(Object.keys(before).map((key) => [key, false])),
+            };
+        },
+    };
+}
+
+/**
+ * Move DEFAULT_ADMIN_ROLE on every contract from the signer to `safe`: grant
+ * first, and renounce only once the Safe holds the role, so an interrupted run
+ * never leaves a contract without an admin. Sent directly by the signer.
+ */
+async function handOverAdmin({ contracts, safe, signer, force = false, log = console.log, ...options }) {
+    const safeAddress = requireAddress(safe, "safe");
+    const signerAddress = await signer.getAddress();
+    if (!force) {
+        const info = await readSafe(signer.provider, safeAddress);
+        log(`ℹ️  Safe ${safeAddress}: ${info.threshold}-of-${info.owners.length}, nonce ${info.nonce}, version ${info.version}`);
+        if (info.owners.map(getAddress).includes(getAddress(signerAddress)) && info.threshold === 1n) {
+            throw new Error("The signer alone can execute this Safe (threshold 1); use --force if that is intended");
+        }
+    }
+
+    const results = [];
+    for (const { name, contract } of contracts) {
+        const grant = await runAdminAction(
+            roleAction(contract, { contractName: name, role: "DEFAULT_ADMIN_ROLE", account: safeAddress }),
+            { signer, log, ...options }
+        );
+        if (!options.dryRun && !(await contract.hasRole(ZeroHash, safeAddress))) {
+            throw new Error(`${name}: the Safe does not hold DEFAULT_ADMIN_ROLE, not renouncing`);
+        }
+        const renounce = await runAdminAction(
+            renounceRoleAction(contract, { contractName: name, role: "DEFAULT_ADMIN_ROLE", account: signerAddress }),
+            { signer, log, ...options }
+        );
+        results.push({ contract: name, grant: grant.status, renounce: renounce.status });
+    }
+    return results;
+}
+
+// ---------------------------------------------------------------------------
+// Runner
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate, preview and (unless dryRun) send an admin action. The call is
+ * always run through staticCall first so reverts surface before any gas is
+ * spent. With `safe` ({ address, file, nonce, multiSend }) nothing is sent:
+ * the call is simulated from the Safe and appended to the proposal in `file`.
+ * Returns { status, before, after, changes, txHash | safeTxHash }.
+ */
+async function runAdminAction(action, {
+    signer,
+    networkName,
+    dryRun = false,
+    confirmations = 1,
+    safe = null,
+    auditFile = defaultAuditFile(),
+    log = console.log,
+}) {
+    const contract = action.contract.connect(signer);
+    const fn = contract.getFunction(action.method);
+    const { chainId } = await signer.provider.getNetwork();
+    const entry = {
+        timestamp: new Date().toISOString(),
+        network: networkName,
+        chainId,
+        signer: await signer.getAddress(),
+        contract: action.name,
+        address: contract.target,
+        method: action.method,
+        dryRun,
+    };
+    if (safe) {
+        entry.safe = getAddress(safe.address);
+    }
+
+    let before;
+    let prepared;
+    try {
+        before = await action.read();
+        prepared = await action.prepare(before);
+    } catch (error) {
+        appendAudit(auditFile, { ...entry, status: "rejected", error: error.message });
+        throw error;
+    }
+    entry.args = prepared.args;
+    entry.before = before;
+
+    if (diffState(before, prepared.expected).length === 0) {
+        log(`⏭️  ${action.name}.${action.method}: on-chain values already match, nothing to send`);
+        appendAudit(auditFile, { ...entry, status: "skipped", after: before });
+        return { status: "skipped", before, after: before, changes: [] };
+    }
+
+    // In Safe mode msg.sender is the Safe, so simulate from it
+    const overrides = safe ? { from: entry.safe } : {};
+    const changes = diffState(before, prepared.expected);
+
+    try {
+        await fn.staticCall(...prepared.args, overrides);
+
+        if (dryRun) {
+            const gasEstimate = await fn.estimateGas(...prepared.args, overrides);
+            log(`🔍 Dry run: ${action.name}.${action.method} would succeed (~${gasEstimate} gas)`);
+            printDiff(before, prepared.expected, log, { predicted: true });
+            appendAudit(auditFile, { ...entry, status: "dry-run", gasEstimate, after: prepared.expected });
+            return { status: "dry-run", before, after: prepared.expected, changes };
+        }
+
+        if (safe) {
+            // Earlier calls in the same batch were simulated on their own, not in sequence
+            const calls = [...readProposalCalls(safe.file), {
+                to: contract.target,
+                value: "0",
+                data: contract.interface.encodeFunctionData(action.method, prepared.args),
+                description: `${action.name}.${action.method}(${prepared.args.join(", ")})`,
+            }];
+            const proposal = await createSafeProposal({
+                provider: signer.provider,
+                safe: entry.safe,
+                transactions: calls,
+                name: path.basename(safe.file, ".json"),
+                nonce: safe.nonce,
+                multiSend: safe.multiSend,
+            });
+            const files = writeSafeProposal(safe.file, proposal);
+
+            log(`📨 ${action.name}.${action.method} added to Safe proposal (${calls.length} call(s), nonce ${proposal.safeTx.nonce})`);
+            log(`   safeTxHash ${proposal.safeTxHash}`);
+            log(`   Transaction Builder batch: ${files.batchFile}`);
+            printDiff(before, prepared.expected, log, { predicted: true });
+            appendAudit(auditFile, {
+                ...entry,
+                status: "proposed",
+                safeTxHash: proposal.safeTxHash,
+                safeNonce: proposal.safeTx.nonce,
+                proposalFile: files.batchFile,
+                after: prepared.expected,
+            });
+            return { status: "proposed", before, after: prepared.expected, changes, safeTxHash: proposal.safeTxHash, proposal, files };
+        }
+
+        log(`⏳ Sending ${action.name}.${action.method}...`);
+        const tx = await fn(...prepared.args);
+        const receipt = await tx.wait(confirmations);
+        const after = await action.read();
+
+        log(`✅ ${action.name}.${action.method} confirmed in block ${receipt.blockNumber} (tx ${receipt.hash})`);
+        printDiff(before, after, log);
+        appendAudit(auditFile, {
+            ...entry,
+            status: "confirmed",
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed,
+            after,
+        });
+        return { status: "confirmed", before, after, changes: diffState(before, after), txHash: receipt.hash };
+    } catch (error) {
+        log(`❌ ${action.name}.${action.method} failed: ${error.shortMessage || error.message}`);
+        appendAudit(auditFile, { ...entry, status: "failed", error: error.shortMessage || error.message });
+        throw error;
+    }
+}
+
+module.exports = {
+    FEE_CAPS,
+    defaultAuditFile,
+    diffState,
+    resolveRole,
+    roleAction,
+    feesAction,
+    walletsAction,
+    ammPairAction,
+    addTierAction,
+    commissionsAction,
+    addPriceSourceAction,
+    removePriceSourceAction,
+    campaignStatusAction,
+    mintAction,
+    recoverTokensAction,
+    recoverUnclaimedAction,
+    manualPriceAction,
+    renounceRoleAction,
+    handOverAdmin,
+    runAdminAction,
+};
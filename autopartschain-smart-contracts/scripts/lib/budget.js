@@ -0,0 +1,192 @@
+/**
+ * Offline size and gas budgets. The hardhat network runs with
+ * allowUnlimitedContractSize, so tests never notice a contract growing past
+ * EIP-170; this check measures deployed bytecode from the compiled artifacts
+ * and the gas of the key user flows on a fresh suite, and compares both with
+ * the committed budgets/baseline.json:
+ *
+ *   {
+ *     "thresholds": { "sizePct": 1, "gasPct": 2, "maxDeployedBytes": 24576, "maxInitcodeBytes": 49152,
+ *                     "overrides": { "AutoPartsMarketplaceV2.payOrder": { "gasPct": 5 } } },
+ *     "compiler": { "version": "0.8.19", "runs": 200, "viaIR": true },
+ *     "contracts": { "TBToken": { "deployedBytes": 9876, "initcodeBytes": 11234 } },
+ *     "flows": { "AutoPartsMarketplaceV2.payOrder": 187654 }
+ *   }
+ *
+ * No gas price or CoinMarketCap key is involved; everything is gas units and bytes.
+ */
+const fs = require("fs");
+const { parseEntries, buildTree } = require("./merkle");
+const { findEvent } = require("./chain");
+
+// EIP-170 and EIP-3860
+const MAX_DEPLOYED_BYTES = 24576;
+const MAX_INITCODE_BYTES = 49152;
+
+const DEFAULT_THRESHOLDS = {
+    sizePct: 1,
+    gasPct: 2,
+    maxDeployedBytes: MAX_DEPLOYED_BYTES,
+    maxInitcodeBytes: MAX_INITCODE_BYTES,
+    overrides: {},
+};
+
+function byteLength(hex) {
+    return hex && hex !== "0x" ? (hex.length - 2) / 2 : 0;
+}
+
+function loadBaseline(file) {
+    if (!fs.existsSync(file)) {
+        return { thresholds: { ...DEFAULT_THRESHOLDS }, compiler: null, contracts: {}, flows: {} };
+    }
+    const baseline = JSON.parse(fs.readFileSync(file, "utf8"));
+    return {
+        ...baseline,
+        thresholds: { ...DEFAULT_THRESHOLDS, ...baseline.thresholds },
+        contracts: baseline.contracts || {},
+        flows: baseline.flows || {},
+    };
+}
+
+function saveBaseline(file, baseline) {
+    fs.writeFileSync(file, JSON.stringify(baseline, null, 2) + "\n");
+    return file;
+}
+
+/** `{ deployedBytes, initcodeBytes }` per contract, from the compiled artifacts */
+async function measureSizes(artifacts, names) {
+    const sizes = {};
+    for (const name of names) {
+        const artifact = await artifacts.readArtifact(name);
+        sizes[name] = {
+            deployedBytes: byteLength(artifact.deployedBytecode),
+            initcodeBytes: byteLength(artifact.bytecode),
+        };
+    }
+    return sizes;
+}
+
+/**
+ * Gas used by each key flow on a freshly deployed suite. Inputs are fixed so
+ * repeated runs on a fresh chain give the same numbers. `deploySuite` comes
+ * from scripts/deploy.js.
+ */
+async function measureFlows({ ethers, deploySuite }) {
+    const [owner, buyer, recorder, customer] = await ethers.getSigners();
+    const manifest = await deploySuite({ networkName: "budget", persist: false, log: () => {} });
+    const at = (name) => ethers.getContractAt(name, manifest.contracts[name], owner);
+    const [tbToken, priceOracle, loyaltyProgram, marketplace, airdropManager] = await Promise.all(
+        ["TBToken", "PriceOracle", "LoyaltyProgram", "AutoPartsMarketplaceV2", "AirdropManager"].map(at)
+    );
+    const flows = {};
+
+    async function measure(key, txPromise) {
+        const receipt = await (await txPromise).wait();
+        flows[key] = Number(receipt.gasUsed);
+        return receipt;
+    }
+
+    await (await priceOracle.updatePriceManually(100)).wait();
+
+    // Checkout: the same product and order the marketplace tests use
+    const listed = await measure("AutoPartsMarketplaceV2.listProduct", marketplace.listProduct(
+        "BUDGET-001", "Budget Plug", "Test Description", "Ignition", "NGK", "Any", "B-001",
+        ["ipfs://test1"], 1000, 500, 100, 1, 10, 1000, [], false, ""
+    ));
+    const productId = findEvent(marketplace, listed, "ProductListed").args[0];
+
+    const asBuyer = marketplace.connect(buyer);
+    await (await tbToken.transfer(buyer.address, ethers.parseUnits("1000000", 18))).wait();
+    await (await tbToken.connect(buyer).approve(marketplace.target, ethers.MaxUint256)).wait();
+
+    await measure("AutoPartsMarketplaceV2.addToCart", asBuyer.addToCart(productId, 2));
+    const created = await measure("AutoPartsMarketplaceV2.createOrderFromCart",
+        asBuyer.createOrderFromCart("123 Test St", "Standard", "", "", false, ethers.ZeroAddress, ""));
+    const orderId = findEvent(marketplace, created, "OrderCreated").args[0];
+    await measure("AutoPartsMarketplaceV2.payOrder", asBuyer.payOrder(orderId));
+
+    // A first purchase mints the loyalty NFT, the most expensive path
+    await (await loyaltyProgram.grantRole(await loyaltyProgram.MARKETPLACE_ROLE(), recorder.address)).wait();
+    await measure("LoyaltyProgram.recordPurchase",
+        loyaltyProgram.connect(recorder).recordPurchase(customer.address, 15000, ethers.ZeroAddress));
+
+    const tree = buildTree(parseEntries(`${buyer.address},100\n${customer.address},250`, { decimals: 18 }));
+    const latest = await ethers.provider.getBlock("latest");
+    await (await tbToken.approve(airdropManager.target, tree.totalAmount)).wait();
+    await (await airdropManager.createCampaign("Budget", tree.root, tree.totalAmount, latest.timestamp, latest.timestamp + 86400)).wait();
+    const claim = tree.claims[buyer.address];
+    await measure("AirdropManager.claimAirdrop", airdropManager.connect(buyer).claimAirdrop(1, claim.amount, claim.proof));
+
+    return flows;
+}
+
+function pctChange(before, after) {
+    return before === 0 ? 0 : ((after - before) / before) * 100;
+}
+
+function compareValue(metric, key, before, after, limitPct) {
+    if (before === undefined) {
+        return { metric, key, baseline: null, current: after, changePct: null, status: "new" };
+    }
+    if (after === undefined) {
+        return { metric, key, baseline: before, current: null, changePct: null, status: "removed" };
+    }
+    const changePct = pctChange(before, after);
+    let status = "ok";
+    if (changePct > limitPct) {
+        status = "regressed";
+    } else if (changePct < -limitPct) {
+        status = "improved";
+    }
+    return { metric, key, baseline: before, current: after, changePct: Number(changePct.toFixed(2)), status };
+}
+
+/**
+ * Compare current measurements with the baseline. Rows that regressed past
+ * their threshold or exceed the EIP-170/EIP-3860 limits fail the check; new,
+ * removed and improved rows only ask for a baseline update. A baseline
+ * without measurements fails as well (`empty`), since nothing could regress
+ * against it.
+ */
+function compareBudget(baseline, current, thresholds = baseline.thresholds) {
+    const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    const limitFor = (key, field) => ((limits.overrides || {})[key] || {})[field] ?? limits[field];
+    const rows = [];
+
+    const contractNames = new Set([...Object.keys(baseline.contracts), ...Object.keys(current.contracts)]);
+    for (const name of [...contractNames].sort()) {
+        const before = baseline.contracts[name] || {};
+        const after = current.contracts[name] || {};
+        const sizePct = limitFor(name, "sizePct");
+        const size = compareValue("deployedBytes", name, before.deployedBytes, after.deployedBytes, sizePct);
+        if (after.deployedBytes > limits.maxDeployedBytes) {
+            size.status = "over-limit";
+        }
+        const initcode = compareValue("initcodeBytes", name, before.initcodeBytes, after.initcodeBytes, sizePct);
+        if (after.initcodeBytes > limits.maxInitcodeBytes) {
+            initcode.status = "over-limit";
+        }
+        rows.push(size, initcode);
+    }
+
+    const flowNames = new Set([...Object.keys(baseline.flows), ...Object.keys(current.flows)]);
+    for (const key of [...flowNames].sort()) {
+        rows.push(compareValue("gas", key, baseline.flows[key], current.flows[key], limitFor(key, "gasPct")));
+    }
+
+    const failed = rows.filter((row) => row.status === "regressed" || row.status === "over-limit");
+    const stale = rows.filter((row) => row.status === "new" || row.status === "removed" || row.status === "improved");
+    const empty = Object.keys(baseline.contracts).length === 0 && Object.keys(baseline.flows).length === 0;
+    return { rows, failed, stale, empty, ok: failed.length === 0 && !empty };
+}
+
+module.exports = {
+    MAX_DEPLOYED_BYTES,
+    MAX_INITCODE_BYTES,
+    DEFAULT_THRESHOLDS,
+    loadBaseline,
+    saveBaseline,
+    measureSizes,
+    measureFlows,
+    compareBudget,
+};
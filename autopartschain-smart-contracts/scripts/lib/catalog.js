@@ -0,0 +1,499 @@
+/**
+ * Bulk catalog import for AutoPartsMarketplaceV2. A catalog is a CSV (ERP
+ * export, one product per line, images separated by "|") or a JSON array of
+ * products with the listProduct fields:
+ *
+ *   sku,name,description,category,brand,vehicle,partNumber,images,priceUSD,costUSD,stock,minOrder,maxOrder,weightGrams
+ *   NGK-BKR6E,NGK Spark Plug BKR6E,Copper core,Ignition,NGK,Universal,BKR6E,img/bkr6e.jpg|img/box.jpg,899,420,500,1,50,45
+ *
+ * Prices and costs are whole USD cents, as listProduct takes them. Rows are
+ * matched with the live listings by SKU: new SKUs are listed, a changed stock
+ * becomes updateStock, a changed price goes through the function named by
+ * `priceMethod` (see priceSetter), and unchanged rows are skipped. Local
+ * image paths are pinned, and so is a metadata JSON per product; URIs that
+ * are already ipfs:// or http(s):// are kept as they are.
+ */
+const fs = require("fs");
+const path = require("path");
+const { FunctionFragment } = require("ethers");
+const { createDryRunStore } = require("./ipfs");
+const { findEvent } = require("./chain");
+
+const CATALOG_FIELDS = [
+    "sku", "name", "description", "category", "brand", "vehicle", "partNumber", "images",
+    "priceUSD", "costUSD", "stock", "minOrder", "maxOrder", "weightGrams",
+];
+
+// Normalized header (lowercase, alphanumerics only) -> field, for ERP exports
+const HEADER_ALIASES = {
+    price: "priceUSD",
+    pricecents: "priceUSD",
+    cost: "costUSD",
+    costcents: "costUSD",
+    qty: "stock",
+    quantity: "stock",
+    minqty: "minOrder",
+    maxqty: "maxOrder",
+    weight: "weightGrams",
+    weightg: "weightGrams",
+    partno: "partNumber",
+    mpn: "partNumber",
+    image: "images",
+    imageurls: "images",
+};
+
+const STOCK_REASON = "Catalog import";
+
+function fieldForHeader(header) {
+    const key = header.toLowerCase().replace(/[^a-z0-9]/g, "");
+    return CATALOG_FIELDS.find((field) => field.toLowerCase() === key) || HEADER_ALIASES[key] || null;
+}
+
+/** RFC 4180 CSV: quoted cells may hold commas, quotes ("") and newlines */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let cell = "";
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === "\n") line++;
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            record.push(cell);
+            cell = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            record.push(cell);
+            records.push({ line: recordLine, cells: record });
+            record = [];
+            cell = "";
+            line++;
+            recordLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) {
+        throw new Error(`line ${recordLine}: unterminated quoted cell`);
+    }
+    if (cell !== "" || record.length > 0) {
+        record.push(cell);
+        records.push({ line: recordLine, cells: record });
+    }
+    return records.filter(({ cells }) => !(cells.length === 1 && cells[0].trim() === "") && !cells[0].startsWith("#"));
+}
+
+/**
+ * Raw catalog rows, `{ where, values }`, from CSV with a header line or from
+ * JSON (an array of products or `{ products: [...] }`). Unknown columns are
+ * ignored.
+ */
+function parseCatalog(content, { format } = {}) {
+    const text = content.trim();
+    const isJson = format ? format === "json" : text.startsWith("[") || text.startsWith("{");
+
+    if (isJson) {
+        const data = JSON.parse(text);
+        const items = Array.isArray(data) ? data : data.products;
+        if (!Array.isArray(items)) {
+            throw new Error("JSON catalog must be an array of products or { products: [...] }");
+        }
+        return items.map((item, i) => {
+            const values = {};
+            for (const [key, value] of Object.entries(item || {})) {
+                const field = fieldForHeader(key);
+                if (field) values[field] = value;
+            }
+            return { where: `entry ${i}`, values };
+        });
+    }
+
+    const [header, ...records] = parseCsv(text);
+    if (!header) {
+        return [];
+    }
+    const fields = header.cells.map((cell) => fieldForHeader(cell.trim()));
+    if (!fields.includes("sku")) {
+        throw new Error(`line ${header.line}: the header needs a sku column`);
+    }
+    return records.map(({ line, cells }) => {
+        const values = {};
+        fields.forEach((field, i) => {
+            if (field && cells[i] !== undefined) values[field] = cells[i].trim();
+        });
+        return { where: `line ${line}`, values };
+    });
+}
+
+function parseWhole(value, name, errors, { required = false, min = 0, fallback } = {}) {
+    if (value === undefined || value === null || value === "") {
+        if (required) errors.push(`${name} is required`);
+        return fallback;
+    }
+    const text = String(value).trim();
+    if (/^\d+\.\d+$/.test(text) && /USD$/.test(name)) {
+        errors.push(`${name} must be whole cents, got "${text}" (did you mean ${Math.round(Number(text) * 100)}?)`);
+        return fallback;
+    }
+    if (!/^\d+$/.test(text)) {
+        errors.push(`${name} must be a whole number, got "${text}"`);
+        return fallback;
+    }
+    const number = Number(text);
+    if (number < min) {
+        errors.push(`${name} must be at least ${min}`);
+    }
+    return number;
+}
+
+function parseImages(value) {
+    if (value === undefined || value === null || value === "") {
+        return [];
+    }
+    const list = Array.isArray(value) ? value : String(value).split("|");
+    return list.map((uri) => String(uri).trim()).filter(Boolean);
+}
+
+/**
+ * Validate parsed rows. Returns `{ products, invalid }`; every error of a row
+ * is collected, and both rows of a duplicated SKU are rejected.
+ */
+function validateCatalog(rows) {
+    const checked = rows.map(({ where, values }) => {
+        const errors = [];
+        const text = (field) => (values[field] === undefined ? "" : String(values[field]).trim());
+        const sku = text("sku");
+        if (!sku) errors.push("sku is required");
+        if (!text("name")) errors.push("name is required");
+
+        const minOrder = parseWhole(values.minOrder, "minOrder", errors, { min: 1, fallback: 1 });
+        const product = {
+            sku,
+            name: text("name"),
+            description: text("description"),
+            category: text("category"),
+            brand: text("brand"),
+            vehicle: text("vehicle"),
+            partNumber: text("partNumber"),
+            images: parseImages(values.images),
+            priceUSD: parseWhole(values.priceUSD, "priceUSD", errors, { required: true, min: 1 }),
+            costUSD: parseWhole(values.costUSD, "costUSD", errors, { fallback: 0 }),
+            stock: parseWhole(values.stock, "stock", errors, { required: true }),
+            minOrder,
+            maxOrder: parseWhole(values.maxOrder, "maxOrder", errors, { min: 1, fallback: minOrder }),
+            weightGrams: parseWhole(values.weightGrams, "weightGrams", errors, { fallback: 0 }),
+        };
+        if (Number.isInteger(product.minOrder) && Number.isInteger(product.maxOrder) && product.minOrder > product.maxOrder) {
+            errors.push(`minOrder (${product.minOrder}) cannot exceed maxOrder (${product.maxOrder})`);
+        }
+        return { where, product, errors };
+    });
+
+    const bySku = new Map();
+    for (const row of checked) {
+        if (!row.product.sku) continue;
+        if (!bySku.has(row.product.sku)) bySku.set(row.product.sku, []);
+        bySku.get(row.product.sku).push(row);
+    }
+    for (const [sku, dupes] of bySku) {
+        if (dupes.length < 2) continue;
+        for (const row of dupes) {
+            const others = dupes.filter((other) => other !== row).map((other) => other.where);
+            row.errors.push(`duplicate SKU ${sku} (also ${others.join(", ")})`);
+        }
+    }
+
+    return {
+        products: checked.filter((row) => row.errors.length === 0).map(({ where, product }) => ({ where, ...product })),
+        invalid: checked.filter((row) => row.errors.length > 0).map(({ where, product, errors }) => ({ where, sku: product.sku, errors })),
+    };
+}
+
+/**
+ * Current listings by SKU, from ProductListed events since `fromBlock` and
+ * the products() getter.
+ */
+async function loadListings(marketplace, { fromBlock = 0 } = {}) {
+    const events = await marketplace.queryFilter(marketplace.filters.ProductListed(), fromBlock);
+    const listings = new Map();
+    for (const event of events) {
+        const id = event.args[0];
+        const product = await marketplace.products(id);
+        if (product.sku) {
+            listings.set(product.sku, { id, priceUSD: product.priceUSD, stock: product.stock });
+        }
+    }
+    return listings;
+}
+
+/** create / update / skip per product, with the price and stock changes */
+function planImport(products, listings) {
+    return products.map((product) => {
+        const listing = listings.get(product.sku);
+        if (!listing) {
+            return { product, action: "create", productId: null, changes: {} };
+        }
+        const changes = {};
+        if (listing.priceUSD !== BigInt(product.priceUSD)) {
+            changes.priceUSD = { from: listing.priceUSD, to: BigInt(product.priceUSD) };
+        }
+        if (listing.stock !== BigInt(product.stock)) {
+            changes.stock = { from: listing.stock, to: BigInt(product.stock) };
+        }
+        return {
+            product,
+            action: Object.keys(changes).length > 0 ? "update" : "skip",
+            productId: listing.id,
+            changes,
+        };
+    });
+}
+
+// Keys sorted so the same product always pins to the same CID
+function metadataJson(product, images) {
+    const metadata = {
+        attributes: [
+            { trait_type: "Brand", value: product.brand },
+            { trait_type: "Category", value: product.category },
+            { trait_type: "Part Number", value: product.partNumber },
+            { trait_type: "Vehicle", value: product.vehicle },
+        ].filter((attribute) => attribute.value),
+        description: product.description,
+        image: images[0] || "",
+        images,
+        name: product.name,
+        sku: product.sku,
+    };
+    return Buffer.from(JSON.stringify(metadata, null, 2) + "\n");
+}
+
+/** Pin local images and the product metadata; returns `{ images, metadataURI }` */
+async function pinProduct(product, { store, baseDir }) {
+    const images = [];
+    for (const image of product.images) {
+        if (/^(ipfs|https?):\/\//.test(image)) {
+            images.push(image);
+            continue;
+        }
+        const file = path.resolve(baseDir, image);
+        if (!fs.existsSync(file)) {
+            throw new Error(`image not found: ${image}`);
+        }
+        images.push(`ipfs://${await store.add(fs.readFileSync(file), path.basename(file))}`);
+    }
+    const metadataURI = `ipfs://${await store.add(metadataJson(product, images), `${product.sku}.json`)}`;
+    return { images, metadataURI };
+}
+
+function listArgs(marketplace, product, images, metadataURI) {
+    const fragment = marketplace.interface.getFunction("listProduct");
+    const known = [
+        product.sku, product.name, product.description, product.category, product.brand, product.vehicle,
+        product.partNumber, images, product.priceUSD, product.costUSD, product.stock, product.minOrder,
+        product.maxOrder, product.weightGrams,
+    ];
+    // The trailing inputs keep the values every caller passes, except a metadata URI slot if the ABI has one
+    return fragment.inputs.map((input, i) => {
+        if (i < known.length) return known[i];
+        if (input.type === "string" && /metadata|uri/i.test(input.name)) return metadataURI;
+        if (input.type.endsWith("]")) return [];
+        if (input.type === "bool") return false;
+        return input.type === "string" ? "" : 0;
+    });
+}
+
+/**
+ * The marketplace function `priceMethod` names by its exact signature, e.g.
+ * "updateProductPrice(uint256,uint256)", taking the product id and the new
+ * price in cents. The marketplace source is not in this repository, so no
+ * name is assumed. Returns `{ fragment }`, or `{ error }` when no method was
+ * given or the marketplace ABI does not have it.
+ */
+function priceSetter(marketplace, priceMethod) {
+    if (!priceMethod) {
+        return { error: "price changed but no price method was given (--price-method)" };
+    }
+    let fragment;
+    try {
+        fragment = FunctionFragment.from(priceMethod);
+    } catch (error) {
+        fragment = null;
+    }
+    const types = fragment ? fragment.inputs.map((input) => input.type).join(",") : null;
+    if (types !== "uint256,uint256") {
+        throw new Error(`Price method must be a signature like "updateProductPrice(uint256,uint256)", got "${priceMethod}"`);
+    }
+    const signature = fragment.format();
+    const onChain = marketplace.interface.getFunction(signature);
+    if (!onChain || onChain.constant) {
+        return { error: `price changed but the marketplace has no ${signature} function` };
+    }
+    return { fragment: onChain };
+}
+
+function revertReason(error) {
+    return error.reason || error.shortMessage || error.message;
+}
+
+/**
+ * Send the calls of each row `batchSize` rows at a time: the transactions of
+ * a batch go out back to back with consecutive nonces and are then awaited
+ * together. A call that fails to send does not consume a nonce.
+ */
+async function sendInBatches(jobs, { signer, batchSize, log }) {
+    let nonce = await signer.getNonce("pending");
+    for (let start = 0; start < jobs.length; start += batchSize) {
+        const batch = jobs.slice(start, start + batchSize);
+        const sent = [];
+        for (const job of batch) {
+            for (const call of job.calls) {
+                try {
+                    const tx = await call.send({ nonce });
+                    nonce++;
+                    job.row.txs.push(tx.hash);
+                    sent.push({ job, call, tx });
+                } catch (error) {
+                    job.row.errors.push(`${call.method}: ${revertReason(error)}`);
+                }
+            }
+        }
+        for (const { job, call, tx } of sent) {
+            try {
+                const receipt = await tx.wait();
+                if (call.onReceipt) call.onReceipt(receipt);
+            } catch (error) {
+                job.row.errors.push(`${call.method}: ${revertReason(error)}`);
+            }
+        }
+        log(`   batch ${start / batchSize + 1}: ${batch.length} row(s), ${sent.length} transaction(s)`);
+    }
+}
+
+function summarize(rows) {
+    const summary = { created: 0, updated: 0, skipped: 0, failed: 0 };
+    for (const row of rows) {
+        summary[row.status]++;
+    }
+    return summary;
+}
+
+/**
+ * Import `content` into the marketplace. With `dryRun` nothing is sent or
+ * stored: rows get the status they would have and CIDs are only computed.
+ * Returns the report: `{ summary, rows }`, one row per catalog row with
+ * status created / updated / skipped / failed.
+ */
+async function importCatalog({
+    marketplace,
+    signer,
+    content,
+    format,
+    baseDir = ".",
+    store,
+    fromBlock = 0,
+    batchSize = 20,
+    dryRun = false,
+    priceMethod = null,
+    log = console.log,
+}) {
+    const setPrice = priceSetter(marketplace, priceMethod);
+    const { products, invalid } = validateCatalog(parseCatalog(content, { format }));
+    const listings = await loadListings(marketplace, { fromBlock });
+    const plan = planImport(products, listings);
+    const asSigner = marketplace.connect(signer);
+
+    const rows = invalid.map(({ where, sku, errors }) => ({ where, sku, status: "failed", productId: null, changes: {}, txs: [], errors }));
+    const jobs = [];
+
+    for (const { product, action, productId, changes } of plan) {
+        const row = { where: product.where, sku: product.sku, action, productId, changes, txs: [], errors: [] };
+        rows.push(row);
+        if (action === "skip") {
+            continue;
+        }
+        if (changes.priceUSD && setPrice.error) {
+            row.errors.push(setPrice.error);
+            continue;
+        }
+
+        const calls = [];
+        if (action === "create") {
+            try {
+                Object.assign(row, await pinProduct(product, { store: dryRun ? createDryRunStore() : store, baseDir }));
+            } catch (error) {
+                row.errors.push(error.message);
+                continue;
+            }
+            calls.push({
+                method: "listProduct",
+                send: (overrides) => asSigner.listProduct(...listArgs(marketplace, product, row.images, row.metadataURI), overrides),
+                onReceipt: (receipt) => {
+                    const listed = findEvent(marketplace, receipt, "ProductListed", { optional: true });
+                    row.productId = listed ? listed.args[0] : null;
+                },
+            });
+        } else {
+            if (changes.stock) {
+                calls.push({
+                    method: "updateStock",
+                    send: (overrides) => asSigner.updateStock(productId, product.stock, STOCK_REASON, overrides),
+                });
+            }
+            if (changes.priceUSD) {
+                calls.push({
+                    method: setPrice.fragment.name,
+                    send: (overrides) => asSigner.getFunction(setPrice.fragment)(productId, product.priceUSD, overrides),
+                });
+            }
+        }
+        jobs.push({ row, calls });
+    }
+
+    log(`📦 ${plan.length + invalid.length} row(s): ${jobs.length} to send, ${invalid.length} invalid`);
+    if (!dryRun && jobs.length > 0) {
+        await sendInBatches(jobs, { signer, batchSize, log });
+    }
+
+    for (const row of rows) {
+        if (row.status) continue;
+        if (row.errors.length > 0) {
+            row.status = "failed";
+        } else if (row.action === "skip") {
+            row.status = "skipped";
+        } else {
+            row.status = row.action === "create" ? "created" : "updated";
+        }
+        delete row.action;
+    }
+    // Report rows in catalog order; "line 12" and "entry 3" sort by their number
+    const order = (row) => Number(row.where.split(" ")[1]);
+    rows.sort((a, b) => order(a) - order(b));
+
+    return { dryRun, storeKind: dryRun ? "dry-run" : store.kind, summary: summarize(rows), rows };
+}
+
+module.exports = {
+    CATALOG_FIELDS,
+    parseCsv,
+    parseCatalog,
+    validateCatalog,
+    loadListings,
+    planImport,
+    pinProduct,
+    priceSetter,
+    importCatalog,
+};
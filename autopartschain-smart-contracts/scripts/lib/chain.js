@@ -0,0 +1,64 @@
+/**
+ * Read helpers shared by the scripts: log queries split into block ranges
+ * providers accept, public array getters read without a length function,
+ * revert detection and events looked up in a transaction receipt.
+ */
+
+async function queryInBatches(contract, filter, fromBlock, toBlock, batchSize = 10000) {
+    const events = [];
+    for (let from = fromBlock; from <= toBlock; from += batchSize) {
+        const to = Math.min(from + batchSize - 1, toBlock);
+        events.push(...(await contract.queryFilter(filter, from, to)));
+    }
+    return events;
+}
+
+/**
+ * Whether `error` is a call that reverted. ethers reports CALL_EXCEPTION; the
+ * in-process hardhat network throws its own error carrying the revert data.
+ */
+function isRevert(error) {
+    return error.code === "CALL_EXCEPTION" || (typeof error.data === "string" && /^0x[0-9a-f]*$/i.test(error.data));
+}
+
+/**
+ * A public array, read entry by entry until the getter reverts (the index is
+ * past the end) or `maxLength` is reached. Any other error is rethrown.
+ */
+async function readArray(contract, getter, maxLength) {
+    const entries = [];
+    for (let i = 0; i < maxLength; i++) {
+        try {
+            entries.push(await contract[getter](i));
+        } catch (error) {
+            if (!isRevert(error)) {
+                throw error;
+            }
+            break;
+        }
+    }
+    return entries;
+}
+
+/**
+ * The first `name` event `contract` emitted in `receipt`, parsed. Throws when
+ * there is none unless `optional`, which returns null instead.
+ */
+function findEvent(contract, receipt, name, { optional = false } = {}) {
+    for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== contract.target.toLowerCase()) continue;
+        const parsed = contract.interface.parseLog(log);
+        if (parsed && parsed.name === name) {
+            return parsed;
+        }
+    }
+    if (optional) return null;
+    throw new Error(`${name} not emitted`);
+}
+
+module.exports = {
+    findEvent,
+    isRevert,
+    queryInBatches,
+    readArray,
+};
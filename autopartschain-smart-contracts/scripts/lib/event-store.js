@@ -0,0 +1,144 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    contract TEXT NOT NULL,
+    address TEXT NOT NULL,
+    event TEXT NOT NULL,
+    account TEXT,
+    args TEXT NOT NULL,
+    timestamp INTEGER,
+    UNIQUE (tx_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS events_event ON events (event, block_number);
+CREATE INDEX IF NOT EXISTS events_account ON events (account, block_number);
+CREATE INDEX IF NOT EXISTS events_block ON events (block_number);
+`;
+
+/**
+ * SQLite store for indexed contract events. Event arguments are kept as JSON
+ * so dashboards can filter on them with json_extract().
+ */
+function openEventStore(file) {
+    if (file !== ":memory:") {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+    }
+    const db = new Database(file);
+    db.pragma("journal_mode = WAL");
+    db.exec(SCHEMA);
+
+    const statements = {
+        getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+        setMeta: db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"),
+        getBlock: db.prepare("SELECT number, hash, timestamp FROM blocks WHERE number = ?"),
+        putBlock: db.prepare("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)"),
+        insertEvent: db.prepare(`
+            INSERT OR IGNORE INTO events
+                (block_number, block_hash, tx_hash, log_index, contract, address, event, account, args, timestamp)
+            VALUES
+                (@blockNumber, @blockHash, @txHash, @logIndex, @contract, @address, @event, @account, @args, @timestamp)
+        `),
+        deleteEventsFrom: db.prepare("DELETE FROM events WHERE block_number >= ?"),
+        deleteBlocksFrom: db.prepare("DELETE FROM blocks WHERE number >= ?"),
+        pruneBlocks: db.prepare("DELETE FROM blocks WHERE number < ?"),
+    };
+
+    function getMeta(key) {
+        const row = statements.getMeta.get(key);
+        return row ? row.value : null;
+    }
+
+    function getCheckpoint() {
+        const value = getMeta("lastBlock");
+        return value === null ? null : Number(value);
+    }
+
+    // Events, block hashes and the checkpoint move together or not at all
+    const commitBatch = db.transaction(({ events, blocks, lastBlock, keepBlocksFrom }) => {
+        for (const event of events) {
+            statements.insertEvent.run({
+                ...event,
+                args: JSON.stringify(event.args),
+                account: event.account || null,
+                timestamp: event.timestamp || null,
+            });
+        }
+        for (const block of blocks) {
+            statements.putBlock.run(block.number, block.hash, block.timestamp || null);
+        }
+        statements.pruneBlocks.run(keepBlocksFrom);
+        statements.setMeta.run("lastBlock", String(lastBlock));
+    });
+
+    const rollback = db.transaction((fromBlock) => {
+        const removed = statements.deleteEventsFrom.run(fromBlock).changes;
+        statements.deleteBlocksFrom.run(fromBlock);
+        statements.setMeta.run("lastBlock", String(fromBlock - 1));
+        return removed;
+    });
+
+    function query({ event, contract, account, fromBlock, toBlock, limit = 1000 } = {}) {
+        const where = [];
+        const params = {};
+        if (event) {
+            where.push("event = @event");
+            params.event = event;
+        }
+        if (contract) {
+            where.push("contract = @contract");
+            params.contract = contract;
+        }
+        if (account) {
+            where.push("account = @account COLLATE NOCASE");
+            params.account = account;
+        }
+        if (fromBlock !== undefined) {
+            where.push("block_number >= @fromBlock");
+            params.fromBlock = fromBlock;
+        }
+        if (toBlock !== undefined) {
+            where.push("block_number <= @toBlock");
+            params.toBlock = toBlock;
+        }
+        params.limit = limit;
+
+        const sql = `SELECT * FROM events ${where.length ? "WHERE " + where.join(" AND ") : ""} ` +
+            "ORDER BY block_number, log_index LIMIT @limit";
+        return db.prepare(sql).all(params).map((row) => ({ ...row, args: JSON.parse(row.args) }));
+    }
+
+    return {
+        db,
+        getMeta,
+        setMeta: (key, value) => statements.setMeta.run(key, String(value)),
+        getCheckpoint,
+        getBlock: (number) => statements.getBlock.get(number) || null,
+        commitBatch,
+        rollback,
+        query,
+        close: () => db.close(),
+    };
+}
+
+module.exports = {
+    openEventStore,
+};
@@ -0,0 +1,296 @@
+/**
+ * Fee revenue accounting for TBToken. No event records a fee, but every fee
+ * leaves a fixed trail of Transfer logs in the same transaction:
+ *
+ *   Transfer(from, to, amount)        the trade
+ *   Transfer(to, token, fee)          _afterTokenTransfer takes the fee from the recipient
+ *   Transfer(token, treasury, 40%)    _distributeFees; zero shares are not transferred
+ *   Transfer(token, liquidity, 40%)
+ *   Transfer(token, marketing, rest)
+ *
+ * Replaying the Transfer logs in order recovers each fee and the wallets it
+ * went to. Trades are classified as buy, sell or transfer with the
+ * AutomatedMarketMakerPairSet history, and each fee is checked against the
+ * rate in force at the time (FeesUpdated history) and against calculateFee
+ * at the block before. Trades without a fee whose rate would have charged
+ * one are counted as exempt (isExcludedFromLimits has no event history).
+ */
+const { ethers } = require("ethers");
+const { queryInBatches } = require("./chain");
+
+// TBToken's initial buyFee / sellFee / transferFee, before any FeesUpdated
+const DEFAULT_FEES = { buy: 300n, sell: 300n, transfer: 100n };
+const ROLES = ["treasury", "liquidity", "marketing"];
+const KINDS = ["buy", "sell", "transfer"];
+
+function position(event) {
+    return { blockNumber: event.blockNumber, index: event.index, transactionHash: event.transactionHash };
+}
+
+function before(a, b) {
+    return a.blockNumber < b.blockNumber || (a.blockNumber === b.blockNumber && a.index < b.index);
+}
+
+/** The 40/40/20 split of _distributeFees */
+function splitFee(fee) {
+    const treasury = (fee * 40n) / 100n;
+    const liquidity = (fee * 40n) / 100n;
+    return { treasury, liquidity, marketing: fee - treasury - liquidity };
+}
+
+/**
+ * AMM pair and fee rate history. `pairsAt(pos)` and `feesAt(pos)` give the
+ * state just before a log position.
+ */
+async function loadFeeHistory(tbToken, { fromBlock = 0, toBlock, batchSize }) {
+    const pairEvents = await queryInBatches(tbToken, tbToken.filters.AutomatedMarketMakerPairSet(), fromBlock, toBlock, batchSize);
+    const feeEvents = await queryInBatches(tbToken, tbToken.filters.FeesUpdated(), fromBlock, toBlock, batchSize);
+
+    const pairChanges = pairEvents.map((e) => ({ ...position(e), pair: ethers.getAddress(e.args[0]), value: e.args[1] }));
+    const rateChanges = feeEvents.map((e) => ({ ...position(e), rates: { buy: e.args[0], sell: e.args[1], transfer: e.args[2] } }));
+
+    return {
+        pairChanges,
+        rateChanges,
+        pairsAt(pos) {
+            const pairs = new Set();
+            for (const change of pairChanges) {
+                if (!before(change, pos)) break;
+                if (change.value) pairs.add(change.pair);
+                else pairs.delete(change.pair);
+            }
+            return pairs;
+        },
+        feesAt(pos) {
+            let rates = DEFAULT_FEES;
+            for (const change of rateChanges) {
+                if (!before(change, pos)) break;
+                rates = change.rates;
+            }
+            return rates;
+        },
+    };
+}
+
+/**
+ * Walk the Transfer logs (in chain order) and return `{ trades, feeLogs,
+ * unattributed }`. Each trade has its kind, fee, the fee shares per role and
+ * the wallet that received each share. `feeLogs` are the fee and share
+ * transfers; transfers out of the token contract that are not part of a fee
+ * distribution end up in `unattributed`.
+ */
+function replayTransfers(transfers, { token, history }) {
+    const trades = [];
+    const consumed = new Set();
+    const sameTx = (a, b) => b && a.transactionHash === b.transactionHash;
+
+    for (let i = 0; i < transfers.length; i++) {
+        const t = transfers[i];
+        if (consumed.has(i) || t.from === ethers.ZeroAddress || t.to === ethers.ZeroAddress || t.from === token || t.to === token) {
+            continue;
+        }
+        const pairs = history.pairsAt(t);
+        const kind = pairs.has(t.from) ? "buy" : pairs.has(t.to) ? "sell" : "transfer";
+        const bps = history.feesAt(t)[kind];
+        const trade = {
+            ...position(t),
+            from: t.from,
+            to: t.to,
+            amount: t.amount,
+            kind,
+            bps,
+            fee: 0n,
+            shares: { treasury: 0n, liquidity: 0n, marketing: 0n },
+            wallets: {},
+            exempt: false,
+            issues: [],
+        };
+        trades.push(trade);
+
+        const feeLog = transfers[i + 1];
+        if (!(sameTx(t, feeLog) && feeLog.from === t.to && feeLog.to === token)) {
+            trade.exempt = (t.amount * bps) / 10000n > 0n;
+            continue;
+        }
+        consumed.add(i + 1);
+        trade.fee = feeLog.amount;
+        trade.shares = splitFee(trade.fee);
+
+        let next = i + 2;
+        for (const role of ROLES.filter((r) => trade.shares[r] > 0n)) {
+            const share = transfers[next];
+            if (sameTx(t, share) && share.from === token && share.amount === trade.shares[role]) {
+                trade.wallets[role] = share.to;
+                consumed.add(next);
+                next++;
+            } else {
+                trade.issues.push(`${role} share of ${trade.shares[role]} not found`);
+            }
+        }
+
+        const expected = (t.amount * bps) / 10000n;
+        if (trade.fee !== expected) {
+            trade.issues.push(`fee ${trade.fee} is not ${bps} bps of ${t.amount} (expected ${expected})`);
+        }
+    }
+
+    const feeLogs = transfers.filter((t, i) => consumed.has(i));
+    const unattributed = transfers.filter((t, i) => t.from === token && !consumed.has(i));
+    return { trades, feeLogs, unattributed };
+}
+
+function emptyTotals() {
+    return { trades: 0, exempt: 0, volume: 0n, fees: 0n, treasury: 0n, liquidity: 0n, marketing: 0n };
+}
+
+function addTrade(totals, trade) {
+    totals.trades++;
+    if (trade.exempt) totals.exempt++;
+    totals.volume += trade.amount;
+    totals.fees += trade.fee;
+    for (const role of ROLES) {
+        totals[role] += trade.shares[role];
+    }
+}
+
+/** Totals per UTC day and kind, `[{ date, kind, trades, exempt, volume, fees, treasury, liquidity, marketing }]` */
+function dailyTotals(trades, timestamps) {
+    const days = new Map();
+    for (const trade of trades) {
+        const date = new Date(timestamps[trade.blockNumber] * 1000).toISOString().slice(0, 10);
+        const key = `${date}|${trade.kind}`;
+        if (!days.has(key)) days.set(key, { date, kind: trade.kind, ...emptyTotals() });
+        addTrade(days.get(key), trade);
+    }
+    return [...days.values()].sort((a, b) =>
+        a.date === b.date ? KINDS.indexOf(a.kind) - KINDS.indexOf(b.kind) : a.date.localeCompare(b.date));
+}
+
+/** Fee income per wallet address, with the roles it was paid for */
+function walletIncome(trades) {
+    const wallets = new Map();
+    for (const trade of trades) {
+        for (const [role, address] of Object.entries(trade.wallets)) {
+            if (!wallets.has(address)) wallets.set(address, { address, roles: [], income: 0n });
+            const wallet = wallets.get(address);
+            if (!wallet.roles.includes(role)) wallet.roles.push(role);
+            wallet.income += trade.shares[role];
+        }
+    }
+    return wallets;
+}
+
+async function balanceAt(tbToken, address, blockNumber) {
+    return blockNumber < 0 ? 0n : tbToken.balanceOf(address, { blockTag: blockNumber });
+}
+
+/**
+ * Check each trade's fee against calculateFee(from, to, amount) as the token
+ * saw it at the end of the previous block, which also covers exclusions the
+ * logs cannot show. Mismatches are added to the trade's issues.
+ */
+async function recomputeFees(tbToken, trades) {
+    for (const trade of trades) {
+        const expected = await tbToken.calculateFee(trade.from, trade.to, trade.amount, { blockTag: trade.blockNumber - 1 });
+        if (trade.fee !== expected) {
+            trade.issues.push(`fee ${trade.fee} but calculateFee gives ${expected}`);
+        }
+    }
+}
+
+/**
+ * Compare each wallet's balance change over the range with the income
+ * attributed to it: once every transfer but the fee shares it received is
+ * taken out (`otherFlow`, in minus out, fees it paid included), what is left
+ * of the balance change must be its fee income. The token contract itself
+ * must pass every fee through, so nothing may be left for it.
+ */
+async function crossCheck(tbToken, { transfers, feeLogs, wallets, fromBlock, toBlock }) {
+    const token = tbToken.target;
+    const fees = new Set(feeLogs);
+    const addresses = [...new Set([...wallets.keys(), token])];
+    const checks = [];
+    for (const address of addresses) {
+        let otherFlow = 0n;
+        for (const t of transfers) {
+            if (fees.has(t) && (address === token || t.from === token)) continue;
+            if (t.to === address) otherFlow += t.amount;
+            if (t.from === address) otherFlow -= t.amount;
+        }
+        const balanceChange = (await balanceAt(tbToken, address, toBlock)) - (await balanceAt(tbToken, address, fromBlock - 1));
+        const wallet = wallets.get(address);
+        const income = wallet ? wallet.income : 0n;
+        checks.push({
+            address,
+            roles: address === token ? ["token"] : wallet.roles,
+            income,
+            balanceChange,
+            otherFlow,
+            ok: balanceChange - otherFlow === income,
+        });
+    }
+    return checks;
+}
+
+/**
+ * Replay `fromBlock`..`toBlock` and build the report. History (pairs, fee
+ * rates) is read from `historyFromBlock`, normally the token's deployment
+ * block, so a range that starts later still sees earlier changes. Logs are
+ * queried `batchSize` blocks at a time (see queryInBatches).
+ */
+async function buildFeeReport(tbToken, { fromBlock = 0, toBlock, historyFromBlock = 0, batchSize } = {}) {
+    const provider = tbToken.runner.provider;
+    const lastBlock = toBlock === undefined ? await provider.getBlockNumber() : toBlock;
+    const token = ethers.getAddress(tbToken.target);
+    const history = await loadFeeHistory(tbToken, { fromBlock: Math.min(historyFromBlock, fromBlock), toBlock: lastBlock, batchSize });
+
+    const transfers = (await queryInBatches(tbToken, tbToken.filters.Transfer(), fromBlock, lastBlock, batchSize))
+        .map((e) => ({ ...position(e), from: ethers.getAddress(e.args[0]), to: ethers.getAddress(e.args[1]), amount: e.args[2] }));
+    const { trades, feeLogs, unattributed } = replayTransfers(transfers, { token, history });
+    await recomputeFees(tbToken, trades);
+
+    const timestamps = {};
+    for (const blockNumber of new Set(trades.map((trade) => trade.blockNumber))) {
+        timestamps[blockNumber] = (await provider.getBlock(blockNumber)).timestamp;
+    }
+
+    const totals = Object.fromEntries(KINDS.map((kind) => [kind, emptyTotals()]));
+    for (const trade of trades) {
+        addTrade(totals[trade.kind], trade);
+    }
+    const wallets = walletIncome(trades);
+    const checks = await crossCheck(tbToken, { transfers, feeLogs, wallets, fromBlock, toBlock: lastBlock });
+    const issues = trades.filter((trade) => trade.issues.length > 0);
+
+    return {
+        fromBlock,
+        toBlock: lastBlock,
+        totals,
+        daily: dailyTotals(trades, timestamps),
+        wallets: [...wallets.values()],
+        checks,
+        trades,
+        issues,
+        unattributed,
+        ok: checks.every((check) => check.ok) && issues.length === 0 && unattributed.length === 0,
+    };
+}
+
+const CSV_COLUMNS = ["date", "kind", "trades", "exempt", "volume", "fees", "treasury", "liquidity", "marketing"];
+
+/** Daily totals as CSV; amounts in TB base units */
+function dailyCsv(daily) {
+    return [CSV_COLUMNS.join(","), ...daily.map((row) => CSV_COLUMNS.map((column) => String(row[column])).join(","))].join("\n") + "\n";
+}
+
+module.exports = {
+    DEFAULT_FEES,
+    splitFee,
+    loadFeeHistory,
+    replayTransfers,
+    recomputeFees,
+    crossCheck,
+    dailyTotals,
+    buildFeeReport,
+    dailyCsv,
+};
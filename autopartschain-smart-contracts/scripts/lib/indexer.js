@@ -0,0 +1,189 @@
+/**
+ * Follows marketplace, loyalty, referral, airdrop and oracle events from a
+ * start block into an event store (see event-store.js). Progress is
+ * checkpointed per batch, and a reorg at the checkpoint rolls the store back
+ * `reorgDepth` blocks before re-indexing.
+ */
+const INDEXED_EVENTS = {
+    AutoPartsMarketplaceV2: ["ProductListed", "OrderCreated", "OrderPaid", "DiscountApplied"],
+    LoyaltyProgram: ["PointsEarned", "TierUpgraded", "CashbackReceived"],
+    ReferralProgram: ["ReferralReward"],
+    AirdropManager: ["AirdropClaimed"],
+    PriceOracle: ["PriceUpdated"],
+};
+
+// First matching argument is stored in the `account` column for per-address queries
+const ACCOUNT_ARGS = ["customer", "user", "referrer", "buyer"];
+
+function toPlain(value) {
+    if (typeof value === "bigint") {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(toPlain);
+    }
+    return value;
+}
+
+function decodeArgs(fragment, args) {
+    const decoded = {};
+    fragment.inputs.forEach((input, i) => {
+        decoded[input.name || String(i)] = toPlain(args[i]);
+    });
+    return decoded;
+}
+
+function createIndexer({
+    provider,
+    contracts,
+    store,
+    startBlock = 0,
+    batchSize = 2000,
+    reorgDepth = 12,
+    confirmations = 0,
+    pollInterval = 15,
+    log = console.log,
+}) {
+    const byAddress = new Map();
+    const topics = new Set();
+
+    for (const [name, { address, iface }] of Object.entries(contracts)) {
+        const events = INDEXED_EVENTS[name] || [];
+        if (!address || events.length === 0) continue;
+
+        byAddress.set(address.toLowerCase(), { name, iface });
+        for (const event of events) {
+            topics.add(iface.getEvent(event).topicHash);
+        }
+    }
+
+    let timer = null;
+    let running = false;
+
+    async function checkChain() {
+        const { chainId } = await provider.getNetwork();
+        const stored = store.getMeta("chainId");
+        if (stored === null) {
+            store.setMeta("chainId", chainId);
+        } else if (stored !== chainId.toString()) {
+            throw new Error(`Event store belongs to chainId ${stored}, provider is on ${chainId}`);
+        }
+    }
+
+    /**
+     * Compare the hash recorded for the checkpoint block with the chain. On a
+     * mismatch the last `reorgDepth` blocks are dropped and indexed again.
+     */
+    async function handleReorg() {
+        const checkpoint = store.getCheckpoint();
+        if (checkpoint === null) return false;
+
+        const recorded = store.getBlock(checkpoint);
+        if (!recorded) return false;
+
+        const block = await provider.getBlock(checkpoint);
+        if (block && block.hash === recorded.hash) return false;
+
+        const rollbackFrom = Math.max(startBlock, checkpoint - reorgDepth + 1);
+        const removed = store.rollback(rollbackFrom);
+        log(`⚠️  Reorg detected at block ${checkpoint}, rolled back to ${rollbackFrom - 1} (${removed} events removed)`);
+        return true;
+    }
+
+    function decodeLog(entry) {
+        const target = byAddress.get(entry.address.toLowerCase());
+        if (!target) return null;
+
+        const parsed = target.iface.parseLog(entry);
+        if (!parsed || !INDEXED_EVENTS[target.name].includes(parsed.name)) return null;
+
+        const args = decodeArgs(parsed.fragment, parsed.args);
+        const accountArg = ACCOUNT_ARGS.find((name) => typeof args[name] === "string");
+        return {
+            blockNumber: entry.blockNumber,
+            blockHash: entry.blockHash,
+            txHash: entry.transactionHash,
+            logIndex: entry.index,
+            contract: target.name,
+            address: entry.address,
+            event: parsed.name,
+            account: accountArg ? args[accountArg] : null,
+            args,
+        };
+    }
+
+    async function indexRange(fromBlock, toBlock) {
+        const logs = await provider.getLogs({
+            address: [...byAddress.keys()],
+            topics: [[...topics]],
+            fromBlock,
+            toBlock,
+        });
+
+        const events = logs.map(decodeLog).filter(Boolean);
+        const blockNumbers = new Set(events.map((event) => event.blockNumber));
+        blockNumbers.add(toBlock);
+
+        const blocks = [];
+        for (const number of blockNumbers) {
+            const block = await provider.getBlock(number);
+            blocks.push({ number, hash: block.hash, timestamp: block.timestamp });
+        }
+        const timestamps = new Map(blocks.map((block) => [block.number, block.timestamp]));
+        events.forEach((event) => {
+            event.timestamp = timestamps.get(event.blockNumber);
+        });
+
+        store.commitBatch({ events, blocks, lastBlock: toBlock, keepBlocksFrom: toBlock - reorgDepth });
+        return events.length;
+    }
+
+    async function syncOnce() {
+        await checkChain();
+        await handleReorg();
+
+        const head = (await provider.getBlockNumber()) - confirmations;
+        const checkpoint = store.getCheckpoint();
+        const firstBlock = checkpoint === null ? startBlock : checkpoint + 1;
+
+        let indexed = 0;
+        for (let from = firstBlock; from <= head; from += batchSize) {
+            const to = Math.min(from + batchSize - 1, head);
+            indexed += await indexRange(from, to);
+        }
+
+        if (firstBlock <= head) {
+            log(`Indexed blocks ${firstBlock}-${head}: ${indexed} events`);
+        }
+        return { fromBlock: firstBlock, toBlock: head, events: indexed };
+    }
+
+    async function loop() {
+        if (!running) return;
+        try {
+            await syncOnce();
+        } catch (error) {
+            log(`❌ Indexer sync failed: ${error.shortMessage || error.message}`);
+        }
+        if (running) {
+            timer = setTimeout(loop, pollInterval * 1000);
+        }
+    }
+
+    return {
+        syncOnce,
+        start() {
+            running = true;
+            return loop();
+        },
+        stop() {
+            running = false;
+            clearTimeout(timer);
+        },
+    };
+}
+
+module.exports = {
+    INDEXED_EVENTS,
+    createIndexer,
+};
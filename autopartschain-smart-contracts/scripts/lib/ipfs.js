@@ -0,0 +1,88 @@
+/**
+ * Pinning for catalog images and metadata. Two stores share one interface,
+ * `add(bytes, name) -> cid`:
+ *
+ *   - createKuboStore(apiUrl) pins through a Kubo (go-ipfs) HTTP API
+ *   - createLocalStore(dir) is a stand-in node: files are written to
+ *     <dir>/<cid>, which is enough for local chains and dry runs
+ *
+ * Both hand out CIDv1 (raw leaves, sha2-256), so a small file gets the same
+ * CID from the stand-in as from `ipfs add --cid-version=1 --raw-leaves`.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+function base32(bytes) {
+    let output = "";
+    let buffer = 0;
+    let bits = 0;
+    for (const byte of bytes) {
+        buffer = (buffer << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/** CIDv1, raw codec, sha2-256 multihash, base32 multibase ("bafkrei...") */
+function cidFor(bytes) {
+    const digest = crypto.createHash("sha256").update(bytes).digest();
+    return "b" + base32(Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), digest]));
+}
+
+function createLocalStore(dir) {
+    return {
+        kind: "local",
+        async add(bytes) {
+            const cid = cidFor(bytes);
+            const file = path.join(dir, cid);
+            if (!fs.existsSync(file)) {
+                fs.mkdirSync(dir, { recursive: true });
+                fs.writeFileSync(file, bytes);
+            }
+            return cid;
+        },
+    };
+}
+
+function createKuboStore(apiUrl) {
+    const endpoint = `${apiUrl.replace(/\/$/, "")}/api/v0/add?pin=true&cid-version=1&raw-leaves=true`;
+    return {
+        kind: "kubo",
+        async add(bytes, name = "file") {
+            const form = new FormData();
+            form.append("file", new Blob([bytes]), name);
+            const response = await fetch(endpoint, { method: "POST", body: form });
+            if (!response.ok) {
+                throw new Error(`IPFS add failed for ${name}: ${response.status} ${await response.text()}`);
+            }
+            return (await response.json()).Hash;
+        },
+    };
+}
+
+/** Computes CIDs without storing anything, for dry runs */
+function createDryRunStore() {
+    return {
+        kind: "dry-run",
+        async add(bytes) {
+            return cidFor(bytes);
+        },
+    };
+}
+
+module.exports = {
+    cidFor,
+    createLocalStore,
+    createKuboStore,
+    createDryRunStore,
+};
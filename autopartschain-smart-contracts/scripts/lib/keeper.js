@@ -0,0 +1,326 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// PriceOracle.currentPrice uses 8 decimals, like Chainlink USD feeds
+const PRICE_DECIMALS = 8n;
+const BPS = 10000n;
+
+const AGGREGATOR_ABI = [
+    "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+];
+
+const DEFAULT_KEEPER_CONFIG = {
+    deviationBps: 100, // push when the median moves 1% away from currentPrice
+    heartbeat: 3600, // ...or when lastUpdated is older than this (seconds)
+    maxSourceAge: 3 * 3600, // ignore feeds that have not updated for this long (seconds)
+    pollInterval: 60, // seconds between ticks
+    dryRun: false,
+    confirmations: 1,
+    maxFeePerGas: null, // wei cap; null = no cap
+    replaceAfter: 120, // seconds before a stuck tx is re-sent with higher fees
+    maxReplacements: 3,
+};
+
+// The network profile's gas policy fills in what the environment leaves unset
+function loadKeeperConfig(env = process.env, profile = null) {
+    const number = (value, fallback) => (value === undefined || value === "" ? fallback : Number(value));
+    const gas = profile ? profile.gas : {};
+    const maxFeeGwei = env.KEEPER_MAX_FEE_GWEI || (gas.maxFeeGwei ? String(gas.maxFeeGwei) : null);
+    return {
+        deviationBps: number(env.KEEPER_DEVIATION_BPS, DEFAULT_KEEPER_CONFIG.deviationBps),
+        heartbeat: number(env.KEEPER_HEARTBEAT, DEFAULT_KEEPER_CONFIG.heartbeat),
+        maxSourceAge: number(env.KEEPER_MAX_SOURCE_AGE, DEFAULT_KEEPER_CONFIG.maxSourceAge),
+        pollInterval: number(env.KEEPER_POLL_INTERVAL, DEFAULT_KEEPER_CONFIG.pollInterval),
+        dryRun: env.KEEPER_DRY_RUN === "true" || env.KEEPER_DRY_RUN === "1",
+        confirmations: number(env.KEEPER_CONFIRMATIONS, gas.confirmations || DEFAULT_KEEPER_CONFIG.confirmations),
+        maxFeePerGas: maxFeeGwei ? ethers.parseUnits(maxFeeGwei, "gwei") : null,
+        replaceAfter: number(env.KEEPER_REPLACE_AFTER, DEFAULT_KEEPER_CONFIG.replaceAfter),
+        maxReplacements: number(env.KEEPER_MAX_REPLACEMENTS, DEFAULT_KEEPER_CONFIG.maxReplacements),
+        logFile: env.KEEPER_LOG || path.join(process.cwd(), "logs", "keeper.jsonl"),
+    };
+}
+
+function normalizePrice(answer, decimals) {
+    const d = BigInt(decimals);
+    if (d === PRICE_DECIMALS) return answer;
+    return d > PRICE_DECIMALS
+        ? answer / 10n ** (d - PRICE_DECIMALS)
+        : answer * 10n ** (PRICE_DECIMALS - d);
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2n;
+}
+
+function deviationBps(from, to) {
+    if (from === 0n) return BPS;
+    const diff = to > from ? to - from : from - to;
+    return (diff * BPS) / from;
+}
+
+/**
+ * Read every active PriceOracle source. Sources that revert, report a
+ * non-positive answer or are older than maxSourceAge are returned with
+ * `valid: false` and left out of the median.
+ */
+async function readSources(oracle, runner, { now, maxSourceAge }) {
+    const count = Number(await oracle.getPriceSourcesCount());
+    const sources = [];
+
+    for (let id = 0; id < count; id++) {
+        const source = await oracle.priceSources(id);
+        if (!source.active) continue;
+
+        const entry = {
+            id,
+            description: source.description,
+            aggregator: source.aggregator,
+            decimals: Number(source.decimals),
+            valid: false,
+        };
+        try {
+            const feed = new ethers.Contract(source.aggregator, AGGREGATOR_ABI, runner);
+            const round = await feed.latestRoundData();
+            entry.answer = round.answer;
+            entry.updatedAt = Number(round.updatedAt);
+
+            if (round.answer <= 0n) {
+                entry.reason = "non-positive answer";
+            } else if (now - entry.updatedAt > maxSourceAge) {
+                entry.reason = "stale answer";
+            } else {
+                entry.price = normalizePrice(round.answer, entry.decimals);
+                entry.valid = true;
+            }
+        } catch (error) {
+            entry.reason = `read failed: ${error.shortMessage || error.message}`;
+        }
+        sources.push(entry);
+    }
+
+    return sources;
+}
+
+function decide({ currentPrice, lastUpdated, medianPrice, now, config }) {
+    const age = now - lastUpdated;
+    const deviation = deviationBps(currentPrice, medianPrice);
+
+    if (medianPrice === currentPrice && age < config.heartbeat) {
+        return { update: false, reason: "unchanged", deviationBps: deviation, age };
+    }
+    if (deviation >= BigInt(config.deviationBps)) {
+        return { update: true, reason: "deviation", deviationBps: deviation, age };
+    }
+    if (age >= config.heartbeat) {
+        return { update: true, reason: "heartbeat", deviationBps: deviation, age };
+    }
+    return { update: false, reason: "within-threshold", deviationBps: deviation, age };
+}
+
+/**
+ * Sends transactions from a single account, tracking the nonce locally and
+ * re-sending with bumped fees (same nonce) when a transaction gets stuck.
+ */
+function createTxSender(signer, config, log) {
+    let nextNonce = null;
+
+    async function feeOverrides(bumpPct) {
+        const feeData = await signer.provider.getFeeData();
+        const bump = (value) => (value * BigInt(100 + bumpPct)) / 100n;
+        const cap = (value) => (config.maxFeePerGas && value > config.maxFeePerGas ? config.maxFeePerGas : value);
+
+        if (feeData.maxFeePerGas !== null) {
+            const maxFeePerGas = cap(bump(feeData.maxFeePerGas));
+            const priority = bump(feeData.maxPriorityFeePerGas);
+            return { maxFeePerGas, maxPriorityFeePerGas: priority > maxFeePerGas ? maxFeePerGas : priority };
+        }
+        return { gasPrice: cap(bump(feeData.gasPrice)) };
+    }
+
+    async function send(request) {
+        if (nextNonce === null) {
+            nextNonce = await signer.getNonce("pending");
+        }
+        const nonce = nextNonce;
+        const gasLimit = ((await signer.estimateGas(request)) * 120n) / 100n;
+
+        const sentHashes = [];
+        for (let attempt = 0; attempt <= config.maxReplacements; attempt++) {
+            const fees = await feeOverrides(attempt * 15);
+            let tx;
+            try {
+                tx = await signer.sendTransaction({ ...request, ...fees, nonce, gasLimit });
+            } catch (error) {
+                if (/nonce (too low|has already been used)/i.test(error.message)) {
+                    nextNonce = null; // resync on the next call
+                }
+                throw error;
+            }
+            sentHashes.push(tx.hash);
+            log({ event: "tx-sent", txHash: tx.hash, nonce, attempt, ...fees });
+
+            let receipt = await signer.provider
+                .waitForTransaction(tx.hash, config.confirmations, config.replaceAfter * 1000)
+                .catch(() => null);
+            if (!receipt && (await signer.getNonce("latest")) > nonce) {
+                // One of the earlier, cheaper attempts got mined instead
+                const receipts = await Promise.all(sentHashes.map((hash) => signer.provider.getTransactionReceipt(hash)));
+                receipt = receipts.find(Boolean) || null;
+            }
+            if (receipt) {
+                nextNonce = nonce + 1;
+                if (receipt.status !== 1) {
+                    throw new Error(`Transaction ${tx.hash} reverted`);
+                }
+                return receipt;
+            }
+            log({ event: "tx-stuck", txHash: tx.hash, nonce, attempt });
+        }
+
+        nextNonce = null;
+        throw new Error(`Transaction with nonce ${nonce} not mined after ${config.maxReplacements} replacements`);
+    }
+
+    return { send };
+}
+
+function createJsonLogger(logFile) {
+    if (logFile) {
+        fs.mkdirSync(path.dirname(logFile), { recursive: true });
+    }
+    return (entry) => {
+        const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry },
+            (key, value) => (typeof value === "bigint" ? value.toString() : value));
+        if (logFile) {
+            fs.appendFileSync(logFile, line + "\n");
+        }
+        return line;
+    };
+}
+
+/**
+ * Keeper for PriceOracle. Each tick polls the active sources, takes their
+ * median and pushes it when the deviation or heartbeat policy says so.
+ *
+ * With PRICE_UPDATER_ROLE the median is written through updatePriceManually;
+ * otherwise the keeper falls back to updatePriceFromSource on the source
+ * closest to the median, which anyone may call.
+ */
+function createKeeper({ oracle, signer, config = {}, log }) {
+    const settings = { ...DEFAULT_KEEPER_CONFIG, ...config };
+    const writeLog = log || createJsonLogger(settings.logFile);
+    const sender = createTxSender(signer, settings, writeLog);
+    let timer = null;
+    let running = false;
+
+    async function canUpdateManually() {
+        return oracle.hasRole(await oracle.PRICE_UPDATER_ROLE(), await signer.getAddress());
+    }
+
+    async function tick() {
+        const block = await signer.provider.getBlock("latest");
+        const now = block.timestamp;
+        const [currentPrice, lastUpdated] = await Promise.all([oracle.currentPrice(), oracle.lastUpdated()]);
+        const sources = await readSources(oracle, signer.provider, { now, maxSourceAge: settings.maxSourceAge });
+        const valid = sources.filter((source) => source.valid);
+
+        const record = {
+            event: "decision",
+            block: block.number,
+            currentPrice,
+            lastUpdated: Number(lastUpdated),
+            sources: sources.map(({ id, description, answer, decimals, valid: ok, reason }) =>
+                ({ id, description, answer, decimals, valid: ok, reason })),
+            dryRun: settings.dryRun,
+        };
+
+        if (valid.length === 0) {
+            writeLog({ ...record, action: "skip", reason: "no-valid-sources" });
+            return { action: "skip", reason: "no-valid-sources" };
+        }
+
+        const medianPrice = median(valid.map((source) => source.price));
+        const decision = decide({ currentPrice, lastUpdated: Number(lastUpdated), medianPrice, now, config: settings });
+        Object.assign(record, { medianPrice, deviationBps: decision.deviationBps, age: decision.age });
+
+        if (!decision.update) {
+            writeLog({ ...record, action: "skip", reason: decision.reason });
+            return { action: "skip", reason: decision.reason, medianPrice };
+        }
+
+        let method;
+        let args;
+        if (await canUpdateManually()) {
+            method = "updatePriceManually";
+            args = [medianPrice];
+        } else {
+            // Only feeds already in 8 decimals can be written through unscaled
+            const candidates = valid.filter((source) => source.decimals === Number(PRICE_DECIMALS));
+            if (candidates.length === 0) {
+                writeLog({ ...record, action: "error", reason: "no-permissionless-source" });
+                throw new Error("Keeper lacks PRICE_UPDATER_ROLE and no 8-decimal source is available");
+            }
+            const closest = candidates.reduce((best, source) =>
+                (deviationBps(medianPrice, source.price) < deviationBps(medianPrice, best.price) ? source : best));
+            method = "updatePriceFromSource";
+            args = [closest.id];
+        }
+
+        if (settings.dryRun) {
+            writeLog({ ...record, action: "dry-run", reason: decision.reason, method, args });
+            return { action: "dry-run", reason: decision.reason, medianPrice, method, args };
+        }
+
+        try {
+            const request = await oracle.getFunction(method).populateTransaction(...args);
+            const receipt = await sender.send(request);
+            writeLog({ ...record, action: "update", reason: decision.reason, method, args,
+                txHash: receipt.hash, blockNumber: receipt.blockNumber });
+            return { action: "update", reason: decision.reason, medianPrice, method, args, txHash: receipt.hash };
+        } catch (error) {
+            writeLog({ ...record, action: "error", reason: decision.reason, method, args,
+                error: error.shortMessage || error.message });
+            throw error;
+        }
+    }
+
+    async function loop() {
+        if (!running) return;
+        try {
+            await tick();
+        } catch (error) {
+            writeLog({ event: "tick-failed", error: error.shortMessage || error.message });
+        }
+        if (running) {
+            timer = setTimeout(loop, settings.pollInterval * 1000);
+        }
+    }
+
+    return {
+        tick,
+        start() {
+            running = true;
+            return loop();
+        },
+        stop() {
+            running = false;
+            clearTimeout(timer);
+        },
+    };
+}
+
+module.exports = {
+    DEFAULT_KEEPER_CONFIG,
+    loadKeeperConfig,
+    normalizePrice,
+    median,
+    deviationBps,
+    decide,
+    readSources,
+    createTxSender,
+    createJsonLogger,
+    createKeeper,
+};
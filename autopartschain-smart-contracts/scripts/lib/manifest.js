@@ -0,0 +1,49 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYED_DIR = path.join(__dirname, "..", "..", "deployed");
+
+function manifestPath(networkName) {
+    return path.join(DEPLOYED_DIR, `addresses-${networkName}.json`);
+}
+
+// BigInt values (gas, amounts) are not JSON-serializable by default
+function replacer(key, value) {
+    return typeof value === "bigint" ? value.toString() : value;
+}
+
+function loadManifest(networkName) {
+    const file = manifestPath(networkName);
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function requireManifest(networkName) {
+    const manifest = loadManifest(networkName);
+    if (!manifest) {
+        throw new Error(`Addresses file not found: ${manifestPath(networkName)}`);
+    }
+    return manifest;
+}
+
+// Write to a temp file first so an interrupted run never leaves a truncated manifest
+function saveManifest(networkName, manifest) {
+    const file = manifestPath(networkName);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    manifest.updatedAt = new Date().toISOString();
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(manifest, replacer, 2) + "\n");
+    fs.renameSync(tmpFile, file);
+    return file;
+}
+
+module.exports = {
+    DEPLOYED_DIR,
+    manifestPath,
+    loadManifest,
+    requireManifest,
+    saveManifest,
+};
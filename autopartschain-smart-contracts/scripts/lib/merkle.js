@@ -0,0 +1,127 @@
+const { ethers } = require("ethers");
+
+/**
+ * Merkle trees for AirdropManager campaigns.
+ *
+ * Leaves match `keccak256(abi.encodePacked(account, amount))` in
+ * AirdropManager.claimAirdrop, and pairs are hashed sorted like
+ * OpenZeppelin's MerkleProof.verify. Leaves are NOT double-hashed, so
+ * @openzeppelin/merkle-tree's StandardMerkleTree cannot be used here.
+ */
+
+function hashLeaf(account, amount) {
+    return ethers.solidityPackedKeccak256(["address", "uint256"], [account, amount]);
+}
+
+function hashPair(a, b) {
+    const [left, right] = BigInt(a) < BigInt(b) ? [a, b] : [b, a];
+    return ethers.keccak256(ethers.concat([left, right]));
+}
+
+function parseAmount(raw, decimals, where) {
+    const value = String(raw).trim();
+    let amount;
+    try {
+        amount = decimals > 0 ? ethers.parseUnits(value, decimals) : BigInt(value);
+    } catch (error) {
+        throw new Error(`${where}: invalid amount "${value}"`);
+    }
+    if (amount <= 0n) {
+        throw new Error(`${where}: amount must be positive`);
+    }
+    return amount;
+}
+
+/**
+ * Parse address,amount pairs from CSV (optional header) or JSON, which may be
+ * an array of {address, amount} or an {address: amount} object.
+ */
+function parseEntries(content, { format, decimals = 0 } = {}) {
+    const text = content.trim();
+    const isJson = format ? format === "json" : text.startsWith("[") || text.startsWith("{");
+    let rows;
+
+    if (isJson) {
+        const data = JSON.parse(text);
+        rows = Array.isArray(data)
+            ? data.map((item, i) => ({ address: item.address, amount: item.amount, where: `entry ${i}` }))
+            : Object.entries(data).map(([address, amount]) => ({ address, amount, where: address }));
+    } else {
+        rows = text.split(/\r?\n/)
+            .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+            .filter(({ line }) => line && !line.startsWith("#"))
+            .filter(({ line, number }) => !(number === 1 && /^address\s*,/i.test(line)))
+            .map(({ line, number }) => {
+                const [address, amount] = line.split(",").map((cell) => cell.trim());
+                return { address, amount, where: `line ${number}` };
+            });
+    }
+
+    const seen = new Set();
+    return rows.map(({ address, amount, where }) => {
+        if (!address || !ethers.isAddress(address)) {
+            throw new Error(`${where}: invalid address "${address}"`);
+        }
+        const account = ethers.getAddress(address);
+        if (account === ethers.ZeroAddress) {
+            throw new Error(`${where}: zero address is not allowed`);
+        }
+        if (seen.has(account)) {
+            throw new Error(`${where}: duplicate address ${account}`);
+        }
+        seen.add(account);
+        return { address: account, amount: parseAmount(amount, decimals, where) };
+    });
+}
+
+/**
+ * Build the tree bottom-up. An odd node at the end of a layer is carried up
+ * unchanged, which keeps proofs valid for MerkleProof.verify.
+ */
+function buildTree(entries) {
+    if (entries.length === 0) {
+        throw new Error("Cannot build a Merkle tree without entries");
+    }
+
+    const leaves = entries.map(({ address, amount }) => hashLeaf(address, amount));
+    const layers = [leaves];
+    while (layers[layers.length - 1].length > 1) {
+        const current = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < current.length; i += 2) {
+            next.push(i + 1 < current.length ? hashPair(current[i], current[i + 1]) : current[i]);
+        }
+        layers.push(next);
+    }
+
+    const root = layers[layers.length - 1][0];
+    const totalAmount = entries.reduce((sum, { amount }) => sum + amount, 0n);
+
+    const claims = {};
+    entries.forEach(({ address, amount }, index) => {
+        const proof = [];
+        let position = index;
+        for (let level = 0; level < layers.length - 1; level++) {
+            const sibling = position ^ 1;
+            if (sibling < layers[level].length) {
+                proof.push(layers[level][sibling]);
+            }
+            position = Math.floor(position / 2);
+        }
+        claims[address] = { amount: amount.toString(), leaf: leaves[index], proof };
+    });
+
+    return { root, totalAmount, count: entries.length, claims };
+}
+
+function verifyProof(proof, root, leaf) {
+    return proof.reduce((hash, sibling) => hashPair(hash, sibling), leaf) === root;
+}
+
+module.exports = {
+    hashLeaf,
+    hashPair,
+    parseEntries,
+    buildTree,
+    verifyProof,
+};
@@ -0,0 +1,165 @@
+/**
+ * Per-network profiles in networks/<name>.json. A profile holds everything
+ * the scripts need to know about a chain besides the deployed addresses:
+ *
+ *   {
+ *     "chainId": 11155111,
+ *     "rpcUrl": "https://rpc.sepolia.org",
+ *     "rpcUrlEnv": "SEPOLIA_RPC_URL",
+ *     "explorer": { "name": "sepolia", "url": "https://sepolia.etherscan.io", "apiKeyEnv": "ETHERSCAN_API_KEY" },
+ *     "chainlink": { "priceOracleFeed": "ETH/USD", "feeds": { "ETH/USD": "0x694A..." } },
+ *     "gas": { "gasPriceGwei": null, "maxFeeGwei": null, "confirmations": 2 },
+ *     "wallets": { "treasury": null, "liquidity": null, "marketing": null, "feeRecipient": null }
+ *   }
+ *
+ * The `*Env` fields name environment variables that take precedence, so
+ * secrets and private RPC endpoints stay in .env. Null wallets fall back to
+ * the *_WALLET variables and then to the deployer.
+ */
+const fs = require("fs");
+const path = require("path");
+const { getAddress, isAddress, parseUnits } = require("ethers");
+
+const PROFILES_DIR = path.join(__dirname, "..", "..", "networks");
+
+const WALLETS = ["treasury", "liquidity", "marketing", "feeRecipient"];
+
+function checkAddress(value, where) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (!isAddress(value)) {
+        throw new Error(`${where} must be an address, got "${value}"`);
+    }
+    return getAddress(value);
+}
+
+function validateProfile(name, profile, file) {
+    if (!Number.isInteger(profile.chainId) || profile.chainId <= 0) {
+        throw new Error(`${file}: chainId must be a positive integer`);
+    }
+    if (!profile.rpcUrl && !profile.rpcUrlEnv) {
+        throw new Error(`${file}: rpcUrl or rpcUrlEnv is required`);
+    }
+
+    const chainlink = profile.chainlink || {};
+    const feeds = {};
+    for (const [pair, address] of Object.entries(chainlink.feeds || {})) {
+        feeds[pair] = checkAddress(address, `${file}: chainlink.feeds["${pair}"]`);
+    }
+    if (chainlink.priceOracleFeed && !feeds[chainlink.priceOracleFeed]) {
+        throw new Error(`${file}: chainlink.priceOracleFeed "${chainlink.priceOracleFeed}" is not in chainlink.feeds`);
+    }
+
+    const wallets = {};
+    for (const wallet of WALLETS) {
+        wallets[wallet] = checkAddress((profile.wallets || {})[wallet], `${file}: wallets.${wallet}`);
+    }
+
+    return {
+        ...profile,
+        name,
+        chainlink: { priceOracleFeed: chainlink.priceOracleFeed || null, feeds },
+        gas: { gasPriceGwei: null, maxFeeGwei: null, confirmations: 1, ...profile.gas },
+        wallets,
+    };
+}
+
+function profilePath(networkName, dir = PROFILES_DIR) {
+    return path.join(dir, `${networkName}.json`);
+}
+
+/** The validated profile for `networkName`, or null when there is none (hardhat, localhost, tests) */
+function loadProfile(networkName, { dir = PROFILES_DIR } = {}) {
+    const file = profilePath(networkName, dir);
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    return validateProfile(networkName, JSON.parse(fs.readFileSync(file, "utf8")), file);
+}
+
+function requireProfile(networkName, options) {
+    const profile = loadProfile(networkName, options);
+    if (!profile) {
+        throw new Error(`Network profile not found: ${profilePath(networkName, (options || {}).dir)}`);
+    }
+    return profile;
+}
+
+function loadProfiles({ dir = PROFILES_DIR } = {}) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir)
+        .filter((file) => file.endsWith(".json"))
+        .sort()
+        .map((file) => loadProfile(path.basename(file, ".json"), { dir }));
+}
+
+function resolveRpcUrl(profile, env = process.env) {
+    return (profile.rpcUrlEnv && env[profile.rpcUrlEnv]) || profile.rpcUrl;
+}
+
+/** The Chainlink feed PriceOracle is deployed with, or null */
+function priceFeed(profile) {
+    if (!profile || !profile.chainlink.priceOracleFeed) {
+        return null;
+    }
+    return profile.chainlink.feeds[profile.chainlink.priceOracleFeed];
+}
+
+/** `networks` entries for hardhat.config.js */
+function hardhatNetworks(profiles, env = process.env) {
+    const networks = {};
+    for (const profile of profiles) {
+        networks[profile.name] = {
+            url: resolveRpcUrl(profile, env),
+            accounts: env.PRIVATE_KEY ? [env.PRIVATE_KEY] : [],
+            chainId: profile.chainId,
+        };
+        if (profile.gas.gasPriceGwei) {
+            networks[profile.name].gasPrice = Number(parseUnits(String(profile.gas.gasPriceGwei), "gwei"));
+        }
+    }
+    return networks;
+}
+
+/** `etherscan` section for hardhat.config.js, keyed by the hardhat-verify network names */
+function etherscanConfig(profiles, env = process.env) {
+    const apiKey = {};
+    for (const profile of profiles) {
+        if (profile.explorer && profile.explorer.name) {
+            apiKey[profile.explorer.name] = env[profile.explorer.apiKeyEnv];
+        }
+    }
+    return { apiKey };
+}
+
+/** Deploy settings the profile provides; loadDeployConfig layers the environment on top */
+function profileDeployDefaults(profile) {
+    if (!profile) {
+        return {};
+    }
+    const defaults = {
+        treasuryWallet: profile.wallets.treasury,
+        liquidityWallet: profile.wallets.liquidity,
+        marketingWallet: profile.wallets.marketing,
+        feeRecipient: profile.wallets.feeRecipient,
+        chainlinkAggregator: priceFeed(profile),
+        confirmations: profile.gas.confirmations,
+    };
+    return Object.fromEntries(Object.entries(defaults).filter(([, value]) => value !== null && value !== undefined));
+}
+
+module.exports = {
+    PROFILES_DIR,
+    profilePath,
+    loadProfile,
+    requireProfile,
+    loadProfiles,
+    resolveRpcUrl,
+    priceFeed,
+    hardhatNetworks,
+    etherscanConfig,
+    profileDeployDefaults,
+};
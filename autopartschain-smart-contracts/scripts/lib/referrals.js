@@ -0,0 +1,423 @@
+/**
+ * Referral commission simulation and payout reconciliation.
+ *
+ * The simulator replays ReferralProgram.distributeReferralRewards off-chain:
+ * level N is paid `amount * levelCommissions[N] / 10000` token base units,
+ * walking up `referrals[referrer].referrer` exactly as the contract does.
+ * The reconciler compares ReferralReward events with the TB transfers that
+ * actually left the contract, `totalEarned`, the contract balance and
+ * LoyaltyProgram's separate `referrerOf` graph.
+ */
+const { getAddress, dataSlice, id } = require("ethers");
+const { queryInBatches, readArray } = require("./chain");
+
+const BPS = 10000n;
+const MAX_LEVELS = 5;
+const MAX_LEVEL_BPS = 1000n;
+
+// ReferralProgram's levelCommissions before any CommissionsUpdated event
+const INITIAL_COMMISSIONS = [500n, 300n, 100n];
+
+function parseCommissions(value) {
+    const list = (Array.isArray(value) ? value : String(value).split(","))
+        .map((item) => String(item).trim())
+        .filter((item) => item !== "");
+    if (list.length > MAX_LEVELS) {
+        throw new Error(`At most ${MAX_LEVELS} commission levels are allowed, got ${list.length}`);
+    }
+    return list.map((item, i) => {
+        if (!/^\d+$/.test(item)) {
+            throw new Error(`Commission for level ${i + 1} must be an integer in basis points, got "${item}"`);
+        }
+        const bps = BigInt(item);
+        if (bps > MAX_LEVEL_BPS) {
+            throw new Error(`Commission for level ${i + 1} cannot exceed ${MAX_LEVEL_BPS} bps (10%), got ${bps}`);
+        }
+        return bps;
+    });
+}
+
+/**
+ * Rebuild ReferralProgram's two mappings from ReferralRegistered events in
+ * chain order. `upline` mirrors `referrals[x].referrer`, which the contract
+ * only fills in when x registers a referral of its own after being referred.
+ */
+function replayRegistrations(registrations) {
+    const referrerOf = new Map();
+    const upline = new Map();
+
+    for (const { referrer, referral } of registrations) {
+        const from = getAddress(referrer);
+        const to = getAddress(referral);
+        referrerOf.set(to, from);
+        if (!upline.has(from) && referrerOf.has(from)) {
+            upline.set(from, referrerOf.get(from));
+        }
+    }
+    return { referrerOf, upline };
+}
+
+/** Commissions in force at `blockNumber`, given CommissionsUpdated history sorted by block */
+function commissionsAt(history, blockNumber) {
+    let current = INITIAL_COMMISSIONS;
+    for (const change of history) {
+        if (change.blockNumber > blockNumber) break;
+        current = change.commissions;
+    }
+    return current;
+}
+
+/**
+ * Recover purchase amounts from ReferralReward events. Every call to
+ * distributeReferralRewards emits its rewards in one transaction, so the
+ * lowest paid level and the commissions in force at that block give the
+ * amount back. Rounding makes this a lower bound (at most 10000/bps short).
+ */
+function estimatePurchases(rewards, commissionHistory = []) {
+    const groups = new Map();
+    for (const reward of rewards) {
+        const key = `${reward.txHash}:${getAddress(reward.referral)}`;
+        if (!groups.has(key)) {
+            groups.set(key, { customer: getAddress(reward.referral), blockNumber: reward.blockNumber, rewards: [] });
+        }
+        groups.get(key).rewards.push(reward);
+    }
+
+    const purchases = [];
+    for (const group of groups.values()) {
+        const commissions = commissionsAt(commissionHistory, group.blockNumber);
+        const estimates = group.rewards
+            .map((reward) => ({ reward, bps: commissions[Number(reward.level) - 1] || 0n }))
+            .filter(({ bps }) => bps > 0n)
+            .map(({ reward, bps }) => (BigInt(reward.amount) * BPS) / bps);
+        if (estimates.length === 0) continue;
+
+        purchases.push({
+            customer: group.customer,
+            blockNumber: group.blockNumber,
+            amount: estimates.reduce((max, value) => (value > max ? value : max)),
+        });
+    }
+    return purchases.sort((a, b) => a.blockNumber - b.blockNumber);
+}
+
+/** Deterministic PRNG so synthetic runs can be reproduced from their seed */
+function mulberry32(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Random referral forest plus purchases. Each user after the first is
+ * referred with probability `referredShare` by a uniformly chosen earlier
+ * user, so chains get deeper as the graph grows.
+ */
+function syntheticScenario({ users = 200, purchases = 1000, referredShare = 0.7, minAmount = 1000n, maxAmount = 50000n, seed = 1 } = {}) {
+    if (users < 2) {
+        throw new Error("A synthetic graph needs at least 2 users");
+    }
+    if (BigInt(maxAmount) < BigInt(minAmount)) {
+        throw new Error("maxAmount must be at least minAmount");
+    }
+    const random = mulberry32(seed);
+    const addresses = Array.from({ length: users }, (_, i) => getAddress(dataSlice(id(`synthetic-${seed}-${i}`), 12)));
+
+    const registrations = [];
+    for (let i = 1; i < users; i++) {
+        if (random() < referredShare) {
+            registrations.push({ referrer: addresses[Math.floor(random() * i)], referral: addresses[i] });
+        }
+    }
+
+    const span = BigInt(maxAmount) - BigInt(minAmount) + 1n;
+    const orders = [];
+    for (let i = 0; i < purchases; i++) {
+        const offset = BigInt(Math.floor(random() * Number(span)));
+        orders.push({ customer: addresses[Math.floor(random() * users)], blockNumber: i, amount: BigInt(minAmount) + offset });
+    }
+
+    return { registrations, purchases: orders };
+}
+
+/** Payouts `distributeReferralRewards` would make for each purchase under `commissions` */
+function simulatePayouts({ registrations, purchases, commissions }) {
+    const { referrerOf, upline } = replayRegistrations(registrations);
+    const levels = commissions.map((bps, i) => ({ level: i + 1, bps, payouts: 0, amount: 0n }));
+    const byReferrer = new Map();
+    let volume = 0n;
+    let total = 0n;
+    let referredPurchases = 0;
+
+    for (const purchase of purchases) {
+        const amount = BigInt(purchase.amount);
+        volume += amount;
+        let current = referrerOf.get(getAddress(purchase.customer)) || null;
+        if (current) referredPurchases++;
+
+        for (let level = 0; level < commissions.length && current; level++) {
+            const commission = (amount * commissions[level]) / BPS;
+            if (commission > 0n) {
+                levels[level].payouts++;
+                levels[level].amount += commission;
+                byReferrer.set(current, (byReferrer.get(current) || 0n) + commission);
+                total += commission;
+            }
+            current = upline.get(current) || null;
+        }
+    }
+
+    const topReferrers = [...byReferrer.entries()]
+        .sort((a, b) => (a[1] < b[1] ? 1 : a[1] > b[1] ? -1 : 0))
+        .slice(0, 10)
+        .map(([address, amount]) => ({ address, amount }));
+
+    return {
+        commissions,
+        purchases: purchases.length,
+        referredPurchases,
+        volume,
+        total,
+        effectiveBps: volume === 0n ? 0n : (total * BPS) / volume,
+        levels,
+        topReferrers,
+    };
+}
+
+function sum(values) {
+    return values.reduce((acc, value) => acc + BigInt(value), 0n);
+}
+
+/**
+ * Cross-check referral payouts. All inputs are plain data so the logic can be
+ * tested without a chain:
+ *
+ *   rewards        ReferralReward events  {txHash, referrer, referral, amount, level, blockNumber}
+ *   transfers      TB Transfer events out of ReferralProgram  {txHash, to, value}
+ *   feeTransfers   TB Transfer events from referrers to TBToken (transfer fee)  {txHash, from, value}
+ *   totalEarned    Map referrer -> referrals(referrer).totalEarned
+ *   balance        ReferralProgram's TB balance
+ *   loyaltyRegistrations / registrations  ReferralRegistered events of each program
+ *   projectedDailyPayout / minRunwayDays  underfunding threshold
+ */
+function reconcile({
+    rewards,
+    transfers,
+    feeTransfers = [],
+    totalEarned,
+    balance,
+    registrations,
+    loyaltyRegistrations = [],
+    projectedDailyPayout = 0n,
+    minRunwayDays = 30,
+}) {
+    const findings = [];
+    const add = (severity, code, message, details = {}) => findings.push({ severity, code, message, ...details });
+
+    // 1. Every ReferralReward needs a matching TB transfer in the same transaction
+    const unmatched = new Map();
+    for (const transfer of transfers) {
+        const key = `${transfer.txHash}:${getAddress(transfer.to)}:${transfer.value}`;
+        unmatched.set(key, (unmatched.get(key) || 0) + 1);
+    }
+    for (const reward of rewards) {
+        const key = `${reward.txHash}:${getAddress(reward.referrer)}:${reward.amount}`;
+        const count = unmatched.get(key) || 0;
+        if (count === 0) {
+            add("error", "MISSING_TRANSFER", "ReferralReward emitted without a matching TB transfer", {
+                txHash: reward.txHash,
+                referrer: getAddress(reward.referrer),
+                amount: BigInt(reward.amount),
+            });
+        } else {
+            unmatched.set(key, count - 1);
+        }
+    }
+    for (const [key, count] of unmatched) {
+        if (count === 0) continue;
+        const [txHash, to, value] = key.split(":");
+        add("warning", "UNEXPECTED_TRANSFER", "TB left ReferralProgram without a ReferralReward event", {
+            txHash,
+            to,
+            amount: BigInt(value) * BigInt(count),
+        });
+    }
+
+    // 2. On-chain totalEarned against the event log
+    const earnedFromEvents = new Map();
+    for (const reward of rewards) {
+        const referrer = getAddress(reward.referrer);
+        earnedFromEvents.set(referrer, (earnedFromEvents.get(referrer) || 0n) + BigInt(reward.amount));
+    }
+    for (const [referrer, onChain] of totalEarned) {
+        const fromEvents = earnedFromEvents.get(referrer) || 0n;
+        if (BigInt(onChain) !== fromEvents) {
+            add("error", "TOTAL_EARNED_MISMATCH", "referrals(referrer).totalEarned differs from ReferralReward events", {
+                referrer,
+                onChain: BigInt(onChain),
+                fromEvents,
+            });
+        }
+    }
+
+    // 3. TBToken's transfer fee is taken from the referrer after every payout
+    const rewardTxs = new Set(rewards.map((reward) => reward.txHash));
+    const referrers = new Set(rewards.map((reward) => getAddress(reward.referrer)));
+    const feesTaken = sum(feeTransfers
+        .filter((transfer) => rewardTxs.has(transfer.txHash) && referrers.has(getAddress(transfer.from)))
+        .map((transfer) => transfer.value));
+    const paidByEvents = sum(rewards.map((reward) => reward.amount));
+    const paidByTransfers = sum(transfers.map((transfer) => transfer.value));
+    if (feesTaken > 0n) {
+        add("warning", "TRANSFER_FEE", "Referrers received less than their commission because of the TBToken transfer fee", {
+            amount: feesTaken,
+        });
+    }
+
+    // 4. Balance runway at the projected payout rate
+    let runwayDays = null;
+    if (BigInt(projectedDailyPayout) > 0n) {
+        runwayDays = Number((BigInt(balance) * 100n) / BigInt(projectedDailyPayout)) / 100;
+        if (runwayDays < minRunwayDays) {
+            add("error", "UNDERFUNDED", `ReferralProgram balance covers ${runwayDays} days of projected payouts (minimum ${minRunwayDays})`, {
+                balance: BigInt(balance),
+                projectedDailyPayout: BigInt(projectedDailyPayout),
+            });
+        }
+    }
+
+    // 5. The two referral systems should agree on who referred whom
+    const referralGraph = replayRegistrations(registrations).referrerOf;
+    const loyaltyGraph = replayRegistrations(loyaltyRegistrations).referrerOf;
+    const customers = new Set([...referralGraph.keys(), ...loyaltyGraph.keys()]);
+    let graphMismatches = 0;
+    for (const customer of customers) {
+        const inReferral = referralGraph.get(customer) || null;
+        const inLoyalty = loyaltyGraph.get(customer) || null;
+        if (inReferral !== inLoyalty) {
+            graphMismatches++;
+            add("warning", "REFERRER_MISMATCH", "ReferralProgram and LoyaltyProgram disagree on the referrer", {
+                customer,
+                referralProgram: inReferral,
+                loyaltyProgram: inLoyalty,
+            });
+        }
+    }
+
+    return {
+        summary: {
+            rewards: rewards.length,
+            paidByEvents,
+            paidByTransfers,
+            feesTaken,
+            netToReferrers: paidByTransfers - feesTaken,
+            balance: BigInt(balance),
+            projectedDailyPayout: BigInt(projectedDailyPayout),
+            runwayDays,
+            referralProgramLinks: referralGraph.size,
+            loyaltyProgramLinks: loyaltyGraph.size,
+            graphMismatches,
+        },
+        findings,
+        ok: findings.every((finding) => finding.severity !== "error"),
+    };
+}
+
+/**
+ * Pull everything reconcile() and the history simulation need from the
+ * deployed contracts. `loyalty` is optional.
+ */
+async function loadReferralHistory({ referral, tbToken, loyalty = null, fromBlock = 0, toBlock, batchSize }) {
+    const provider = referral.runner.provider;
+    const lastBlock = toBlock === undefined ? await provider.getBlockNumber() : toBlock;
+    const referralAddress = await referral.getAddress();
+    const tokenAddress = await tbToken.getAddress();
+    const query = (contract, filter) => queryInBatches(contract, filter, fromBlock, lastBlock, batchSize);
+
+    const toRegistration = (event) => ({
+        referrer: event.args.referrer,
+        referral: event.args.referral,
+        blockNumber: event.blockNumber,
+    });
+
+    const registrations = (await query(referral, referral.filters.ReferralRegistered())).map(toRegistration);
+    const rewards = (await query(referral, referral.filters.ReferralReward())).map((event) => ({
+        txHash: event.transactionHash,
+        blockNumber: event.blockNumber,
+        referrer: event.args.referrer,
+        referral: event.args.referral,
+        amount: event.args.amount,
+        level: event.args.level,
+    }));
+    const commissionHistory = (await query(referral, referral.filters.CommissionsUpdated())).map((event) => ({
+        blockNumber: event.blockNumber,
+        commissions: [...event.args.newCommissions],
+    }));
+    const transfers = (await query(tbToken, tbToken.filters.Transfer(referralAddress))).map((event) => ({
+        txHash: event.transactionHash,
+        to: event.args[1],
+        value: event.args[2],
+    }));
+    const feeTransfers = (await query(tbToken, tbToken.filters.Transfer(null, tokenAddress))).map((event) => ({
+        txHash: event.transactionHash,
+        from: event.args[0],
+        value: event.args[2],
+    }));
+    const loyaltyRegistrations = loyalty
+        ? (await query(loyalty, loyalty.filters.ReferralRegistered())).map(toRegistration)
+        : [];
+
+    const totalEarned = new Map();
+    for (const referrer of new Set(registrations.map((entry) => getAddress(entry.referrer)))) {
+        totalEarned.set(referrer, (await referral.referrals(referrer)).totalEarned);
+    }
+
+    const currentCommissions = await readArray(referral, "levelCommissions", MAX_LEVELS);
+
+    const timestamps = {};
+    if (rewards.length > 0) {
+        timestamps.first = (await provider.getBlock(rewards[0].blockNumber)).timestamp;
+    }
+    timestamps.last = (await provider.getBlock(lastBlock)).timestamp;
+
+    return {
+        fromBlock,
+        toBlock: lastBlock,
+        timestamps,
+        registrations,
+        rewards,
+        commissionHistory,
+        currentCommissions,
+        transfers,
+        feeTransfers,
+        loyaltyRegistrations,
+        totalEarned,
+        balance: await tbToken.balanceOf(referralAddress),
+    };
+}
+
+/** Average payout per day of `total` spread over the history window */
+function dailyRate(total, timestamps) {
+    if (timestamps.first === undefined) return 0n;
+    const days = Math.max(1, Math.ceil((timestamps.last - timestamps.first) / 86400));
+    return BigInt(total) / BigInt(days);
+}
+
+module.exports = {
+    MAX_LEVELS,
+    INITIAL_COMMISSIONS,
+    parseCommissions,
+    replayRegistrations,
+    commissionsAt,
+    estimatePurchases,
+    syntheticScenario,
+    simulatePayouts,
+    reconcile,
+    loadReferralHistory,
+    dailyRate,
+};
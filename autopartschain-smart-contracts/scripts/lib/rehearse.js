@@ -0,0 +1,122 @@
+/**
+ * Release rehearsal: fork a live network into the in-process hardhat node,
+ * run the deploy pipeline with that network's profile, then the smoke test.
+ * Nothing is sent to the real network and no manifest is written.
+ *
+ * The PriceOracle feed from the profile is used when the fork has code for
+ * it. Otherwise (offline, no feed configured, or the feed does not exist at
+ * the fork block) a MockV3Aggregator is deployed in its place.
+ */
+const { Contract } = require("ethers");
+const { resolveRpcUrl, priceFeed } = require("./networks");
+const { runSmokeTest } = require("./smoke");
+
+// ETH/USD with 8 decimals, used when there is no live feed to copy
+const MOCK_DECIMALS = 8;
+const MOCK_ANSWER = 2000n * 10n ** 8n;
+
+const AGGREGATOR_ABI = [
+    "function decimals() view returns (uint8)",
+    "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+];
+
+async function startFork(provider, { rpcUrl, blockNumber }) {
+    const forking = { jsonRpcUrl: rpcUrl };
+    if (blockNumber !== undefined) {
+        forking.blockNumber = blockNumber;
+    }
+    await provider.send("hardhat_reset", [{ forking }]);
+}
+
+/** Address for PriceOracle's constructor: the profile's feed, or a mock where needed */
+async function resolveAggregator({ ethers, profile, offline, forceMock, log }) {
+    const feed = priceFeed(profile);
+    let reason;
+    if (forceMock) {
+        reason = "--mock-aggregator";
+    } else if (offline) {
+        reason = "offline";
+    } else if (!feed) {
+        reason = `no chainlink.priceOracleFeed in the ${profile.name} profile`;
+    } else if ((await ethers.provider.getCode(feed)) === "0x") {
+        reason = `no code at ${feed} on the fork`;
+    } else {
+        log(`ℹ️  Using ${profile.chainlink.priceOracleFeed} feed ${feed}`);
+        return { address: feed, mocked: false };
+    }
+
+    // Mirror the live feed when it can be read, so the rehearsal sees realistic values
+    let decimals = MOCK_DECIMALS;
+    let answer = MOCK_ANSWER;
+    if (feed && !offline && (await ethers.provider.getCode(feed)) !== "0x") {
+        const live = new Contract(feed, AGGREGATOR_ABI, ethers.provider);
+        decimals = Number(await live.decimals());
+        answer = (await live.latestRoundData()).answer;
+    }
+
+    const mock = await ethers.deployContract("MockV3Aggregator", [decimals, answer]);
+    await mock.waitForDeployment();
+    log(`ℹ️  Injected MockV3Aggregator at ${mock.target} (${reason}), answer ${answer}`);
+    return { address: mock.target, mocked: true };
+}
+
+/**
+ * Rehearse a release of `profile`'s network. `hre` must be on the in-process
+ * hardhat network: forking resets it. With `offline` the current chain is used
+ * as-is and every external dependency is mocked.
+ */
+async function rehearse({
+    hre,
+    profile,
+    blockNumber,
+    offline = false,
+    forceMock = false,
+    proxy = false,
+    env = process.env,
+    log = console.log,
+}) {
+    // deploy.js loads the hardhat runtime, so it cannot be required while the config loads
+    const { deploySuite, SETUP_STEPS } = require("../deploy");
+    const { ethers, upgrades } = hre;
+
+    if (offline) {
+        log(`Rehearsing ${profile.name} offline on a local chain`);
+    } else {
+        const rpcUrl = resolveRpcUrl(profile, env);
+        log(`Forking ${profile.name} from ${rpcUrl}${blockNumber !== undefined ? ` at block ${blockNumber}` : ""}...`);
+        await startFork(ethers.provider, { rpcUrl, blockNumber });
+        log(`   Forked at block ${await ethers.provider.getBlockNumber()}`);
+    }
+
+    const aggregator = await resolveAggregator({ ethers, profile, offline, forceMock, log });
+
+    log("");
+    const manifest = await deploySuite({
+        ethers,
+        upgrades,
+        networkName: `fork-${profile.name}`,
+        profile,
+        persist: false,
+        config: { chainlinkAggregator: aggregator.address, confirmations: 1, redeploy: [], proxy },
+        log,
+    });
+
+    log("\nSmoke test:");
+    const results = await runSmokeTest({ ethers, manifest, setupSteps: SETUP_STEPS, log });
+
+    return {
+        network: profile.name,
+        forked: !offline,
+        aggregator,
+        manifest,
+        results,
+        ok: results.every((result) => result.status === "passed"),
+    };
+}
+
+module.exports = {
+    MOCK_ANSWER,
+    startFork,
+    resolveAggregator,
+    rehearse,
+};
@@ -0,0 +1,209 @@
+/**
+ * Role membership audit. Membership is rebuilt from RoleGranted/RoleRevoked
+ * events (AccessControl has no enumeration) and compared with a declarative
+ * expected-permissions file:
+ *
+ *   {
+ *     "TBToken": {
+ *       "DEFAULT_ADMIN_ROLE": ["$ADMIN_SAFE"],
+ *       "MINTER_ROLE": ["@AutoPartsMarketplaceV2", "@LoyaltyProgram"]
+ *     }
+ *   }
+ *
+ * Holders are addresses, "@Name" for a contract in the manifest, "deployer"
+ * for the manifest deployer or "$VAR" for an address in the environment.
+ * Anything not declared is expected to have no holders.
+ */
+const fs = require("fs");
+const { ZeroHash, getAddress, isAddress } = require("ethers");
+const { queryInBatches } = require("./chain");
+
+function loadExpectedPermissions(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Expected permissions file not found: ${file}`);
+    }
+    const expected = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const [contractName, roles] of Object.entries(expected)) {
+        for (const [role, holders] of Object.entries(roles)) {
+            if (!Array.isArray(holders)) {
+                throw new Error(`${file}: ${contractName}.${role} must be an array of holders`);
+            }
+        }
+    }
+    return expected;
+}
+
+function resolveHolder(ref, { manifest, env = process.env }) {
+    if (ref === "deployer") {
+        if (!manifest.deployer) {
+            throw new Error("The manifest does not record a deployer");
+        }
+        return getAddress(manifest.deployer);
+    }
+    if (ref.startsWith("@")) {
+        const address = manifest.contracts[ref.slice(1)];
+        if (!address) {
+            throw new Error(`${ref} is not in the manifest`);
+        }
+        return getAddress(address);
+    }
+    if (ref.startsWith("$")) {
+        const value = env[ref.slice(1)];
+        if (!value || !isAddress(value)) {
+            throw new Error(`${ref} must be set to an address in the environment`);
+        }
+        return getAddress(value);
+    }
+    if (!isAddress(ref)) {
+        throw new Error(`Invalid holder "${ref}"`);
+    }
+    return getAddress(ref);
+}
+
+/** Role hash -> name for DEFAULT_ADMIN_ROLE and every *_ROLE getter in the ABI */
+async function roleNames(contract) {
+    const names = new Map([[ZeroHash, "DEFAULT_ADMIN_ROLE"]]);
+    const getters = contract.interface.fragments.filter(
+        (f) => f.type === "function" && f.name.endsWith("_ROLE") && f.inputs.length === 0
+    );
+    for (const getter of getters) {
+        names.set(await contract.getFunction(getter.name).staticCall(), getter.name);
+    }
+    return names;
+}
+
+/** Replay RoleGranted/RoleRevoked in log order; returns Map(roleHash -> Set(address)) */
+async function loadRoleMembers(contract, { fromBlock = 0, toBlock, batchSize } = {}) {
+    if (toBlock === undefined) {
+        toBlock = await contract.runner.provider.getBlockNumber();
+    }
+    const events = [
+        ...(await queryInBatches(contract, contract.filters.RoleGranted(), fromBlock, toBlock, batchSize)),
+        ...(await queryInBatches(contract, contract.filters.RoleRevoked(), fromBlock, toBlock, batchSize)),
+    ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const members = new Map();
+    for (const event of events) {
+        const [role, account] = event.args;
+        if (!members.has(role)) {
+            members.set(role, new Set());
+        }
+        if (event.fragment.name === "RoleGranted") {
+            members.get(role).add(getAddress(account));
+        } else {
+            members.get(role).delete(getAddress(account));
+        }
+    }
+    return { members, events: events.length };
+}
+
+function labelFor(address, manifest) {
+    if (manifest.deployer && getAddress(manifest.deployer) === address) return "deployer";
+    const entry = Object.entries(manifest.contracts).find(([, value]) => getAddress(value) === address);
+    return entry ? entry[0] : "";
+}
+
+/**
+ * Audit every contract in `contracts` ([{ name, contract, fromBlock }]).
+ * Findings:
+ *   UNEXPECTED_HOLDER  an account holds a role it is not declared for
+ *   DEPLOYER_RETAINED  the deployer still holds a role it is not declared for
+ *   MISSING_GRANT      a declared holder does not have the role
+ *   STATE_MISMATCH     the event replay disagrees with hasRole()
+ */
+async function auditRoles({ contracts, expected, manifest, toBlock, batchSize, env }) {
+    const deployer = manifest.deployer ? getAddress(manifest.deployer) : null;
+    const findings = [];
+    const report = {};
+
+    for (const { name, contract, fromBlock = 0 } of contracts) {
+        const address = getAddress(await contract.getAddress());
+        const names = await roleNames(contract);
+        const byName = new Map([...names].map(([hash, roleName]) => [roleName, hash]));
+        const { members, events } = await loadRoleMembers(contract, { fromBlock, toBlock, batchSize });
+
+        const declared = expected[name] || {};
+        for (const role of Object.keys(declared)) {
+            if (!byName.has(role) && !/^0x[0-9a-fA-F]{64}$/.test(role)) {
+                throw new Error(`${name} has no role named ${role}`);
+            }
+        }
+
+        const roleHashes = new Set([...members.keys(), ...Object.keys(declared).map((role) => byName.get(role) || role)]);
+        const roles = {};
+        for (const hash of roleHashes) {
+            const role = names.get(hash) || hash;
+            const holders = [...(members.get(hash) || [])];
+            const expectedHolders = new Set((declared[role] || []).map((ref) => resolveHolder(ref, { manifest, env })));
+
+            roles[role] = holders.map((account) => ({ account, label: labelFor(account, manifest) }));
+
+            for (const account of holders) {
+                if (!(await contract.hasRole(hash, account))) {
+                    findings.push({ code: "STATE_MISMATCH", contract: name, role, account,
+                        message: `${name}.${role}: events show ${account} as a holder but hasRole() is false` });
+                } else if (!expectedHolders.has(account)) {
+                    const code = account === deployer ? "DEPLOYER_RETAINED" : "UNEXPECTED_HOLDER";
+                    findings.push({ code, contract: name, role, account, label: labelFor(account, manifest),
+                        message: code === "DEPLOYER_RETAINED"
+                            ? `${name}.${role} was never revoked from the deployer ${account}`
+                            : `${name}.${role} is held by ${account} but not declared` });
+                }
+            }
+            for (const account of expectedHolders) {
+                if (holders.includes(account)) continue;
+                const code = (await contract.hasRole(hash, account)) ? "STATE_MISMATCH" : "MISSING_GRANT";
+                findings.push({ code, contract: name, role, account, label: labelFor(account, manifest),
+                    message: code === "MISSING_GRANT"
+                        ? `${name}.${role} should be granted to ${account}`
+                        : `${name}.${role}: hasRole() is true for ${account} but no RoleGranted event was found after block ${fromBlock}` });
+            }
+        }
+
+        report[name] = { address, fromBlock, events, roles };
+    }
+
+    for (const name of Object.keys(expected)) {
+        if (!report[name]) {
+            throw new Error(`${name} is declared in the expected permissions but not in the manifest`);
+        }
+    }
+
+    return { contracts: report, findings, ok: findings.length === 0 };
+}
+
+function renderMarkdown({ network, toBlock, contracts, findings, ok }) {
+    const lines = [`# Role audit: ${network}`, "", `Block ${toBlock}. ${ok ? "✅ No drift." : `❌ ${findings.length} finding(s).`}`, ""];
+
+    if (findings.length > 0) {
+        lines.push("## Findings", "", "| Code | Contract | Role | Account | Label |", "| --- | --- | --- | --- | --- |");
+        for (const f of findings) {
+            lines.push(`| ${f.code} | ${f.contract} | ${f.role} | \`${f.account}\` | ${f.label || ""} |`);
+        }
+        lines.push("");
+    }
+
+    lines.push("## Current holders", "");
+    for (const [name, { address, events, roles }] of Object.entries(contracts)) {
+        lines.push(`### ${name} (\`${address}\`, ${events} role events)`, "", "| Role | Holder | Label |", "| --- | --- | --- |");
+        for (const [role, holders] of Object.entries(roles)) {
+            if (holders.length === 0) {
+                lines.push(`| ${role} | _none_ | |`);
+            }
+            for (const { account, label } of holders) {
+                lines.push(`| ${role} | \`${account}\` | ${label} |`);
+            }
+        }
+        lines.push("");
+    }
+    return lines.join("\n");
+}
+
+module.exports = {
+    loadExpectedPermissions,
+    resolveHolder,
+    roleNames,
+    loadRoleMembers,
+    auditRoles,
+    renderMarkdown,
+};
@@ -0,0 +1,192 @@
+/**
+ * Safe multisig proposals. Instead of sending a privileged call from the hot
+ * PRIVATE_KEY, the admin tasks can encode it for a Safe: a Transaction Builder
+ * batch to import in the Safe UI plus the EIP-712 SafeTx and its safeTxHash,
+ * so signers can check the hash their wallet shows before approving.
+ */
+const fs = require("fs");
+const path = require("path");
+const {
+    Contract,
+    TypedDataEncoder,
+    ZeroAddress,
+    getAddress,
+    solidityPacked,
+    Interface,
+} = require("ethers");
+
+const OPERATION = { CALL: 0, DELEGATECALL: 1 };
+
+// MultiSendCallOnly v1.3.0, deployed at the same address on every chain the Safe supports
+const DEFAULT_MULTI_SEND = "0x40A2aCCbd92BCA938b02010E17A5b8929b49130D";
+
+const SAFE_TX_TYPES = {
+    SafeTx: [
+        { name: "to", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "data", type: "bytes" },
+        { name: "operation", type: "uint8" },
+        { name: "safeTxGas", type: "uint256" },
+        { name: "baseGas", type: "uint256" },
+        { name: "gasPrice", type: "uint256" },
+        { name: "gasToken", type: "address" },
+        { name: "refundReceiver", type: "address" },
+        { name: "nonce", type: "uint256" },
+    ],
+};
+
+const SAFE_ABI = [
+    "function nonce() view returns (uint256)",
+    "function getThreshold() view returns (uint256)",
+    "function getOwners() view returns (address[])",
+    "function VERSION() view returns (string)",
+];
+
+const multiSendInterface = new Interface(["function multiSend(bytes transactions)"]);
+
+function multiSendAddress(env = process.env) {
+    return getAddress(env.SAFE_MULTISEND_ADDRESS || DEFAULT_MULTI_SEND);
+}
+
+/** Calldata for MultiSend.multiSend() executing `transactions` in order */
+function encodeMultiSend(transactions) {
+    const packed = transactions.map((tx) => {
+        const data = tx.data || "0x";
+        return solidityPacked(
+            ["uint8", "address", "uint256", "uint256", "bytes"],
+            [OPERATION.CALL, tx.to, BigInt(tx.value || 0), (data.length - 2) / 2, data]
+        );
+    });
+    return multiSendInterface.encodeFunctionData("multiSend", ["0x" + packed.map((p) => p.slice(2)).join("")]);
+}
+
+/** The SafeTx for `transactions`; more than one call goes through MultiSend */
+function buildSafeTx(transactions, { nonce, multiSend = multiSendAddress() }) {
+    if (transactions.length === 0) {
+        throw new Error("A Safe proposal needs at least one transaction");
+    }
+    const single = transactions.length === 1;
+    return {
+        to: single ? getAddress(transactions[0].to) : getAddress(multiSend),
+        value: single ? BigInt(transactions[0].value || 0) : 0n,
+        data: single ? transactions[0].data : encodeMultiSend(transactions),
+        operation: single ? OPERATION.CALL : OPERATION.DELEGATECALL,
+        safeTxGas: 0n,
+        baseGas: 0n,
+        gasPrice: 0n,
+        gasToken: ZeroAddress,
+        refundReceiver: ZeroAddress,
+        nonce: BigInt(nonce),
+    };
+}
+
+function safeTxHash({ safe, chainId, safeTx }) {
+    return TypedDataEncoder.hash({ chainId, verifyingContract: getAddress(safe) }, SAFE_TX_TYPES, safeTx);
+}
+
+/** Safe Transaction Builder import format */
+function transactionBuilderBatch({ chainId, safe, transactions, name, description = "" }) {
+    return {
+        version: "1.0",
+        chainId: String(chainId),
+        createdAt: Date.now(),
+        meta: {
+            name,
+            description,
+            txBuilderVersion: "1.16.5",
+            createdFromSafeAddress: getAddress(safe),
+            createdFromOwnerAddress: "",
+        },
+        transactions: transactions.map((tx) => ({
+            to: getAddress(tx.to),
+            value: String(tx.value || 0),
+            data: tx.data,
+            contractMethod: null,
+            contractInputsValues: null,
+        })),
+    };
+}
+
+/** Nonce, threshold and owners of a deployed Safe; throws when `safe` does not look like one */
+async function readSafe(provider, safe) {
+    if ((await provider.getCode(safe)) === "0x") {
+        throw new Error(`No contract at Safe address ${safe}`);
+    }
+    const contract = new Contract(safe, SAFE_ABI, provider);
+    try {
+        return {
+            address: getAddress(safe),
+            nonce: await contract.nonce(),
+            threshold: await contract.getThreshold(),
+            owners: await contract.getOwners(),
+            version: await contract.VERSION().catch(() => "unknown"),
+        };
+    } catch (error) {
+        throw new Error(`${safe} does not implement the Safe interface: ${error.shortMessage || error.message}`);
+    }
+}
+
+/**
+ * Build the proposal for `transactions` ([{ to, value, data, description }]).
+ * The nonce defaults to the Safe's current nonce; pass one explicitly to queue
+ * behind proposals that are still pending.
+ */
+async function createSafeProposal({ provider, safe, transactions, name, description, nonce, multiSend }) {
+    const { chainId } = await provider.getNetwork();
+    const info = await readSafe(provider, safe);
+    const safeTx = buildSafeTx(transactions, { nonce: nonce === undefined ? info.nonce : nonce, multiSend });
+    return {
+        name,
+        chainId: Number(chainId),
+        safe: info.address,
+        threshold: info.threshold,
+        owners: info.owners,
+        calls: transactions,
+        safeTx,
+        safeTxHash: safeTxHash({ safe: info.address, chainId, safeTx }),
+        batch: transactionBuilderBatch({ chainId, safe: info.address, transactions, name, description }),
+    };
+}
+
+function proposalFiles(file) {
+    const base = file.replace(/\.json$/, "");
+    return { batchFile: `${base}.json`, safeTxFile: `${base}.safe-tx.json` };
+}
+
+function serialize(value) {
+    return JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v), 2) + "\n";
+}
+
+/** Calls already recorded in a proposal file, so further actions can be appended to the same batch */
+function readProposalCalls(file) {
+    const { safeTxFile } = proposalFiles(file);
+    if (!fs.existsSync(safeTxFile)) {
+        return [];
+    }
+    return JSON.parse(fs.readFileSync(safeTxFile, "utf8")).calls;
+}
+
+/** Writes <file> (Transaction Builder batch) and <file>.safe-tx.json (SafeTx + safeTxHash) */
+function writeSafeProposal(file, proposal) {
+    const { batchFile, safeTxFile } = proposalFiles(file);
+    fs.mkdirSync(path.dirname(path.resolve(batchFile)), { recursive: true });
+    fs.writeFileSync(batchFile, serialize(proposal.batch));
+    const { batch, ...rest } = proposal;
+    fs.writeFileSync(safeTxFile, serialize(rest));
+    return { batchFile, safeTxFile };
+}
+
+module.exports = {
+    OPERATION,
+    DEFAULT_MULTI_SEND,
+    SAFE_TX_TYPES,
+    multiSendAddress,
+    encodeMultiSend,
+    buildSafeTx,
+    safeTxHash,
+    transactionBuilderBatch,
+    readSafe,
+    createSafeProposal,
+    readProposalCalls,
+    writeSafeProposal,
+};
@@ -0,0 +1,357 @@
+/**
+ * Scenario-driven order lifecycle simulator for AutoPartsMarketplaceV2.
+ * Scenarios live in scenarios/marketplace/*.yaml (or .json):
+ *
+ *   name: Discount with a usage limit
+ *   oraclePrice: 100                 # PriceOracle price (8 decimals) set before the first step
+ *   accounts: [alice, bob]           # named signers; referrers and buyers
+ *   products:
+ *     plug: { priceUSD: 1000, stock: 5, minOrder: 1, maxOrder: 3 }
+ *   discounts:
+ *     ONCE: { percentBps: 1000, maxDiscountUSD: 500, minPurchaseUSD: 0, usageLimit: 1, startsIn: -60, endsIn: 3600 }
+ *   steps:
+ *     - addToCart: { buyer: alice, product: plug, quantity: 2 }
+ *     - checkout: { buyer: alice, order: first, discount: ONCE, referrer: bob }
+ *     - pay: { buyer: alice, order: first }
+ *     - addToCart: { buyer: bob, product: plug, quantity: 9 }
+ *       reverts: true                # or a substring of the revert reason
+ *   expect:
+ *     orders:
+ *       first: { status: PAID, totalUSD: 1800, discountUSD: 200, tbCharged: "18000000" }
+ *     stock: { plug: 3 }
+ *     carts: { bob: {} }
+ *     loyalty:
+ *       alice: { points: 1800, totalSpentUSD: 1800, cashback: 0, tier: Bronze }
+ *
+ * Other steps: removeFromCart { buyer, product }, restock { product, stock },
+ * wait <seconds>, setPrice <price>. Discount windows are relative to the
+ * block the scenario starts at. Every payment is also checked against the
+ * oracle: the TB amount in OrderPaid must equal calculateTBForUSD(totalUSD).
+ */
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { parseUnits, formatUnits } = require("ethers");
+const { findEvent } = require("./chain");
+
+const MARKETPLACE_SOURCE = "contracts/AutoPartsMarketplaceV2.sol";
+
+const PRODUCT_DEFAULTS = {
+    name: "Scenario Product",
+    description: "Scenario product",
+    category: "Test Category",
+    brand: "Test Brand",
+    vehicle: "Test Vehicle",
+    partNumber: "SCN",
+    images: ["ipfs://scenario"],
+    priceUSD: 1000,
+    costUSD: 500,
+    stock: 100,
+    minOrder: 1,
+    maxOrder: 10,
+    weightGrams: 1000,
+};
+
+const ACTIONS = ["addToCart", "removeFromCart", "checkout", "pay", "restock", "wait", "setPrice"];
+
+function loadScenario(file) {
+    const text = fs.readFileSync(file, "utf8");
+    const scenario = path.extname(file) === ".json" ? JSON.parse(text) : yaml.load(text);
+    return validateScenario(scenario, file);
+}
+
+function loadScenarios(dir) {
+    return fs.readdirSync(dir)
+        .filter((file) => /\.(ya?ml|json)$/.test(file))
+        .sort()
+        .map((file) => loadScenario(path.join(dir, file)));
+}
+
+function validateScenario(scenario, file) {
+    const where = path.basename(file);
+    if (!scenario || typeof scenario.name !== "string") {
+        throw new Error(`${where}: scenario needs a name`);
+    }
+    const products = scenario.products || {};
+    const discounts = scenario.discounts || {};
+    const accounts = scenario.accounts || [];
+    const orders = new Set();
+
+    const requireName = (set, name, kind, index) => {
+        if (!set.includes(name)) {
+            throw new Error(`${where}: step ${index + 1} uses unknown ${kind} "${name}"`);
+        }
+    };
+
+    (scenario.steps || []).forEach((step, index) => {
+        const actions = Object.keys(step).filter((key) => key !== "reverts");
+        if (actions.length !== 1 || !ACTIONS.includes(actions[0])) {
+            throw new Error(`${where}: step ${index + 1} must have exactly one of ${ACTIONS.join(", ")}`);
+        }
+        const args = step[actions[0]];
+        if (args && typeof args === "object") {
+            if (args.buyer) requireName(accounts, args.buyer, "account", index);
+            if (args.referrer) requireName(accounts, args.referrer, "account", index);
+            if (args.product) requireName(Object.keys(products), args.product, "product", index);
+            if (args.discount) requireName(Object.keys(discounts), args.discount, "discount", index);
+        }
+        if (actions[0] === "checkout" && !args.order) {
+            throw new Error(`${where}: step ${index + 1} checkout needs an order name`);
+        }
+        if (actions[0] === "checkout" && !step.reverts) {
+            orders.add(args.order);
+        }
+        if (actions[0] === "pay" && !orders.has(args.order)) {
+            throw new Error(`${where}: step ${index + 1} pays order "${args.order}" before it is created`);
+        }
+    });
+
+    for (const order of Object.keys((scenario.expect || {}).orders || {})) {
+        if (!orders.has(order)) {
+            throw new Error(`${where}: expect.orders.${order} is never created`);
+        }
+    }
+    return { file, products, discounts, accounts, steps: [], expect: {}, ...scenario };
+}
+
+/**
+ * OrderStatus member names, read from the compiler AST so scenarios and
+ * reports use the names the contract declares instead of bare numbers.
+ */
+async function loadOrderStatuses(artifacts) {
+    const buildInfo = await artifacts.getBuildInfo(`${MARKETPLACE_SOURCE}:AutoPartsMarketplaceV2`);
+    if (!buildInfo) {
+        throw new Error("No build info for AutoPartsMarketplaceV2; run hardhat compile");
+    }
+    const pending = [buildInfo.output.sources[MARKETPLACE_SOURCE].ast];
+    while (pending.length > 0) {
+        const node = pending.pop();
+        if (node.nodeType === "EnumDefinition" && node.name === "OrderStatus") {
+            return node.members.map((member) => member.name);
+        }
+        pending.push(...(node.nodes || []));
+    }
+    throw new Error("AutoPartsMarketplaceV2 does not declare an OrderStatus enum");
+}
+
+function revertReason(error) {
+    return error.reason || error.shortMessage || error.message;
+}
+
+/**
+ * Run `scenario` against a deployed suite ({ tbToken, priceOracle,
+ * loyaltyProgram, marketplace, owner }) and return { ok, failures, state }.
+ * `signers` are handed out to scenario.accounts in order.
+ */
+async function runScenario(scenario, { ethers, suite, signers, statuses }) {
+    const { tbToken, priceOracle, loyaltyProgram, marketplace, owner } = suite;
+    if (signers.length < scenario.accounts.length) {
+        throw new Error(`${scenario.name}: needs ${scenario.accounts.length} signers, got ${signers.length}`);
+    }
+
+    const failures = [];
+    const fail = (message) => failures.push(message);
+    const accounts = Object.fromEntries(scenario.accounts.map((name, i) => [name, signers[i]]));
+    const productIds = {};
+    const orders = {};
+    // SKUs are unique per marketplace, so tag them with the run
+    const tag = `${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`;
+
+    if (scenario.oraclePrice !== undefined) {
+        await (await priceOracle.updatePriceManually(scenario.oraclePrice)).wait();
+    }
+
+    for (const [key, spec] of Object.entries(scenario.products)) {
+        const p = { ...PRODUCT_DEFAULTS, ...spec };
+        const tx = await marketplace.listProduct(
+            `${key.toUpperCase()}-${tag}`, p.name, p.description, p.category, p.brand, p.vehicle, p.partNumber, p.images,
+            p.priceUSD, p.costUSD, p.stock, p.minOrder, p.maxOrder, p.weightGrams, [], false, ""
+        );
+        productIds[key] = findEvent(marketplace, await tx.wait(), "ProductListed").args[0];
+    }
+
+    const start = (await ethers.provider.getBlock("latest")).timestamp;
+    const discountCodes = {};
+    for (const [code, spec] of Object.entries(scenario.discounts)) {
+        discountCodes[code] = `${code}-${tag}`;
+        await (await marketplace.createDiscount(
+            discountCodes[code], spec.percentBps, spec.maxDiscountUSD || 0, spec.minPurchaseUSD || 0,
+            spec.usageLimit === undefined ? 100 : spec.usageLimit,
+            start + (spec.startsIn === undefined ? -3600 : spec.startsIn),
+            start + (spec.endsIn === undefined ? 86400 : spec.endsIn)
+        )).wait();
+    }
+
+    const actions = {
+        async addToCart({ buyer, product, quantity = 1 }) {
+            return marketplace.connect(accounts[buyer]).addToCart(productIds[product], quantity);
+        },
+        async removeFromCart({ buyer, product }) {
+            return marketplace.connect(accounts[buyer]).removeFromCart(productIds[product]);
+        },
+        async checkout({ buyer, order, discount, referrer }) {
+            const tx = await marketplace.connect(accounts[buyer]).createOrderFromCart(
+                "123 Scenario St", "Standard", "", discount ? discountCodes[discount] : "", false,
+                referrer ? accounts[referrer].address : ethers.ZeroAddress, ""
+            );
+            const receipt = await tx.wait();
+            const applied = findEvent(marketplace, receipt, "DiscountApplied", { optional: true });
+            orders[order] = {
+                id: findEvent(marketplace, receipt, "OrderCreated").args[0],
+                buyer,
+                discountUSD: applied ? applied.args[2] : 0n,
+            };
+            return tx;
+        },
+        async pay({ buyer, order }) {
+            const record = orders[order];
+            const signer = accounts[buyer];
+            const quote = await priceOracle.calculateTBForUSD((await marketplace.orders(record.id)).totalUSD);
+
+            // Fund exactly what the oracle quotes, so an overcharge reverts instead of draining a buffer
+            await (await tbToken.connect(owner).transfer(signer.address, quote)).wait();
+            await (await tbToken.connect(signer).approve(marketplace.target, quote)).wait();
+
+            const tx = await marketplace.connect(signer).payOrder(record.id);
+            const paid = findEvent(marketplace, await tx.wait(), "OrderPaid", { optional: true });
+            record.charged = paid ? paid.args[2] : null;
+            if (record.charged !== quote) {
+                fail(`order ${order}: OrderPaid charged ${record.charged === null ? "nothing" : `${formatUnits(record.charged, 18)} TB`}, ` +
+                    `oracle quoted ${formatUnits(quote, 18)} TB`);
+            }
+            return tx;
+        },
+        async restock({ product, stock }) {
+            return marketplace.updateStock(productIds[product], stock, "Scenario restock");
+        },
+        async wait(seconds) {
+            await ethers.provider.send("evm_increaseTime", [seconds]);
+            await ethers.provider.send("evm_mine", []);
+        },
+        async setPrice(price) {
+            return priceOracle.updatePriceManually(price);
+        },
+    };
+
+    for (const [index, step] of scenario.steps.entries()) {
+        const action = Object.keys(step).find((key) => key !== "reverts");
+        const label = `step ${index + 1} (${action})`;
+        try {
+            const tx = await actions[action](step[action]);
+            if (tx && tx.wait) await tx.wait();
+            if (step.reverts) {
+                fail(`${label}: expected a revert but it succeeded`);
+            }
+        } catch (error) {
+            const reason = revertReason(error);
+            if (!step.reverts) {
+                fail(`${label}: reverted: ${reason}`);
+            } else if (typeof step.reverts === "string" && !reason.includes(step.reverts)) {
+                fail(`${label}: reverted with "${reason}", expected "${step.reverts}"`);
+            }
+        }
+    }
+
+    const state = await readState({ suite, statuses, accounts, productIds, orders });
+    checkExpectations(scenario.expect, state, fail);
+    return { name: scenario.name, ok: failures.length === 0, failures, state };
+}
+
+async function readState({ suite, statuses, accounts, productIds, orders }) {
+    const { marketplace, loyaltyProgram } = suite;
+    const state = { orders: {}, stock: {}, carts: {}, loyalty: {} };
+    const productKeys = Object.fromEntries(Object.entries(productIds).map(([key, id]) => [id.toString(), key]));
+
+    for (const [name, record] of Object.entries(orders)) {
+        const order = await marketplace.orders(record.id);
+        state.orders[name] = {
+            id: record.id,
+            status: statuses[Number(order.status)] || Number(order.status),
+            totalUSD: order.totalUSD,
+            discountUSD: record.discountUSD,
+            tbCharged: record.charged === undefined ? null : record.charged,
+        };
+    }
+    for (const [key, id] of Object.entries(productIds)) {
+        state.stock[key] = (await marketplace.products(id)).stock;
+    }
+    for (const [name, signer] of Object.entries(accounts)) {
+        const cart = await marketplace.userCarts(signer.address);
+        state.carts[name] = {};
+        cart.productIds.forEach((id, i) => {
+            state.carts[name][productKeys[id.toString()] || id.toString()] = cart.quantities[i];
+        });
+
+        const [customer, , tierName] = await loyaltyProgram.getCustomerInfo(signer.address);
+        state.loyalty[name] = {
+            points: customer.loyaltyPoints,
+            totalSpentUSD: customer.totalSpentUSD,
+            cashback: customer.totalCashbackReceived,
+            referralPoints: customer.referralPoints,
+            tier: tierName,
+        };
+    }
+    return state;
+}
+
+// Expected numbers may be written as numbers or strings; TB amounts are whole TB
+function normalize(field, value) {
+    if (value === null) {
+        return "null";
+    }
+    if (field === "status" || field === "tier") {
+        return String(value);
+    }
+    if (field === "tbCharged") {
+        return parseUnits(String(value), 18);
+    }
+    return BigInt(value);
+}
+
+function checkExpectations(expect, state, fail) {
+    const sections = {
+        orders: (name) => state.orders[name],
+        loyalty: (name) => state.loyalty[name],
+    };
+    for (const [section, get] of Object.entries(sections)) {
+        for (const [name, fields] of Object.entries(expect[section] || {})) {
+            const actual = get(name);
+            if (!actual) {
+                fail(`expect.${section}.${name}: unknown ${section === "orders" ? "order" : "account"}`);
+                continue;
+            }
+            for (const [field, expected] of Object.entries(fields)) {
+                const value = actual[field];
+                const want = normalize(field, expected);
+                if (typeof want === "bigint" ? value !== want : String(value) !== want) {
+                    const shown = field === "tbCharged" && value !== null ? `${formatUnits(value, 18)} TB` : String(value);
+                    fail(`${section}.${name}.${field}: expected ${expected}, got ${shown}`);
+                }
+            }
+        }
+    }
+    for (const [product, expected] of Object.entries(expect.stock || {})) {
+        if (state.stock[product] !== BigInt(expected)) {
+            fail(`stock.${product}: expected ${expected}, got ${state.stock[product]}`);
+        }
+    }
+    for (const [account, expected] of Object.entries(expect.carts || {})) {
+        const actual = state.carts[account] || {};
+        const keys = new Set([...Object.keys(expected || {}), ...Object.keys(actual)]);
+        for (const key of keys) {
+            const want = BigInt((expected || {})[key] || 0);
+            const got = actual[key] || 0n;
+            if (want !== got) {
+                fail(`carts.${account}.${key}: expected ${want}, got ${got}`);
+            }
+        }
+    }
+}
+
+module.exports = {
+    loadScenario,
+    loadScenarios,
+    validateScenario,
+    loadOrderStatuses,
+    runScenario,
+};
@@ -0,0 +1,103 @@
+/**
+ * Post-deployment smoke test: read the wiring back and push one order through
+ * the marketplace with real transactions. Meant for throwaway chains (the
+ * fork rehearsal); it lists a product and moves TB between the first two
+ * signers.
+ */
+const { Contract } = require("ethers");
+const { findEvent } = require("./chain");
+
+const AGGREGATOR_ABI = [
+    "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+];
+
+/**
+ * Run every check and return [{ check, status, detail }]; a failing check
+ * does not stop the ones after it. `setupSteps` are deploy.js SETUP_STEPS.
+ */
+async function runSmokeTest({ ethers, manifest, setupSteps, log = console.log }) {
+    const [deployer, buyer] = await ethers.getSigners();
+    const at = (name, signer = deployer) => ethers.getContractAt(name, manifest.contracts[name], signer);
+    const results = [];
+
+    async function check(name, run) {
+        try {
+            const detail = (await run()) || "";
+            results.push({ check: name, status: "passed", detail });
+            log(`   ✅ ${name}${detail ? ` (${detail})` : ""}`);
+        } catch (error) {
+            const detail = error.shortMessage || error.message;
+            results.push({ check: name, status: "failed", detail });
+            log(`   ❌ ${name}: ${detail}`);
+        }
+    }
+
+    await check("contracts have code", async () => {
+        const names = Object.keys(manifest.contracts);
+        for (const name of names) {
+            if ((await ethers.provider.getCode(manifest.contracts[name])) === "0x") {
+                throw new Error(`No code at ${name} ${manifest.contracts[name]}`);
+            }
+        }
+        return `${names.length} contracts`;
+    });
+
+    await check("roles and settings", async () => {
+        const ctx = { address: (name) => manifest.contracts[name] };
+        for (const step of setupSteps) {
+            if (!(await step.done(await at(step.contract), ctx))) {
+                throw new Error(`${step.id} is not configured`);
+            }
+        }
+        return `${setupSteps.length} steps`;
+    });
+
+    await check("price feed", async () => {
+        const oracle = await at("PriceOracle");
+        if ((await oracle.getPriceSourcesCount()) === 0n) {
+            throw new Error("PriceOracle has no price source");
+        }
+        const source = await oracle.priceSources(0);
+        const round = await new Contract(source.aggregator, AGGREGATOR_ABI, ethers.provider).latestRoundData();
+        if (round.answer <= 0n) {
+            throw new Error(`${source.description} at ${source.aggregator} answered ${round.answer}`);
+        }
+        return `${source.description} ${source.aggregator} answered ${round.answer}`;
+    });
+
+    await check("checkout", async () => {
+        const tbToken = await at("TBToken");
+        const marketplace = await at("AutoPartsMarketplaceV2");
+        const oracle = await at("PriceOracle");
+        const asBuyer = marketplace.connect(buyer);
+
+        const listTx = await marketplace.listProduct(
+            `SMOKE-${Date.now()}`, "Smoke Test Plug", "Rehearsal product", "Ignition", "NGK", "Any", "SMOKE-1",
+            ["ipfs://smoke"], 1000, 500, 10, 1, 10, 100, [], false, ""
+        );
+        const productId = findEvent(marketplace, await listTx.wait(), "ProductListed").args[0];
+
+        await (await asBuyer.addToCart(productId, 1)).wait();
+        const orderTx = await asBuyer.createOrderFromCart("Smoke Test St", "Standard", "", "", false, ethers.ZeroAddress, "");
+        const orderId = findEvent(marketplace, await orderTx.wait(), "OrderCreated").args[0];
+
+        // Twice the order total leaves room for TBToken's transfer fee
+        const amount = await oracle.calculateTBForUSD((await marketplace.orders(orderId)).totalUSD);
+        await (await tbToken.transfer(buyer.address, amount * 2n)).wait();
+        await (await tbToken.connect(buyer).approve(marketplace.target, amount)).wait();
+
+        const before = await tbToken.balanceOf(buyer.address);
+        await (await asBuyer.payOrder(orderId)).wait();
+        const paid = before - (await tbToken.balanceOf(buyer.address));
+        if (paid === 0n) {
+            throw new Error(`Order ${orderId} was paid without moving TB`);
+        }
+        return `order ${orderId} paid ${ethers.formatUnits(paid, 18)} TB`;
+    });
+
+    return results;
+}
+
+module.exports = {
+    runSmokeTest,
+};
@@ -0,0 +1,188 @@
+/**
+ * Holder rewards from TBToken snapshots. Holders are enumerated from the
+ * Transfer events up to the block of the Snapshot event, their balances are
+ * read with balanceOfAt, and addresses that should not be rewarded are set
+ * aside, by the state at that block:
+ *
+ *   - ammPairs            automatedMarketMakerPairs (the pool is not a holder)
+ *   - feeWallets          treasury, liquidity and marketing wallets, and the token itself
+ *   - excludedFromLimits  isExcludedFromLimits (owner, fee wallets, protocol contracts)
+ *   - contracts           any address with code, unless it is in `allowContracts`
+ *
+ * The reward pool is split pro-rata by balance, or by tier weight
+ * (`tiers: [{ minBalance, weight }]`). Rounding uses the largest remainder,
+ * so the allocations always add up to the whole pool, and the result is the
+ * address,amount list airdrop:build takes.
+ */
+const { ethers } = require("ethers");
+const { queryInBatches } = require("./chain");
+
+const EXCLUSION_RULES = ["ammPairs", "feeWallets", "excludedFromLimits", "contracts"];
+
+/** Block of the Snapshot event with `snapshotId` */
+async function findSnapshotBlock(tbToken, snapshotId, { fromBlock = 0, batchSize } = {}) {
+    const toBlock = await tbToken.runner.provider.getBlockNumber();
+    const events = await queryInBatches(tbToken, tbToken.filters.Snapshot(), fromBlock, toBlock, batchSize);
+    const event = events.find((e) => e.args[0] === BigInt(snapshotId));
+    if (!event) {
+        throw new Error(`Snapshot ${snapshotId} not found; take one with airdrop:snapshot-take`);
+    }
+    return event.blockNumber;
+}
+
+/** Every address that received TB up to `toBlock` */
+async function collectHolders(tbToken, { fromBlock = 0, toBlock, batchSize }) {
+    const events = await queryInBatches(tbToken, tbToken.filters.Transfer(), fromBlock, toBlock, batchSize);
+    const holders = new Set();
+    for (const event of events) {
+        const to = event.args[1];
+        if (to !== ethers.ZeroAddress) {
+            holders.add(ethers.getAddress(to));
+        }
+    }
+    return [...holders].sort();
+}
+
+async function exclusionReasons(tbToken, address, { rules, feeWallets, allowContracts, blockTag }) {
+    const reasons = [];
+    if (rules.ammPairs && await tbToken.automatedMarketMakerPairs(address, { blockTag })) {
+        reasons.push("ammPair");
+    }
+    if (rules.feeWallets && feeWallets.has(address)) {
+        reasons.push("feeWallet");
+    }
+    if (rules.excludedFromLimits && await tbToken.isExcludedFromLimits(address, { blockTag })) {
+        reasons.push("excludedFromLimits");
+    }
+    if (rules.contracts && !allowContracts.has(address) && (await tbToken.runner.provider.getCode(address, blockTag)) !== "0x") {
+        reasons.push("contract");
+    }
+    return reasons;
+}
+
+/**
+ * Balances at `snapshotId`, split into eligible and excluded holders. Holders
+ * with nothing at the snapshot, or less than `minBalance`, are dropped.
+ * `exclude` adds addresses by hand; `rules` can switch single rules off.
+ * Events are queried `batchSize` blocks at a time (see queryInBatches).
+ */
+async function snapshotHolders(tbToken, snapshotId, {
+    fromBlock = 0,
+    batchSize,
+    minBalance = 0n,
+    rules: ruleOverrides = {},
+    exclude = [],
+    allowContracts = [],
+} = {}) {
+    const rules = Object.fromEntries(EXCLUSION_RULES.map((rule) => [rule, ruleOverrides[rule] !== false]));
+    const blockNumber = await findSnapshotBlock(tbToken, snapshotId, { fromBlock, batchSize });
+    const candidates = await collectHolders(tbToken, { fromBlock, toBlock: blockNumber, batchSize });
+
+    const blockTag = blockNumber;
+    const feeWallets = new Set([
+        await tbToken.treasuryWallet({ blockTag }),
+        await tbToken.liquidityWallet({ blockTag }),
+        await tbToken.marketingWallet({ blockTag }),
+        tbToken.target,
+    ].map((address) => ethers.getAddress(address)));
+    const manual = new Set(exclude.map((address) => ethers.getAddress(address)));
+    const context = {
+        rules,
+        feeWallets,
+        allowContracts: new Set(allowContracts.map((address) => ethers.getAddress(address))),
+        blockTag,
+    };
+
+    const eligible = [];
+    const excluded = [];
+    for (const address of candidates) {
+        const balance = await tbToken.balanceOfAt(address, snapshotId);
+        if (balance === 0n || balance < minBalance) {
+            continue;
+        }
+        const reasons = await exclusionReasons(tbToken, address, context);
+        if (manual.has(address)) {
+            reasons.push("manual");
+        }
+        (reasons.length > 0 ? excluded : eligible).push({ address, balance, reasons });
+    }
+    for (const holder of eligible) {
+        delete holder.reasons;
+    }
+    return { snapshotId: BigInt(snapshotId), blockNumber, candidates: candidates.length, eligible, excluded };
+}
+
+/** "1000:1,10000:2" -> [{ minBalance, weight }], balances in whole TB */
+function parseTiers(spec, decimals = 18) {
+    const tiers = spec.split(",").map((part) => {
+        const [minBalance, weight] = part.split(":").map((value) => value.trim());
+        if (!minBalance || !/^\d+$/.test(weight || "") || BigInt(weight) === 0n) {
+            throw new Error(`Invalid tier "${part}"; expected <minBalance>:<weight>`);
+        }
+        return { minBalance: ethers.parseUnits(minBalance, decimals), weight: BigInt(weight) };
+    });
+    return tiers.sort((a, b) => (a.minBalance < b.minBalance ? -1 : a.minBalance > b.minBalance ? 1 : 0));
+}
+
+function tierWeight(balance, tiers) {
+    let weight = 0n;
+    for (const tier of tiers) {
+        if (balance >= tier.minBalance) weight = tier.weight;
+    }
+    return weight;
+}
+
+/**
+ * Split `pool` between holders by `mode` ("pro-rata" or "tiered"). Returns
+ * `[{ address, balance, weight, amount }]` without zero allocations; the
+ * amounts add up to `pool` exactly.
+ */
+function allocate(holders, pool, { mode = "pro-rata", tiers = [] } = {}) {
+    if (mode === "tiered" && tiers.length === 0) {
+        throw new Error("Tiered allocation needs at least one tier");
+    }
+    if (mode !== "pro-rata" && mode !== "tiered") {
+        throw new Error(`Unknown allocation mode "${mode}"`);
+    }
+    const weighted = holders
+        .map(({ address, balance }) => ({ address, balance, weight: mode === "tiered" ? tierWeight(balance, tiers) : balance }))
+        .filter((holder) => holder.weight > 0n);
+    const totalWeight = weighted.reduce((sum, holder) => sum + holder.weight, 0n);
+    if (totalWeight === 0n) {
+        return [];
+    }
+
+    let distributed = 0n;
+    const shares = weighted.map((holder) => {
+        const exact = pool * holder.weight;
+        const amount = exact / totalWeight;
+        distributed += amount;
+        return { ...holder, amount, remainder: exact % totalWeight };
+    });
+    // Largest remainder first, ties by address, one base unit each until the pool is spent
+    const byRemainder = [...shares].sort((a, b) =>
+        a.remainder === b.remainder ? a.address.localeCompare(b.address) : (a.remainder > b.remainder ? -1 : 1));
+    for (let i = 0; distributed < pool; i++) {
+        byRemainder[i].amount += 1n;
+        distributed += 1n;
+    }
+
+    return shares
+        .filter((share) => share.amount > 0n)
+        .map(({ address, balance, weight, amount }) => ({ address, balance, weight, amount }));
+}
+
+/** address,amount lines in base units, as airdrop:build reads them with --decimals 0 */
+function toAirdropCsv(allocations) {
+    return ["address,amount", ...allocations.map(({ address, amount }) => `${address},${amount}`)].join("\n") + "\n";
+}
+
+module.exports = {
+    EXCLUSION_RULES,
+    findSnapshotBlock,
+    collectHolders,
+    snapshotHolders,
+    parseTiers,
+    allocate,
+    toAirdropCsv,
+};
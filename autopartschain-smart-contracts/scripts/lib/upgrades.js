@@ -0,0 +1,110 @@
+/**
+ * Upgrades for contracts the deploy pipeline put behind a UUPS proxy
+ * (DEPLOY_PROXY=1). Every upgrade is checked with the OpenZeppelin storage
+ * layout validation first, and the manifest keeps the implementation history.
+ *
+ * contracts/upgradeable/*Upgradeable.sol are copies of the plain contracts
+ * rather than a shared base: OpenZeppelin's constructor-based contracts do
+ * not mix with the upgradeable ones. Logic changes go into both files;
+ * test/upgrades.test.js checks that their public interfaces match.
+ */
+const { Interface, getAddress } = require("ethers");
+const { createSafeProposal, writeSafeProposal } = require("./safe");
+
+// The upgrade entry point OpenZeppelin 4 and 5 UUPS proxies share (5 dropped upgradeTo); "0x" skips the call
+const uupsInterface = new Interface(["function upgradeToAndCall(address newImplementation, bytes data)"]);
+
+function proxyRecord(manifest, name) {
+    const record = (manifest.deployments || {})[name];
+    if (!record || !record.proxy) {
+        throw new Error(`${name} is not deployed behind a proxy on ${manifest.network}`);
+    }
+    return record;
+}
+
+/**
+ * Validate and upgrade the proxy recorded for `name` to `implementation`
+ * (a contract name, default: the one it was deployed with). With `dryRun`
+ * only the layout check runs; with `safe` ({ address, file, nonce }) the new
+ * implementation is deployed and upgradeToAndCall() is written as a Safe
+ * proposal.
+ * Updates `manifest` in place; the caller saves it.
+ */
+async function upgradeContract({
+    ethers,
+    upgrades,
+    manifest,
+    name,
+    implementation,
+    dryRun = false,
+    safe = null,
+    confirmations = 1,
+    log = console.log,
+}) {
+    const record = proxyRecord(manifest, name);
+    const { kind } = record.proxy;
+    const contractName = implementation || record.proxy.contract;
+    const factory = await ethers.getContractFactory(contractName);
+
+    const current = await upgrades.erc1967.getImplementationAddress(record.address);
+    if (record.proxy.implementation && getAddress(record.proxy.implementation) !== getAddress(current)) {
+        log(`⚠️  Manifest records implementation ${record.proxy.implementation}, but the proxy points to ${current}`);
+    }
+
+    log(`Checking storage layout of ${contractName} against ${name} at ${record.address}...`);
+    await upgrades.validateUpgrade(record.address, factory, { kind });
+    log("✅ Storage layout is compatible");
+
+    if (dryRun) {
+        return { status: "validated", contract: contractName, implementation: current };
+    }
+
+    if (safe) {
+        const newImplementation = await upgrades.prepareUpgrade(record.address, factory, { kind });
+        const proposal = await createSafeProposal({
+            provider: ethers.provider,
+            safe: safe.address,
+            transactions: [{
+                to: record.address,
+                value: "0",
+                data: uupsInterface.encodeFunctionData("upgradeToAndCall", [newImplementation, "0x"]),
+                description: `${name}.upgradeToAndCall(${newImplementation}, 0x)`,
+            }],
+            name: `upgrade-${name}`,
+            nonce: safe.nonce,
+        });
+        const files = writeSafeProposal(safe.file, proposal);
+        record.proxy.pendingImplementation = { address: newImplementation, contract: contractName, safeTxHash: proposal.safeTxHash };
+
+        log(`📨 Implementation ${newImplementation} deployed; upgradeToAndCall proposed to the Safe`);
+        log(`   safeTxHash ${proposal.safeTxHash}`);
+        log(`   Transaction Builder batch: ${files.batchFile}`);
+        return { status: "proposed", contract: contractName, implementation: newImplementation, safeTxHash: proposal.safeTxHash, files };
+    }
+
+    log(`⏳ Upgrading ${name}...`);
+    const upgraded = await upgrades.upgradeProxy(record.address, factory, { kind });
+    const tx = upgraded.deploymentTransaction();
+    const receipt = tx ? await tx.wait(confirmations) : null;
+    const newImplementation = await upgrades.erc1967.getImplementationAddress(record.address);
+
+    record.proxy.upgrades = [...(record.proxy.upgrades || []), {
+        from: current,
+        to: newImplementation,
+        contract: contractName,
+        txHash: receipt ? receipt.hash : null,
+        blockNumber: receipt ? receipt.blockNumber : null,
+        upgradedAt: new Date().toISOString(),
+    }];
+    record.proxy.implementation = newImplementation;
+    record.proxy.contract = contractName;
+    delete record.proxy.pendingImplementation;
+
+    log(`✅ ${name} now points to ${newImplementation} (${contractName})`);
+    return { status: "upgraded", contract: contractName, implementation: newImplementation, previous: current };
+}
+
+module.exports = {
+    proxyRecord,
+    upgradeContract,
+};
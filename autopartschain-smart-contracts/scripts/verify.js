@@ -1,130 +1,153 @@
-import { network, run } from "hardhat";
-import { existsSync, readFileSync } from "fs";
-import { join } from "path";
+/**
+ * Verifies every contract recorded in deployed/addresses-<network>.json using
+ * the constructor arguments captured at deploy time. For proxied contracts the
+ * current implementation is verified.
+ *
+ *   hardhat run scripts/verify.js --network sepolia
+ *   HARDHAT_NETWORK=sepolia node scripts/verify.js --only TBToken,PriceOracle
+ *
+ * `hardhat run` does not forward script arguments, so the filter can also be
+ * given as VERIFY_ONLY=TBToken,PriceOracle.
+ */
+const hre = require("hardhat");
+const { requireManifest } = require("./lib/manifest");
+const { loadProfile } = require("./lib/networks");
 
-async function main() {
-    const networkName = network.name;
-    const addressesPath = join(__dirname, "..", "deployed", `addresses-${networkName}.json`);
+const MAX_ATTEMPTS = Number(process.env.VERIFY_MAX_ATTEMPTS || 5);
+const RETRY_DELAY_MS = Number(process.env.VERIFY_RETRY_DELAY_MS || 5000);
 
-    if (!existsSync(addressesPath)) {
-        console.error("Addresses file not found:", addressesPath);
-        process.exit(1);
-    }
+const ALREADY_VERIFIED = /already verified/i;
+const RATE_LIMITED = /rate limit|too many requests|\b429\b|try again later/i;
 
-    const addresses = JSON.parse(readFileSync(addressesPath, "utf8"));
-    const contracts = addresses.contracts;
-
-    console.log(`Verifying contracts on ${networkName}...`);
-
-    // Verificar TBToken
-    console.log("\n1. Verifying TBToken...");
-    try {
-        await run("verify:verify", {
-            address: contracts.TBToken,
-            constructorArguments: [
-                addresses.deployer, // treasuryWallet
-                addresses.deployer, // liquidityWallet
-                addresses.deployer  // marketingWallet
-            ],
-        });
-        console.log("✅ TBToken verified");
-    } catch (error) {
-        console.log("❌ TBToken verification failed:", error.message);
+function parseOnly(argv, env) {
+    const index = argv.indexOf("--only");
+    const value = index !== -1 ? argv[index + 1] : env.VERIFY_ONLY;
+    if (!value) {
+        return null;
     }
+    return value.split(",").map((name) => name.trim()).filter(Boolean);
+}
 
-    // Verificar PriceOracle
-    console.log("\n2. Verifying PriceOracle...");
-    try {
-        await run("verify:verify", {
-            address: contracts.PriceOracle,
-            constructorArguments: [
-                "0x694AA1769357215DE4FAC081bf1f309aDC325306" // Chainlink aggregator (Sepolia ETH/USD)
-            ],
-        });
-        console.log("✅ PriceOracle verified");
-    } catch (error) {
-        console.log("❌ PriceOracle verification failed:", error.message);
-    }
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
-    // Verificar LoyaltyProgram
-    console.log("\n3. Verifying LoyaltyProgram...");
-    try {
-        await run("verify:verify", {
-            address: contracts.LoyaltyProgram,
-            constructorArguments: [
-                contracts.TBToken
-            ],
-        });
-        console.log("✅ LoyaltyProgram verified");
-    } catch (error) {
-        console.log("❌ LoyaltyProgram verification failed:", error.message);
+async function verifyContract(run, name, record, { maxAttempts, retryDelayMs, log }) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        try {
+            await run("verify:verify", {
+                address: record.proxy ? record.proxy.implementation : record.address,
+                constructorArguments: record.constructorArgs,
+            });
+            return { status: "verified", attempts: attempt };
+        } catch (error) {
+            const message = error.message || String(error);
+            if (ALREADY_VERIFIED.test(message)) {
+                return { status: "already verified", attempts: attempt };
+            }
+            if (!RATE_LIMITED.test(message) || attempt === maxAttempts) {
+                return { status: "failed", attempts: attempt, error: message.split("\n")[0] };
+            }
+
+            const delay = retryDelayMs * 2 ** (attempt - 1);
+            log(`   ⏳ ${name}: explorer rate limit, retrying in ${delay / 1000}s...`);
+            await sleep(delay);
+        }
     }
+}
 
-    // Verificar ReferralProgram
-    console.log("\n4. Verifying ReferralProgram...");
-    try {
-        await run("verify:verify", {
-            address: contracts.ReferralProgram,
-            constructorArguments: [
-                contracts.TBToken
-            ],
-        });
-        console.log("✅ ReferralProgram verified");
-    } catch (error) {
-        console.log("❌ ReferralProgram verification failed:", error.message);
+async function verifyAll({
+    run = hre.run,
+    manifest,
+    only = null,
+    maxAttempts = MAX_ATTEMPTS,
+    retryDelayMs = RETRY_DELAY_MS,
+    log = console.log,
+}) {
+    const deployments = manifest.deployments || {};
+    const names = Object.keys(manifest.contracts || {});
+
+    if (only) {
+        const unknown = only.filter((name) => !names.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown contract(s) in --only: ${unknown.join(", ")}`);
+        }
     }
 
-    // Verificar TBStaking
-    console.log("\n5. Verifying TBStaking...");
-    try {
-        await run("verify:verify", {
-            address: contracts.TBStaking,
-            constructorArguments: [
-                contracts.TBToken
-            ],
-        });
-        console.log("✅ TBStaking verified");
-    } catch (error) {
-        console.log("❌ TBStaking verification failed:", error.message);
+    const results = [];
+    for (const name of names) {
+        if (only && !only.includes(name)) {
+            continue;
+        }
+
+        const record = deployments[name];
+        if (!record || !Array.isArray(record.constructorArgs)) {
+            results.push({ name, address: manifest.contracts[name], status: "failed", attempts: 0,
+                error: "No constructor arguments recorded in the manifest" });
+            continue;
+        }
+
+        log(`\nVerifying ${name} at ${record.address}...`);
+        const result = await verifyContract(run, name, record, { maxAttempts, retryDelayMs, log });
+        results.push({ name, address: record.address, ...result });
+        log(result.status === "failed" ? `❌ ${name}: ${result.error}` : `✅ ${name} ${result.status}`);
     }
 
-    // Verificar AutoPartsMarketplaceV2
-    console.log("\n6. Verifying AutoPartsMarketplaceV2...");
-    try {
-        await run("verify:verify", {
-            address: contracts.AutoPartsMarketplaceV2,
-            constructorArguments: [
-                contracts.TBToken,
-                contracts.PriceOracle,
-                contracts.LoyaltyProgram,
-                addresses.deployer // feeRecipient
-            ],
-        });
-        console.log("✅ AutoPartsMarketplaceV2 verified");
-    } catch (error) {
-        console.log("❌ AutoPartsMarketplaceV2 verification failed:", error.message);
+    return results;
+}
+
+function printSummary(results, log = console.log) {
+    const rows = results.map((r) => [r.name, r.address || "-", r.status, String(r.attempts), r.error || ""]);
+    const header = ["Contract", "Address", "Status", "Attempts", "Error"];
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map((row) => row[i].length)));
+    const format = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join(" | ").trimEnd();
+
+    log("\n" + format(header));
+    log(widths.map((w) => "-".repeat(w)).join("-|-"));
+    rows.forEach((row) => log(format(row)));
+}
+
+/** Print the summary; the exit code is 1 when any contract failed */
+function report(results, { log = console.log, error = console.error } = {}) {
+    printSummary(results, log);
+
+    const failed = results.filter((r) => r.status === "failed");
+    if (failed.length > 0) {
+        error(`\n❌ ${failed.length} contract(s) failed verification`);
+        return 1;
     }
+    log("\n✅ Verification process completed!");
+    return 0;
+}
 
-    // Verificar AirdropManager
-    console.log("\n7. Verifying AirdropManager...");
-    try {
-        await run("verify:verify", {
-            address: contracts.AirdropManager,
-            constructorArguments: [
-                contracts.TBToken
-            ],
-        });
-        console.log("✅ AirdropManager verified");
-    } catch (error) {
-        console.log("❌ AirdropManager verification failed:", error.message);
+async function main() {
+    const networkName = hre.network.name;
+    const manifest = requireManifest(networkName);
+    const only = parseOnly(process.argv, process.env);
+
+    // Fail before the first request instead of once per contract
+    const profile = loadProfile(networkName);
+    const explorer = profile && profile.explorer;
+    if (explorer && explorer.apiKeyEnv && !process.env[explorer.apiKeyEnv]) {
+        throw new Error(`${explorer.apiKeyEnv} is not set; it is the ${explorer.url} API key for ${networkName}`);
     }
 
-    console.log("\n✅ Verification process completed!");
+    console.log(`Verifying contracts on ${networkName}${explorer ? ` (${explorer.url})` : ""}...`);
+    return report(await verifyAll({ manifest, only }));
+}
+
+if (require.main === module) {
+    main()
+        .then((code) => process.exit(code))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
 }
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error(error);
-        process.exit(1);
-    });
+module.exports = {
+    parseOnly,
+    verifyAll,
+    printSummary,
+    report,
+};
@@ -0,0 +1,97 @@
+/**
+ * Anomaly watchdog. Watches TBToken, PriceOracle and AirdropManager and logs
+ * incidents to logs/watchdog-incidents.jsonl; see scripts/lib/watchdog.js for
+ * the rules.
+ *
+ *   hardhat run scripts/watchdog.js --network sepolia
+ *   WATCHDOG_PRIVATE_KEY=0x... WATCHDOG_AUTO_PAUSE=1 WATCHDOG_MAX_MINT=1000000 \
+ *     WATCHDOG_AUTO_REMOVE_SOURCES=1 hardhat run scripts/watchdog.js --network sepolia
+ *
+ * Actions are sent from WATCHDOG_PRIVATE_KEY, never from the deploy key. Grant
+ * it PAUSER_ROLE on TBToken (and DEFAULT_ADMIN_ROLE on PriceOracle for source
+ * deactivation) and nothing else. Expected minters are the MINTER_ROLE holders
+ * in permissions/<network>.json (or default.json) plus WATCHDOG_EXPECTED_MINTERS.
+ * WATCHDOG_AUTO_PAUSE requires WATCHDOG_MAX_MINT, the TB an expected minter
+ * may mint per WATCHDOG_MINT_WINDOW before TBToken is paused.
+ * WATCHDOG_ALERT_URL receives every incident as a JSON POST.
+ */
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { requireManifest } = require("./lib/manifest");
+const { loadProfile } = require("./lib/networks");
+const { loadExpectedPermissions, resolveHolder } = require("./lib/roles");
+const { createWatchdog, loadWatchdogConfig } = require("./lib/watchdog");
+
+const PERMISSIONS_DIR = path.join(__dirname, "..", "permissions");
+
+function declaredMinters(networkName, manifest) {
+    const networkFile = path.join(PERMISSIONS_DIR, `${networkName}.json`);
+    const file = fs.existsSync(networkFile) ? networkFile : path.join(PERMISSIONS_DIR, "default.json");
+    const declared = loadExpectedPermissions(file).TBToken || {};
+    return (declared.MINTER_ROLE || []).map((ref) => resolveHolder(ref, { manifest }));
+}
+
+function createAlert(url) {
+    return async (incident) => {
+        const icon = incident.severity === "critical" ? "🚨" : "⚠️";
+        const outcome = incident.action ? ` [${incident.action.method}: ${incident.action.status}]` : "";
+        console.log(`${icon} ${incident.rule}: ${incident.message}${outcome}`);
+        if (url) {
+            const body = JSON.stringify(incident, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+            const response = await fetch(url, { method: "POST", headers: { "content-type": "application/json" }, body });
+            if (!response.ok) {
+                throw new Error(`Alert endpoint answered HTTP ${response.status}`);
+            }
+        }
+    };
+}
+
+async function main() {
+    const { ethers, network } = hre;
+    const manifest = requireManifest(network.name);
+    const config = loadWatchdogConfig(process.env, loadProfile(network.name));
+    config.expectedMinters = [...declaredMinters(network.name, manifest), ...config.expectedMinters];
+    const deployment = (manifest.deployments || {}).TBToken || {};
+    config.roleHistoryFromBlock = typeof deployment.blockNumber === "number" ? deployment.blockNumber : 0;
+
+    let signer = null;
+    if (process.env.WATCHDOG_PRIVATE_KEY) {
+        signer = new ethers.Wallet(process.env.WATCHDOG_PRIVATE_KEY, ethers.provider);
+        if (manifest.deployer && signer.address === ethers.getAddress(manifest.deployer)) {
+            throw new Error("WATCHDOG_PRIVATE_KEY is the deployer key; give the watchdog its own key with only the roles it needs");
+        }
+    }
+    const runner = signer || ethers.provider;
+    const contracts = {
+        tbToken: await ethers.getContractAt("TBToken", manifest.contracts.TBToken, runner),
+        priceOracle: await ethers.getContractAt("PriceOracle", manifest.contracts.PriceOracle, runner),
+        airdropManager: manifest.contracts.AirdropManager
+            ? await ethers.getContractAt("AirdropManager", manifest.contracts.AirdropManager, runner)
+            : null,
+    };
+    const actions = [config.autoPause && "pause", config.autoRemoveSources && "removePriceSource"].filter(Boolean);
+    console.log(`Anomaly watchdog on ${network.name}`);
+    console.log(`   TBToken:   ${manifest.contracts.TBToken}`);
+    console.log(`   Oracle:    ${manifest.contracts.PriceOracle}`);
+    console.log(`   Minters:   ${config.expectedMinters.join(", ") || "none expected"}`);
+    console.log(`   Mint cap:  ${config.maxMintPerWindow === null ? "none" : `${ethers.formatUnits(config.maxMintPerWindow, 18)} TB`} per ${config.mintWindow}s`);
+    console.log(`   Guard key: ${signer ? signer.address : "none (alert only)"}`);
+    console.log(`   Actions:   ${actions.join(", ") || "alert only"}${config.dryRun ? " (dry run)" : ""}`);
+    console.log(`   Log:       ${config.logFile}`);
+
+    const watchdog = createWatchdog({ contracts, signer, config, alert: createAlert(process.env.WATCHDOG_ALERT_URL) });
+    const shutdown = () => {
+        console.log("\nStopping watchdog...");
+        watchdog.stop();
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+
+    await watchdog.start();
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,198 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { requireManifest } = require("../scripts/lib/manifest");
+const {
+    defaultAuditFile,
+    roleAction,
+    feesAction,
+    walletsAction,
+    ammPairAction,
+    addTierAction,
+    commissionsAction,
+    addPriceSourceAction,
+    removePriceSourceAction,
+    campaignStatusAction,
+    mintAction,
+    recoverTokensAction,
+    recoverUnclaimedAction,
+    manualPriceAction,
+    handOverAdmin,
+    runAdminAction,
+} = require("../scripts/lib/admin");
+
+const ROLE_CONTRACTS = ["TBToken", "PriceOracle", "LoyaltyProgram", "ReferralProgram", "AirdropManager", "TBStaking", "AutoPartsMarketplaceV2"];
+
+async function connect(hre, name) {
+    const manifest = requireManifest(hre.network.name);
+    const address = manifest.contracts[name];
+    if (!address) {
+        throw new Error(`${name} is not in the ${hre.network.name} manifest`);
+    }
+    return hre.ethers.getContractAt(name, address);
+}
+
+// --safe (or ADMIN_SAFE) switches from sending to writing a Safe proposal
+function safeOptions(hre, args, method) {
+    const address = args.safe || process.env.ADMIN_SAFE;
+    if (!address) {
+        return null;
+    }
+    const file = args.proposal ||
+        path.join(process.cwd(), "proposals", `${hre.network.name}-${Date.now()}-${method}.json`);
+    return { address, file, nonce: args.safeNonce };
+}
+
+async function run(hre, args, buildAction) {
+    const [signer] = await hre.ethers.getSigners();
+    const action = await buildAction(signer);
+    const auditFile = defaultAuditFile();
+    const result = await runAdminAction(action, {
+        signer,
+        networkName: hre.network.name,
+        dryRun: args.dryRun,
+        confirmations: Number(process.env.ADMIN_CONFIRMATIONS || 1),
+        safe: safeOptions(hre, args, action.method),
+        auditFile,
+    });
+    console.log(`📝 Logged to ${auditFile}`);
+    return result;
+}
+
+/**
+ * Every admin task shares --dry-run and the Safe options; omitted optional
+ * values keep the on-chain value.
+ */
+function adminTask(name, description) {
+    return task(name, description)
+        .addFlag("dryRun", "Validate and simulate with staticCall without sending")
+        .addOptionalParam("safe", "Write a Safe proposal for this Safe instead of sending (default: ADMIN_SAFE)")
+        .addOptionalParam("safeNonce", "Safe nonce for the proposal (default: the Safe's current nonce)", undefined, types.int)
+        .addOptionalParam("proposal", "Proposal file; an existing one gets this call appended to its batch");
+}
+
+adminTask("admin:fees", "Updates TBToken buy/sell/transfer fees (bps)")
+    .addOptionalParam("buy", "Buy fee in bps (max 1000)")
+    .addOptionalParam("sell", "Sell fee in bps (max 1000)")
+    .addOptionalParam("transfer", "Transfer fee in bps (max 500)")
+    .setAction(async (args, hre) => run(hre, args, async () => feesAction(await connect(hre, "TBToken"), args)));
+
+adminTask("admin:wallets", "Updates the TBToken treasury, liquidity and marketing wallets")
+    .addOptionalParam("treasury", "Treasury wallet")
+    .addOptionalParam("liquidity", "Liquidity wallet")
+    .addOptionalParam("marketing", "Marketing wallet")
+    .setAction(async (args, hre) => run(hre, args, async () => walletsAction(await connect(hre, "TBToken"), args)));
+
+adminTask("admin:amm-pair", "Marks an address as a TBToken AMM pair (buy/sell fees apply)")
+    .addParam("pair", "Pair address")
+    .addOptionalParam("enabled", "false to unmark the pair", true, types.boolean)
+    .setAction(async (args, hre) => run(hre, args, async () => ammPairAction(await connect(hre, "TBToken"), args)));
+
+adminTask("admin:role", "Grants or revokes an AccessControl role")
+    .addParam("contract", `One of ${ROLE_CONTRACTS.join(", ")}`)
+    .addParam("role", "Role getter name (e.g. PAUSER_ROLE), DEFAULT_ADMIN_ROLE or a bytes32 hash")
+    .addParam("account", "Account to grant the role to or revoke it from")
+    .addFlag("revoke", "Revoke instead of grant")
+    .setAction(async (args, hre) => {
+        if (!ROLE_CONTRACTS.includes(args.contract)) {
+            throw new Error(`--contract must be one of ${ROLE_CONTRACTS.join(", ")}`);
+        }
+        return run(hre, args, async (signer) => roleAction(await connect(hre, args.contract), {
+            ...args,
+            contractName: args.contract,
+            signerAddress: signer.address,
+        }));
+    });
+
+adminTask("admin:add-tier", "Adds a LoyaltyProgram tier above the current highest one")
+    .addParam("name", "Tier name")
+    .addParam("minPoints", "Minimum loyalty points")
+    .addParam("minPurchases", "Minimum total purchases in USD cents")
+    .addParam("discount", "Discount in bps")
+    .addParam("cashback", "Cashback in bps")
+    .addOptionalParam("stakingBoost", "Staking boost in bps", "0")
+    .addOptionalParam("freeShipping", "Free shipping threshold in USD cents (0 = none)", "0")
+    .addOptionalParam("tokenUri", "Tier NFT URI", "")
+    .setAction(async (args, hre) => run(hre, args, async () => addTierAction(await connect(hre, "LoyaltyProgram"), {
+        name: args.name,
+        minPoints: args.minPoints,
+        minPurchasesUSD: args.minPurchases,
+        discount: args.discount,
+        cashback: args.cashback,
+        stakingBoost: args.stakingBoost,
+        freeShippingThreshold: args.freeShipping,
+        tokenURI: args.tokenUri,
+    })));
+
+adminTask("admin:commissions", "Replaces ReferralProgram levelCommissions")
+    .addParam("levels", "Commissions in bps per level, comma separated (e.g. 500,300,100)")
+    .setAction(async (args, hre) => run(hre, args, async () => commissionsAction(await connect(hre, "ReferralProgram"), args)));
+
+adminTask("admin:price-source:add", "Adds a Chainlink aggregator to PriceOracle")
+    .addParam("aggregator", "Aggregator address")
+    .addParam("description", "Human readable description (e.g. \"TB/USD Chainlink\")")
+    .setAction(async (args, hre) => run(hre, args, async () => addPriceSourceAction(await connect(hre, "PriceOracle"), args)));
+
+adminTask("admin:price-source:remove", "Deactivates a PriceOracle price source")
+    .addParam("id", "Price source index")
+    .setAction(async (args, hre) => run(hre, args, async () => removePriceSourceAction(await connect(hre, "PriceOracle"), args)));
+
+adminTask("admin:campaign-status", "Activates or deactivates an airdrop campaign")
+    .addParam("id", "Campaign id")
+    .addParam("active", "true or false", undefined, types.boolean)
+    .setAction(async (args, hre) => run(hre, args, async () => campaignStatusAction(await connect(hre, "AirdropManager"), args)));
+
+adminTask("admin:mint", "Mints TB (MINTER_ROLE)")
+    .addParam("to", "Recipient")
+    .addParam("amount", "Amount in TB (e.g. 1500.5)")
+    .setAction(async (args, hre) => run(hre, args, async () => mintAction(await connect(hre, "TBToken"), args)));
+
+adminTask("admin:recover-tokens", "Recovers ERC20 tokens sent to TBToken by mistake")
+    .addParam("token", "Token address")
+    .addParam("amount", "Amount in the token's smallest unit")
+    .setAction(async (args, hre) => run(hre, args, async () => recoverTokensAction(await connect(hre, "TBToken"), args)));
+
+adminTask("admin:recover-airdrop", "Recovers the unclaimed TB of an ended airdrop campaign")
+    .addParam("id", "Campaign id")
+    .setAction(async (args, hre) => run(hre, args, async () => recoverUnclaimedAction(await connect(hre, "AirdropManager"), args)));
+
+adminTask("admin:price", "Sets the PriceOracle price manually (8 decimals)")
+    .addParam("price", "New price, 8 decimals (100 = $0.000001)")
+    .setAction(async (args, hre) => run(hre, args, async () => manualPriceAction(await connect(hre, "PriceOracle"), args)));
+
+task("admin:handover", "Grants DEFAULT_ADMIN_ROLE to a Safe on every AccessControl contract and renounces it from the signer")
+    .addParam("safe", "Safe address")
+    .addOptionalParam("contracts", "Comma separated contract names (default: every AccessControl contract in the manifest)")
+    .addFlag("dryRun", "Validate and simulate with staticCall without sending")
+    .addFlag("force", "Skip the Safe checks (contract code, owners, threshold)")
+    .setAction(async (args, hre) => {
+        const manifest = requireManifest(hre.network.name);
+        const names = args.contracts
+            ? args.contracts.split(",").map((name) => name.trim())
+            : Object.keys(manifest.contracts);
+
+        const contracts = [];
+        for (const name of names) {
+            const contract = await connect(hre, name);
+            if (contract.interface.getFunction("DEFAULT_ADMIN_ROLE")) {
+                contracts.push({ name, contract });
+            } else if (args.contracts) {
+                throw new Error(`${name} does not use AccessControl`);
+            }
+        }
+
+        const [signer] = await hre.ethers.getSigners();
+        const auditFile = defaultAuditFile();
+        const results = await handOverAdmin({
+            contracts,
+            safe: args.safe,
+            signer,
+            force: args.force,
+            networkName: hre.network.name,
+            dryRun: args.dryRun,
+            confirmations: Number(process.env.ADMIN_CONFIRMATIONS || 1),
+            auditFile,
+        });
+        console.table(results);
+        console.log(`📝 Logged to ${auditFile}`);
+        return results;
+    });
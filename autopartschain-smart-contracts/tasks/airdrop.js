@@ -0,0 +1,191 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { formatUnits } = require("ethers");
+const { parseEntries, buildTree } = require("../scripts/lib/merkle");
+const { snapshotHolders, parseTiers, allocate, toAirdropCsv } = require("../scripts/lib/snapshot");
+const { requireManifest } = require("../scripts/lib/manifest");
+const { findEvent } = require("../scripts/lib/chain");
+
+function writeTree(outDir, tree, meta) {
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const rootFile = path.join(outDir, "root.json");
+    const proofsFile = path.join(outDir, "proofs.json");
+    fs.writeFileSync(rootFile, JSON.stringify({
+        merkleRoot: tree.root,
+        totalAmount: tree.totalAmount.toString(),
+        recipients: tree.count,
+        leafEncoding: "keccak256(abi.encodePacked(address,uint256))",
+        ...meta,
+    }, null, 2) + "\n");
+    fs.writeFileSync(proofsFile, JSON.stringify(tree.claims, null, 2) + "\n");
+
+    return { rootFile, proofsFile };
+}
+
+function readTree(dir) {
+    const rootFile = path.join(dir, "root.json");
+    if (!fs.existsSync(rootFile)) {
+        throw new Error(`Merkle root file not found: ${rootFile}`);
+    }
+    return JSON.parse(fs.readFileSync(rootFile, "utf8"));
+}
+
+function parseTime(value, name) {
+    if (/^\d+$/.test(value)) {
+        return Number(value);
+    }
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) {
+        throw new Error(`--${name} must be a unix timestamp or an ISO date, got "${value}"`);
+    }
+    return Math.floor(ms / 1000);
+}
+
+task("airdrop:build", "Builds an AirdropManager Merkle tree from an address,amount list")
+    .addParam("input", "CSV or JSON file with address,amount pairs")
+    .addOptionalParam("out", "Directory for root.json and proofs.json", "airdrops/latest")
+    .addOptionalParam("decimals", "Decimals of the amounts in the input (0 = raw base units)", 0, types.int)
+    .setAction(async ({ input, out, decimals }) => {
+        const content = fs.readFileSync(input, "utf8");
+        const format = path.extname(input).toLowerCase() === ".json" ? "json" : "csv";
+        const entries = parseEntries(content, { format, decimals });
+        const tree = buildTree(entries);
+
+        const { rootFile, proofsFile } = writeTree(out, tree, { source: path.basename(input) });
+
+        console.log(`Merkle root:   ${tree.root}`);
+        console.log(`Recipients:    ${tree.count}`);
+        console.log(`Total amount:  ${tree.totalAmount} (${formatUnits(tree.totalAmount, 18)} TB)`);
+        console.log(`✅ Wrote ${rootFile} and ${proofsFile}`);
+        return tree;
+    });
+
+task("airdrop:create-campaign", "Approves TB and creates an AirdropManager campaign from a built tree")
+    .addParam("name", "Campaign name")
+    .addOptionalParam("tree", "Directory written by airdrop:build", "airdrops/latest")
+    .addOptionalParam("start", "Start time (unix seconds or ISO date), defaults to now")
+    .addOptionalParam("end", "End time (unix seconds or ISO date)")
+    .addOptionalParam("duration", "Campaign length in days when --end is not given", 30, types.int)
+    .setAction(async ({ name, tree: treeDir, start, end, duration }, hre) => {
+        const { ethers, network } = hre;
+        const manifest = requireManifest(network.name);
+        const tree = readTree(treeDir);
+        const [signer] = await ethers.getSigners();
+
+        const latest = await ethers.provider.getBlock("latest");
+        const startTime = start ? parseTime(start, "start") : latest.timestamp;
+        const endTime = end ? parseTime(end, "end") : startTime + duration * 24 * 60 * 60;
+        if (startTime >= endTime) {
+            throw new Error("Campaign start must be before its end");
+        }
+
+        const tbToken = await ethers.getContractAt("TBToken", manifest.contracts.TBToken, signer);
+        const airdropManager = await ethers.getContractAt("AirdropManager", manifest.contracts.AirdropManager, signer);
+        const totalAmount = BigInt(tree.totalAmount);
+
+        const balance = await tbToken.balanceOf(signer.address);
+        if (balance < totalAmount) {
+            throw new Error(`Signer holds ${balance} TB base units but the campaign needs ${totalAmount}`);
+        }
+
+        // TBToken takes transfer fees from the recipient, which would leave the campaign underfunded
+        const fee = await tbToken.calculateFee(signer.address, manifest.contracts.AirdropManager, totalAmount);
+        if (fee > 0n) {
+            throw new Error("Funding transfer would be charged a fee; exclude the signer or AirdropManager from limits first");
+        }
+
+        const allowance = await tbToken.allowance(signer.address, manifest.contracts.AirdropManager);
+        if (allowance < totalAmount) {
+            console.log(`Approving ${formatUnits(totalAmount, 18)} TB for AirdropManager...`);
+            await (await tbToken.approve(manifest.contracts.AirdropManager, totalAmount)).wait();
+        }
+
+        console.log(`Creating campaign "${name}" (${new Date(startTime * 1000).toISOString()} → ${new Date(endTime * 1000).toISOString()})...`);
+        const tx = await airdropManager.createCampaign(name, tree.merkleRoot, totalAmount, startTime, endTime);
+        const receipt = await tx.wait();
+
+        const campaignId = findEvent(airdropManager, receipt, "CampaignCreated").args.campaignId;
+
+        const campaign = await airdropManager.campaigns(campaignId);
+        if (campaign.merkleRoot !== tree.merkleRoot) {
+            throw new Error(`On-chain root ${campaign.merkleRoot} does not match ${tree.merkleRoot}`);
+        }
+        if (campaign.totalAmount !== totalAmount) {
+            throw new Error(`On-chain total ${campaign.totalAmount} does not match ${totalAmount}`);
+        }
+
+        console.log(`✅ Campaign ${campaignId} created (tx ${tx.hash}), on-chain root matches`);
+        return campaignId;
+    });
+
+task("airdrop:snapshot-take", "Takes a TBToken snapshot (needs SNAPSHOT_ROLE) and prints its id")
+    .setAction(async (args, hre) => {
+        const { ethers, network } = hre;
+        const manifest = requireManifest(network.name);
+        const [signer] = await ethers.getSigners();
+        const tbToken = await ethers.getContractAt("TBToken", manifest.contracts.TBToken, signer);
+
+        const receipt = await (await tbToken.snapshot()).wait();
+        const snapshotId = findEvent(tbToken, receipt, "Snapshot").args[0];
+        console.log(`✅ Snapshot ${snapshotId} taken at block ${receipt.blockNumber}`);
+        return snapshotId;
+    });
+
+task("airdrop:snapshot", "Turns a TBToken snapshot into an address,amount reward list for airdrop:build")
+    .addParam("id", "Snapshot id")
+    .addParam("pool", "Reward pool in whole TB")
+    .addOptionalParam("mode", "pro-rata or tiered", "pro-rata")
+    .addOptionalParam("tiers", "Tiers for --mode tiered as minBalance:weight in whole TB, e.g. 1000:1,10000:3")
+    .addOptionalParam("minBalance", "Ignore holders below this balance, in whole TB", "0")
+    .addOptionalParam("exclude", "Extra addresses to exclude, comma separated", "")
+    .addOptionalParam("allowContracts", "Contract holders to keep eligible (e.g. a multisig), comma separated", "")
+    .addFlag("includeContracts", "Do not exclude holders that have code")
+    .addOptionalParam("out", "Output directory (default: airdrops/snapshot-<id>)")
+    .addFlag("build", "Also build the Merkle tree into the output directory")
+    .setAction(async (args, hre) => {
+        const { ethers, network } = hre;
+        const manifest = requireManifest(network.name);
+        const tbToken = await ethers.getContractAt("TBToken", manifest.contracts.TBToken);
+        const deployment = (manifest.deployments || {}).TBToken || {};
+        const list = (value) => value.split(",").map((item) => item.trim()).filter(Boolean);
+
+        const pool = ethers.parseUnits(args.pool, 18);
+        const snapshot = await snapshotHolders(tbToken, args.id, {
+            fromBlock: typeof deployment.blockNumber === "number" ? deployment.blockNumber : 0,
+            minBalance: ethers.parseUnits(args.minBalance, 18),
+            rules: { contracts: !args.includeContracts },
+            exclude: list(args.exclude),
+            allowContracts: list(args.allowContracts),
+        });
+        const allocations = allocate(snapshot.eligible, pool, {
+            mode: args.mode,
+            tiers: args.tiers ? parseTiers(args.tiers) : [],
+        });
+
+        const outDir = args.out || path.join("airdrops", `snapshot-${args.id}`);
+        fs.mkdirSync(outDir, { recursive: true });
+        const listFile = path.join(outDir, "allocations.csv");
+        fs.writeFileSync(listFile, toAirdropCsv(allocations));
+        fs.writeFileSync(path.join(outDir, "excluded.json"), JSON.stringify(snapshot.excluded.map(({ address, balance, reasons }) => ({
+            address,
+            balance: balance.toString(),
+            reasons,
+        })), null, 2) + "\n");
+
+        console.log(`Snapshot ${args.id} (block ${snapshot.blockNumber}): ${snapshot.candidates} addresses seen, ` +
+            `${snapshot.eligible.length} eligible, ${snapshot.excluded.length} excluded`);
+        for (const { address, balance, reasons } of snapshot.excluded) {
+            console.log(`   excluded ${address} (${formatUnits(balance, 18)} TB): ${reasons.join(", ")}`);
+        }
+        console.log(`Allocated ${formatUnits(pool, 18)} TB ${args.mode} to ${allocations.length} holder(s)`);
+        console.log(`✅ Wrote ${listFile}`);
+
+        if (args.build) {
+            const tree = buildTree(parseEntries(toAirdropCsv(allocations), { decimals: 0 }));
+            const { rootFile } = writeTree(outDir, tree, { source: path.basename(listFile), snapshotId: args.id });
+            console.log(`✅ Merkle root ${tree.root} written to ${rootFile}`);
+        }
+        return allocations;
+    });
@@ -0,0 +1,85 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { loadBaseline, saveBaseline, measureSizes, measureFlows, compareBudget } = require("../scripts/lib/budget");
+
+const DEFAULT_BASELINE = path.join(__dirname, "..", "budgets", "baseline.json");
+
+function compilerSettings(hre) {
+    const [compiler] = hre.config.solidity.compilers;
+    return {
+        version: compiler.version,
+        runs: compiler.settings.optimizer.enabled ? compiler.settings.optimizer.runs : null,
+        viaIR: Boolean(compiler.settings.viaIR),
+    };
+}
+
+function format(value) {
+    return value === null || value === undefined ? "-" : String(value);
+}
+
+task("budget:check", "Compares bytecode sizes and key-flow gas with the committed baseline")
+    .addOptionalParam("baseline", "Baseline file", DEFAULT_BASELINE)
+    .addOptionalParam("sizePct", "Allowed bytecode growth in percent (default: baseline thresholds)", undefined, types.float)
+    .addOptionalParam("gasPct", "Allowed gas growth in percent (default: baseline thresholds)", undefined, types.float)
+    .addFlag("update", "Write the current measurements to the baseline instead of failing")
+    .setAction(async (args, hre) => {
+        if (hre.network.name !== "hardhat") {
+            throw new Error(`budget:check measures on the in-process hardhat network, not ${hre.network.name}; drop --network`);
+        }
+        // deploy.js loads the hardhat runtime, so it cannot be required while the config loads
+        const { DEPLOYMENT_PLAN, deploySuite } = require("../scripts/deploy");
+
+        await hre.run("compile", { quiet: true });
+
+        const baseline = loadBaseline(args.baseline);
+        const thresholds = { ...baseline.thresholds };
+        if (args.sizePct !== undefined) thresholds.sizePct = args.sizePct;
+        if (args.gasPct !== undefined) thresholds.gasPct = args.gasPct;
+
+        const names = DEPLOYMENT_PLAN.flatMap((entry) => (entry.upgradeable ? [entry.name, entry.upgradeable] : [entry.name]));
+        console.log("Measuring bytecode sizes and key flows...");
+        const current = {
+            compiler: compilerSettings(hre),
+            contracts: await measureSizes(hre.artifacts, names),
+            flows: await measureFlows({ ethers: hre.ethers, deploySuite }),
+        };
+
+        if (baseline.compiler && JSON.stringify(baseline.compiler) !== JSON.stringify(current.compiler)) {
+            console.log(`⚠️  Baseline was recorded with ${JSON.stringify(baseline.compiler)}, now ${JSON.stringify(current.compiler)}`);
+        }
+
+        const result = compareBudget(baseline, current, thresholds);
+        console.table(result.rows.map((row) => ({
+            metric: row.metric,
+            key: row.key,
+            baseline: format(row.baseline),
+            current: format(row.current),
+            "change %": format(row.changePct),
+            status: row.status,
+        })));
+
+        if (args.update) {
+            // Thresholds are policy, so an update keeps them and only replaces the measurements
+            const file = saveBaseline(args.baseline, { thresholds: baseline.thresholds, ...current });
+            console.log(`📝 Baseline updated: ${file}`);
+            return result;
+        }
+
+        for (const row of result.failed) {
+            console.error(`❌ ${row.key} ${row.metric}: ${row.status === "over-limit"
+                ? `${row.current} bytes is over the EIP-170/3860 limit`
+                : `${format(row.baseline)} → ${row.current} (+${row.changePct}%)`}`);
+        }
+        if (result.empty) {
+            console.error(`❌ ${args.baseline} has no measurements; run budget:check --update and commit it`);
+        } else if (result.stale.length > 0) {
+            console.log(`ℹ️  ${result.stale.length} entr${result.stale.length === 1 ? "y is" : "ies are"} new, removed or improved; ` +
+                "run budget:check --update and commit the baseline");
+        }
+        if (result.ok) {
+            console.log("✅ Within budget");
+        } else {
+            process.exitCode = 1;
+        }
+        return result;
+    });
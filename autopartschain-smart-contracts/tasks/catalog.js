@@ -0,0 +1,77 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { requireManifest } = require("../scripts/lib/manifest");
+const { importCatalog } = require("../scripts/lib/catalog");
+const { createLocalStore, createKuboStore } = require("../scripts/lib/ipfs");
+
+const DEFAULT_IPFS_DIR = path.join(__dirname, "..", "ipfs-store");
+
+function writeReport(file, report) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(report, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2) + "\n");
+    console.log(`📝 Report written to ${file}`);
+}
+
+function describeChanges(changes) {
+    return Object.entries(changes).map(([field, { from, to }]) => `${field} ${from} → ${to}`).join(", ");
+}
+
+task("catalog:import", "Lists or updates marketplace products from a CSV or JSON catalog")
+    .addParam("file", "CSV (with a header line) or JSON catalog")
+    .addOptionalParam("ipfsApi", "Kubo HTTP API to pin images and metadata (default: IPFS_API_URL, else the local stand-in store)")
+    .addOptionalParam("ipfsDir", "Directory of the local stand-in store", DEFAULT_IPFS_DIR)
+    .addOptionalParam("batchSize", "Rows sent per batch before waiting for receipts", 20, types.int)
+    .addOptionalParam("priceMethod", "Exact signature of the marketplace's price setter, e.g. \"updateProductPrice(uint256,uint256)\"; without it rows with a changed price fail")
+    .addOptionalParam("report", "Report file (default: logs/catalog-import-<network>-<time>.json)")
+    .addFlag("dryRun", "Validate and diff only; nothing is pinned or sent")
+    .setAction(async (args, hre) => {
+        const { ethers, network } = hre;
+        if (args.batchSize < 1) {
+            throw new Error("--batch-size must be at least 1");
+        }
+        const manifest = requireManifest(network.name);
+        const deployment = (manifest.deployments || {}).AutoPartsMarketplaceV2 || {};
+        const [signer] = await ethers.getSigners();
+        const marketplace = await ethers.getContractAt("AutoPartsMarketplaceV2", manifest.contracts.AutoPartsMarketplaceV2, signer);
+
+        const ipfsApi = args.ipfsApi || process.env.IPFS_API_URL;
+        const store = ipfsApi ? createKuboStore(ipfsApi) : createLocalStore(args.ipfsDir);
+        console.log(`Importing ${args.file} into ${marketplace.target} on ${network.name} (${args.dryRun ? "dry-run" : store.kind} pinning)`);
+
+        const report = await importCatalog({
+            marketplace,
+            signer,
+            content: fs.readFileSync(args.file, "utf8"),
+            format: path.extname(args.file).toLowerCase() === ".json" ? "json" : "csv",
+            baseDir: path.dirname(path.resolve(args.file)),
+            store,
+            fromBlock: typeof deployment.blockNumber === "number" ? deployment.blockNumber : 0,
+            batchSize: args.batchSize,
+            dryRun: args.dryRun,
+            priceMethod: args.priceMethod,
+        });
+
+        console.table(report.rows.map((row) => ({
+            row: row.where,
+            sku: row.sku,
+            status: row.status,
+            id: row.productId === null ? "-" : String(row.productId),
+            detail: row.errors.length > 0 ? row.errors.join("; ") : describeChanges(row.changes),
+        })));
+        const { created, updated, skipped, failed } = report.summary;
+        console.log(`${args.dryRun ? "Dry run: " : ""}${created} created, ${updated} updated, ${skipped} skipped, ${failed} failed`);
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+        writeReport(args.report || path.join("logs", `catalog-import-${network.name}-${stamp}.json`), {
+            network: network.name,
+            file: path.basename(args.file),
+            marketplace: marketplace.target,
+            generatedAt: new Date().toISOString(),
+            ...report,
+        });
+        if (failed > 0) {
+            process.exitCode = 1;
+        }
+        return report;
+    });
@@ -0,0 +1,67 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { formatUnits } = require("ethers");
+const { requireManifest } = require("../scripts/lib/manifest");
+const { buildFeeReport, dailyCsv } = require("../scripts/lib/fees");
+
+const tb = (amount) => `${formatUnits(amount, 18)} TB`;
+
+task("fees:report", "Attributes TBToken fee revenue to the treasury, liquidity and marketing wallets")
+    .addOptionalParam("fromBlock", "First block (default: TBToken deployment block)", undefined, types.int)
+    .addOptionalParam("toBlock", "Last block (default: latest)", undefined, types.int)
+    .addOptionalParam("out", "Output directory (default: logs/fees-<network>)")
+    .setAction(async (args, hre) => {
+        const { ethers, network } = hre;
+        const manifest = requireManifest(network.name);
+        const tbToken = await ethers.getContractAt("TBToken", manifest.contracts.TBToken);
+        const deployment = (manifest.deployments || {}).TBToken || {};
+        const deployBlock = typeof deployment.blockNumber === "number" ? deployment.blockNumber : 0;
+
+        const report = await buildFeeReport(tbToken, {
+            fromBlock: args.fromBlock === undefined ? deployBlock : args.fromBlock,
+            toBlock: args.toBlock,
+            historyFromBlock: deployBlock,
+        });
+
+        console.log(`Blocks ${report.fromBlock} → ${report.toBlock}`);
+        console.table(Object.entries(report.totals).map(([kind, totals]) => ({
+            kind,
+            trades: totals.trades,
+            exempt: totals.exempt,
+            volume: tb(totals.volume),
+            fees: tb(totals.fees),
+        })));
+        console.table(report.checks.map((check) => ({
+            wallet: check.address,
+            roles: check.roles.join("+"),
+            "fee income": tb(check.income),
+            "balance change": tb(check.balanceChange),
+            "other transfers": tb(check.otherFlow),
+            ok: check.ok ? "✅" : "❌",
+        })));
+        for (const trade of report.issues) {
+            console.error(`❌ ${trade.transactionHash}: ${trade.issues.join("; ")}`);
+        }
+        for (const transfer of report.unattributed) {
+            console.error(`❌ ${transfer.transactionHash}: ${tb(transfer.amount)} left the token contract outside a fee distribution`);
+        }
+
+        const outDir = args.out || path.join("logs", `fees-${network.name}`);
+        fs.mkdirSync(outDir, { recursive: true });
+        fs.writeFileSync(path.join(outDir, "daily.csv"), dailyCsv(report.daily));
+        fs.writeFileSync(path.join(outDir, "report.json"), JSON.stringify({
+            network: network.name,
+            token: tbToken.target,
+            generatedAt: new Date().toISOString(),
+            ...report,
+        }, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2) + "\n");
+        console.log(`📝 Daily totals and report written to ${outDir}`);
+
+        if (report.ok) {
+            console.log("✅ Fee flows match the wallet balances");
+        } else {
+            process.exitCode = 1;
+        }
+        return report;
+    });
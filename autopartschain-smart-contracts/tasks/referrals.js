@@ -0,0 +1,164 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { formatUnits } = require("ethers");
+const { requireManifest } = require("../scripts/lib/manifest");
+const {
+    INITIAL_COMMISSIONS,
+    parseCommissions,
+    estimatePurchases,
+    syntheticScenario,
+    simulatePayouts,
+    reconcile,
+    loadReferralHistory,
+    dailyRate,
+} = require("../scripts/lib/referrals");
+
+const tb = (amount) => `${formatUnits(amount, 18)} TB`;
+
+function writeReport(file, report) {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(report, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2) + "\n");
+    console.log(`📝 Report written to ${file}`);
+}
+
+async function connectReferralContracts(hre) {
+    const { ethers, network } = hre;
+    const manifest = requireManifest(network.name);
+    const deployment = (manifest.deployments || {}).ReferralProgram || {};
+    return {
+        fromBlock: typeof deployment.blockNumber === "number" ? deployment.blockNumber : 0,
+        referral: await ethers.getContractAt("ReferralProgram", manifest.contracts.ReferralProgram),
+        tbToken: await ethers.getContractAt("TBToken", manifest.contracts.TBToken),
+        loyalty: manifest.contracts.LoyaltyProgram
+            ? await ethers.getContractAt("LoyaltyProgram", manifest.contracts.LoyaltyProgram)
+            : null,
+    };
+}
+
+function printComparison(baseline, proposed) {
+    const rows = [];
+    const levels = Math.max(baseline.levels.length, proposed.levels.length);
+    for (let i = 0; i < levels; i++) {
+        const before = baseline.levels[i] || { bps: 0n, payouts: 0, amount: 0n };
+        const after = proposed.levels[i] || { bps: 0n, payouts: 0, amount: 0n };
+        rows.push({
+            level: i + 1,
+            "current bps": Number(before.bps),
+            "current payout": tb(before.amount),
+            "proposed bps": Number(after.bps),
+            "proposed payout": tb(after.amount),
+            "payouts (proposed)": after.payouts,
+        });
+    }
+    console.table(rows);
+    console.log(`Purchases:        ${proposed.purchases} (${proposed.referredPurchases} with a referrer)`);
+    console.log(`Total (current):  ${tb(baseline.total)}  (${baseline.effectiveBps} bps of volume)`);
+    console.log(`Total (proposed): ${tb(proposed.total)}  (${proposed.effectiveBps} bps of volume)`);
+}
+
+task("referrals:simulate", "Projects ReferralProgram payouts per level for proposed levelCommissions")
+    .addParam("commissions", "Proposed levelCommissions in bps, comma separated (e.g. 500,300,100,50)")
+    .addOptionalParam("baseline", "Commissions to compare against (default: the deployed levelCommissions)")
+    .addFlag("synthetic", "Use a random referral graph instead of on-chain history")
+    .addOptionalParam("users", "Synthetic: number of users", 200, types.int)
+    .addOptionalParam("purchases", "Synthetic: number of purchases", 1000, types.int)
+    .addOptionalParam("referredShare", "Synthetic: share of users that have a referrer", 0.7, types.float)
+    .addOptionalParam("minAmount", "Synthetic: smallest purchase amount passed to distributeReferralRewards", "1000")
+    .addOptionalParam("maxAmount", "Synthetic: largest purchase amount passed to distributeReferralRewards", "50000")
+    .addOptionalParam("seed", "Synthetic: random seed", 1, types.int)
+    .addOptionalParam("out", "Write the full report as JSON to this file")
+    .setAction(async (args, hre) => {
+        const proposal = parseCommissions(args.commissions);
+        let scenario;
+        let baselineCommissions = args.baseline ? parseCommissions(args.baseline) : null;
+        let funding = null;
+
+        if (args.synthetic) {
+            scenario = syntheticScenario({
+                users: args.users,
+                purchases: args.purchases,
+                referredShare: args.referredShare,
+                minAmount: BigInt(args.minAmount),
+                maxAmount: BigInt(args.maxAmount),
+                seed: args.seed,
+            });
+            baselineCommissions = baselineCommissions || INITIAL_COMMISSIONS;
+            console.log(`Synthetic graph: ${args.users} users, ${scenario.registrations.length} referral links, seed ${args.seed}`);
+        } else {
+            const { referral, tbToken, loyalty, fromBlock } = await connectReferralContracts(hre);
+            const history = await loadReferralHistory({ referral, tbToken, loyalty, fromBlock });
+            scenario = {
+                registrations: history.registrations,
+                purchases: estimatePurchases(history.rewards, history.commissionHistory),
+            };
+            baselineCommissions = baselineCommissions || history.currentCommissions;
+            funding = { balance: history.balance, timestamps: history.timestamps };
+            console.log(`History: blocks ${history.fromBlock}-${history.toBlock}, ${history.registrations.length} referral links, ` +
+                `${history.rewards.length} ReferralReward events`);
+            console.log("ℹ️  Purchases without a referrer emit no ReferralReward, so volume below only covers referred purchases");
+        }
+
+        const baseline = simulatePayouts({ ...scenario, commissions: baselineCommissions });
+        const proposed = simulatePayouts({ ...scenario, commissions: proposal });
+        printComparison(baseline, proposed);
+
+        const report = { mode: args.synthetic ? "synthetic" : "history", baseline, proposed };
+        if (funding) {
+            const projectedDailyPayout = dailyRate(proposed.total, funding.timestamps);
+            report.funding = { balance: funding.balance, projectedDailyPayout };
+            console.log(`ReferralProgram balance: ${tb(funding.balance)}`);
+            if (funding.balance < proposed.total) {
+                console.log(`⚠️  Balance would not have covered the proposed payouts over the same period (${tb(proposed.total)})`);
+            }
+        }
+        writeReport(args.out, report);
+        return report;
+    });
+
+task("referrals:reconcile", "Compares referral reward events with TB transfers, balances and LoyaltyProgram referrals")
+    .addOptionalParam("commissions", "Use these levelCommissions (bps, comma separated) for the runway projection")
+    .addOptionalParam("minRunwayDays", "Flag UNDERFUNDED when the balance covers fewer days of payouts", 30, types.int)
+    .addOptionalParam("fromBlock", "First block to scan (default: ReferralProgram deployment block)", undefined, types.int)
+    .addOptionalParam("out", "Write the full report as JSON to this file")
+    .setAction(async (args, hre) => {
+        const contracts = await connectReferralContracts(hre);
+        const fromBlock = args.fromBlock !== undefined ? args.fromBlock : contracts.fromBlock;
+        const history = await loadReferralHistory({ ...contracts, fromBlock });
+
+        const commissions = args.commissions ? parseCommissions(args.commissions) : history.currentCommissions;
+        const projection = simulatePayouts({
+            registrations: history.registrations,
+            purchases: estimatePurchases(history.rewards, history.commissionHistory),
+            commissions,
+        });
+
+        const result = reconcile({
+            ...history,
+            projectedDailyPayout: dailyRate(projection.total, history.timestamps),
+            minRunwayDays: args.minRunwayDays,
+        });
+
+        const { summary } = result;
+        console.log(`Blocks ${history.fromBlock}-${history.toBlock}, ${summary.rewards} ReferralReward events`);
+        console.log(`Paid (events):     ${tb(summary.paidByEvents)}`);
+        console.log(`Paid (transfers):  ${tb(summary.paidByTransfers)}`);
+        console.log(`Transfer fees:     ${tb(summary.feesTaken)}`);
+        console.log(`Balance:           ${tb(summary.balance)}`);
+        console.log(`Runway:            ${summary.runwayDays === null ? "n/a (no payouts yet)" : `${summary.runwayDays} days`}`);
+        console.log(`Referral links:    ReferralProgram ${summary.referralProgramLinks}, LoyaltyProgram ${summary.loyaltyProgramLinks}`);
+
+        for (const finding of result.findings) {
+            const icon = finding.severity === "error" ? "❌" : "⚠️ ";
+            console.log(`${icon} ${finding.code}: ${finding.message}`);
+        }
+        if (result.ok) {
+            console.log("✅ Referral payouts reconcile");
+        } else {
+            process.exitCode = 1;
+        }
+
+        writeReport(args.out, { commissions, ...result });
+        return result;
+    });
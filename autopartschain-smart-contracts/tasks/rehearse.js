@@ -0,0 +1,34 @@
+const { task, types } = require("hardhat/config");
+const { requireProfile } = require("../scripts/lib/networks");
+const { rehearse } = require("../scripts/lib/rehearse");
+
+task("rehearse", "Deploys the suite on a local fork of a network and runs the smoke test")
+    .addParam("fork", "Network to fork, by its profile in networks/<name>.json")
+    .addOptionalParam("block", "Fork block number (default: latest); a pinned block lets Hardhat cache the fork", undefined, types.int)
+    .addFlag("offline", "Do not fork; rehearse on a fresh local chain with the profile's settings and a mock aggregator")
+    .addFlag("mockAggregator", "Inject a MockV3Aggregator even when the profile's feed exists on the fork")
+    .addFlag("proxy", "Deploy the upgradeable contracts behind UUPS proxies")
+    .setAction(async (args, hre) => {
+        if (hre.network.name !== "hardhat") {
+            throw new Error(`rehearse runs on the in-process hardhat network, not ${hre.network.name}; drop --network`);
+        }
+
+        const result = await rehearse({
+            hre,
+            profile: requireProfile(args.fork),
+            blockNumber: args.block,
+            offline: args.offline,
+            forceMock: args.mockAggregator,
+            proxy: args.proxy,
+        });
+
+        console.log("");
+        console.table(result.results);
+        if (result.ok) {
+            console.log(`✅ ${args.fork} release rehearsal passed`);
+        } else {
+            console.error(`❌ ${result.results.filter((r) => r.status === "failed").length} smoke check(s) failed`);
+            process.exitCode = 1;
+        }
+        return result;
+    });
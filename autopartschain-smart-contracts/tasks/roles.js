@@ -0,0 +1,65 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { requireManifest } = require("../scripts/lib/manifest");
+const { loadExpectedPermissions, auditRoles, renderMarkdown } = require("../scripts/lib/roles");
+
+const PERMISSIONS_DIR = path.join(__dirname, "..", "permissions");
+
+// permissions/<network>.json when present, permissions/default.json otherwise
+function defaultExpectedFile(networkName) {
+    const networkFile = path.join(PERMISSIONS_DIR, `${networkName}.json`);
+    return fs.existsSync(networkFile) ? networkFile : path.join(PERMISSIONS_DIR, "default.json");
+}
+
+function writeFile(file, content) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, content);
+    console.log(`📝 Report written to ${file}`);
+}
+
+task("roles:audit", "Rebuilds AccessControl membership from events and compares it with the expected permissions")
+    .addOptionalParam("expected", "Expected permissions file (default: permissions/<network>.json or permissions/default.json)")
+    .addOptionalParam("fromBlock", "First block to scan for every contract (default: each contract's deployment block)", undefined, types.int)
+    .addOptionalParam("markdown", "Write the Markdown report to this file")
+    .addOptionalParam("json", "Write the JSON report to this file")
+    .setAction(async (args, hre) => {
+        const { ethers, network } = hre;
+        const manifest = requireManifest(network.name);
+        const expectedFile = args.expected || defaultExpectedFile(network.name);
+        const expected = loadExpectedPermissions(expectedFile);
+        const deployments = manifest.deployments || {};
+
+        const contracts = [];
+        for (const [name, address] of Object.entries(manifest.contracts)) {
+            const contract = await ethers.getContractAt(name, address);
+            if (!contract.interface.getEvent("RoleGranted")) {
+                console.log(`⏭️  ${name} does not use AccessControl, skipping`);
+                continue;
+            }
+            const deployedAt = (deployments[name] || {}).blockNumber;
+            contracts.push({
+                name,
+                contract,
+                fromBlock: args.fromBlock !== undefined ? args.fromBlock : (typeof deployedAt === "number" ? deployedAt : 0),
+            });
+        }
+
+        const toBlock = await ethers.provider.getBlockNumber();
+        const result = await auditRoles({ contracts, expected, manifest, toBlock });
+        const report = { network: network.name, chainId: manifest.chainId, expectedFile, toBlock, ...result };
+
+        const markdown = renderMarkdown(report);
+        console.log(markdown);
+
+        if (args.markdown) {
+            writeFile(args.markdown, markdown + "\n");
+        }
+        if (args.json) {
+            writeFile(args.json, JSON.stringify(report, null, 2) + "\n");
+        }
+        if (!result.ok) {
+            process.exitCode = 1;
+        }
+        return report;
+    });
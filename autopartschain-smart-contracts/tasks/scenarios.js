@@ -0,0 +1,56 @@
+const path = require("path");
+const { task } = require("hardhat/config");
+const { loadScenario, loadScenarios, loadOrderStatuses, runScenario } = require("../scripts/lib/scenarios");
+
+const DEFAULT_DIR = path.join(__dirname, "..", "scenarios", "marketplace");
+
+task("marketplace:simulate", "Runs the marketplace order lifecycle scenarios against a fresh suite")
+    .addOptionalParam("scenario", "A single scenario file (default: every file in scenarios/marketplace)")
+    .addFlag("verbose", "Print the final state of every scenario")
+    .setAction(async (args, hre) => {
+        if (hre.network.name !== "hardhat") {
+            throw new Error(`marketplace:simulate runs on the in-process hardhat network, not ${hre.network.name}; drop --network`);
+        }
+        // deploy.js loads the hardhat runtime, so it cannot be required while the config loads
+        const { deploySuite } = require("../scripts/deploy");
+        const { ethers } = hre;
+
+        await hre.run("compile", { quiet: true });
+
+        const scenarios = args.scenario ? [loadScenario(path.resolve(args.scenario))] : loadScenarios(DEFAULT_DIR);
+        const statuses = await loadOrderStatuses(hre.artifacts);
+        const [owner, ...signers] = await ethers.getSigners();
+        const manifest = await deploySuite({ networkName: "simulate", persist: false, log: () => {} });
+        const at = (name) => ethers.getContractAt(name, manifest.contracts[name], owner);
+        const suite = {
+            owner,
+            tbToken: await at("TBToken"),
+            priceOracle: await at("PriceOracle"),
+            loyaltyProgram: await at("LoyaltyProgram"),
+            marketplace: await at("AutoPartsMarketplaceV2"),
+        };
+
+        const results = [];
+        for (const scenario of scenarios) {
+            // Every scenario starts from the freshly deployed suite
+            const snapshot = await ethers.provider.send("evm_snapshot", []);
+            const result = await runScenario(scenario, { ethers, suite, signers, statuses });
+            await ethers.provider.send("evm_revert", [snapshot]);
+
+            results.push(result);
+            console.log(`${result.ok ? "✅" : "❌"} ${scenario.name} (${path.basename(scenario.file)})`);
+            for (const failure of result.failures) {
+                console.error(`   - ${failure}`);
+            }
+            if (args.verbose) {
+                console.log(JSON.stringify(result.state, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+            }
+        }
+
+        const failed = results.filter((result) => !result.ok).length;
+        console.log(`\n${results.length - failed}/${results.length} scenario(s) passed`);
+        if (failed > 0) {
+            process.exitCode = 1;
+        }
+        return results;
+    });
@@ -0,0 +1,40 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { requireManifest, saveManifest } = require("../scripts/lib/manifest");
+const { upgradeContract } = require("../scripts/lib/upgrades");
+
+task("upgrade", "Upgrades a proxied contract after checking storage layout compatibility")
+    .addParam("contract", "Contract name in the manifest (e.g. LoyaltyProgram)")
+    .addOptionalParam("implementation", "New implementation contract (default: the contract the proxy was deployed with)")
+    .addFlag("dryRun", "Only run the storage layout check")
+    .addOptionalParam("safe", "Deploy the implementation and propose upgradeToAndCall to this Safe (default: ADMIN_SAFE)")
+    .addOptionalParam("safeNonce", "Safe nonce for the proposal (default: the Safe's current nonce)", undefined, types.int)
+    .addOptionalParam("proposal", "Proposal file (default: proposals/<network>-<timestamp>-upgrade-<contract>.json)")
+    .setAction(async (args, hre) => {
+        const { ethers, upgrades, network } = hre;
+        const manifest = requireManifest(network.name);
+
+        const safeAddress = args.safe || process.env.ADMIN_SAFE;
+        const safe = safeAddress ? {
+            address: safeAddress,
+            file: args.proposal || path.join(process.cwd(), "proposals", `${network.name}-${Date.now()}-upgrade-${args.contract}.json`),
+            nonce: args.safeNonce,
+        } : null;
+
+        const result = await upgradeContract({
+            ethers,
+            upgrades,
+            manifest,
+            name: args.contract,
+            implementation: args.implementation,
+            dryRun: args.dryRun,
+            safe,
+            confirmations: Number(process.env.DEPLOY_CONFIRMATIONS || 1),
+        });
+
+        if (!args.dryRun) {
+            const file = saveManifest(network.name, manifest);
+            console.log(`📝 Manifest updated: ${file}`);
+        }
+        return result;
+    });
@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { parseEntries, buildTree, verifyProof } = require("../scripts/lib/merkle");
+
+describe("AirdropManager", function () {
+    let tbToken, airdropManager;
+    let owner, recipients, outsider;
+    let tree;
+
+    beforeEach(async function () {
+        let addrs;
+        [owner, outsider, ...addrs] = await ethers.getSigners();
+        recipients = addrs.slice(0, 5); // odd count exercises the carried-up node
+
+        tbToken = await ethers.deployContract("TBToken", [owner.address, owner.address, owner.address]);
+        airdropManager = await ethers.deployContract("AirdropManager", [await tbToken.getAddress()]);
+        await tbToken.enableTrading();
+
+        const csv = ["address,amount"]
+            .concat(recipients.map((r, i) => `${r.address},${(i + 1) * 100}`))
+            .join("\n");
+        tree = buildTree(parseEntries(csv, { decimals: 18 }));
+
+        const now = await time.latest();
+        await tbToken.approve(await airdropManager.getAddress(), tree.totalAmount);
+        await airdropManager.createCampaign("Launch", tree.root, tree.totalAmount, now, now + 86400);
+    });
+
+    describe("Merkle tree", function () {
+        it("Should total the amounts for createCampaign", async function () {
+            expect(tree.totalAmount).to.equal(ethers.parseUnits("1500", 18));
+
+            const campaign = await airdropManager.campaigns(1);
+            expect(campaign.merkleRoot).to.equal(tree.root);
+            expect(campaign.totalAmount).to.equal(tree.totalAmount);
+        });
+
+        it("Should produce proofs that verify off-chain", async function () {
+            for (const [address, claim] of Object.entries(tree.claims)) {
+                expect(verifyProof(claim.proof, tree.root, claim.leaf), address).to.be.true;
+            }
+        });
+
+        it("Should reject duplicate and invalid addresses", async function () {
+            const a = recipients[0].address;
+            expect(() => parseEntries(`${a},1\n${a.toLowerCase()},2`)).to.throw("duplicate address");
+            expect(() => parseEntries("0x1234,1")).to.throw("invalid address");
+            expect(() => parseEntries(`${a},0`)).to.throw("amount must be positive");
+        });
+    });
+
+    describe("Claims", function () {
+        it("Should let every recipient claim with their proof", async function () {
+            for (const recipient of recipients) {
+                const claim = tree.claims[recipient.address];
+
+                await expect(airdropManager.connect(recipient).claimAirdrop(1, claim.amount, claim.proof))
+                    .to.emit(airdropManager, "AirdropClaimed")
+                    .withArgs(1, recipient.address, claim.amount);
+
+                expect(await airdropManager.hasClaimed(1, recipient.address)).to.be.true;
+            }
+
+            const campaign = await airdropManager.campaigns(1);
+            expect(campaign.claimedAmount).to.equal(tree.totalAmount);
+        });
+
+        it("Should reject a proof used by another address", async function () {
+            const claim = tree.claims[recipients[0].address];
+
+            await expect(
+                airdropManager.connect(outsider).claimAirdrop(1, claim.amount, claim.proof)
+            ).to.be.revertedWith("Invalid proof");
+        });
+
+        it("Should reject a claim for a different amount", async function () {
+            const claim = tree.claims[recipients[0].address];
+
+            await expect(
+                airdropManager.connect(recipients[0]).claimAirdrop(1, BigInt(claim.amount) + 1n, claim.proof)
+            ).to.be.revertedWith("Invalid proof");
+        });
+
+        const CLAIM_TYPES = {
+            ClaimAirdrop: [
+                { name: "campaignId", type: "uint256" },
+                { name: "account", type: "address" },
+                { name: "amount", type: "uint256" },
+                { name: "deadline", type: "uint256" },
+            ],
+        };
+
+        // `signer` signs the relayed claim of `account`'s leaf
+        async function signClaim(signer, account, { amount, deadline }) {
+            const { chainId } = await ethers.provider.getNetwork();
+            const domain = { name: "AirdropManager", version: "1", chainId, verifyingContract: await airdropManager.getAddress() };
+            return signer.signTypedData(domain, CLAIM_TYPES, { campaignId: 1, account, amount, deadline });
+        }
+
+        it("Should let anyone relay a claim the recipient signed and pay the recipient", async function () {
+            const recipient = recipients[1];
+            const claim = tree.claims[recipient.address];
+            const deadline = (await time.latest()) + 600;
+            const signature = await signClaim(recipient, recipient.address, { amount: claim.amount, deadline });
+
+            await expect(
+                airdropManager.connect(outsider).claimAirdropFor(1, recipient.address, claim.amount, claim.proof, deadline, signature)
+            )
+                .to.emit(airdropManager, "AirdropClaimed")
+                .withArgs(1, recipient.address, claim.amount);
+
+            expect(await airdropManager.hasClaimed(1, recipient.address)).to.be.true;
+            const fee = await tbToken.calculateFee(await airdropManager.getAddress(), recipient.address, claim.amount);
+            expect(await tbToken.balanceOf(recipient.address)).to.equal(BigInt(claim.amount) - fee);
+            expect(await tbToken.balanceOf(outsider.address)).to.equal(0);
+            await expect(airdropManager.connect(recipient).claimAirdrop(1, claim.amount, claim.proof))
+                .to.be.revertedWith("Already claimed");
+        });
+
+        it("Should reject a relayed claim the recipient did not sign", async function () {
+            const recipient = recipients[1];
+            const claim = tree.claims[recipient.address];
+            const deadline = (await time.latest()) + 600;
+            const forged = await signClaim(outsider, recipient.address, { amount: claim.amount, deadline });
+            const signed = await signClaim(recipient, recipient.address, { amount: claim.amount, deadline });
+
+            await expect(
+                airdropManager.connect(outsider).claimAirdropFor(1, recipient.address, claim.amount, claim.proof, deadline, forged)
+            ).to.be.revertedWith("Invalid claim signature");
+            await expect(
+                airdropManager.connect(outsider).claimAirdropFor(1, recipient.address, claim.amount, claim.proof, deadline + 1, signed)
+            ).to.be.revertedWith("Invalid claim signature");
+            expect(await airdropManager.hasClaimed(1, recipient.address)).to.be.false;
+        });
+
+        it("Should reject an expired claim signature", async function () {
+            const recipient = recipients[1];
+            const claim = tree.claims[recipient.address];
+            const deadline = (await time.latest()) + 60;
+            const signature = await signClaim(recipient, recipient.address, { amount: claim.amount, deadline });
+            await time.increase(120);
+
+            await expect(
+                airdropManager.connect(outsider).claimAirdropFor(1, recipient.address, claim.amount, claim.proof, deadline, signature)
+            ).to.be.revertedWith("Claim signature expired");
+        });
+
+        it("Should reject a relayed claim for an account the proof is not for", async function () {
+            const claim = tree.claims[recipients[0].address];
+            const deadline = (await time.latest()) + 600;
+            const signature = await signClaim(outsider, outsider.address, { amount: claim.amount, deadline });
+
+            await expect(
+                airdropManager.connect(outsider).claimAirdropFor(1, outsider.address, claim.amount, claim.proof, deadline, signature)
+            ).to.be.revertedWith("Invalid proof");
+        });
+    });
+});
@@ -1,57 +1,32 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { artifacts } = require("hardhat");
+const {
+    loadSuite,
+    listProduct,
+    fundBuyer,
+    createOrder,
+    createDiscount,
+    anyValue,
+    anyUint,
+} = require("./helpers/fixtures");
+const { loadOrderStatuses } = require("../scripts/lib/scenarios");
 
 describe("AutoPartsMarketplaceV2", function () {
-    let TBToken, PriceOracle, LoyaltyProgram, AutoPartsMarketplaceV2;
-    let tbToken, priceOracle, loyaltyProgram, marketplace;
-    let owner, addr1, addr2, addrs;
+    let suite;
+    let marketplace;
+    let addr1;
+    let statuses;
+
+    before(async function () {
+        statuses = await loadOrderStatuses(artifacts);
+    });
 
     beforeEach(async function () {
-        [owner, addr1, addr2, ...addrs] = await ethers.getSigners();
-
-        // Desplegar TBToken
-        TBToken = await ethers.getContractFactory("TBToken");
-        tbToken = await TBToken.deploy(
-            owner.address,
-            owner.address,
-            owner.address
-        );
-        await tbToken.deployed();
-
-        // Desplegar PriceOracle
-        PriceOracle = await ethers.getContractFactory("PriceOracle");
-        priceOracle = await PriceOracle.deploy(ethers.constants.AddressZero); // Sin Chainlink para pruebas
-        await priceOracle.deployed();
-
-        // Desplegar LoyaltyProgram
-        LoyaltyProgram = await ethers.getContractFactory("LoyaltyProgram");
-        loyaltyProgram = await LoyaltyProgram.deploy(tbToken.address);
-        await loyaltyProgram.deployed();
-
-        // Desplegar Marketplace
-        AutoPartsMarketplaceV2 = await ethers.getContractFactory("AutoPartsMarketplaceV2");
-        marketplace = await AutoPartsMarketplaceV2.deploy(
-            tbToken.address,
-            priceOracle.address,
-            loyaltyProgram.address,
-            owner.address
-        );
-        await marketplace.deployed();
-
-        // Configurar roles
-        await tbToken.grantRole(await tbToken.MINTER_ROLE(), marketplace.address);
-        await tbToken.grantRole(await tbToken.MINTER_ROLE(), loyaltyProgram.address);
-        await loyaltyProgram.grantRole(await loyaltyProgram.MARKETPLACE_ROLE(), marketplace.address);
-
-        // Configurar precio
-        await priceOracle.updatePriceManually(100); // 1 TB = 0.000001 USD
-
-        // Habilitar trading en TBToken
-        await tbToken.enableTrading();
+        suite = await loadSuite();
+        ({ marketplace, buyer: addr1 } = suite);
 
         // Dar tokens a addr1 para pruebas
-        await tbToken.transfer(addr1.address, ethers.utils.parseUnits("1000000", 18));
-        await tbToken.connect(addr1).approve(marketplace.address, ethers.constants.MaxUint256);
+        await fundBuyer(suite, addr1);
     });
 
     describe("Product Management", function () {
@@ -88,68 +63,34 @@ describe("AutoPartsMarketplaceV2", function () {
         });
 
         it("Should update product stock", async function () {
-            await marketplace.listProduct(
-                "TEST-001",
-                "Test Product",
-                "Test Description",
-                "Test Category",
-                "Test Brand",
-                "Test Vehicle",
-                "123456",
-                ["ipfs://test1"],
-                1000,
-                500,
-                100,
-                1,
-                10,
-                1000,
-                [],
-                false,
-                ""
-            );
+            const productId = await listProduct(suite);
 
-            await marketplace.updateStock(1, 150, "Restocked");
+            await marketplace.updateStock(productId, 150, "Restocked");
 
-            const product = await marketplace.products(1);
+            const product = await marketplace.products(productId);
             expect(product.stock).to.equal(150);
         });
     });
 
     describe("Cart Management", function () {
+        let productId;
+
         beforeEach(async function () {
-            await marketplace.listProduct(
-                "TEST-001",
-                "Test Product",
-                "Test Description",
-                "Test Category",
-                "Test Brand",
-                "Test Vehicle",
-                "123456",
-                ["ipfs://test1"],
-                1000,
-                500,
-                100,
-                1,
-                10,
-                1000,
-                [],
-                false,
-                ""
-            );
+            productId = await listProduct(suite);
         });
 
         it("Should add product to cart", async function () {
-            await marketplace.connect(addr1).addToCart(1, 2);
+            await marketplace.connect(addr1).addToCart(productId, 2);
 
             const cart = await marketplace.userCarts(addr1.address);
             expect(cart.productIds.length).to.equal(1);
-            expect(cart.productIds[0]).to.equal(1);
+            expect(cart.productIds[0]).to.equal(productId);
             expect(cart.quantities[0]).to.equal(2);
         });
 
         it("Should remove product from cart", async function () {
-            await marketplace.connect(addr1).addToCart(1, 2);
-            await marketplace.connect(addr1).removeFromCart(1);
+            await marketplace.connect(addr1).addToCart(productId, 2);
+            await marketplace.connect(addr1).removeFromCart(productId);
 
             const cart = await marketplace.userCarts(addr1.address);
             expect(cart.productIds.length).to.equal(0);
@@ -157,137 +98,75 @@ describe("AutoPartsMarketplaceV2", function () {
     });
 
     describe("Order Management", function () {
-        beforeEach(async function () {
-            await marketplace.listProduct(
-                "TEST-001",
-                "Test Product",
-                "Test Description",
-                "Test Category",
-                "Test Brand",
-                "Test Vehicle",
-                "123456",
-                ["ipfs://test1"],
-                1000, // $10.00
-                500,
-                100,
-                1,
-                10,
-                1000,
-                [],
-                false,
-                ""
-            );
+        let productId;
 
-            await marketplace.connect(addr1).addToCart(1, 2);
+        beforeEach(async function () {
+            productId = await listProduct(suite); // $10.00
         });
 
         it("Should create order from cart", async function () {
-            const tx = await marketplace.connect(addr1).createOrderFromCart(
-                "123 Test St",
-                "Standard",
-                "Test notes",
-                "",
-                false,
-                ethers.constants.AddressZero,
-                ""
-            );
+            const { orderId, tx } = await createOrder(suite, addr1, [{ productId, quantity: 2 }]);
 
             await expect(tx)
                 .to.emit(marketplace, "OrderCreated")
-                .withArgs(1, addr1.address, 2000, anyValue); // $20.00 = 2000 cents
+                .withArgs(orderId, addr1.address, 2000, anyValue); // $20.00 = 2000 cents
 
-            const order = await marketplace.orders(1);
+            const order = await marketplace.orders(orderId);
             expect(order.customer).to.equal(addr1.address);
             expect(order.totalUSD).to.equal(2000);
-            expect(order.status).to.equal(0); // CART status
+            expect(statuses[order.status]).to.equal("CART");
         });
 
         it("Should pay for order", async function () {
-            // Create order
-            await marketplace.connect(addr1).createOrderFromCart(
-                "123 Test St",
-                "Standard",
-                "Test notes",
-                "",
-                false,
-                ethers.constants.AddressZero,
-                ""
-            );
+            const { orderId } = await createOrder(suite, addr1, [{ productId, quantity: 2 }]);
 
-            // Pay order
-            const tx = await marketplace.connect(addr1).payOrder(1);
+            const tx = await marketplace.connect(addr1).payOrder(orderId);
 
             await expect(tx)
                 .to.emit(marketplace, "OrderPaid")
-                .withArgs(1, addr1.address, anyValue);
+                .withArgs(orderId, addr1.address, anyUint);
 
-            const order = await marketplace.orders(1);
-            expect(order.status).to.equal(2); // PAID status
+            const order = await marketplace.orders(orderId);
+            expect(statuses[order.status]).to.equal("PAID");
 
-            const product = await marketplace.products(1);
+            const product = await marketplace.products(productId);
             expect(product.stock).to.equal(98); // 100 - 2
         });
+
+        it("Should fail withArgs when a matcher does not fit the argument", async function () {
+            const { tx } = await createOrder(suite, addr1, [{ productId, quantity: 2 }]);
+
+            // The customer argument is an address, so anyUint must not accept it
+            let error;
+            try {
+                await expect(tx).to.emit(marketplace, "OrderCreated").withArgs(anyValue, anyUint, 2000, anyValue);
+            } catch (e) {
+                error = e;
+            }
+            expect(error, "withArgs accepted an address as a uint").to.exist;
+        });
     });
 
     describe("Discount Management", function () {
         it("Should create and apply discount", async function () {
-            // Create product
-            await marketplace.listProduct(
-                "TEST-001",
-                "Test Product",
-                "Test Description",
-                "Test Category",
-                "Test Brand",
-                "Test Vehicle",
-                "123456",
-                ["ipfs://test1"],
-                1000,
-                500,
-                100,
-                1,
-                10,
-                1000,
-                [],
-                false,
-                ""
-            );
-
-            // Create discount
-            await marketplace.createDiscount(
-                "TEST10",
-                1000, // 10%
-                500,  // Max $5 discount
-                1000, // Min $10 purchase
-                100,  // Usage limit
-                Math.floor(Date.now() / 1000) - 3600,
-                Math.floor(Date.now() / 1000) + 3600
-            );
+            const productId = await listProduct(suite);
 
-            // Add to cart
-            await marketplace.connect(addr1).addToCart(1, 2); // $20 total
+            await createDiscount(suite, {
+                code: "TEST10",
+                percentBps: 1000, // 10%
+                maxDiscountUSD: 500, // Max $5 discount
+                minPurchaseUSD: 1000, // Min $10 purchase
+            });
 
-            // Create order with discount
-            const tx = await marketplace.connect(addr1).createOrderFromCart(
-                "123 Test St",
-                "Standard",
-                "Test notes",
-                "TEST10",
-                false,
-                ethers.constants.AddressZero,
-                ""
-            );
+            // $20 total with the discount code
+            const { orderId, tx } = await createOrder(suite, addr1, [{ productId, quantity: 2 }], { discountCode: "TEST10" });
 
             await expect(tx)
                 .to.emit(marketplace, "DiscountApplied")
-                .withArgs(1, "TEST10", 200); // 10% of $20 = $2 = 200 cents
+                .withArgs(orderId, "TEST10", 200); // 10% of $20 = $2 = 200 cents
 
-            const order = await marketplace.orders(1);
+            const order = await marketplace.orders(orderId);
             expect(order.totalUSD).to.equal(1800); // $20 - $2 = $18
         });
     });
 });
-
-// Helper para cualquier valor
-function anyValue() {
-    return true;
-}
@@ -0,0 +1,32 @@
+const { expect } = require("chai");
+const path = require("path");
+const { ethers, artifacts } = require("hardhat");
+const { loadSuite } = require("./helpers/fixtures");
+const { loadScenarios, loadOrderStatuses, runScenario } = require("../scripts/lib/scenarios");
+
+// Every file in scenarios/marketplace becomes a test; a regression only needs a new file
+const SCENARIO_DIR = path.join(__dirname, "..", "scenarios", "marketplace");
+
+describe("marketplace scenarios", function () {
+    let statuses;
+
+    before(async function () {
+        statuses = await loadOrderStatuses(artifacts);
+    });
+
+    it("Should read the order statuses the contract declares", function () {
+        expect(statuses[0]).to.equal("CART");
+        expect(statuses[2]).to.equal("PAID");
+    });
+
+    for (const scenario of loadScenarios(SCENARIO_DIR)) {
+        it(`Should run scenario: ${scenario.name}`, async function () {
+            const suite = await loadSuite();
+            const signers = [suite.buyer, suite.other, ...suite.accounts];
+
+            const result = await runScenario(scenario, { ethers, suite, signers, statuses });
+
+            expect(result.failures).to.deep.equal([]);
+        });
+    }
+});
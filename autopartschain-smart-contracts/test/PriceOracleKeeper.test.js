@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createKeeper } = require("../scripts/lib/keeper");
+
+describe("PriceOracle keeper", function () {
+    let priceOracle, feedA, feedB, feedC;
+    let owner, keeperAccount;
+    let logFile;
+
+    const policy = { deviationBps: 100, heartbeat: 3600, maxSourceAge: 86400, replaceAfter: 5 };
+
+    function readLog() {
+        return fs.readFileSync(logFile, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    }
+
+    beforeEach(async function () {
+        [owner, keeperAccount] = await ethers.getSigners();
+
+        feedA = await ethers.deployContract("MockV3Aggregator", [8, 110]);
+        feedB = await ethers.deployContract("MockV3Aggregator", [8, 120]);
+        feedC = await ethers.deployContract("MockV3Aggregator", [8, 130]);
+
+        priceOracle = await ethers.deployContract("PriceOracle", [await feedA.getAddress()]);
+        await priceOracle.addPriceSource(await feedB.getAddress(), "Feed B");
+        await priceOracle.addPriceSource(await feedC.getAddress(), "Feed C");
+
+        logFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "keeper-")), "keeper.jsonl");
+    });
+
+    it("Should push the median when it deviates past the threshold", async function () {
+        const keeper = createKeeper({ oracle: priceOracle, signer: owner, config: { ...policy, logFile } });
+
+        const result = await keeper.tick();
+
+        expect(result.action).to.equal("update");
+        expect(result.reason).to.equal("deviation");
+        expect(await priceOracle.currentPrice()).to.equal(120);
+    });
+
+    it("Should skip small moves until the heartbeat expires", async function () {
+        const keeper = createKeeper({ oracle: priceOracle, signer: owner, config: { ...policy, logFile } });
+        await keeper.tick();
+
+        // 120 -> 121 is below the 1% threshold
+        await feedB.updateAnswer(121);
+        await feedC.updateAnswer(131);
+        expect((await keeper.tick()).reason).to.equal("within-threshold");
+        expect(await priceOracle.currentPrice()).to.equal(120);
+
+        await time.increase(3600);
+        await feedA.updateAnswer(110);
+        await feedB.updateAnswer(121);
+        await feedC.updateAnswer(131);
+
+        const result = await keeper.tick();
+        expect(result.reason).to.equal("heartbeat");
+        expect(await priceOracle.currentPrice()).to.equal(121);
+    });
+
+    it("Should ignore non-positive and stale sources", async function () {
+        const keeper = createKeeper({ oracle: priceOracle, signer: owner, config: { ...policy, logFile } });
+
+        await feedC.updateAnswer(-5);
+        const staleAt = (await time.latest()) - 2 * 86400;
+        await feedA.updateRoundData(2, 1, staleAt);
+
+        const result = await keeper.tick();
+
+        expect(result.medianPrice).to.equal(120n);
+        const entry = readLog().find((line) => line.event === "decision");
+        expect(entry.sources.filter((s) => !s.valid).map((s) => s.reason))
+            .to.have.members(["stale answer", "non-positive answer"]);
+    });
+
+    it("Should not send transactions in dry-run mode", async function () {
+        const keeper = createKeeper({ oracle: priceOracle, signer: owner, config: { ...policy, logFile, dryRun: true } });
+
+        const result = await keeper.tick();
+
+        expect(result.action).to.equal("dry-run");
+        expect(await priceOracle.currentPrice()).to.equal(100);
+        expect(readLog()[0]).to.include({ action: "dry-run", reason: "deviation", medianPrice: "120" });
+    });
+
+    it("Should use updatePriceFromSource without PRICE_UPDATER_ROLE", async function () {
+        const keeper = createKeeper({ oracle: priceOracle, signer: keeperAccount, config: { ...policy, logFile } });
+
+        const result = await keeper.tick();
+
+        expect(result.method).to.equal("updatePriceFromSource");
+        expect(result.args).to.deep.equal([1]);
+        expect(await priceOracle.currentPrice()).to.equal(120);
+    });
+
+    it("Should write one JSON line per decision", async function () {
+        const keeper = createKeeper({ oracle: priceOracle, signer: owner, config: { ...policy, logFile } });
+
+        await keeper.tick();
+        await keeper.tick();
+
+        const decisions = readLog().filter((entry) => entry.event === "decision");
+        expect(decisions.map((entry) => entry.action)).to.deep.equal(["update", "skip"]);
+        expect(decisions[0].txHash).to.match(/^0x[0-9a-f]{64}$/);
+    });
+});
@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    estimatePurchases,
+    loadReferralHistory,
+    parseCommissions,
+    reconcile,
+    simulatePayouts,
+    syntheticScenario,
+    dailyRate,
+} = require("../scripts/lib/referrals");
+
+describe("Referral simulator and reconciliation", function () {
+    let tbToken, referralProgram, loyaltyProgram;
+    let owner, alice, bob, carol, dave;
+
+    const TB = (value) => ethers.parseUnits(value, 18);
+
+    async function history() {
+        return loadReferralHistory({ referral: referralProgram, tbToken, loyalty: loyaltyProgram });
+    }
+
+    beforeEach(async function () {
+        [owner, alice, bob, carol, dave] = await ethers.getSigners();
+
+        tbToken = await ethers.deployContract("TBToken", [owner.address, owner.address, owner.address]);
+        referralProgram = await ethers.deployContract("ReferralProgram", [await tbToken.getAddress()]);
+        loyaltyProgram = await ethers.deployContract("LoyaltyProgram", [await tbToken.getAddress()]);
+        await tbToken.enableTrading();
+        await tbToken.transfer(await referralProgram.getAddress(), TB("1000"));
+
+        // alice <- bob <- carol <- dave
+        await referralProgram.registerReferral(bob.address, alice.address);
+        await referralProgram.registerReferral(carol.address, bob.address);
+        await referralProgram.registerReferral(dave.address, carol.address);
+
+        await referralProgram.distributeReferralRewards(dave.address, TB("100"));
+        await referralProgram.distributeReferralRewards(carol.address, TB("200"));
+    });
+
+    it("Should reproduce actual payouts from history with the current commissions", async function () {
+        const data = await history();
+        const purchases = estimatePurchases(data.rewards, data.commissionHistory);
+
+        expect(purchases.map((p) => p.amount)).to.deep.equal([TB("100"), TB("200")]);
+
+        const result = simulatePayouts({ registrations: data.registrations, purchases, commissions: data.currentCommissions });
+        // 5% + 3% + 1% of 100, then 5% + 3% of 200 (alice has no upline)
+        expect(result.total).to.equal(TB("25"));
+        expect(result.levels.map((level) => level.amount)).to.deep.equal([TB("15"), TB("9"), TB("1")]);
+    });
+
+    it("Should project proposed commissions per level", async function () {
+        const data = await history();
+        const purchases = estimatePurchases(data.rewards, data.commissionHistory);
+
+        const result = simulatePayouts({
+            registrations: data.registrations,
+            purchases,
+            commissions: parseCommissions("1000,0,0,50"),
+        });
+
+        expect(result.total).to.equal(TB("30"));
+        expect(result.levels[0].payouts).to.equal(2);
+        expect(result.levels[1].payouts).to.equal(0);
+        expect(result.effectiveBps).to.equal(1000n);
+    });
+
+    it("Should account for CommissionsUpdated when estimating purchases", async function () {
+        await referralProgram.updateLevelCommissions([1000, 500]);
+        await referralProgram.distributeReferralRewards(dave.address, TB("50"));
+
+        const data = await history();
+        const purchases = estimatePurchases(data.rewards, data.commissionHistory);
+
+        expect(purchases.map((p) => p.amount)).to.deep.equal([TB("100"), TB("200"), TB("50")]);
+        expect(data.currentCommissions).to.deep.equal([1000n, 500n]);
+    });
+
+    it("Should reject commissions the contract would refuse", function () {
+        expect(() => parseCommissions("500,1001")).to.throw("cannot exceed 1000 bps");
+        expect(() => parseCommissions("1,1,1,1,1,1")).to.throw("At most 5");
+        expect(() => parseCommissions("5%")).to.throw("integer in basis points");
+    });
+
+    it("Should generate reproducible synthetic scenarios", function () {
+        const first = syntheticScenario({ users: 50, purchases: 200, seed: 7 });
+        const second = syntheticScenario({ users: 50, purchases: 200, seed: 7 });
+        expect(first).to.deep.equal(second);
+
+        const low = simulatePayouts({ ...first, commissions: [500n, 300n, 100n] });
+        const high = simulatePayouts({ ...first, commissions: [1000n, 600n, 200n] });
+        expect(high.total).to.be.greaterThan(low.total);
+        expect(low.volume).to.equal(high.volume);
+    });
+
+    it("Should reconcile events with transfers and flag the transfer fee", async function () {
+        const data = await history();
+        const result = reconcile({ ...data, loyaltyRegistrations: data.registrations });
+
+        expect(result.ok).to.equal(true);
+        expect(result.summary.paidByEvents).to.equal(TB("25"));
+        expect(result.summary.paidByTransfers).to.equal(TB("25"));
+        // TBToken charges its 1% transfer fee to each referrer
+        expect(result.summary.feesTaken).to.equal(TB("0.25"));
+        expect(result.findings.map((f) => f.code)).to.deep.equal(["TRANSFER_FEE"]);
+    });
+
+    it("Should flag a balance that cannot cover the projected payouts", async function () {
+        const data = await history();
+        // 25 TB paid within one day against 975 TB left: 39 days of runway
+        const projectedDailyPayout = dailyRate(TB("25"), data.timestamps);
+
+        const result = reconcile({ ...data, loyaltyRegistrations: data.registrations, projectedDailyPayout, minRunwayDays: 60 });
+
+        expect(result.ok).to.equal(false);
+        expect(result.summary.runwayDays).to.equal(39);
+        expect(result.findings.find((f) => f.code === "UNDERFUNDED")).to.include({ severity: "error" });
+    });
+
+    it("Should detect mismatches with LoyaltyProgram referrals", async function () {
+        await loyaltyProgram.recordPurchase(dave.address, 1000, bob.address);
+
+        const result = reconcile(await history());
+
+        const mismatches = result.findings.filter((f) => f.code === "REFERRER_MISMATCH");
+        expect(mismatches.find((f) => f.customer === dave.address)).to.include({
+            referralProgram: carol.address,
+            loyaltyProgram: bob.address,
+        });
+        // bob and carol are only referred in ReferralProgram
+        expect(mismatches).to.have.length(3);
+    });
+
+    it("Should flag rewards without a matching transfer", function () {
+        const rewards = [{ txHash: "0x01", referrer: alice.address, referral: bob.address, amount: 10n, level: 1n, blockNumber: 1 }];
+
+        const result = reconcile({
+            rewards,
+            transfers: [],
+            totalEarned: new Map([[alice.address, 10n]]),
+            balance: 0n,
+            registrations: [],
+        });
+
+        expect(result.ok).to.equal(false);
+        expect(result.findings[0]).to.include({ code: "MISSING_TRANSFER", referrer: alice.address, amount: 10n });
+    });
+});
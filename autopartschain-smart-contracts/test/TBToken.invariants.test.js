@@ -0,0 +1,360 @@
+/**
+ * Randomized TBToken test. fast-check generates sequences of transfers, AMM
+ * pair toggles, fee updates, limit exclusions, pauses and snapshots, runs them
+ * against the contract and against a shadow ledger, and checks invariants
+ * after every step. A failing sequence is shrunk to a minimal repro, printed
+ * with the seed and path to replay it:
+ *
+ *   FUZZ_SEED=<seed> FUZZ_PATH=<path> npx hardhat test test/TBToken.invariants.test.js
+ *
+ * FUZZ_RUNS (default 25) and FUZZ_MAX_COMMANDS (default 30) control the size.
+ */
+const fc = require("fast-check");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const BPS = 10000n;
+const USER_COUNT = 5;
+// Twice the initial maxTransferAmount, so sequences can try to break the limit
+const USER_FUNDS = ethers.parseUnits("20000000", 18);
+
+const FUZZ_RUNS = Number(process.env.FUZZ_RUNS || 25);
+const FUZZ_MAX_COMMANDS = Number(process.env.FUZZ_MAX_COMMANDS || 30);
+
+async function deployFuzzFixture() {
+    const [owner, treasury, liquidity, marketing, ...rest] = await ethers.getSigners();
+    const users = rest.slice(0, USER_COUNT);
+
+    // Separate fee wallets so the 40/40/20 split is observable
+    const tbToken = await ethers.deployContract("TBToken", [treasury.address, liquidity.address, marketing.address]);
+    await tbToken.enableTrading();
+    for (const user of users) {
+        await tbToken.connect(treasury).transfer(user.address, USER_FUNDS);
+    }
+
+    return { tbToken, owner, treasury, liquidity, marketing, users };
+}
+
+// ---------------------------------------------------------------------------
+// Shadow model
+// ---------------------------------------------------------------------------
+
+async function createModel(real) {
+    const tokenAddress = await real.tbToken.getAddress();
+    const tracked = [real.owner, real.treasury, real.liquidity, real.marketing, ...real.users]
+        .map((signer) => signer.address)
+        .concat(tokenAddress);
+
+    const balances = new Map();
+    for (const address of tracked) {
+        balances.set(address, await real.tbToken.balanceOf(address));
+    }
+
+    return {
+        tokenAddress,
+        balances,
+        totalSupply: await real.tbToken.totalSupply(),
+        maxSupply: await real.tbToken.MAX_SUPPLY(),
+        maxTransferAmount: await real.tbToken.maxTransferAmount(),
+        fees: { buy: 300n, sell: 300n, transfer: 100n },
+        excluded: new Set([real.owner.address, tokenAddress, real.treasury.address, real.liquidity.address, real.marketing.address]),
+        pairs: new Set(),
+        paused: false,
+        snapshots: [],
+    };
+}
+
+/** Same decision as TBToken.calculateFee plus the `!isExcludedFromLimits[from]` guard in _afterTokenTransfer */
+function modelFee(model, from, to, amount) {
+    if (model.excluded.has(from) || model.excluded.has(to)) return 0n;
+    if (model.pairs.has(from)) return (amount * model.fees.buy) / BPS;
+    if (model.pairs.has(to)) return (amount * model.fees.sell) / BPS;
+    return (amount * model.fees.transfer) / BPS;
+}
+
+/** Revert reason the contract should give, in the order its checks run */
+function transferRevert(model, from, to, amount) {
+    if (model.paused) return "Pausable: paused";
+    if (!model.excluded.has(from) && !model.excluded.has(to) && amount > model.maxTransferAmount) {
+        return "Transfer amount exceeds max transfer amount";
+    }
+    if (model.balances.get(from) < amount) return "ERC20: transfer amount exceeds balance";
+    return null;
+}
+
+function credit(model, address, delta) {
+    model.balances.set(address, model.balances.get(address) + delta);
+}
+
+async function checkInvariants(model, real) {
+    const { tbToken } = real;
+    const totalSupply = await tbToken.totalSupply();
+
+    expect(totalSupply, "total supply changed").to.equal(model.totalSupply);
+    expect(totalSupply <= model.maxSupply, "supply above MAX_SUPPLY").to.equal(true);
+
+    let sum = 0n;
+    for (const [address, expected] of model.balances) {
+        expect(await tbToken.balanceOf(address), `balance of ${address}`).to.equal(expected);
+        sum += expected;
+    }
+    expect(sum, "tracked balances do not add up to total supply").to.equal(totalSupply);
+    expect(model.balances.get(model.tokenAddress), "fees left in the token contract").to.equal(0n);
+
+    // Older snapshots were verified when they were the latest ones
+    for (const snapshot of model.snapshots.slice(-2)) {
+        expect(await tbToken.totalSupplyAt(snapshot.id), `totalSupplyAt(${snapshot.id})`).to.equal(snapshot.totalSupply);
+        for (const [address, expected] of snapshot.balances) {
+            expect(await tbToken.balanceOfAt(address, snapshot.id), `balanceOfAt(${address}, ${snapshot.id})`).to.equal(expected);
+        }
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Commands
+// ---------------------------------------------------------------------------
+
+const RECIPIENTS = ["user0", "user1", "user2", "user3", "user4", "treasury", "liquidity", "marketing", "owner"];
+
+function signerByName(real, name) {
+    return name.startsWith("user") ? real.users[Number(name.slice(4))] : real[name];
+}
+
+class TransferCommand {
+    constructor(from, to, amount) {
+        this.from = from;
+        this.to = to;
+        this.amount = amount;
+    }
+
+    check() {
+        return true;
+    }
+
+    async run(model, real) {
+        const from = real.users[this.from];
+        const to = signerByName(real, this.to);
+        const balance = model.balances.get(from.address);
+        const amount = this.amount.kind === "over-limit"
+            ? model.maxTransferAmount + 1n
+            : (balance * BigInt(this.amount.bps)) / BPS;
+
+        const reason = transferRevert(model, from.address, to.address, amount);
+        if (reason) {
+            await expect(real.tbToken.connect(from).transfer(to.address, amount)).to.be.revertedWith(reason);
+            return checkInvariants(model, real);
+        }
+
+        const fee = modelFee(model, from.address, to.address, amount);
+        expect(await real.tbToken.calculateFee(from.address, to.address, amount), "calculateFee").to.equal(fee);
+
+        const wallets = [real.treasury.address, real.liquidity.address, real.marketing.address];
+        const before = await Promise.all(wallets.map((address) => real.tbToken.balanceOf(address)));
+
+        await real.tbToken.connect(from).transfer(to.address, amount);
+
+        const share = (fee * 40n) / 100n;
+        const split = [share, share, fee - 2n * share];
+        credit(model, from.address, -amount);
+        credit(model, to.address, amount - fee);
+        wallets.forEach((address, i) => credit(model, address, split[i]));
+
+        // A fee wallet can also be the recipient; it is excluded, so it gets the full amount and no fee is taken
+        const after = await Promise.all(wallets.map((address) => real.tbToken.balanceOf(address)));
+        wallets.forEach((address, i) => {
+            const received = address === to.address ? amount : 0n;
+            expect(after[i] - before[i], `fee share of ${address}`).to.equal(split[i] + received);
+        });
+
+        return checkInvariants(model, real);
+    }
+
+    toString() {
+        const amount = this.amount.kind === "over-limit" ? "maxTransferAmount + 1" : `${this.amount.bps / 100}% of balance`;
+        return `transfer(user${this.from} -> ${this.to}, ${amount})`;
+    }
+}
+
+class SetPairCommand {
+    constructor(user, value) {
+        this.user = user;
+        this.value = value;
+    }
+
+    check() {
+        return true;
+    }
+
+    async run(model, real) {
+        const address = real.users[this.user].address;
+        await real.tbToken.setAutomatedMarketMakerPair(address, this.value);
+        if (this.value) model.pairs.add(address);
+        else model.pairs.delete(address);
+        return checkInvariants(model, real);
+    }
+
+    toString() {
+        return `setAutomatedMarketMakerPair(user${this.user}, ${this.value})`;
+    }
+}
+
+class UpdateFeesCommand {
+    constructor(buy, sell, transfer) {
+        this.buy = BigInt(buy);
+        this.sell = BigInt(sell);
+        this.transfer = BigInt(transfer);
+    }
+
+    check() {
+        return true;
+    }
+
+    async run(model, real) {
+        const tx = real.tbToken.updateFees(this.buy, this.sell, this.transfer);
+        if (this.buy > 1000n) {
+            await expect(tx).to.be.revertedWith("Buy fee cannot exceed 10%");
+        } else if (this.sell > 1000n) {
+            await expect(tx).to.be.revertedWith("Sell fee cannot exceed 10%");
+        } else if (this.transfer > 500n) {
+            await expect(tx).to.be.revertedWith("Transfer fee cannot exceed 5%");
+        } else {
+            await (await tx).wait();
+            model.fees = { buy: this.buy, sell: this.sell, transfer: this.transfer };
+        }
+        return checkInvariants(model, real);
+    }
+
+    toString() {
+        return `updateFees(${this.buy}, ${this.sell}, ${this.transfer})`;
+    }
+}
+
+class SetExcludedCommand {
+    constructor(user, value) {
+        this.user = user;
+        this.value = value;
+    }
+
+    check() {
+        return true;
+    }
+
+    async run(model, real) {
+        const address = real.users[this.user].address;
+        await real.tbToken.setExcludedFromLimits(address, this.value);
+        if (this.value) model.excluded.add(address);
+        else model.excluded.delete(address);
+        return checkInvariants(model, real);
+    }
+
+    toString() {
+        return `setExcludedFromLimits(user${this.user}, ${this.value})`;
+    }
+}
+
+class PauseCommand {
+    constructor(pause) {
+        this.pause = pause;
+    }
+
+    check() {
+        return true;
+    }
+
+    async run(model, real) {
+        const tx = this.pause ? real.tbToken.pause() : real.tbToken.unpause();
+        if (this.pause === model.paused) {
+            await expect(tx).to.be.revertedWith(this.pause ? "Pausable: paused" : "Pausable: not paused");
+        } else {
+            await (await tx).wait();
+            model.paused = this.pause;
+        }
+        return checkInvariants(model, real);
+    }
+
+    toString() {
+        return this.pause ? "pause()" : "unpause()";
+    }
+}
+
+class SnapshotCommand {
+    check() {
+        return true;
+    }
+
+    async run(model, real) {
+        const receipt = await (await real.tbToken.snapshot()).wait();
+        const event = receipt.logs.map((log) => real.tbToken.interface.parseLog(log)).find((parsed) => parsed && parsed.name === "Snapshot");
+        const id = event.args[0];
+
+        expect(id, "snapshot ids are sequential").to.equal(BigInt(model.snapshots.length + 1));
+        model.snapshots.push({ id, totalSupply: model.totalSupply, balances: new Map(model.balances) });
+        return checkInvariants(model, real);
+    }
+
+    toString() {
+        return "snapshot()";
+    }
+}
+
+const userIndex = fc.integer({ min: 0, max: USER_COUNT - 1 });
+
+const commandArbitraries = [
+    fc.tuple(
+        userIndex,
+        fc.constantFrom(...RECIPIENTS),
+        fc.oneof(
+            { weight: 9, arbitrary: fc.integer({ min: 0, max: 12000 }).map((bps) => ({ kind: "share", bps })) },
+            { weight: 1, arbitrary: fc.constant({ kind: "over-limit" }) }
+        )
+    ).map(([from, to, amount]) => new TransferCommand(from, to, amount)),
+    fc.tuple(userIndex, fc.boolean()).map(([user, value]) => new SetPairCommand(user, value)),
+    fc.tuple(fc.integer({ min: 0, max: 1100 }), fc.integer({ min: 0, max: 1100 }), fc.integer({ min: 0, max: 600 }))
+        .map(([buy, sell, transfer]) => new UpdateFeesCommand(buy, sell, transfer)),
+    fc.tuple(userIndex, fc.boolean()).map(([user, value]) => new SetExcludedCommand(user, value)),
+    fc.boolean().map((pause) => new PauseCommand(pause)),
+    fc.constant(new SnapshotCommand()),
+];
+
+function fuzzParameters() {
+    const params = { numRuns: FUZZ_RUNS };
+    if (process.env.FUZZ_SEED) params.seed = Number(process.env.FUZZ_SEED);
+    if (process.env.FUZZ_PATH) params.path = process.env.FUZZ_PATH;
+    return params;
+}
+
+describe("TBToken invariants", function () {
+    this.timeout(0);
+
+    it("Should keep supply, fee splits, limits and snapshots consistent under random operations", async function () {
+        await fc.assert(
+            fc.asyncProperty(fc.commands(commandArbitraries, { maxCommands: FUZZ_MAX_COMMANDS }), async (commands) => {
+                const setup = async () => {
+                    const real = await loadFixture(deployFuzzFixture);
+                    return { model: await createModel(real), real };
+                };
+                await fc.asyncModelRun(setup, commands);
+            }),
+            fuzzParameters()
+        );
+    });
+
+    it("Should split fees 40/40/20 with the rounding remainder going to marketing", async function () {
+        await fc.assert(
+            fc.asyncProperty(fc.bigInt({ min: 1n, max: ethers.parseUnits("10000", 18) }), async (amount) => {
+                const real = await loadFixture(deployFuzzFixture);
+                const [sender, recipient] = real.users;
+                const fee = modelFee(await createModel(real), sender.address, recipient.address, amount);
+                const marketingBefore = await real.tbToken.balanceOf(real.marketing.address);
+
+                await real.tbToken.connect(sender).transfer(recipient.address, amount);
+
+                const share = (fee * 40n) / 100n;
+                expect(await real.tbToken.balanceOf(real.marketing.address) - marketingBefore).to.equal(fee - 2n * share);
+                expect(await real.tbToken.balanceOf(recipient.address)).to.equal(USER_FUNDS + amount - fee);
+            }),
+            { ...fuzzParameters(), numRuns: Math.max(10, Math.floor(FUZZ_RUNS / 2)) }
+        );
+    });
+});
@@ -1,8 +1,8 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { loadToken, findEvent } = require("./helpers/fixtures");
 
 describe("TBToken", function () {
-    let TBToken;
     let tbToken;
     let owner;
     let addr1;
@@ -10,15 +10,7 @@ describe("TBToken", function () {
     let addrs;
 
     beforeEach(async function () {
-        TBToken = await ethers.getContractFactory("TBToken");
-        [owner, addr1, addr2, ...addrs] = await ethers.getSigners();
-
-        tbToken = await TBToken.deploy(
-            owner.address,
-            owner.address,
-            owner.address
-        );
-        await tbToken.waitForDeployment();
+        ({ tbToken, owner, addr1, addr2, addrs } = await loadToken());
     });
 
     describe("Deployment", function () {
@@ -28,7 +20,7 @@ describe("TBToken", function () {
 
         it("Should assign the initial supply to treasury", async function () {
             const treasuryBalance = await tbToken.balanceOf(owner.address);
-            expect(treasuryBalance).to.equal(ethers.utils.parseUnits("500000000", 18));
+            expect(treasuryBalance).to.equal(ethers.parseUnits("500000000", 18));
         });
 
         it("Should have correct name and symbol", async function () {
@@ -37,7 +29,7 @@ describe("TBToken", function () {
         });
 
         it("Should have max supply of 1 billion", async function () {
-            expect(await tbToken.MAX_SUPPLY()).to.equal(ethers.utils.parseUnits("1000000000", 18));
+            expect(await tbToken.MAX_SUPPLY()).to.equal(ethers.parseUnits("1000000000", 18));
         });
     });
 
@@ -78,7 +70,7 @@ describe("TBToken", function () {
             await tbToken.transfer(addr2.address, 50);
 
             const finalOwnerBalance = await tbToken.balanceOf(owner.address);
-            expect(finalOwnerBalance).to.equal(initialOwnerBalance.sub(150));
+            expect(finalOwnerBalance).to.equal(initialOwnerBalance - 150n);
 
             const addr1Balance = await tbToken.balanceOf(addr1.address);
             expect(addr1Balance).to.equal(100);
@@ -89,40 +81,63 @@ describe("TBToken", function () {
     });
 
     describe("Fees", function () {
+        let pair, treasury, liquidity, marketing;
+
         beforeEach(async function () {
-            // Enable trading
-            await tbToken.enableTrading();
+            [treasury, liquidity, marketing] = addrs;
+            pair = addr2;
 
-            // Exclude addresses from limits for testing
-            await tbToken.setExcludedFromLimits(addr1.address, true);
-            await tbToken.setExcludedFromLimits(addr2.address, true);
+            await tbToken.enableTrading();
+            // Separate fee wallets so each share can be checked; none of the traders is excluded
+            await tbToken.updateWallets(treasury.address, liquidity.address, marketing.address);
+            await tbToken.setAutomatedMarketMakerPair(pair.address, true);
 
-            // Transfer tokens to addr1 for testing
-            await tbToken.transfer(addr1.address, ethers.utils.parseUnits("1000", 18));
+            // The owner is excluded from limits, so funding pays no fee
+            await tbToken.transfer(addr1.address, ethers.parseUnits("1000", 18));
+            await tbToken.transfer(pair.address, ethers.parseUnits("1000", 18));
         });
 
-        it("Should apply buy fee when buying from DEX", async function () {
-            // Set up a mock DEX pair
-            await tbToken.setAutomatedMarketMakerPair(addr2.address, true);
-
-            // Transfer from DEX (addr2) to addr1 (simulating a buy)
-            await tbToken.connect(addr2).transfer(addr1.address, ethers.utils.parseUnits("100", 18));
+        /**
+         * Send `amount` and check that the recipient paid `bps` of it, split
+         * 40/40/20 between treasury, liquidity and marketing.
+         */
+        async function expectFee(from, to, amount, bps) {
+            const wallets = [treasury, liquidity, marketing, to];
+            const before = await Promise.all(wallets.map((wallet) => tbToken.balanceOf(wallet.address)));
+
+            const fee = await tbToken.calculateFee(from.address, to.address, amount);
+            expect(fee).to.equal((amount * bps) / 10000n);
+            await tbToken.connect(from).transfer(to.address, amount);
+
+            const after = await Promise.all(wallets.map((wallet) => tbToken.balanceOf(wallet.address)));
+            const [treasuryShare, liquidityShare, marketingShare, received] = after.map((balance, i) => balance - before[i]);
+            expect(treasuryShare).to.equal((fee * 40n) / 100n);
+            expect(liquidityShare).to.equal((fee * 40n) / 100n);
+            expect(marketingShare).to.equal(fee - treasuryShare - liquidityShare);
+            expect(received).to.equal(amount - fee);
+            // _distributeFees passes the whole fee on
+            expect(await tbToken.balanceOf(await tbToken.getAddress())).to.equal(0);
+        }
 
-            // Check if fee was applied (3% of 100 = 3 tokens)
-            const contractBalance = await tbToken.balanceOf(tbToken.address);
-            expect(contractBalance).to.be.above(0);
+        it("Should apply buy fee when buying from DEX", async function () {
+            await expectFee(pair, addr1, ethers.parseUnits("100", 18), await tbToken.buyFee());
         });
 
         it("Should apply sell fee when selling to DEX", async function () {
-            // Set up a mock DEX pair
-            await tbToken.setAutomatedMarketMakerPair(addr2.address, true);
+            await expectFee(addr1, pair, ethers.parseUnits("100", 18), await tbToken.sellFee());
+        });
 
-            // Transfer from addr1 to DEX (addr2) (simulating a sell)
-            await tbToken.connect(addr1).transfer(addr2.address, ethers.utils.parseUnits("100", 18));
+        it("Should apply transfer fee between wallets", async function () {
+            const recipient = addrs[3];
+            await expectFee(addr1, recipient, ethers.parseUnits("100", 18), await tbToken.transferFee());
+        });
+
+        it("Should not charge excluded addresses", async function () {
+            await tbToken.setExcludedFromLimits(addr1.address, true);
 
-            // Check if fee was applied
-            const contractBalance = await tbToken.balanceOf(tbToken.address);
-            expect(contractBalance).to.be.above(0);
+            expect(await tbToken.calculateFee(pair.address, addr1.address, ethers.parseUnits("100", 18))).to.equal(0);
+            await tbToken.connect(pair).transfer(addr1.address, ethers.parseUnits("100", 18));
+            expect(await tbToken.balanceOf(treasury.address)).to.equal(0);
         });
     });
 
@@ -153,8 +168,8 @@ describe("TBToken", function () {
             await tbToken.enableTrading();
             await tbToken.transfer(addr1.address, 100);
 
-            // Take snapshot
-            const snapshot1 = await tbToken.snapshot();
+            // Take snapshot; its id comes from the Snapshot event
+            const snapshot1 = findEvent(tbToken, await (await tbToken.snapshot()).wait(), "Snapshot").args[0];
 
             // Transfer more tokens
             await tbToken.transfer(addr1.address, 50);
@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadSuite } = require("./helpers/fixtures");
+const {
+    feesAction,
+    roleAction,
+    addTierAction,
+    runAdminAction,
+} = require("../scripts/lib/admin");
+
+describe("admin tasks", function () {
+    let suite;
+    let tbToken;
+    let owner;
+    let auditFile;
+
+    const silent = () => {};
+
+    function run(action, options = {}) {
+        return runAdminAction(action, { signer: owner, networkName: "hardhat", auditFile, log: silent, ...options });
+    }
+
+    function auditEntries() {
+        return fs.readFileSync(auditFile, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    }
+
+    beforeEach(async function () {
+        suite = await loadSuite();
+        ({ tbToken, owner } = suite);
+        auditFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "admin-audit-")), "audit.jsonl");
+    });
+
+    it("Should leave state unchanged on a dry run and audit it", async function () {
+        const result = await run(feesAction(tbToken, { buy: "500" }), { dryRun: true });
+
+        expect(result.status).to.equal("dry-run");
+        expect(result.changes).to.deep.equal([{ key: "buyFee", before: 300n, after: 500n }]);
+        expect(await tbToken.buyFee()).to.equal(300);
+
+        const [entry] = auditEntries();
+        expect(entry).to.include({ status: "dry-run", contract: "TBToken", method: "updateFees", signer: owner.address });
+        expect(entry.args).to.deep.equal(["500", "300", "100"]);
+    });
+
+    it("Should update fees and log the before/after values", async function () {
+        const result = await run(feesAction(tbToken, { buy: "200", sell: "500", transfer: "0" }));
+
+        expect(result.status).to.equal("confirmed");
+        expect(result.after).to.deep.equal({ buyFee: 200n, sellFee: 500n, transferFee: 0n });
+        expect(await tbToken.sellFee()).to.equal(500);
+
+        const [entry] = auditEntries();
+        expect(entry.status).to.equal("confirmed");
+        expect(entry.txHash).to.match(/^0x[0-9a-f]{64}$/);
+        expect(entry.before).to.deep.equal({ buyFee: "300", sellFee: "300", transferFee: "100" });
+        expect(entry.after).to.deep.equal({ buyFee: "200", sellFee: "500", transferFee: "0" });
+    });
+
+    it("Should reject fees above the contract caps before sending", async function () {
+        const blockBefore = await ethers.provider.getBlockNumber();
+
+        let error;
+        try {
+            await run(feesAction(tbToken, { transfer: "501" }));
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error.message).to.include("cannot exceed 500 bps");
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+        expect(auditEntries()[0]).to.include({ status: "rejected" });
+    });
+
+    it("Should surface a revert from the static call for an unauthorized signer", async function () {
+        let error;
+        try {
+            await run(feesAction(tbToken, { buy: "100" }), { signer: suite.other, dryRun: true });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error.message).to.include("AccessControl");
+        expect(auditEntries()[0]).to.include({ status: "failed", signer: suite.other.address });
+    });
+
+    it("Should skip actions that would not change anything", async function () {
+        const result = await run(feesAction(tbToken, { buy: "300" }));
+
+        expect(result.status).to.equal("skipped");
+        expect(auditEntries()[0]).to.include({ status: "skipped" });
+    });
+
+    it("Should grant and revoke roles by name", async function () {
+        const pauserRole = await tbToken.PAUSER_ROLE();
+        const account = suite.other.address;
+
+        await run(roleAction(tbToken, { contractName: "TBToken", role: "PAUSER_ROLE", account }));
+        expect(await tbToken.hasRole(pauserRole, account)).to.be.true;
+
+        await run(roleAction(tbToken, { contractName: "TBToken", role: "PAUSER_ROLE", account, revoke: true }));
+        expect(await tbToken.hasRole(pauserRole, account)).to.be.false;
+    });
+
+    it("Should refuse to revoke the signer's own admin role", async function () {
+        const action = roleAction(tbToken, {
+            contractName: "TBToken",
+            role: "DEFAULT_ADMIN_ROLE",
+            account: owner.address,
+            revoke: true,
+            signerAddress: owner.address,
+        });
+
+        let error;
+        try {
+            await run(action);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include("Refusing to revoke DEFAULT_ADMIN_ROLE");
+        expect(await tbToken.hasRole(ethers.ZeroHash, owner.address)).to.be.true;
+    });
+
+    it("Should only add loyalty tiers above the current highest one", async function () {
+        const { loyaltyProgram } = suite;
+        const tier = {
+            name: "Legend",
+            minPoints: "1",
+            minPurchasesUSD: "1",
+            discount: "2500",
+            cashback: "1000",
+            stakingBoost: "0",
+            freeShippingThreshold: "0",
+        };
+
+        let error;
+        try {
+            await run(addTierAction(loyaltyProgram, tier));
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include("must be at least those of Diamond");
+
+        const diamond = await loyaltyProgram.tiers(4);
+        const result = await run(addTierAction(loyaltyProgram, {
+            ...tier,
+            minPoints: (diamond.minPoints * 2n).toString(),
+            minPurchasesUSD: (diamond.minPurchasesUSD * 2n).toString(),
+        }));
+
+        expect(result.after.tierCount).to.equal(6);
+        expect((await loyaltyProgram.tiers(5)).name).to.equal("Legend");
+    });
+
+    it("Should surface errors other than a revert while counting tiers", async function () {
+        const bronze = await suite.loyaltyProgram.tiers(0);
+        const flaky = {
+            tiers: async (index) => {
+                if (index === 0) return bronze;
+                throw Object.assign(new Error("connection reset"), { code: "NETWORK_ERROR" });
+            },
+        };
+
+        let error;
+        try {
+            await addTierAction(flaky, {}).read();
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.equal("connection reset");
+    });
+});
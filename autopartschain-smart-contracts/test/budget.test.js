@@ -0,0 +1,101 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { deploySuite } = require("../scripts/deploy");
+const { MAX_DEPLOYED_BYTES, measureSizes, measureFlows, compareBudget } = require("../scripts/lib/budget");
+
+describe("size and gas budgets", function () {
+    const thresholds = { sizePct: 1, gasPct: 2, overrides: { "AutoPartsMarketplaceV2.payOrder": { gasPct: 10 } } };
+
+    function budget(contracts, flows) {
+        return { thresholds, contracts, flows };
+    }
+
+    it("Should measure every contract from its artifact", async function () {
+        const sizes = await measureSizes(artifacts, ["TBToken", "PriceOracleUpgradeable"]);
+        const artifact = await artifacts.readArtifact("TBToken");
+
+        expect(sizes.TBToken.deployedBytes).to.equal((artifact.deployedBytecode.length - 2) / 2);
+        expect(sizes.TBToken.initcodeBytes).to.be.greaterThan(sizes.TBToken.deployedBytes);
+        expect(sizes.PriceOracleUpgradeable.deployedBytes).to.be.greaterThan(0);
+    });
+
+    it("Should measure the key flows with the same gas on every fresh suite", async function () {
+        const first = await measureFlows({ ethers, deploySuite });
+        const second = await measureFlows({ ethers, deploySuite });
+
+        expect(Object.keys(first)).to.have.members([
+            "AutoPartsMarketplaceV2.listProduct",
+            "AutoPartsMarketplaceV2.addToCart",
+            "AutoPartsMarketplaceV2.createOrderFromCart",
+            "AutoPartsMarketplaceV2.payOrder",
+            "LoyaltyProgram.recordPurchase",
+            "AirdropManager.claimAirdrop",
+        ]);
+        expect(second).to.deep.equal(first);
+    });
+
+    it("Should pass changes within the thresholds", function () {
+        const baseline = budget({ TBToken: { deployedBytes: 10000, initcodeBytes: 12000 } }, { "TBToken.transfer": 50000 });
+        const current = budget({ TBToken: { deployedBytes: 10090, initcodeBytes: 12000 } }, { "TBToken.transfer": 50900 });
+
+        const result = compareBudget(baseline, current);
+
+        expect(result.ok).to.be.true;
+        expect(result.rows.map((row) => row.status)).to.deep.equal(["ok", "ok", "ok"]);
+    });
+
+    it("Should fail on gas or size growth past the thresholds", function () {
+        const baseline = budget({ TBToken: { deployedBytes: 10000, initcodeBytes: 12000 } }, { "TBToken.transfer": 50000 });
+        const current = budget({ TBToken: { deployedBytes: 10200, initcodeBytes: 12000 } }, { "TBToken.transfer": 51500 });
+
+        const result = compareBudget(baseline, current);
+
+        expect(result.ok).to.be.false;
+        expect(result.failed.map((row) => [row.metric, row.key, row.changePct])).to.deep.equal([
+            ["deployedBytes", "TBToken", 2],
+            ["gas", "TBToken.transfer", 3],
+        ]);
+    });
+
+    it("Should apply per-flow overrides", function () {
+        const baseline = budget({}, { "AutoPartsMarketplaceV2.payOrder": 200000 });
+        const current = budget({}, { "AutoPartsMarketplaceV2.payOrder": 215000 });
+
+        expect(compareBudget(baseline, current).ok).to.be.true;
+    });
+
+    it("Should fail a contract over the EIP-170 limit even without a baseline", function () {
+        const current = budget({ AutoPartsMarketplaceV2: { deployedBytes: MAX_DEPLOYED_BYTES + 1, initcodeBytes: 30000 } }, {});
+
+        const result = compareBudget(budget({}, {}), current);
+
+        expect(result.ok).to.be.false;
+        expect(result.failed[0]).to.include({ key: "AutoPartsMarketplaceV2", metric: "deployedBytes", status: "over-limit" });
+        expect(result.stale.map((row) => row.status)).to.deep.equal(["new"]);
+    });
+
+    it("Should fail while the baseline has no measurements", function () {
+        const current = budget({ TBToken: { deployedBytes: 10000, initcodeBytes: 12000 } }, { "TBToken.transfer": 50000 });
+
+        const result = compareBudget(budget({}, {}), current);
+
+        expect(result.empty).to.be.true;
+        expect(result.ok).to.be.false;
+        expect(result.failed).to.have.length(0);
+        expect(compareBudget(current, current).ok).to.be.true;
+    });
+
+    it("Should report new, removed and improved entries without failing", function () {
+        const baseline = budget({}, { "A.old": 100, "A.cheaper": 1000 });
+        const current = budget({}, { "A.new": 100, "A.cheaper": 900 });
+
+        const result = compareBudget(baseline, current);
+
+        expect(result.ok).to.be.true;
+        expect(Object.fromEntries(result.rows.map((row) => [row.key, row.status]))).to.deep.equal({
+            "A.cheaper": "improved",
+            "A.new": "new",
+            "A.old": "removed",
+        });
+    });
+});
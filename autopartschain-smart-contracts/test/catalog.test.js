@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadSuite } = require("./helpers/fixtures");
+const { parseCatalog, validateCatalog, planImport, priceSetter, importCatalog } = require("../scripts/lib/catalog");
+const { cidFor, createLocalStore } = require("../scripts/lib/ipfs");
+
+describe("catalog import", function () {
+    const silent = () => {};
+    const HEADER = "sku,name,brand,images,priceUSD,costUSD,stock,minOrder,maxOrder,weightGrams";
+    let tmpDir;
+    let store;
+
+    function catalog(lines) {
+        return [HEADER, ...lines].join("\n");
+    }
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "catalog-"));
+        fs.writeFileSync(path.join(tmpDir, "bkr6e.jpg"), "plug image");
+        store = createLocalStore(path.join(tmpDir, "store"));
+    });
+
+    it("Should read ERP headers, quoted cells and JSON catalogs", function () {
+        const rows = parseCatalog('SKU,Name,Price,Qty,Part No\nNGK-1,"Plug, copper ""hot""",899,5,BKR6E\n');
+        const json = parseCatalog(JSON.stringify({ products: [{ sku: "NGK-2", name: "Plug", priceUSD: 500, stock: 1 }] }));
+
+        expect(rows[0].values).to.deep.equal({ sku: "NGK-1", name: 'Plug, copper "hot"', priceUSD: "899", stock: "5", partNumber: "BKR6E" });
+        expect(validateCatalog(json).products[0]).to.include({ sku: "NGK-2", priceUSD: 500, minOrder: 1, maxOrder: 1 });
+    });
+
+    it("Should reject duplicate SKUs, non-cent prices and min above max", function () {
+        const { products, invalid } = validateCatalog(parseCatalog(catalog([
+            "A,Plug,NGK,,899,0,5,1,10,45",
+            "B,Filter,Bosch,,10.50,0,5,6,2,300",
+            "A,Plug again,NGK,,899,0,5,1,10,45",
+        ])));
+
+        expect(products).to.deep.equal([]);
+        expect(invalid.map((row) => [row.where, row.errors])).to.deep.equal([
+            ["line 2", ["duplicate SKU A (also line 4)"]],
+            ["line 3", ['priceUSD must be whole cents, got "10.50" (did you mean 1050?)', "minOrder (6) cannot exceed maxOrder (2)"]],
+            ["line 4", ["duplicate SKU A (also line 2)"]],
+        ]);
+    });
+
+    it("Should plan price and stock changes by SKU", function () {
+        const { products } = validateCatalog(parseCatalog(catalog([
+            "A,Plug,NGK,,999,0,5,1,10,45",
+            "B,Filter,Bosch,,2500,0,7,1,10,300",
+            "C,Wiper,Bosch,,1500,0,9,1,10,200",
+        ])));
+        const listings = new Map([
+            ["A", { id: 1n, priceUSD: 899n, stock: 5n }],
+            ["B", { id: 2n, priceUSD: 2500n, stock: 7n }],
+        ]);
+
+        const plan = planImport(products, listings);
+
+        expect(plan.map((entry) => entry.action)).to.deep.equal(["update", "skip", "create"]);
+        expect(plan[0].changes).to.deep.equal({ priceUSD: { from: 899n, to: 999n } });
+    });
+
+    it("Should list new products with pinned images and only update changed stock on re-import", async function () {
+        const suite = await loadSuite();
+        const { marketplace, owner } = suite;
+        const run = (content, options = {}) => importCatalog({
+            marketplace, signer: owner, content, baseDir: tmpDir, store, batchSize: 2, log: silent, ...options,
+        });
+
+        const first = await run(catalog([
+            "IMP-1,NGK Plug,NGK,bkr6e.jpg,899,420,500,1,50,45",
+            "IMP-2,Oil Filter,Bosch,ipfs://existing,2500,1200,40,1,10,300",
+            "IMP-3,Air Filter,Bosch,,1800,900,25,1,10,250",
+            "IMP-4,Broken,Bosch,missing.jpg,1000,500,1,1,1,100",
+        ]));
+
+        expect(first.summary).to.deep.equal({ created: 3, updated: 0, skipped: 0, failed: 1 });
+        expect(first.rows[3].errors).to.deep.equal(["image not found: missing.jpg"]);
+        const imageCid = cidFor(Buffer.from("plug image"));
+        expect(first.rows[0].images).to.deep.equal([`ipfs://${imageCid}`]);
+        expect(fs.existsSync(path.join(tmpDir, "store", imageCid))).to.be.true;
+        expect(first.rows[0].metadataURI).to.match(/^ipfs:\/\/bafkrei/);
+
+        const listed = await marketplace.products(first.rows[1].productId);
+        expect(listed.sku).to.equal("IMP-2");
+        expect(listed.stock).to.equal(40);
+
+        const second = await run(catalog([
+            "IMP-1,NGK Plug,NGK,bkr6e.jpg,899,420,500,1,50,45",
+            "IMP-2,Oil Filter,Bosch,ipfs://existing,2500,1200,35,1,10,300",
+            "IMP-3,Air Filter,Bosch,,1800,900,25,1,10,250",
+        ]));
+
+        expect(second.rows.map((row) => row.status)).to.deep.equal(["skipped", "updated", "skipped"]);
+        expect(second.rows[1].changes).to.deep.equal({ stock: { from: 40n, to: 35n } });
+        expect((await marketplace.products(first.rows[1].productId)).stock).to.equal(35);
+    });
+
+    it("Should only bind the price method named by its exact signature", function () {
+        const marketplace = {
+            interface: new ethers.Interface([
+                "function setMinPrice(uint256 productId, uint256 minPrice)",
+                "function setProductPrice(uint256 productId, uint256 newPrice)",
+                "function getPrice(uint256 productId) view returns (uint256)",
+            ]),
+        };
+
+        expect(priceSetter(marketplace, "setProductPrice(uint256,uint256)").fragment.name).to.equal("setProductPrice");
+        expect(priceSetter(marketplace, null)).to.deep.equal({ error: "price changed but no price method was given (--price-method)" });
+        expect(priceSetter(marketplace, "updatePrice(uint256,uint256)")).to.deep.equal({
+            error: "price changed but the marketplace has no updatePrice(uint256,uint256) function",
+        });
+        expect(() => priceSetter(marketplace, "setProductPrice")).to.throw("Price method must be a signature");
+        expect(() => priceSetter(marketplace, "setProductPrice(uint256,string)")).to.throw("Price method must be a signature");
+    });
+
+    it("Should fail a re-imported row with a changed price when the marketplace lacks the price method", async function () {
+        const suite = await loadSuite();
+        const { marketplace, owner } = suite;
+        const run = (content, options = {}) => importCatalog({
+            marketplace, signer: owner, content, baseDir: tmpDir, store, log: silent, ...options,
+        });
+
+        const first = await run(catalog(["PRC-1,NGK Plug,NGK,,899,420,500,1,50,45"]));
+        const productId = first.rows[0].productId;
+        const changed = catalog(["PRC-1,NGK Plug,NGK,,999,420,480,1,50,45"]);
+
+        const withoutMethod = await run(changed);
+        const missingMethod = await run(changed, { priceMethod: "setCatalogPrice(uint256,uint256)" });
+
+        expect(withoutMethod.rows[0].changes).to.deep.equal({ priceUSD: { from: 899n, to: 999n }, stock: { from: 500n, to: 480n } });
+        expect(withoutMethod.rows[0]).to.include({ status: "failed" });
+        expect(withoutMethod.rows[0].errors).to.deep.equal(["price changed but no price method was given (--price-method)"]);
+        expect(missingMethod.rows[0].errors).to.deep.equal([
+            "price changed but the marketplace has no setCatalogPrice(uint256,uint256) function",
+        ]);
+        // Nothing is sent for the row, so stock and price stay in step with each other
+        const listed = await marketplace.products(productId);
+        expect(listed.priceUSD).to.equal(899);
+        expect(listed.stock).to.equal(500);
+    });
+
+    it("Should send nothing on a dry run", async function () {
+        const suite = await loadSuite();
+        const { marketplace, owner } = suite;
+
+        const report = await importCatalog({
+            marketplace, signer: owner, content: catalog(["DRY-1,Plug,NGK,,899,0,5,1,10,45"]),
+            baseDir: tmpDir, store, dryRun: true, log: silent,
+        });
+
+        expect(report.rows[0]).to.include({ status: "created", productId: null });
+        expect(report.rows[0].txs).to.deep.equal([]);
+        expect(fs.existsSync(path.join(tmpDir, "store"))).to.be.false;
+    });
+});
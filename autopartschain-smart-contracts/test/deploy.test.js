@@ -0,0 +1,75 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const { deploySuite } = require("../scripts/deploy");
+const { manifestPath, loadManifest } = require("../scripts/lib/manifest");
+
+describe("deploy pipeline", function () {
+    const networkName = "deploy-test";
+    const silent = () => {};
+
+    afterEach(function () {
+        fs.rmSync(manifestPath(networkName), { force: true });
+    });
+
+    it("Should deploy the suite and wire roles", async function () {
+        const manifest = await deploySuite({ networkName, log: silent });
+
+        const tbToken = await ethers.getContractAt("TBToken", manifest.contracts.TBToken);
+        const loyaltyProgram = await ethers.getContractAt("LoyaltyProgram", manifest.contracts.LoyaltyProgram);
+        const referralProgram = await ethers.getContractAt("ReferralProgram", manifest.contracts.ReferralProgram);
+        const marketplace = manifest.contracts.AutoPartsMarketplaceV2;
+
+        expect(await tbToken.hasRole(await tbToken.MINTER_ROLE(), marketplace)).to.be.true;
+        expect(await tbToken.hasRole(await tbToken.MINTER_ROLE(), manifest.contracts.LoyaltyProgram)).to.be.true;
+        expect(await loyaltyProgram.hasRole(await loyaltyProgram.MARKETPLACE_ROLE(), marketplace)).to.be.true;
+        expect(await referralProgram.hasRole(await referralProgram.MARKETPLACE_ROLE(), marketplace)).to.be.true;
+        expect(await tbToken.tradingEnabled()).to.be.true;
+
+        const stored = loadManifest(networkName);
+        expect(stored.deployments.LoyaltyProgram.constructorArgs).to.deep.equal([manifest.contracts.TBToken]);
+        expect(stored.deployments.TBToken.txHash).to.match(/^0x[0-9a-f]{64}$/);
+        expect(stored.deployments.TBToken.blockNumber).to.be.a("number");
+    });
+
+    it("Should not redeploy anything on a second run", async function () {
+        const first = await deploySuite({ networkName, log: silent });
+        const blockBefore = await ethers.provider.getBlockNumber();
+
+        const second = await deploySuite({ networkName, log: silent });
+
+        expect(second.contracts).to.deep.equal(first.contracts);
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    });
+
+    it("Should resume after a partial deployment", async function () {
+        const first = await deploySuite({ networkName, log: silent });
+
+        // Drop the tail of the manifest as if the run had died halfway through
+        const manifest = loadManifest(networkName);
+        delete manifest.contracts.AirdropManager;
+        delete manifest.deployments.AirdropManager;
+        manifest.setup = {};
+        fs.writeFileSync(manifestPath(networkName), JSON.stringify(manifest));
+
+        const resumed = await deploySuite({ networkName, log: silent });
+
+        expect(resumed.contracts.TBToken).to.equal(first.contracts.TBToken);
+        expect(resumed.contracts.AutoPartsMarketplaceV2).to.equal(first.contracts.AutoPartsMarketplaceV2);
+        expect(resumed.contracts.AirdropManager).to.not.equal(first.contracts.AirdropManager);
+    });
+
+    it("Should refuse to reuse a contract deployed with different arguments", async function () {
+        await deploySuite({ networkName, log: silent });
+        const [, other] = await ethers.getSigners();
+
+        let error;
+        try {
+            await deploySuite({ networkName, log: silent, config: { feeRecipient: other.address } });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.exist;
+        expect(error.message).to.include("AutoPartsMarketplaceV2");
+    });
+});
@@ -0,0 +1,124 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadSuite } = require("./helpers/fixtures");
+const { DEFAULT_FEES, replayTransfers, recomputeFees, crossCheck, buildFeeReport, dailyCsv } = require("../scripts/lib/fees");
+
+describe("fee revenue report", function () {
+    const tb = (amount) => ethers.parseUnits(String(amount), 18);
+
+    it("Should attribute buy, sell and transfer fees to each wallet across a fee change", async function () {
+        const { tbToken, owner, buyer, other, accounts } = await loadSuite();
+        const [pair, treasury, liquidity, marketing] = accounts;
+        const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+        await tbToken.updateWallets(treasury.address, liquidity.address, marketing.address);
+        await tbToken.setAutomatedMarketMakerPair(pair.address, true);
+        await tbToken.transfer(buyer.address, tb(10000));
+        await tbToken.transfer(pair.address, tb(50000));
+        await tbToken.connect(buyer).transfer(other.address, tb(1000)); // 1% transfer fee
+        await tbToken.connect(pair).transfer(buyer.address, tb(2000)); // 3% buy fee
+        await tbToken.connect(buyer).transfer(pair.address, tb(1000)); // 3% sell fee
+        await tbToken.updateFees(500, 500, 200);
+        await tbToken.connect(buyer).transfer(other.address, tb(100)); // 2% transfer fee
+        await tbToken.connect(other).transfer(owner.address, tb(10)); // to an excluded address, no fee
+
+        const report = await buildFeeReport(tbToken, { fromBlock });
+
+        expect(report.ok).to.be.true;
+        expect(report.totals.buy).to.include({ trades: 1, exempt: 0, fees: tb(60) });
+        expect(report.totals.sell).to.include({ trades: 2, exempt: 1, fees: tb(30) });
+        expect(report.totals.transfer).to.include({ trades: 4, exempt: 2, fees: tb(12) });
+
+        const income = Object.fromEntries(report.wallets.map((wallet) => [wallet.address, wallet.income]));
+        expect(income).to.deep.equal({
+            [treasury.address]: tb("40.8"),
+            [liquidity.address]: tb("40.8"),
+            [marketing.address]: tb("20.4"),
+        });
+        expect(await tbToken.balanceOf(treasury.address)).to.equal(tb("40.8"));
+
+        const fees = report.daily.reduce((sum, row) => sum + row.fees, 0n);
+        expect(fees).to.equal(tb(102));
+    });
+
+    it("Should keep a pair that was unset classified by the history at each trade", async function () {
+        const { tbToken, buyer, accounts } = await loadSuite();
+        const [pair] = accounts;
+        const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+        await tbToken.setAutomatedMarketMakerPair(pair.address, true);
+        await tbToken.transfer(buyer.address, tb(1000));
+        await tbToken.connect(buyer).transfer(pair.address, tb(100));
+        await tbToken.setAutomatedMarketMakerPair(pair.address, false);
+        await tbToken.connect(buyer).transfer(pair.address, tb(100));
+
+        // One block per query, so the pair history spans several pages
+        const report = await buildFeeReport(tbToken, { fromBlock, batchSize: 1 });
+        const trades = report.trades.filter((trade) => trade.from === buyer.address);
+
+        expect(trades.map((trade) => [trade.kind, trade.fee])).to.deep.equal([["sell", tb(3)], ["transfer", tb(1)]]);
+        expect(report.ok).to.be.true;
+    });
+
+    it("Should check attributed income against the balances and fees against calculateFee", async function () {
+        const { tbToken, buyer, other, accounts } = await loadSuite();
+        const [treasury, liquidity, marketing] = accounts;
+        await tbToken.updateWallets(treasury.address, liquidity.address, marketing.address);
+        await tbToken.transfer(buyer.address, tb(1000));
+        const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+        await tbToken.connect(buyer).transfer(other.address, tb(100)); // 1 TB fee
+        await tbToken.connect(buyer).transfer(treasury.address, tb(50)); // the treasury pays 0.5 TB and gets 40% back
+
+        const report = await buildFeeReport(tbToken, { fromBlock });
+        const check = (checks) => checks.find((entry) => entry.address === treasury.address);
+        expect(report.ok).to.be.true;
+        expect(check(report.checks)).to.include({ income: tb("0.6"), otherFlow: tb("49.5"), balanceChange: tb("50.1"), ok: true });
+
+        // Income the balance does not show fails the check
+        const transfers = (await tbToken.queryFilter(tbToken.filters.Transfer(), fromBlock))
+            .map((e) => ({ blockNumber: e.blockNumber, index: e.index, transactionHash: e.transactionHash, from: e.args[0], to: e.args[1], amount: e.args[2] }));
+        const history = { pairsAt: () => new Set(), feesAt: () => DEFAULT_FEES };
+        const { feeLogs } = replayTransfers(transfers, { token: tbToken.target, history });
+        const wallets = new Map(report.wallets.map((wallet) => [wallet.address, { ...wallet }]));
+        wallets.get(treasury.address).income += 1n;
+        const checks = await crossCheck(tbToken, { transfers, feeLogs, wallets, fromBlock, toBlock: report.toBlock });
+        expect(check(checks).ok).to.be.false;
+
+        // So does a fee the token would not have charged, even at the expected rate
+        const forged = { ...report.trades[0], fee: tb(1) + 1n, issues: [] };
+        await recomputeFees(tbToken, [forged]);
+        expect(forged.issues).to.deep.equal([`fee ${tb(1) + 1n} but calculateFee gives ${tb(1)}`]);
+    });
+
+    it("Should flag a fee that does not match the rate in force", function () {
+        const [token, a, b, t, l, m] = [1, 2, 3, 4, 5, 6].map((n) => ethers.getAddress(`0x${n.toString().padStart(40, "0")}`));
+        const log = (index, from, to, amount) => ({ blockNumber: 10, index, transactionHash: "0x01", from, to, amount });
+        const history = { pairsAt: () => new Set(), feesAt: () => DEFAULT_FEES };
+
+        const { trades, unattributed } = replayTransfers([
+            log(0, a, b, 1000n),
+            log(1, b, token, 20n),
+            log(2, token, t, 8n),
+            log(3, token, l, 8n),
+            log(4, token, m, 4n),
+            log(5, token, a, 1n),
+        ], { token, history });
+
+        expect(trades[0].wallets).to.deep.equal({ treasury: t, liquidity: l, marketing: m });
+        expect(trades[0].issues).to.deep.equal(["fee 20 is not 100 bps of 1000 (expected 10)"]);
+        expect(unattributed.map((transfer) => transfer.index)).to.deep.equal([5]);
+    });
+
+    it("Should export the daily totals as CSV", function () {
+        const csv = dailyCsv([
+            { date: "2026-01-02", kind: "buy", trades: 1, exempt: 0, volume: 2000n, fees: 60n, treasury: 24n, liquidity: 24n, marketing: 12n },
+        ]);
+
+        expect(csv.split("\n")).to.deep.equal([
+            "date,kind,trades,exempt,volume,fees,treasury,liquidity,marketing",
+            "2026-01-02,buy,1,0,2000,60,24,24,12",
+            "",
+        ]);
+    });
+});
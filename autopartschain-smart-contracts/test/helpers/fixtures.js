@@ -0,0 +1,158 @@
+/**
+ * Shared fixtures for the contract tests. Fixtures go through loadFixture, so
+ * the suite is deployed once and every test starts from the same snapshot.
+ *
+ *   const { loadSuite, listProduct, fundBuyer, createOrder } = require("./helpers/fixtures");
+ *   const suite = await loadSuite();
+ */
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue, anyUint } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deploySuite } = require("../../scripts/deploy");
+const { findEvent } = require("../../scripts/lib/chain");
+
+// 1 TB = 0.000001 USD, the price the marketplace tests have always used
+const INITIAL_PRICE = 100;
+const BUYER_FUNDS = ethers.parseUnits("1000000", 18);
+
+const PRODUCT_DEFAULTS = {
+    sku: "TEST-001",
+    name: "Test Product",
+    description: "Test Description",
+    category: "Test Category",
+    brand: "Test Brand",
+    vehicle: "Test Vehicle",
+    partNumber: "123456",
+    images: ["ipfs://test1"],
+    priceUSD: 1000, // $10.00
+    costUSD: 500,
+    stock: 100,
+    minOrder: 1,
+    maxOrder: 10,
+    weightGrams: 1000,
+    // listProduct's last three arguments, as every existing test passes them
+    extra: [[], false, ""],
+};
+
+const ORDER_DEFAULTS = {
+    shippingAddress: "123 Test St",
+    shippingMethod: "Standard",
+    notes: "Test notes",
+    discountCode: "",
+    referrer: ethers.ZeroAddress,
+};
+
+/** withArgs() predicate for any valid address */
+function anyAddress(value) {
+    return typeof value === "string" && ethers.isAddress(value);
+}
+
+/** TBToken alone with trading still disabled, owner as every fee wallet */
+async function deployTokenFixture() {
+    const [owner, addr1, addr2, ...addrs] = await ethers.getSigners();
+    const tbToken = await ethers.deployContract("TBToken", [owner.address, owner.address, owner.address]);
+    await tbToken.waitForDeployment();
+    return { tbToken, owner, addr1, addr2, addrs };
+}
+
+/**
+ * The full suite through scripts/deploy.js: roles granted, trading enabled,
+ * and the oracle set to INITIAL_PRICE.
+ */
+async function deploySuiteFixture() {
+    const [owner, buyer, other, ...accounts] = await ethers.getSigners();
+    const manifest = await deploySuite({ persist: false, log: () => {} });
+    const at = (name) => ethers.getContractAt(name, manifest.contracts[name]);
+
+    const suite = {
+        manifest,
+        owner,
+        buyer,
+        other,
+        accounts,
+        tbToken: await at("TBToken"),
+        priceOracle: await at("PriceOracle"),
+        loyaltyProgram: await at("LoyaltyProgram"),
+        referralProgram: await at("ReferralProgram"),
+        staking: await at("TBStaking"),
+        marketplace: await at("AutoPartsMarketplaceV2"),
+        airdropManager: await at("AirdropManager"),
+    };
+
+    await suite.priceOracle.updatePriceManually(INITIAL_PRICE);
+    return suite;
+}
+
+function loadSuite() {
+    return loadFixture(deploySuiteFixture);
+}
+
+function loadToken() {
+    return loadFixture(deployTokenFixture);
+}
+
+/** List a product as the suite owner; returns the new product id */
+async function listProduct({ marketplace }, overrides = {}) {
+    const p = { ...PRODUCT_DEFAULTS, ...overrides };
+    const tx = await marketplace.listProduct(
+        p.sku, p.name, p.description, p.category, p.brand, p.vehicle, p.partNumber, p.images,
+        p.priceUSD, p.costUSD, p.stock, p.minOrder, p.maxOrder, p.weightGrams, ...p.extra
+    );
+    return findEvent(marketplace, await tx.wait(), "ProductListed").args[0];
+}
+
+/** Send TB to `buyer` and, unless approve is false, let the marketplace spend it */
+async function fundBuyer({ tbToken, marketplace }, buyer, amount = BUYER_FUNDS, { approve = true } = {}) {
+    await tbToken.transfer(buyer.address, amount);
+    if (approve) {
+        await tbToken.connect(buyer).approve(await marketplace.getAddress(), ethers.MaxUint256);
+    }
+}
+
+/**
+ * Put `items` ([{ productId, quantity }]) in the buyer's cart and create the
+ * order; `pay: true` also pays it. Returns the order id and the create receipt.
+ */
+async function createOrder({ marketplace }, buyer, items, options = {}) {
+    const { pay = false, ...fields } = options;
+    const o = { ...ORDER_DEFAULTS, ...fields };
+    const asBuyer = marketplace.connect(buyer);
+
+    for (const { productId, quantity = 1 } of items) {
+        await asBuyer.addToCart(productId, quantity);
+    }
+    const tx = await asBuyer.createOrderFromCart(
+        o.shippingAddress, o.shippingMethod, o.notes, o.discountCode, false, o.referrer, ""
+    );
+    const receipt = await tx.wait();
+    const orderId = findEvent(marketplace, receipt, "OrderCreated").args[0];
+
+    if (pay) {
+        await asBuyer.payOrder(orderId);
+    }
+    return { orderId, receipt, tx };
+}
+
+/** Create a discount valid for an hour either side of the latest block */
+async function createDiscount({ marketplace }, { code, percentBps, maxDiscountUSD, minPurchaseUSD, usageLimit = 100 }) {
+    const now = await time.latest();
+    return marketplace.createDiscount(code, percentBps, maxDiscountUSD, minPurchaseUSD, usageLimit, now - 3600, now + 3600);
+}
+
+module.exports = {
+    INITIAL_PRICE,
+    BUYER_FUNDS,
+    PRODUCT_DEFAULTS,
+    deploySuiteFixture,
+    deployTokenFixture,
+    loadSuite,
+    loadToken,
+    listProduct,
+    fundBuyer,
+    createOrder,
+    createDiscount,
+    findEvent,
+    anyValue,
+    anyUint,
+    anyAddress,
+};
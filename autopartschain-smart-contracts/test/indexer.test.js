@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+const { ethers, network, artifacts } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadSuite, listProduct: listSuiteProduct, fundBuyer, createOrder, createDiscount } = require("./helpers/fixtures");
+const { openEventStore } = require("../scripts/lib/event-store");
+const { INDEXED_EVENTS, createIndexer } = require("../scripts/lib/indexer");
+
+describe("Event indexer", function () {
+    let suite, contracts, priceOracle;
+    let buyer;
+    let dbFile, store;
+
+    const silent = () => {};
+
+    async function listProduct(sku) {
+        return listSuiteProduct(suite, { sku });
+    }
+
+    // Same flow as the AutoPartsMarketplaceV2 "Discount Management" scenario, plus payment
+    async function runPurchaseScenario() {
+        const productId = await listProduct("TEST-001");
+        await createDiscount(suite, { code: "TEST10", percentBps: 1000, maxDiscountUSD: 500, minPurchaseUSD: 1000 });
+        await createOrder(suite, buyer, [{ productId, quantity: 2 }], { discountCode: "TEST10", pay: true });
+    }
+
+    function newIndexer(options = {}) {
+        return createIndexer({
+            provider: ethers.provider,
+            contracts,
+            store,
+            startBlock: 0,
+            reorgDepth: 50,
+            log: silent,
+            ...options,
+        });
+    }
+
+    beforeEach(async function () {
+        suite = await loadSuite();
+        ({ priceOracle, buyer } = suite);
+
+        contracts = {};
+        for (const name of Object.keys(INDEXED_EVENTS)) {
+            const { abi } = await artifacts.readArtifact(name);
+            contracts[name] = { address: suite.manifest.contracts[name], iface: new ethers.Interface(abi) };
+        }
+
+        await fundBuyer(suite, buyer);
+
+        dbFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "events.sqlite");
+        store = openEventStore(dbFile);
+    });
+
+    afterEach(function () {
+        store.close();
+    });
+
+    it("Should index the marketplace purchase flow", async function () {
+        await priceOracle.updatePriceManually(100);
+        await runPurchaseScenario();
+
+        await newIndexer().syncOnce();
+
+        const names = store.query().map((event) => event.event);
+        expect(names).to.include.members(["PriceUpdated", "ProductListed", "DiscountApplied", "OrderCreated", "OrderPaid"]);
+
+        const [listed] = store.query({ event: "ProductListed" });
+        expect(listed.contract).to.equal("AutoPartsMarketplaceV2");
+        expect(listed.args.sku).to.equal("TEST-001");
+        expect(listed.timestamp).to.be.a("number");
+
+        const [discount] = store.query({ event: "DiscountApplied" });
+        const [, code, amount] = Object.values(discount.args);
+        expect(code).to.equal("TEST10");
+        expect(amount).to.equal("200");
+
+        const buyerEvents = store.query({ account: buyer.address });
+        expect(buyerEvents.map((event) => event.event)).to.include.members(["OrderCreated", "OrderPaid"]);
+    });
+
+    it("Should resume from the checkpoint after a restart", async function () {
+        await runPurchaseScenario();
+        await newIndexer().syncOnce();
+        const firstCount = store.query().length;
+        const checkpoint = store.getCheckpoint();
+
+        store.close();
+        store = openEventStore(dbFile);
+        await listProduct("TEST-002");
+
+        const result = await newIndexer().syncOnce();
+
+        expect(result.fromBlock).to.equal(checkpoint + 1);
+        expect(store.query().length).to.equal(firstCount + 1);
+        expect(store.query({ event: "ProductListed" }).map((e) => e.args.sku)).to.deep.equal(["TEST-001", "TEST-002"]);
+    });
+
+    it("Should roll back events from reorged blocks", async function () {
+        await listProduct("TEST-001");
+        const snapshotId = await network.provider.send("evm_snapshot");
+
+        await listProduct("ORPHANED");
+        await newIndexer().syncOnce();
+        expect(store.query({ event: "ProductListed" })).to.have.length(2);
+
+        // Replace the tail of the chain with different blocks
+        await network.provider.send("evm_revert", [snapshotId]);
+        await listProduct("CANONICAL");
+        await network.provider.send("hardhat_mine", ["0x5"]);
+
+        await newIndexer().syncOnce();
+
+        const skus = store.query({ event: "ProductListed" }).map((e) => e.args.sku);
+        expect(skus).to.deep.equal(["TEST-001", "CANONICAL"]);
+    });
+});
@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadProfile, loadProfiles, hardhatNetworks, etherscanConfig, priceFeed } = require("../scripts/lib/networks");
+const { loadKeeperConfig } = require("../scripts/lib/keeper");
+const { deploySuite } = require("../scripts/deploy");
+const { rehearse, MOCK_ANSWER } = require("../scripts/lib/rehearse");
+
+describe("network profiles", function () {
+    const { ethers } = hre;
+    const silent = () => {};
+    let tmpDir;
+
+    function writeProfile(name, profile) {
+        fs.writeFileSync(path.join(tmpDir, `${name}.json`), JSON.stringify(profile));
+    }
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "profiles-"));
+    });
+
+    it("Should load every shipped profile", function () {
+        const profiles = loadProfiles();
+
+        expect(profiles.map((p) => p.name)).to.include.members(["sepolia", "polygon", "arbitrum", "optimism"]);
+        expect(priceFeed(loadProfile("sepolia"))).to.equal("0x694AA1769357215DE4FAC081bf1f309aDC325306");
+        expect(loadProfile("hardhat")).to.equal(null);
+    });
+
+    it("Should build hardhat networks with environment overrides", function () {
+        const env = { PRIVATE_KEY: "0x" + "11".repeat(32), SEPOLIA_RPC_URL: "https://sepolia.example" };
+        const networks = hardhatNetworks(loadProfiles(), env);
+
+        expect(networks.sepolia).to.deep.equal({ url: "https://sepolia.example", accounts: [env.PRIVATE_KEY], chainId: 11155111 });
+        expect(networks.arbitrum.url).to.equal("https://arb1.arbitrum.io/rpc");
+        expect(networks.mumbai.gasPrice).to.equal(35000000000);
+        expect(etherscanConfig(loadProfiles(), { ARBISCAN_API_KEY: "key" }).apiKey.arbitrumOne).to.equal("key");
+    });
+
+    it("Should reject a profile with an invalid feed address", function () {
+        writeProfile("broken", { chainId: 1, rpcUrl: "http://x", chainlink: { feeds: { "ETH/USD": "0x1234" } } });
+
+        expect(() => loadProfile("broken", { dir: tmpDir })).to.throw('chainlink.feeds["ETH/USD"] must be an address');
+    });
+
+    it("Should take the keeper gas cap from the profile unless the environment sets one", function () {
+        const profile = { gas: { maxFeeGwei: 500, confirmations: 5 } };
+
+        expect(loadKeeperConfig({}, profile).maxFeePerGas).to.equal(ethers.parseUnits("500", "gwei"));
+        expect(loadKeeperConfig({}, profile).confirmations).to.equal(5);
+        expect(loadKeeperConfig({ KEEPER_MAX_FEE_GWEI: "80" }, profile).maxFeePerGas).to.equal(ethers.parseUnits("80", "gwei"));
+        expect(loadKeeperConfig({}).maxFeePerGas).to.equal(null);
+    });
+
+    it("Should deploy with the profile's feed and fee wallets", async function () {
+        const [, treasury, feeRecipient] = await ethers.getSigners();
+        const feed = await ethers.deployContract("MockV3Aggregator", [8, 200000000000]);
+        writeProfile("custom", {
+            chainId: 31337,
+            rpcUrl: "http://127.0.0.1:8545",
+            chainlink: { priceOracleFeed: "ETH/USD", feeds: { "ETH/USD": feed.target } },
+            wallets: { treasury: treasury.address, feeRecipient: feeRecipient.address },
+        });
+
+        const manifest = await deploySuite({
+            networkName: "custom",
+            profile: loadProfile("custom", { dir: tmpDir }),
+            persist: false,
+            log: silent,
+        });
+
+        expect(manifest.deployments.PriceOracle.constructorArgs).to.deep.equal([feed.target]);
+        expect(manifest.deployments.TBToken.constructorArgs[0]).to.equal(treasury.address);
+        expect(manifest.deployments.AutoPartsMarketplaceV2.constructorArgs[3]).to.equal(feeRecipient.address);
+    });
+
+    it("Should rehearse a release offline with a mock aggregator and pass the smoke test", async function () {
+        const result = await rehearse({ hre, profile: loadProfile("sepolia"), offline: true, log: silent });
+
+        expect(result.aggregator.mocked).to.be.true;
+        expect(result.results.map((r) => r.status)).to.deep.equal(["passed", "passed", "passed", "passed"]);
+        expect(result.ok).to.be.true;
+
+        const priceOracle = await ethers.getContractAt("PriceOracle", result.manifest.contracts.PriceOracle);
+        const source = await priceOracle.priceSources(0);
+        expect(source.aggregator).to.equal(result.aggregator.address);
+        const aggregator = await ethers.getContractAt("MockV3Aggregator", source.aggregator);
+        expect((await aggregator.latestRoundData()).answer).to.equal(MOCK_ANSWER);
+    });
+});
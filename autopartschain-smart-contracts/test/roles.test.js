@@ -0,0 +1,106 @@
+const { expect } = require("chai");
+const path = require("path");
+const { loadSuite } = require("./helpers/fixtures");
+const { loadExpectedPermissions, auditRoles, renderMarkdown, resolveHolder } = require("../scripts/lib/roles");
+
+describe("role audit", function () {
+    let suite;
+    let expected;
+
+    const AUDITED = {
+        TBToken: "tbToken",
+        PriceOracle: "priceOracle",
+        LoyaltyProgram: "loyaltyProgram",
+        ReferralProgram: "referralProgram",
+        AirdropManager: "airdropManager",
+    };
+
+    function audit(overrides = {}) {
+        const contracts = Object.entries(AUDITED).map(([name, key]) => ({ name, contract: suite[key] }));
+        return auditRoles({ contracts, expected, manifest: suite.manifest, ...overrides });
+    }
+
+    function codes(result) {
+        return result.findings.map((f) => `${f.code} ${f.contract}.${f.role}`).sort();
+    }
+
+    async function revokeDeployerGrants() {
+        const { tbToken, loyaltyProgram, referralProgram, owner } = suite;
+        await tbToken.revokeRole(await tbToken.MINTER_ROLE(), owner.address);
+        await loyaltyProgram.revokeRole(await loyaltyProgram.MARKETPLACE_ROLE(), owner.address);
+        await referralProgram.revokeRole(await referralProgram.MARKETPLACE_ROLE(), owner.address);
+    }
+
+    beforeEach(async function () {
+        suite = await loadSuite();
+        expected = loadExpectedPermissions(path.join(__dirname, "..", "permissions", "default.json"));
+    });
+
+    it("Should flag the constructor grants the deployer never gave up", async function () {
+        const result = await audit();
+
+        expect(result.ok).to.equal(false);
+        expect(codes(result)).to.deep.equal([
+            "DEPLOYER_RETAINED LoyaltyProgram.MARKETPLACE_ROLE",
+            "DEPLOYER_RETAINED ReferralProgram.MARKETPLACE_ROLE",
+            "DEPLOYER_RETAINED TBToken.MINTER_ROLE",
+        ]);
+        expect(result.contracts.TBToken.roles.MINTER_ROLE.map((h) => h.label)).to.have.members([
+            "deployer", "AutoPartsMarketplaceV2", "LoyaltyProgram",
+        ]);
+    });
+
+    it("Should report no drift once membership matches the expected file", async function () {
+        await revokeDeployerGrants();
+
+        const result = await audit();
+
+        expect(result.ok).to.equal(true);
+        expect(result.contracts.TBToken.roles.MINTER_ROLE).to.have.length(2);
+    });
+
+    it("Should detect unexpected holders and missing grants", async function () {
+        const { tbToken, other, manifest } = suite;
+        await revokeDeployerGrants();
+        await tbToken.grantRole(await tbToken.PAUSER_ROLE(), other.address);
+        await tbToken.revokeRole(await tbToken.MINTER_ROLE(), manifest.contracts.LoyaltyProgram);
+
+        const result = await audit();
+
+        expect(codes(result)).to.deep.equal([
+            "MISSING_GRANT TBToken.MINTER_ROLE",
+            "UNEXPECTED_HOLDER TBToken.PAUSER_ROLE",
+        ]);
+        expect(result.findings.find((f) => f.code === "UNEXPECTED_HOLDER").account).to.equal(other.address);
+        expect(result.findings.find((f) => f.code === "MISSING_GRANT").label).to.equal("LoyaltyProgram");
+    });
+
+    it("Should resolve holders from the environment", function () {
+        const { other, manifest } = suite;
+        expect(resolveHolder("$ADMIN_SAFE", { manifest, env: { ADMIN_SAFE: other.address.toLowerCase() } }))
+            .to.equal(other.address);
+        expect(() => resolveHolder("$ADMIN_SAFE", { manifest, env: {} })).to.throw("must be set to an address");
+        expect(() => resolveHolder("@Unknown", { manifest })).to.throw("not in the manifest");
+    });
+
+    it("Should reject roles the contract does not define", async function () {
+        expected = { TBToken: { BURNER_ROLE: ["deployer"] } };
+
+        let error;
+        try {
+            await audit();
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include("TBToken has no role named BURNER_ROLE");
+    });
+
+    it("Should render a Markdown report", async function () {
+        const result = await audit();
+        const markdown = renderMarkdown({ network: "hardhat", toBlock: 1, ...result });
+
+        expect(markdown).to.include("## Findings");
+        expect(markdown).to.include("| DEPLOYER_RETAINED | TBToken | MINTER_ROLE |");
+        expect(markdown).to.include("### AirdropManager");
+    });
+});
@@ -0,0 +1,160 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadSuite } = require("./helpers/fixtures");
+const { buildSafeTx, safeTxHash, createSafeProposal } = require("../scripts/lib/safe");
+const { feesAction, manualPriceAction, handOverAdmin, runAdminAction } = require("../scripts/lib/admin");
+
+describe("Safe proposals", function () {
+    let suite;
+    let tbToken;
+    let owner;
+    let safeOwner;
+    let safe;
+    let multiSend;
+    let tmpDir;
+
+    const silent = () => {};
+
+    function options(overrides = {}) {
+        return { signer: owner, networkName: "hardhat", auditFile: path.join(tmpDir, "audit.jsonl"), log: silent, ...overrides };
+    }
+
+    function safeOptions(file = "proposal.json") {
+        return { address: safe.target, file: path.join(tmpDir, file), multiSend: multiSend.target };
+    }
+
+    /** Execute a written proposal the way the Safe would once signed */
+    async function execute({ safeTx }) {
+        return safe.connect(safeOwner).execTransaction(
+            safeTx.to, safeTx.value, safeTx.data, safeTx.operation, safeTx.safeTxGas,
+            safeTx.baseGas, safeTx.gasPrice, safeTx.gasToken, safeTx.refundReceiver, "0x"
+        );
+    }
+
+    async function handOver(contracts) {
+        return handOverAdmin({ contracts, safe: safe.target, ...options() });
+    }
+
+    beforeEach(async function () {
+        suite = await loadSuite();
+        ({ tbToken, owner, other: safeOwner } = suite);
+        safe = await ethers.deployContract("MockSafe", [[safeOwner.address], 1]);
+        multiSend = await ethers.deployContract("MockMultiSendCallOnly");
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "safe-proposal-"));
+    });
+
+    it("Should compute the same safeTxHash as the Safe", async function () {
+        const { chainId } = await ethers.provider.getNetwork();
+        const data = tbToken.interface.encodeFunctionData("updateFees", [200, 200, 50]);
+        const safeTx = buildSafeTx([{ to: tbToken.target, data }], { nonce: 7 });
+
+        expect(safeTxHash({ safe: safe.target, chainId, safeTx })).to.equal(await safe.getTransactionHash(
+            safeTx.to, safeTx.value, safeTx.data, safeTx.operation, safeTx.safeTxGas,
+            safeTx.baseGas, safeTx.gasPrice, safeTx.gasToken, safeTx.refundReceiver, 7
+        ));
+    });
+
+    it("Should write a proposal instead of sending and execute it through the Safe", async function () {
+        await handOver([{ name: "TBToken", contract: tbToken }]);
+
+        const result = await runAdminAction(
+            feesAction(tbToken, { buy: "200", sell: "400" }),
+            options({ safe: safeOptions() })
+        );
+
+        expect(result.status).to.equal("proposed");
+        expect(await tbToken.buyFee()).to.equal(300);
+
+        const batch = JSON.parse(fs.readFileSync(result.files.batchFile, "utf8"));
+        expect(batch.meta.createdFromSafeAddress).to.equal(safe.target);
+        expect(batch.transactions).to.have.length(1);
+        expect(batch.transactions[0].to).to.equal(tbToken.target);
+
+        await expect(execute(result.proposal)).to.emit(safe, "ExecutionSuccess").withArgs(result.safeTxHash);
+        expect(await tbToken.buyFee()).to.equal(200);
+        expect(await tbToken.sellFee()).to.equal(400);
+    });
+
+    it("Should append calls to an existing proposal as a MultiSend batch", async function () {
+        const { priceOracle } = suite;
+        await priceOracle.grantRole(await priceOracle.PRICE_UPDATER_ROLE(), safe.target);
+        await handOver([{ name: "TBToken", contract: tbToken }]);
+
+        const first = await runAdminAction(feesAction(tbToken, { transfer: "50" }), options({ safe: safeOptions() }));
+        const second = await runAdminAction(manualPriceAction(priceOracle, { price: "250" }), options({ safe: safeOptions() }));
+
+        expect(first.proposal.calls).to.have.length(1);
+        expect(second.proposal.calls).to.have.length(2);
+        expect(second.proposal.safeTx.operation).to.equal(1);
+        expect(second.proposal.safeTx.to).to.equal(multiSend.target);
+
+        await execute(second.proposal);
+        expect(await tbToken.transferFee()).to.equal(50);
+        expect(await priceOracle.currentPrice()).to.equal(250);
+    });
+
+    it("Should reject a proposal the Safe could not execute", async function () {
+        // the Safe has no role on TBToken yet
+        let error;
+        try {
+            await runAdminAction(feesAction(tbToken, { buy: "100" }), options({ safe: safeOptions() }));
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include("AccessControl");
+        expect(fs.existsSync(safeOptions().file)).to.equal(false);
+    });
+
+    it("Should move DEFAULT_ADMIN_ROLE to the Safe and renounce it from the deployer", async function () {
+        const { loyaltyProgram } = suite;
+        const results = await handOver([
+            { name: "TBToken", contract: tbToken },
+            { name: "LoyaltyProgram", contract: loyaltyProgram },
+        ]);
+
+        expect(results).to.deep.equal([
+            { contract: "TBToken", grant: "confirmed", renounce: "confirmed" },
+            { contract: "LoyaltyProgram", grant: "confirmed", renounce: "confirmed" },
+        ]);
+        for (const contract of [tbToken, loyaltyProgram]) {
+            expect(await contract.hasRole(ethers.ZeroHash, safe.target)).to.be.true;
+            expect(await contract.hasRole(ethers.ZeroHash, owner.address)).to.be.false;
+        }
+    });
+
+    it("Should refuse to hand over to an address that is not a Safe", async function () {
+        let error;
+        try {
+            await handOverAdmin({ contracts: [{ name: "TBToken", contract: tbToken }], safe: safeOwner.address, ...options() });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include("No contract at Safe address");
+        expect(await tbToken.hasRole(ethers.ZeroHash, owner.address)).to.be.true;
+    });
+
+    it("Should refuse a Safe the deployer controls alone", async function () {
+        const ownSafe = await ethers.deployContract("MockSafe", [[owner.address], 1]);
+
+        let error;
+        try {
+            await handOverAdmin({ contracts: [{ name: "TBToken", contract: tbToken }], safe: ownSafe.target, ...options() });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include("threshold 1");
+    });
+
+    it("Should use the Safe nonce unless one is given", async function () {
+        const transactions = [{ to: tbToken.target, value: "0", data: "0x" }];
+        const current = await createSafeProposal({ provider: ethers.provider, safe: safe.target, transactions, name: "t" });
+        const queued = await createSafeProposal({ provider: ethers.provider, safe: safe.target, transactions, name: "t", nonce: 3 });
+
+        expect(current.safeTx.nonce).to.equal(0n);
+        expect(queued.safeTx.nonce).to.equal(3n);
+        expect(queued.safeTxHash).to.not.equal(current.safeTxHash);
+    });
+});
@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadSuite, findEvent } = require("./helpers/fixtures");
+const { snapshotHolders, parseTiers, allocate, toAirdropCsv } = require("../scripts/lib/snapshot");
+const { parseEntries, buildTree } = require("../scripts/lib/merkle");
+
+describe("snapshot distributions", function () {
+    const tb = (amount) => ethers.parseUnits(String(amount), 18);
+
+    async function takeSnapshot(tbToken) {
+        return findEvent(tbToken, await (await tbToken.snapshot()).wait(), "Snapshot").args[0];
+    }
+
+    it("Should read balances at the snapshot, ignoring transfers after it", async function () {
+        const { tbToken, owner, buyer, other, accounts } = await loadSuite();
+        const [pair, lateHolder] = accounts;
+        const feed = await ethers.deployContract("MockV3Aggregator", [8, 100]);
+
+        await tbToken.transfer(buyer.address, tb(1000));
+        await tbToken.transfer(other.address, tb(3000));
+        await tbToken.setAutomatedMarketMakerPair(pair.address, true);
+        await tbToken.transfer(pair.address, tb(500));
+        await tbToken.transfer(feed.target, tb(200));
+        const snapshotId = await takeSnapshot(tbToken);
+
+        await tbToken.transfer(buyer.address, tb(5000));
+        await tbToken.transfer(lateHolder.address, tb(700));
+        await tbToken.connect(other).transfer(buyer.address, tb(100));
+
+        const snapshot = await snapshotHolders(tbToken, snapshotId);
+
+        expect(snapshot.eligible).to.have.deep.members([
+            { address: buyer.address, balance: tb(1000) },
+            { address: other.address, balance: tb(3000) },
+        ]);
+        const reasons = Object.fromEntries(snapshot.excluded.map((holder) => [holder.address, holder.reasons]));
+        expect(reasons[owner.address]).to.deep.equal(["feeWallet", "excludedFromLimits"]);
+        expect(reasons[pair.address]).to.deep.equal(["ammPair"]);
+        expect(reasons[feed.target]).to.deep.equal(["contract"]);
+        expect(reasons).to.not.have.property(lateHolder.address);
+    });
+
+    it("Should exclude holders by the state at the snapshot, not the current one", async function () {
+        const { tbToken, owner, buyer, other, accounts } = await loadSuite();
+        const [pair] = accounts;
+        await tbToken.transfer(buyer.address, tb(1000));
+        await tbToken.transfer(other.address, tb(3000));
+        await tbToken.setAutomatedMarketMakerPair(pair.address, true);
+        await tbToken.transfer(pair.address, tb(500));
+        const snapshotId = await takeSnapshot(tbToken);
+
+        await tbToken.setAutomatedMarketMakerPair(pair.address, false);
+        await tbToken.setExcludedFromLimits(buyer.address, true);
+        await tbToken.updateWallets(other.address, owner.address, owner.address);
+
+        const snapshot = await snapshotHolders(tbToken, snapshotId);
+
+        expect(snapshot.eligible).to.have.deep.members([
+            { address: buyer.address, balance: tb(1000) },
+            { address: other.address, balance: tb(3000) },
+        ]);
+        expect(snapshot.excluded.find((holder) => holder.address === pair.address).reasons).to.deep.equal(["ammPair"]);
+    });
+
+    it("Should apply manual exclusions, allowed contracts and a minimum balance", async function () {
+        const { tbToken, buyer, other } = await loadSuite();
+        const feed = await ethers.deployContract("MockV3Aggregator", [8, 100]);
+        await tbToken.transfer(buyer.address, tb(10));
+        await tbToken.transfer(other.address, tb(3000));
+        await tbToken.transfer(feed.target, tb(200));
+        const snapshotId = await takeSnapshot(tbToken);
+
+        const snapshot = await snapshotHolders(tbToken, snapshotId, {
+            minBalance: tb(100),
+            exclude: [other.address],
+            allowContracts: [feed.target],
+            batchSize: 2,
+        });
+
+        expect(snapshot.eligible.map((holder) => holder.address)).to.deep.equal([feed.target]);
+        expect(snapshot.excluded.find((holder) => holder.address === other.address).reasons).to.deep.equal(["manual"]);
+    });
+
+    it("Should reject an unknown snapshot id", async function () {
+        const { tbToken } = await loadSuite();
+
+        try {
+            await snapshotHolders(tbToken, 99);
+            expect.fail("Expected snapshotHolders to throw");
+        } catch (error) {
+            expect(error.message).to.include("Snapshot 99 not found");
+        }
+    });
+
+    it("Should split the pool pro-rata with every base unit allocated", function () {
+        const holders = [
+            { address: "0x0000000000000000000000000000000000000001", balance: 1n },
+            { address: "0x0000000000000000000000000000000000000002", balance: 1n },
+            { address: "0x0000000000000000000000000000000000000003", balance: 1n },
+        ];
+
+        const allocations = allocate(holders, 100n);
+
+        expect(allocations.map((a) => a.amount)).to.deep.equal([34n, 33n, 33n]);
+    });
+
+    it("Should split the pool by tier weight and drop holders below the first tier", function () {
+        const tiers = parseTiers("10000:3,1000:1");
+        const holders = [
+            { address: "0x0000000000000000000000000000000000000001", balance: tb(500) },
+            { address: "0x0000000000000000000000000000000000000002", balance: tb(2000) },
+            { address: "0x0000000000000000000000000000000000000003", balance: tb(50000) },
+        ];
+
+        const allocations = allocate(holders, tb(4000), { mode: "tiered", tiers });
+
+        expect(allocations.map((a) => [a.address.slice(-1), a.weight, a.amount])).to.deep.equal([
+            ["2", 1n, tb(1000)],
+            ["3", 3n, tb(3000)],
+        ]);
+    });
+
+    it("Should write a list airdrop:build accepts", function () {
+        const allocations = [
+            { address: "0x0000000000000000000000000000000000000001", amount: 250n },
+            { address: "0x0000000000000000000000000000000000000002", amount: 750n },
+        ];
+
+        const tree = buildTree(parseEntries(toAirdropCsv(allocations), { decimals: 0 }));
+
+        expect(tree.count).to.equal(2);
+        expect(tree.totalAmount).to.equal(1000n);
+    });
+});
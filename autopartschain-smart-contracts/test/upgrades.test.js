@@ -0,0 +1,150 @@
+const { expect } = require("chai");
+const { ethers, upgrades, artifacts } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deploySuite } = require("../scripts/deploy");
+const { upgradeContract } = require("../scripts/lib/upgrades");
+
+describe("upgradeable deployment", function () {
+    const silent = () => {};
+    const PROXIED = ["PriceOracle", "LoyaltyProgram", "ReferralProgram", "AirdropManager"];
+
+    async function deployProxiedSuiteFixture() {
+        const [owner, customer, other] = await ethers.getSigners();
+        const manifest = await deploySuite({ networkName: "upgrade-test", persist: false, log: silent, config: { proxy: true } });
+        const loyaltyProgram = await ethers.getContractAt("LoyaltyProgramUpgradeable", manifest.contracts.LoyaltyProgram);
+        return { manifest, owner, customer, other, loyaltyProgram };
+    }
+
+    // upgradeContract() edits the manifest in place, so every test gets its own copy
+    async function load() {
+        const fixture = await loadFixture(deployProxiedSuiteFixture);
+        return { ...fixture, manifest: structuredClone(fixture.manifest) };
+    }
+
+    function upgrade(manifest, name, options = {}) {
+        return upgradeContract({ ethers, upgrades, manifest, name, log: silent, ...options });
+    }
+
+    it("Should deploy the four contracts behind UUPS proxies and record both addresses", async function () {
+        const { manifest } = await load();
+
+        for (const name of PROXIED) {
+            const record = manifest.deployments[name];
+            expect(record.proxy.kind, name).to.equal("uups");
+            expect(record.proxy.contract).to.equal(`${name}Upgradeable`);
+            expect(record.proxy.implementation).to.equal(await upgrades.erc1967.getImplementationAddress(record.address));
+            expect(record.proxy.implementation).to.not.equal(record.address);
+        }
+        expect(manifest.deployments.TBToken.proxy).to.be.undefined;
+        expect(manifest.deployments.LoyaltyProgram.initializerArgs).to.deep.equal([manifest.contracts.TBToken]);
+    });
+
+    it("Should keep the public interface of the constructor-deployed contracts", async function () {
+        // Members only the proxy versions have: initialization, UUPS and the storage gap
+        const PROXY_ONLY = [
+            "initialize", "upgradeTo", "upgradeToAndCall", "proxiableUUID", "UPGRADE_INTERFACE_VERSION",
+            "Initialized", "Upgraded", "AdminChanged", "BeaconUpgraded",
+        ];
+        const signatures = async (name) => {
+            const { abi } = await artifacts.readArtifact(name);
+            return abi
+                .filter((item) => item.type === "function" || item.type === "event")
+                .filter((item) => !PROXY_ONLY.includes(item.name))
+                .map((item) => `${item.type} ${item.name}(${item.inputs.map((input) => input.type).join(",")})`)
+                .sort();
+        };
+
+        for (const name of PROXIED) {
+            expect(await signatures(`${name}Upgradeable`), name).to.deep.equal(await signatures(name));
+        }
+    });
+
+    it("Should initialize proxies like the constructor deployments", async function () {
+        const { manifest, owner } = await load();
+        const referralProgram = await ethers.getContractAt("ReferralProgramUpgradeable", manifest.contracts.ReferralProgram);
+        const priceOracle = await ethers.getContractAt("PriceOracleUpgradeable", manifest.contracts.PriceOracle);
+
+        expect(await referralProgram.levelCommissions(2)).to.equal(100);
+        expect(await referralProgram.hasRole(ethers.ZeroHash, owner.address)).to.be.true;
+        expect(await priceOracle.currentPrice()).to.equal(100);
+        expect(await referralProgram.hasRole(await referralProgram.MARKETPLACE_ROLE(), manifest.contracts.AutoPartsMarketplaceV2))
+            .to.be.true;
+
+        await expect(referralProgram.initialize(manifest.contracts.TBToken))
+            .to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("Should upgrade a live proxy and keep its state", async function () {
+        const { manifest, customer, loyaltyProgram } = await load();
+        await loyaltyProgram.recordPurchase(customer.address, 150000, ethers.ZeroAddress);
+        const before = await loyaltyProgram.customers(customer.address);
+        const previous = manifest.deployments.LoyaltyProgram.proxy.implementation;
+
+        const result = await upgrade(manifest, "LoyaltyProgram", { implementation: "LoyaltyProgramUpgradeableV2" });
+
+        const upgraded = await ethers.getContractAt("LoyaltyProgramUpgradeableV2", manifest.contracts.LoyaltyProgram);
+        expect(await upgraded.version()).to.equal("2");
+        expect((await upgraded.customers(customer.address)).toArray()).to.deep.equal(before.toArray());
+        expect(await upgraded.ownerOf(BigInt(customer.address))).to.equal(customer.address);
+        expect((await upgraded.tiers(4)).name).to.equal("Diamond");
+
+        await upgraded.setPointsMultiplier(2);
+        expect(await upgraded.pointsMultiplier()).to.equal(2);
+
+        const record = manifest.deployments.LoyaltyProgram.proxy;
+        expect(result.status).to.equal("upgraded");
+        expect(record.implementation).to.equal(result.implementation);
+        expect(record.contract).to.equal("LoyaltyProgramUpgradeableV2");
+        expect(record.upgrades).to.have.length(1);
+        expect(record.upgrades[0]).to.include({ from: previous, to: result.implementation });
+    });
+
+    it("Should reject an implementation with an incompatible storage layout", async function () {
+        const { manifest } = await load();
+        const implementation = manifest.deployments.PriceOracle.proxy.implementation;
+
+        let error;
+        try {
+            await upgrade(manifest, "PriceOracle", { implementation: "PriceOracleUpgradeableBadLayout" });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error.message).to.match(/storage layout|incompatible/i);
+        expect(await upgrades.erc1967.getImplementationAddress(manifest.contracts.PriceOracle)).to.equal(implementation);
+    });
+
+    it("Should only validate on a dry run", async function () {
+        const { manifest } = await load();
+        const implementation = manifest.deployments.LoyaltyProgram.proxy.implementation;
+
+        const result = await upgrade(manifest, "LoyaltyProgram", { implementation: "LoyaltyProgramUpgradeableV2", dryRun: true });
+
+        expect(result.status).to.equal("validated");
+        expect(await upgrades.erc1967.getImplementationAddress(manifest.contracts.LoyaltyProgram)).to.equal(implementation);
+    });
+
+    it("Should only let the admin upgrade", async function () {
+        const { manifest, other, loyaltyProgram } = await load();
+        const implementation = await upgrades.deployImplementation(
+            await ethers.getContractFactory("LoyaltyProgramUpgradeableV2"), { kind: "uups" }
+        );
+
+        await expect(loyaltyProgram.connect(other).upgradeToAndCall(implementation, "0x"))
+            .to.be.revertedWith(`AccessControl: account ${other.address.toLowerCase()} is missing role ${ethers.ZeroHash}`);
+        expect(await upgrades.erc1967.getImplementationAddress(manifest.contracts.LoyaltyProgram))
+            .to.equal(manifest.deployments.LoyaltyProgram.proxy.implementation);
+    });
+
+    it("Should refuse to upgrade a contract that is not proxied", async function () {
+        const { manifest } = await load();
+
+        let error;
+        try {
+            await upgrade(manifest, "TBToken");
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include("TBToken is not deployed behind a proxy");
+    });
+});
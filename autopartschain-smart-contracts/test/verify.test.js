@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const { parseOnly, verifyAll, report } = require("../scripts/verify");
+
+describe("verify", function () {
+    const silent = () => {};
+    const TOKEN = "0x" + "11".repeat(20);
+    const ORACLE = "0x" + "22".repeat(20);
+    const IMPLEMENTATION = "0x" + "33".repeat(20);
+
+    const manifest = {
+        contracts: { TBToken: TOKEN, PriceOracle: ORACLE },
+        deployments: {
+            TBToken: { address: TOKEN, constructorArgs: ["0xtreasury"] },
+            PriceOracle: { address: ORACLE, constructorArgs: [], proxy: { implementation: IMPLEMENTATION } },
+        },
+    };
+
+    /** Stand-in for hre.run: answers each address from a list of outcomes (an Error or "ok") */
+    function stubRun(outcomes) {
+        const calls = [];
+        const run = async (taskName, args) => {
+            calls.push({ taskName, ...args });
+            const outcome = outcomes[args.address].shift();
+            if (outcome instanceof Error) throw outcome;
+        };
+        return { run, calls };
+    }
+
+    function verify(run, overrides = {}) {
+        return verifyAll({ run, manifest, maxAttempts: 3, retryDelayMs: 1, log: silent, ...overrides });
+    }
+
+    it("Should verify the implementation of proxied contracts with the recorded arguments", async function () {
+        const { run, calls } = stubRun({ [TOKEN]: ["ok"], [IMPLEMENTATION]: ["ok"] });
+
+        const results = await verify(run);
+
+        expect(calls).to.deep.equal([
+            { taskName: "verify:verify", address: TOKEN, constructorArguments: ["0xtreasury"] },
+            { taskName: "verify:verify", address: IMPLEMENTATION, constructorArguments: [] },
+        ]);
+        expect(results.map((r) => r.status)).to.deep.equal(["verified", "verified"]);
+        expect(report(results, { log: silent, error: silent })).to.equal(0);
+    });
+
+    it("Should treat an already verified contract as a success", async function () {
+        const { run } = stubRun({
+            [TOKEN]: [new Error("Contract source code already verified")],
+            [IMPLEMENTATION]: ["ok"],
+        });
+
+        const results = await verify(run);
+
+        expect(results[0]).to.include({ name: "TBToken", status: "already verified", attempts: 1 });
+        expect(report(results, { log: silent, error: silent })).to.equal(0);
+    });
+
+    it("Should retry after a rate limit and then succeed", async function () {
+        const { run, calls } = stubRun({
+            [TOKEN]: [new Error("Max rate limit reached"), new Error("HTTP 429 Too Many Requests"), "ok"],
+            [IMPLEMENTATION]: ["ok"],
+        });
+
+        const results = await verify(run);
+
+        expect(calls.filter((call) => call.address === TOKEN)).to.have.length(3);
+        expect(results[0]).to.include({ status: "verified", attempts: 3 });
+    });
+
+    it("Should report a hard failure without retrying and exit non-zero", async function () {
+        const { run, calls } = stubRun({
+            [TOKEN]: [new Error("Bytecode does not match\nmore details")],
+            [IMPLEMENTATION]: ["ok"],
+        });
+        const errors = [];
+
+        const results = await verify(run);
+
+        expect(calls.filter((call) => call.address === TOKEN)).to.have.length(1);
+        expect(results[0]).to.include({ status: "failed", attempts: 1, error: "Bytecode does not match" });
+        expect(report(results, { log: silent, error: (line) => errors.push(line) })).to.equal(1);
+        expect(errors[0]).to.include("1 contract(s) failed verification");
+    });
+
+    it("Should give up once the rate limit outlasts the attempts", async function () {
+        const { run } = stubRun({ [TOKEN]: Array(3).fill(new Error("rate limit")), [IMPLEMENTATION]: ["ok"] });
+
+        const results = await verify(run);
+
+        expect(results[0]).to.include({ status: "failed", attempts: 3 });
+    });
+
+    it("Should only verify the contracts named in --only", async function () {
+        const { run, calls } = stubRun({ [IMPLEMENTATION]: ["ok"] });
+        const only = parseOnly(["node", "verify.js", "--only", " PriceOracle ,"], {});
+
+        const results = await verify(run, { only });
+
+        expect(only).to.deep.equal(["PriceOracle"]);
+        expect(calls.map((call) => call.address)).to.deep.equal([IMPLEMENTATION]);
+        expect(results.map((r) => r.name)).to.deep.equal(["PriceOracle"]);
+        expect(parseOnly([], { VERIFY_ONLY: "TBToken" })).to.deep.equal(["TBToken"]);
+        expect(parseOnly([], {})).to.equal(null);
+    });
+
+    it("Should reject unknown names in --only", async function () {
+        const { run } = stubRun({});
+
+        try {
+            await verify(run, { only: ["Nope"] });
+            expect.fail("verifyAll should reject an unknown contract");
+        } catch (error) {
+            expect(error.message).to.equal("Unknown contract(s) in --only: Nope");
+        }
+    });
+});
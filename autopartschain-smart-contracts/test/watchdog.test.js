@@ -0,0 +1,304 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadSuite } = require("./helpers/fixtures");
+const { parseEntries, buildTree } = require("../scripts/lib/merkle");
+const { createWatchdog, windowTotal } = require("../scripts/lib/watchdog");
+
+describe("Anomaly watchdog", function () {
+    let suite, guardian, attacker, logFile;
+
+    function watchdogFor(config = {}, signer = guardian) {
+        const { tbToken, priceOracle, airdropManager, manifest } = suite;
+        return createWatchdog({
+            contracts: { tbToken, priceOracle, airdropManager },
+            signer,
+            config: {
+                expectedMinters: [manifest.contracts.AutoPartsMarketplaceV2, manifest.contracts.LoyaltyProgram],
+                maxMintPerWindow: ethers.parseUnits("10000000", 18),
+                autoPause: true,
+                autoRemoveSources: true,
+                replaceAfter: 5,
+                logFile,
+                ...config,
+            },
+        });
+    }
+
+    function readLog() {
+        return fs.readFileSync(logFile, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    }
+
+    async function addSource(answer, description) {
+        const feed = await ethers.deployContract("MockV3Aggregator", [8, answer]);
+        await suite.priceOracle.addPriceSource(await feed.getAddress(), description);
+        return { feed, id: Number(await suite.priceOracle.getPriceSourcesCount()) - 1 };
+    }
+
+    beforeEach(async function () {
+        suite = await loadSuite();
+        [guardian, attacker] = suite.accounts;
+        const { tbToken, priceOracle } = suite;
+
+        // The guarded key holds only what its actions need
+        await tbToken.grantRole(await tbToken.PAUSER_ROLE(), guardian.address);
+        await priceOracle.grantRole(ethers.ZeroHash, guardian.address);
+
+        logFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "watchdog-")), "incidents.jsonl");
+    });
+
+    describe("Compromised minter", function () {
+        it("Should pause TBToken when an unexpected caller mints", async function () {
+            const { tbToken, owner } = suite;
+            const watchdog = watchdogFor();
+            await watchdog.tick();
+
+            await tbToken.grantRole(await tbToken.MINTER_ROLE(), attacker.address);
+            await tbToken.connect(attacker).mint(attacker.address, ethers.parseUnits("5000000", 18));
+
+            const { incidents } = await watchdog.tick();
+
+            expect(incidents).to.have.length(1);
+            expect(incidents[0]).to.include({ rule: "unexpectedMint", severity: "critical" });
+            expect(incidents[0].details.caller).to.equal(attacker.address);
+            expect(incidents[0].action).to.include({ method: "pause", status: "sent" });
+            expect(await tbToken.paused()).to.be.true;
+            await expect(tbToken.connect(attacker).transfer(owner.address, 1)).to.be.revertedWith("Pausable: paused");
+        });
+
+        it("Should attribute a mint through another contract by the MINTER_ROLE holders", async function () {
+            const { tbToken, owner, other, manifest } = suite;
+            const safe = await ethers.deployContract("MockSafe", [[other.address], 1]);
+            const multiSend = await ethers.deployContract("MockMultiSendCallOnly");
+            const minters = [manifest.contracts.AutoPartsMarketplaceV2, manifest.contracts.LoyaltyProgram, owner.address];
+            // The transaction goes to the Safe, which holds no role; the batch contract mints
+            const expected = watchdogFor({ expectedMinters: [...minters, multiSend.target] });
+            const unexpected = watchdogFor({ expectedMinters: [...minters, safe.target], dryRun: true });
+            await expected.tick();
+            await unexpected.tick();
+
+            await tbToken.grantRole(await tbToken.MINTER_ROLE(), multiSend.target);
+            const mint = tbToken.interface.encodeFunctionData("mint", [other.address, 1000n]);
+            const batch = ethers.solidityPacked(
+                ["uint8", "address", "uint256", "uint256", "bytes"],
+                [0, tbToken.target, 0, ethers.dataLength(mint), mint]
+            );
+            await safe.connect(other).execTransaction(
+                multiSend.target, 0, multiSend.interface.encodeFunctionData("multiSend", [batch]), 0,
+                0, 0, 0, ethers.ZeroAddress, ethers.ZeroAddress, "0x"
+            );
+
+            expect((await expected.tick()).incidents).to.have.length(0);
+            const { incidents } = await unexpected.tick();
+            expect(incidents.map((incident) => incident.rule)).to.deep.equal(["unexpectedMint"]);
+            expect(incidents[0].details).to.deep.include({ caller: null, unexpectedHolders: [multiSend.target] });
+        });
+
+        it("Should not flag mints by expected minters unless they exceed the window limit", async function () {
+            const { tbToken, owner } = suite;
+            const watchdog = watchdogFor({
+                expectedMinters: [owner.address],
+                maxMintPerWindow: ethers.parseUnits("1000", 18),
+            });
+            await watchdog.tick();
+
+            await tbToken.mint(owner.address, ethers.parseUnits("600", 18));
+            expect((await watchdog.tick()).incidents).to.have.length(0);
+
+            await tbToken.mint(owner.address, ethers.parseUnits("600", 18));
+            const { incidents } = await watchdog.tick();
+
+            expect(incidents.map((incident) => incident.rule)).to.deep.equal(["mintRate"]);
+            expect(incidents[0].details.minted).to.equal(ethers.parseUnits("1200", 18));
+            expect(await tbToken.paused()).to.be.true;
+        });
+    });
+
+    describe("Oracle", function () {
+        it("Should deactivate a source whose negative answer was pushed", async function () {
+            const { priceOracle } = suite;
+            const { feed, id } = await addSource(100, "Feed B");
+            const watchdog = watchdogFor();
+            await watchdog.tick();
+
+            await feed.updateAnswer(-1);
+            await priceOracle.connect(attacker).updatePriceFromSource(id);
+            expect(await priceOracle.currentPrice()).to.equal(ethers.MaxUint256);
+
+            const { incidents } = await watchdog.tick();
+
+            expect(incidents).to.have.length(1);
+            expect(incidents[0]).to.include({ rule: "oracleJump", severity: "critical" });
+            expect(incidents[0].details.negativeAnswer).to.be.true;
+            expect(incidents[0].action).to.deep.include({ method: "removePriceSource", args: [id], status: "sent" });
+            expect((await priceOracle.priceSources(id)).active).to.be.false;
+        });
+
+        it("Should deactivate a zero-answer source before anyone pushes it", async function () {
+            const { priceOracle } = suite;
+            const { feed, id } = await addSource(100, "Feed B");
+            const watchdog = watchdogFor();
+            await watchdog.tick();
+
+            await feed.updateAnswer(0);
+            const { incidents } = await watchdog.tick();
+
+            expect(incidents.map((incident) => incident.rule)).to.deep.equal(["oracleSource"]);
+            expect(incidents[0].details.reason).to.equal("non-positive answer");
+            await expect(priceOracle.updatePriceFromSource(id)).to.be.revertedWith("Source is not active");
+        });
+
+        it("Should flag a price jump and an outlier source", async function () {
+            const { priceOracle } = suite;
+            await addSource(100, "Feed B");
+            await addSource(101, "Feed C");
+            const { feed, id } = await addSource(99, "Feed D");
+            const watchdog = watchdogFor({ oracleJumpBps: 2000 });
+            await watchdog.tick();
+
+            // 100 -> 150 through the manual path: reported, nothing to deactivate
+            await priceOracle.updatePriceManually(150);
+            await feed.updateAnswer(300);
+            const { incidents } = await watchdog.tick();
+
+            const jump = incidents.find((incident) => incident.rule === "oracleJump");
+            expect(jump.details).to.include({ source: "Manual", jumpBps: 5000n });
+            expect(jump.action).to.be.null;
+
+            const outlier = incidents.find((incident) => incident.rule === "oracleSource");
+            expect(outlier.details.sourceId).to.equal(id);
+            expect(outlier.action.status).to.equal("sent");
+            expect((await priceOracle.priceSources(id)).active).to.be.false;
+
+            // A deactivated source is no longer read
+            expect((await watchdog.tick()).incidents).to.have.length(0);
+        });
+    });
+
+    it("Should alert on transfers near maxTransferAmount without acting", async function () {
+        const { tbToken, owner, buyer } = suite;
+        const watchdog = watchdogFor();
+        await watchdog.tick();
+
+        const max = await tbToken.maxTransferAmount();
+        await tbToken.transfer(buyer.address, (max * 95n) / 100n);
+        await tbToken.transfer(buyer.address, max / 2n);
+
+        const { incidents } = await watchdog.tick();
+
+        expect(incidents).to.have.length(1);
+        expect(incidents[0]).to.include({ rule: "largeTransfer", severity: "warning", action: null });
+        expect(incidents[0].details).to.include({ from: owner.address, to: buyer.address });
+        expect(await tbToken.paused()).to.be.false;
+    });
+
+    it("Should pause TBToken when an airdrop campaign drains too fast", async function () {
+        const { tbToken, airdropManager } = suite;
+        const recipients = suite.accounts.slice(2, 6);
+        const csv = ["address,amount"].concat(recipients.map((r) => `${r.address},100`)).join("\n");
+        const tree = buildTree(parseEntries(csv, { decimals: 18 }));
+        const now = await time.latest();
+        await tbToken.approve(await airdropManager.getAddress(), tree.totalAmount);
+        await airdropManager.createCampaign("Launch", tree.root, tree.totalAmount, now, now + 86400);
+
+        const watchdog = watchdogFor({ airdropDrainPct: 50, drainWindow: 3600 });
+        await watchdog.tick();
+
+        const claim = (recipient) => {
+            const { amount, proof } = tree.claims[recipient.address];
+            return airdropManager.connect(recipient).claimAirdrop(1, amount, proof);
+        };
+        await claim(recipients[0]);
+        expect((await watchdog.tick()).incidents).to.have.length(0);
+
+        await claim(recipients[1]);
+        const { incidents } = await watchdog.tick();
+
+        expect(incidents.map((incident) => incident.rule)).to.deep.equal(["airdropDrain"]);
+        expect(incidents[0].details).to.include({ campaignId: 1n, claims: 2 });
+        expect(await tbToken.paused()).to.be.true;
+        await expect(claim(recipients[2])).to.be.revertedWith("Pausable: paused");
+    });
+
+    it("Should refuse to auto-pause without a mint limit", function () {
+        expect(() => watchdogFor({ maxMintPerWindow: null })).to.throw("autoPause needs maxMintPerWindow");
+        expect(() => watchdogFor({ maxMintPerWindow: null, autoPause: false })).to.not.throw();
+    });
+
+    describe("Guarded actions", function () {
+        async function rogueMint() {
+            const { tbToken } = suite;
+            await tbToken.grantRole(await tbToken.MINTER_ROLE(), attacker.address);
+            await tbToken.connect(attacker).mint(attacker.address, 1);
+        }
+
+        it("Should only log what it would send in dry-run mode", async function () {
+            const watchdog = watchdogFor({ dryRun: true });
+            await watchdog.tick();
+            await rogueMint();
+
+            const { incidents } = await watchdog.tick();
+
+            expect(incidents[0].action.status).to.equal("dry-run");
+            expect(await suite.tbToken.paused()).to.be.false;
+        });
+
+        it("Should not act without the role or with actions disabled", async function () {
+            const withoutRole = watchdogFor({}, suite.other);
+            const disabled = watchdogFor({ autoPause: false });
+            await withoutRole.tick();
+            await disabled.tick();
+            await rogueMint();
+
+            const [missing] = (await withoutRole.tick()).incidents;
+            const [off] = (await disabled.tick()).incidents;
+
+            expect(missing.action).to.include({ status: "missing-role", reason: "missing PAUSER_ROLE on TBToken" });
+            expect(off.action.status).to.equal("disabled");
+            expect(await suite.tbToken.paused()).to.be.false;
+        });
+
+        it("Should alert only when it has no key", async function () {
+            const { tbToken, priceOracle, airdropManager } = suite;
+            const alerts = [];
+            const watchdog = createWatchdog({
+                contracts: { tbToken, priceOracle, airdropManager },
+                config: { autoPause: true, maxMintPerWindow: ethers.parseUnits("10000000", 18), logFile },
+                alert: (incident) => alerts.push(incident),
+            });
+            await watchdog.tick();
+            await rogueMint();
+
+            await watchdog.tick();
+
+            expect(alerts).to.have.length(1);
+            expect(alerts[0].action.status).to.equal("no-signer");
+        });
+    });
+
+    it("Should append one JSON line per incident", async function () {
+        const watchdog = watchdogFor();
+        await watchdog.tick();
+        await suite.tbToken.grantRole(await suite.tbToken.MINTER_ROLE(), attacker.address);
+        await suite.tbToken.connect(attacker).mint(attacker.address, 1);
+
+        await watchdog.tick();
+
+        const incidents = readLog().filter((entry) => entry.event === "incident");
+        expect(incidents).to.have.length(1);
+        expect(incidents[0]).to.include({ rule: "unexpectedMint", severity: "critical", dryRun: false });
+        expect(incidents[0].id).to.match(/^unexpectedMint:0x[0-9a-f]{64}:\d+$/);
+        expect(incidents[0].action.txHash).to.match(/^0x[0-9a-f]{64}$/);
+        expect(readLog().some((entry) => entry.event === "tx-sent")).to.be.true;
+    });
+
+    it("Should only count amounts inside the window", function () {
+        const entries = [{ timestamp: 100, amount: 5n }, { timestamp: 150, amount: 7n }, { timestamp: 200, amount: 11n }];
+
+        expect(windowTotal(entries, 200, 60)).to.equal(18n);
+        expect(entries).to.have.length(2);
+    });
+});
@@ -0,0 +1,45 @@
+const { JsonRpcProvider, Wallet } = require("ethers");
+const { createApp } = require("./src/app");
+const { loadConfig } = require("./src/config");
+const { loadManifest, createContracts } = require("./src/contracts");
+const { createSubscriptionStore, createWebhookService } = require("./src/webhooks");
+
+function main() {
+    const config = loadConfig();
+    const provider = new JsonRpcProvider(config.rpcUrl);
+    const manifest = loadManifest(config.manifestPath);
+    const contracts = createContracts(manifest, config.artifactsDir, provider);
+
+    const relayer = config.relayerPrivateKey ? new Wallet(config.relayerPrivateKey, provider) : null;
+
+    const webhooks = createWebhookService({
+        contracts,
+        store: createSubscriptionStore(config.webhooks.file),
+        confirmations: config.webhooks.confirmations,
+        retry: { attempts: config.webhooks.attempts },
+        deadLetterFile: config.webhooks.deadLetterFile,
+        allowedHosts: config.webhooks.allowedHosts,
+        maxReplayBlocks: config.webhooks.maxReplayBlocks,
+    });
+    webhooks.start(config.webhooks.pollIntervalMs);
+
+    const app = createApp({
+        contracts,
+        manifest,
+        relayer,
+        relayRateLimit: config.relayRateLimit,
+        airdropsDir: config.airdropsDir,
+        webhooks,
+        replayRateLimit: config.webhooks.replayRateLimit,
+    });
+    app.listen(config.port, () => {
+        console.log(`AutoPartsChain API listening on http://localhost:${config.port}`);
+        console.log(`   Network:  ${config.network} (${config.rpcUrl})`);
+        console.log(`   Relayer:  ${relayer ? relayer.address : "disabled"}`);
+        console.log(`   Webhooks: ${config.webhooks.confirmations} confirmation(s), ${config.webhooks.file}`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,212 @@
+import type { ContractRunner, Contract, TransactionReceipt, InterfaceAbi, Signer, TypedDataDomain, TypedDataField } from "ethers";
+
+export declare const UNITS: {
+    readonly USD_CENTS: "usd-cents";
+    readonly ORACLE_PRICE: "usd-e8";
+    readonly TB_WEI: "tb-wei";
+    readonly BPS: "bps";
+};
+export type Unit = (typeof UNITS)[keyof typeof UNITS];
+
+export declare class UnitError extends TypeError {}
+
+export declare class Amount<U extends Unit = Unit> {
+    readonly unit: U;
+    readonly value: bigint;
+    constructor(unit: U, value: bigint);
+    add(other: Amount<U>): Amount<U>;
+    sub(other: Amount<U>): Amount<U>;
+    mul(factor: number | bigint): Amount<U>;
+    applyBps(rate: Bps): Amount<U>;
+    eq(other: unknown): boolean;
+    format(): string;
+    toJSON(): { unit: U; value: string };
+}
+
+export type UsdCents = Amount<"usd-cents">;
+export type OraclePrice = Amount<"usd-e8">;
+export type TbWei = Amount<"tb-wei">;
+export type Bps = Amount<"bps">;
+
+export declare function usd(dollars: string | number): UsdCents;
+export declare function cents(value: number | bigint): UsdCents;
+export declare function tb(tokens: string | number): TbWei;
+export declare function tbWei(value: number | bigint): TbWei;
+export declare function oraclePrice(value: number | bigint): OraclePrice;
+export declare function bps(value: number | bigint): Bps;
+export declare function expectUnit<U extends Unit>(amount: Amount, unit: U, name?: string): bigint;
+export declare function tbForUsd(usdAmount: UsdCents, price: OraclePrice): TbWei;
+
+export declare class AutoPartsError extends Error {
+    reason: string | null;
+    method: string | null;
+    cause: unknown;
+}
+export declare class ContractRevertError extends AutoPartsError {
+    args?: unknown[];
+}
+export declare class AccessDeniedError extends ContractRevertError {}
+export declare class InsufficientBalanceError extends ContractRevertError {}
+export declare class InsufficientAllowanceError extends ContractRevertError {}
+export declare class TradingDisabledError extends ContractRevertError {}
+export declare class TransferLimitError extends ContractRevertError {}
+export declare class PausedError extends ContractRevertError {}
+export declare class InvalidProofError extends ContractRevertError {}
+export declare class AlreadyClaimedError extends ContractRevertError {}
+export declare class CampaignUnavailableError extends ContractRevertError {}
+export declare class PermitError extends ContractRevertError {}
+export declare class MissingEventError extends AutoPartsError {}
+export declare function decodeError(error: unknown, method?: string | null): Error;
+
+export interface ListProductParams {
+    sku: string;
+    name: string;
+    description?: string;
+    category?: string;
+    brand?: string;
+    vehicle?: string;
+    partNumber?: string;
+    images?: string[];
+    priceUSD: UsdCents;
+    costUSD?: UsdCents;
+    stock: number;
+    minOrder?: number;
+    maxOrder?: number;
+    weightGrams?: number;
+    /** Remaining listProduct parameters, keyed by their ABI name */
+    extra?: Record<string, unknown>;
+}
+
+export interface CheckoutParams {
+    shipping: { address: string; method?: string; notes?: string };
+    discountCode?: string;
+    referrer?: string;
+    /** "permit" (default) signs an exact-amount EIP-2612 permit; "approve" sends approve() */
+    payment?: "permit" | "approve";
+    /** Backend base URL whose POST /relay/permit submits the permit for the buyer */
+    relayUrl?: string | null;
+    /** Permit lifetime in seconds (default 1800) */
+    permitTtl?: number;
+    /** Remaining createOrderFromCart parameters, keyed by their ABI name */
+    extra?: Record<string, unknown>;
+}
+
+export interface CheckoutResult {
+    orderId: bigint;
+    totalUSD: UsdCents;
+    tbCharged: TbWei;
+    receipts: TransactionReceipt[];
+}
+
+export declare const PERMIT_TYPES: Record<string, TypedDataField[]>;
+
+export interface SignedPermit {
+    owner: string;
+    spender: string;
+    value: bigint;
+    nonce: bigint;
+    deadline: bigint;
+    chainId: bigint;
+    v: number;
+    r: string;
+    s: string;
+}
+
+export declare function getPermitDomain(token: Contract, expectedChainId?: bigint | number): Promise<TypedDataDomain>;
+export declare function buildPermit(fields: {
+    domain: TypedDataDomain;
+    owner: string;
+    spender: string;
+    value: bigint;
+    nonce: bigint;
+    deadline: bigint;
+}): { domain: TypedDataDomain; types: Record<string, TypedDataField[]>; message: Record<string, unknown> };
+export declare function signPermit(options: {
+    token: Contract;
+    signer: Signer;
+    spender: string;
+    value: bigint;
+    deadline: bigint;
+    chainId?: bigint | number;
+}): Promise<SignedPermit>;
+export declare function recoverPermitSigner(
+    domain: TypedDataDomain,
+    permit: Omit<SignedPermit, "chainId">,
+): string;
+
+export declare const CLAIM_TYPES: Record<string, TypedDataField[]>;
+
+export interface SignedAirdropClaim {
+    campaignId: bigint;
+    account: string;
+    amount: bigint;
+    deadline: bigint;
+    chainId: bigint;
+    signature: string;
+}
+
+export declare function getClaimDomain(airdropManager: Contract, expectedChainId?: bigint | number): Promise<TypedDataDomain>;
+export declare function buildAirdropClaim(fields: {
+    domain: TypedDataDomain;
+    campaignId: bigint | number;
+    account: string;
+    amount: bigint | string;
+    deadline: bigint | number;
+}): { domain: TypedDataDomain; types: Record<string, TypedDataField[]>; message: Record<string, unknown> };
+export declare function signAirdropClaim(options: {
+    airdropManager: Contract;
+    signer: Signer;
+    campaignId: bigint | number;
+    amount: bigint | string;
+    deadline: bigint | number;
+    chainId?: bigint | number;
+}): Promise<SignedAirdropClaim>;
+export declare function recoverAirdropClaimSigner(
+    domain: TypedDataDomain,
+    claim: Omit<SignedAirdropClaim, "chainId">,
+): string;
+
+export interface AirdropProofs {
+    [address: string]: { amount: string; proof: string[]; leaf?: string };
+}
+
+export interface LoyaltyInfo {
+    tier: { index: number; name: string };
+    points: bigint;
+    totalSpent: UsdCents;
+    totalCashbackReceived: UsdCents;
+    discount: Bps;
+    cashbackRate: Bps;
+    nextTier: { pointsNeeded: bigint; spendNeeded: UsdCents };
+}
+
+export interface AutoPartsSdk {
+    contracts: Record<string, Contract>;
+    getPrice(): Promise<{ price: OraclePrice; lastUpdated: number }>;
+    quoteTB(usdAmount: UsdCents): Promise<TbWei>;
+    getProduct(productId: bigint | number): Promise<Record<string, unknown> & { id: bigint }>;
+    listProduct(params: ListProductParams): Promise<{ productId: bigint; receipt: TransactionReceipt }>;
+    addToCart(productId: bigint | number, quantity: number): Promise<TransactionReceipt>;
+    checkout(params: CheckoutParams): Promise<CheckoutResult>;
+    claimAirdrop(campaignId: bigint | number, proofFile: string | AirdropProofs): Promise<{ amount: TbWei; receipt: TransactionReceipt }>;
+    getLoyalty(address: string): Promise<LoyaltyInfo>;
+}
+
+export declare function createAutoPartsSdk(options: {
+    runner: ContractRunner;
+    addresses: Record<string, string>;
+    abis: Record<string, InterfaceAbi>;
+}): AutoPartsSdk;
+
+export interface DeploymentPaths {
+    manifestPath?: string;
+    artifactsDir?: string;
+}
+
+export declare function loadDeployment(options: { network: string } & DeploymentPaths): {
+    manifest: Record<string, unknown>;
+    addresses: Record<string, string>;
+    abis: Record<string, InterfaceAbi>;
+};
+
+export declare function connect(options: { network: string; runner: ContractRunner } & DeploymentPaths): AutoPartsSdk;
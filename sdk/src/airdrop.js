@@ -0,0 +1,60 @@
+const { verifyTypedData, getAddress } = require("ethers");
+const { readDomain } = require("./domain");
+
+// AirdropManager.CLAIM_TYPEHASH
+const CLAIM_TYPES = {
+    ClaimAirdrop: [
+        { name: "campaignId", type: "uint256" },
+        { name: "account", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+/** AirdropManager's EIP-712 domain, checked against the chain we are on */
+function getClaimDomain(airdropManager, expectedChainId) {
+    return readDomain(airdropManager, expectedChainId, { label: "AirdropManager" });
+}
+
+function buildAirdropClaim({ domain, campaignId, account, amount, deadline }) {
+    return {
+        domain,
+        types: CLAIM_TYPES,
+        message: {
+            campaignId: BigInt(campaignId),
+            account: getAddress(account),
+            amount: BigInt(amount),
+            deadline: BigInt(deadline),
+        },
+    };
+}
+
+/**
+ * Sign the authorization claimAirdropFor() needs to submit the signer's claim
+ * for them: campaign, the amount in the signer's leaf and a deadline. The
+ * tokens always go to the signer, whoever submits it.
+ */
+async function signAirdropClaim({ airdropManager, signer, campaignId, amount, deadline, chainId }) {
+    const account = await signer.getAddress();
+    const network = chainId !== undefined ? chainId : (await signer.provider.getNetwork()).chainId;
+    const domain = await getClaimDomain(airdropManager, network);
+
+    const claim = buildAirdropClaim({ domain, campaignId, account, amount, deadline });
+    const signature = await signer.signTypedData(claim.domain, claim.types, claim.message);
+
+    return { ...claim.message, chainId: BigInt(domain.chainId), signature };
+}
+
+/** Address that signed `claim` (message fields + signature) under `domain` */
+function recoverAirdropClaimSigner(domain, claim) {
+    const { message } = buildAirdropClaim({ domain, ...claim });
+    return verifyTypedData(domain, CLAIM_TYPES, message, claim.signature);
+}
+
+module.exports = {
+    CLAIM_TYPES,
+    getClaimDomain,
+    buildAirdropClaim,
+    signAirdropClaim,
+    recoverAirdropClaimSigner,
+};
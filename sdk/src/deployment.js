@@ -0,0 +1,43 @@
+const fs = require("fs");
+const path = require("path");
+
+const CONTRACTS_DIR = path.join(__dirname, "..", "..", "autopartschain-smart-contracts");
+
+const CONTRACT_NAMES = [
+    "TBToken",
+    "PriceOracle",
+    "LoyaltyProgram",
+    "ReferralProgram",
+    "TBStaking",
+    "AutoPartsMarketplaceV2",
+    "AirdropManager",
+];
+
+/**
+ * Read addresses from deployed/addresses-<network>.json and ABIs from the
+ * hardhat artifacts (Node only; browsers pass addresses and ABIs directly).
+ */
+function loadDeployment({
+    network,
+    manifestPath = path.join(CONTRACTS_DIR, "deployed", `addresses-${network}.json`),
+    artifactsDir = path.join(CONTRACTS_DIR, "artifacts"),
+} = {}) {
+    if (!fs.existsSync(manifestPath)) {
+        throw new Error(`Deployment manifest not found: ${manifestPath}`);
+    }
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+
+    const abis = {};
+    for (const name of CONTRACT_NAMES) {
+        if (!manifest.contracts[name]) continue;
+        const file = path.join(artifactsDir, "contracts", `${name}.sol`, `${name}.json`);
+        abis[name] = JSON.parse(fs.readFileSync(file, "utf8")).abi;
+    }
+
+    return { manifest, addresses: { ...manifest.contracts }, abis };
+}
+
+module.exports = {
+    CONTRACT_NAMES,
+    loadDeployment,
+};
@@ -0,0 +1,31 @@
+const { getAddress } = require("ethers");
+const { PermitError } = require("./errors");
+
+/**
+ * Read `contract`'s EIP-712 domain (EIP-5267 `eip712Domain()`, or
+ * `fallback(address)` when the call fails) and check it is bound to that
+ * contract and to the chain we are on.
+ */
+async function readDomain(contract, expectedChainId, { label, fallback = null }) {
+    const address = getAddress(await contract.getAddress());
+    let domain;
+    try {
+        const [, name, version, chainId, verifyingContract] = await contract.eip712Domain();
+        domain = { name, version, chainId, verifyingContract: getAddress(verifyingContract) };
+    } catch (error) {
+        if (!fallback) throw error;
+        domain = await fallback(address);
+    }
+
+    if (expectedChainId !== undefined && BigInt(domain.chainId) !== BigInt(expectedChainId)) {
+        throw new PermitError(`${label} domain is for chainId ${domain.chainId}, but the network is ${expectedChainId}`);
+    }
+    if (domain.verifyingContract !== address) {
+        throw new PermitError(`${label} domain verifyingContract ${domain.verifyingContract} does not match ${address}`);
+    }
+    return domain;
+}
+
+module.exports = {
+    readDomain,
+};
@@ -0,0 +1,110 @@
+/**
+ * Typed errors for contract reverts. `decodeError` turns an ethers error into
+ * one of these, based on the revert string or OpenZeppelin custom error.
+ * MissingEventError is not a revert: the transaction went through but did
+ * not emit the event the SDK reads its result from.
+ */
+class AutoPartsError extends Error {
+    constructor(message, { reason = null, method = null, cause = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.reason = reason;
+        this.method = method;
+        this.cause = cause;
+    }
+}
+
+class ContractRevertError extends AutoPartsError {}
+class AccessDeniedError extends ContractRevertError {}
+class InsufficientBalanceError extends ContractRevertError {}
+class InsufficientAllowanceError extends ContractRevertError {}
+class TradingDisabledError extends ContractRevertError {}
+class TransferLimitError extends ContractRevertError {}
+class PausedError extends ContractRevertError {}
+class InvalidProofError extends ContractRevertError {}
+class AlreadyClaimedError extends ContractRevertError {}
+class CampaignUnavailableError extends ContractRevertError {}
+class PermitError extends ContractRevertError {}
+class MissingEventError extends AutoPartsError {}
+
+// Revert strings from the contracts in this repo, and OpenZeppelin v5 custom errors
+const REVERT_STRINGS = [
+    [/^Trading is not enabled yet$/, TradingDisabledError],
+    [/^Transfer amount exceeds max transfer amount$/, TransferLimitError],
+    [/exceeds balance|^Insufficient (points|balance)/i, InsufficientBalanceError],
+    [/insufficient allowance/i, InsufficientAllowanceError],
+    [/^Pausable: paused$/, PausedError],
+    [/^Invalid proof$/, InvalidProofError],
+    [/^Already claimed$/, AlreadyClaimedError],
+    [/^Campaign (is not active|has not started|has ended)$|^Insufficient campaign funds$/, CampaignUnavailableError],
+    [/^AccessControl:/, AccessDeniedError],
+    [/^ERC20Permit:/, PermitError],
+];
+
+const CUSTOM_ERRORS = {
+    AccessControlUnauthorizedAccount: AccessDeniedError,
+    ERC20InsufficientBalance: InsufficientBalanceError,
+    ERC20InsufficientAllowance: InsufficientAllowanceError,
+    EnforcedPause: PausedError,
+    ERC2612ExpiredSignature: PermitError,
+    ERC2612InvalidSigner: PermitError,
+};
+
+function revertOf(error) {
+    // ethers v6 puts decoded revert data on error.revert; reason for Error(string)
+    if (error.revert) {
+        const { name, args } = error.revert;
+        if (name === "Error") {
+            return { reason: String(args[0]), customError: null };
+        }
+        return { reason: name, customError: name, args: [...args] };
+    }
+    if (error.reason) {
+        return { reason: error.reason, customError: null };
+    }
+    return null;
+}
+
+function decodeError(error, method = null) {
+    if (error instanceof AutoPartsError) {
+        return error;
+    }
+    const revert = revertOf(error || {});
+    if (!revert) {
+        return error;
+    }
+
+    let ErrorClass = ContractRevertError;
+    if (revert.customError && CUSTOM_ERRORS[revert.customError]) {
+        ErrorClass = CUSTOM_ERRORS[revert.customError];
+    } else {
+        const match = REVERT_STRINGS.find(([pattern]) => pattern.test(revert.reason));
+        if (match) {
+            ErrorClass = match[1];
+        }
+    }
+
+    const where = method ? `${method} reverted` : "Transaction reverted";
+    const decoded = new ErrorClass(`${where}: ${revert.reason}`, { reason: revert.reason, method, cause: error });
+    if (revert.args) {
+        decoded.args = revert.args;
+    }
+    return decoded;
+}
+
+module.exports = {
+    AutoPartsError,
+    ContractRevertError,
+    AccessDeniedError,
+    InsufficientBalanceError,
+    InsufficientAllowanceError,
+    TradingDisabledError,
+    TransferLimitError,
+    PausedError,
+    InvalidProofError,
+    AlreadyClaimedError,
+    CampaignUnavailableError,
+    PermitError,
+    MissingEventError,
+    decodeError,
+};
@@ -0,0 +1,16 @@
+const units = require("./units");
+const errors = require("./errors");
+const { createAutoPartsSdk, connect } = require("./sdk");
+const { loadDeployment } = require("./deployment");
+const permit = require("./permit");
+const airdrop = require("./airdrop");
+
+module.exports = {
+    ...units,
+    ...errors,
+    ...permit,
+    ...airdrop,
+    createAutoPartsSdk,
+    connect,
+    loadDeployment,
+};
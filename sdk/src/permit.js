@@ -0,0 +1,80 @@
+const { Signature, verifyTypedData, getAddress } = require("ethers");
+const { AutoPartsError } = require("./errors");
+const { readDomain } = require("./domain");
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+/**
+ * Read TBToken's EIP-712 domain (EIP-5267 `eip712Domain()`, falling back to
+ * name() / version "1") and check it is bound to the chain we are on. A
+ * permit signed for another chain or token would be rejected on-chain anyway,
+ * but failing here gives the user a readable error before they sign.
+ */
+async function getPermitDomain(token, expectedChainId) {
+    return readDomain(token, expectedChainId, {
+        label: "Token",
+        fallback: async (address) => ({ name: await token.name(), version: "1", chainId: expectedChainId, verifyingContract: address }),
+    });
+}
+
+function buildPermit({ domain, owner, spender, value, nonce, deadline }) {
+    return {
+        domain,
+        types: PERMIT_TYPES,
+        message: {
+            owner: getAddress(owner),
+            spender: getAddress(spender),
+            value: BigInt(value),
+            nonce: BigInt(nonce),
+            deadline: BigInt(deadline),
+        },
+    };
+}
+
+/**
+ * Sign an ERC-2612 permit for exactly `value` with the signer's current nonce.
+ * Returns the message fields plus the split signature, ready for permit().
+ */
+async function signPermit({ token, signer, spender, value, deadline, chainId }) {
+    if (typeof value !== "bigint" || value <= 0n) {
+        throw new AutoPartsError("Permit value must be a positive bigint");
+    }
+    const owner = await signer.getAddress();
+    const network = chainId !== undefined ? chainId : (await signer.provider.getNetwork()).chainId;
+    const domain = await getPermitDomain(token, network);
+    const nonce = await token.nonces(owner);
+
+    const permit = buildPermit({ domain, owner, spender, value, nonce, deadline });
+    const signature = Signature.from(await signer.signTypedData(permit.domain, permit.types, permit.message));
+
+    return {
+        ...permit.message,
+        chainId: BigInt(domain.chainId),
+        v: signature.v,
+        r: signature.r,
+        s: signature.s,
+    };
+}
+
+/** Address that signed `permit` (message fields + v/r/s) under `domain` */
+function recoverPermitSigner(domain, permit) {
+    const { message } = buildPermit({ domain, ...permit });
+    const signature = Signature.from({ v: permit.v, r: permit.r, s: permit.s });
+    return verifyTypedData(domain, PERMIT_TYPES, message, signature);
+}
+
+module.exports = {
+    PERMIT_TYPES,
+    getPermitDomain,
+    buildPermit,
+    signPermit,
+    recoverPermitSigner,
+};
@@ -0,0 +1,342 @@
+const fs = require("fs");
+const { Contract, ZeroAddress, isAddress, getAddress } = require("ethers");
+const { UNITS, cents, tbWei, oraclePrice, bps, expectUnit } = require("./units");
+const { AutoPartsError, MissingEventError, PermitError, decodeError } = require("./errors");
+const { signPermit } = require("./permit");
+const { loadDeployment } = require("./deployment");
+
+// Leading listProduct / createOrderFromCart parameters the SDK names itself.
+// Any further parameters are filled from `extra` by their ABI name.
+const LIST_PRODUCT_FIELDS = [
+    "sku", "name", "description", "category", "brand", "vehicle", "partNumber", "images",
+    "priceUSD", "costUSD", "stock", "minOrder", "maxOrder", "weightGrams",
+];
+
+const CHECKOUT_FIELDS = {
+    0: "shippingAddress",
+    1: "shippingMethod",
+    2: "notes",
+    3: "discountCode",
+    5: "referrer",
+};
+
+function defaultFor(type) {
+    if (type.endsWith("]")) return [];
+    if (type === "bool") return false;
+    if (type === "string") return "";
+    if (type === "address") return ZeroAddress;
+    if (type.startsWith("uint") || type.startsWith("int")) return 0n;
+    throw new AutoPartsError(`No default for ABI type ${type}; pass it in extra`);
+}
+
+function positionalArgs(fragment, known, extra = {}) {
+    return fragment.inputs.map((input, index) => {
+        if (known[index] !== undefined) {
+            return known[index];
+        }
+        const key = input.name.replace(/^_/, "");
+        return extra[key] !== undefined ? extra[key] : defaultFor(input.type);
+    });
+}
+
+function requireInteger(value, name, min = 0) {
+    if (!Number.isInteger(value) || value < min) {
+        throw new AutoPartsError(`${name} must be an integer >= ${min}`);
+    }
+    return value;
+}
+
+function requireString(value, name, { optional = false } = {}) {
+    if (value === undefined && optional) return "";
+    if (typeof value !== "string" || (!optional && value.length === 0)) {
+        throw new AutoPartsError(`${name} must be a non-empty string`);
+    }
+    return value;
+}
+
+/** The first `name` event `contract` emitted in the receipt of `method`; MissingEventError without one */
+function findEvent(contract, receipt, name, method) {
+    const target = contract.target.toLowerCase();
+    for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== target) continue;
+        const parsed = contract.interface.parseLog(log);
+        if (parsed && parsed.name === name) return parsed;
+    }
+    throw new MissingEventError(`${method} did not emit ${name} in ${receipt.hash}; check the contract address and ABI`, { method });
+}
+
+function readProofFile(proofFile) {
+    if (typeof proofFile === "string") {
+        return JSON.parse(fs.readFileSync(proofFile, "utf8"));
+    }
+    if (proofFile && typeof proofFile === "object") {
+        return proofFile;
+    }
+    throw new AutoPartsError("proofFile must be a path or the parsed proofs.json object");
+}
+
+/**
+ * High-level client for the AutoPartsChain contracts.
+ *
+ * @param {object} options
+ * @param {import("ethers").ContractRunner} options.runner signer (for writes) or provider
+ * @param {Record<string, string>} options.addresses contract name -> address
+ * @param {Record<string, any[]>} options.abis contract name -> ABI
+ */
+function createAutoPartsSdk({ runner, addresses, abis }) {
+    const contracts = {};
+    for (const [name, address] of Object.entries(addresses)) {
+        if (abis[name]) {
+            contracts[name] = new Contract(address, abis[name], runner);
+        }
+    }
+
+    function contract(name) {
+        if (!contracts[name]) {
+            throw new AutoPartsError(`${name} is not part of this deployment`);
+        }
+        return contracts[name];
+    }
+
+    async function signerAddress() {
+        if (!runner || typeof runner.getAddress !== "function") {
+            throw new AutoPartsError("This call needs a signer as the SDK runner");
+        }
+        return runner.getAddress();
+    }
+
+    async function send(target, method, args) {
+        try {
+            const tx = await target.getFunction(method)(...args);
+            return await tx.wait();
+        } catch (error) {
+            throw decodeError(error, method);
+        }
+    }
+
+    async function read(target, method, args = []) {
+        try {
+            return await target.getFunction(method)(...args);
+        } catch (error) {
+            throw decodeError(error, method);
+        }
+    }
+
+    async function getPrice() {
+        const oracle = contract("PriceOracle");
+        const [price, lastUpdated] = await Promise.all([read(oracle, "currentPrice"), read(oracle, "lastUpdated")]);
+        return { price: oraclePrice(price), lastUpdated: Number(lastUpdated) };
+    }
+
+    async function quoteTB(usdAmount) {
+        const value = expectUnit(usdAmount, UNITS.USD_CENTS, "usdAmount");
+        return tbWei(await read(contract("PriceOracle"), "calculateTBForUSD", [value]));
+    }
+
+    async function getProduct(productId) {
+        const product = await read(contract("AutoPartsMarketplaceV2"), "products", [productId]);
+        const fields = product.toObject();
+        for (const key of Object.keys(fields)) {
+            // Marketplace money fields are USD cents (priceUSD, costUSD, ...)
+            if (/USD$/.test(key) && typeof fields[key] === "bigint") {
+                fields[key] = cents(fields[key]);
+            }
+        }
+        return { id: BigInt(productId), ...fields };
+    }
+
+    async function listProduct(params) {
+        const marketplace = contract("AutoPartsMarketplaceV2");
+        const minOrder = requireInteger(params.minOrder === undefined ? 1 : params.minOrder, "minOrder", 1);
+        const maxOrder = requireInteger(params.maxOrder === undefined ? minOrder : params.maxOrder, "maxOrder", 1);
+        if (minOrder > maxOrder) {
+            throw new AutoPartsError(`minOrder (${minOrder}) cannot exceed maxOrder (${maxOrder})`);
+        }
+        if (params.images !== undefined && !Array.isArray(params.images)) {
+            throw new AutoPartsError("images must be an array of URIs");
+        }
+
+        const values = {
+            sku: requireString(params.sku, "sku"),
+            name: requireString(params.name, "name"),
+            description: requireString(params.description, "description", { optional: true }),
+            category: requireString(params.category, "category", { optional: true }),
+            brand: requireString(params.brand, "brand", { optional: true }),
+            vehicle: requireString(params.vehicle, "vehicle", { optional: true }),
+            partNumber: requireString(params.partNumber, "partNumber", { optional: true }),
+            images: params.images || [],
+            priceUSD: expectUnit(params.priceUSD, UNITS.USD_CENTS, "priceUSD"),
+            costUSD: params.costUSD === undefined ? 0n : expectUnit(params.costUSD, UNITS.USD_CENTS, "costUSD"),
+            stock: requireInteger(params.stock, "stock"),
+            minOrder,
+            maxOrder,
+            weightGrams: requireInteger(params.weightGrams === undefined ? 0 : params.weightGrams, "weightGrams"),
+        };
+
+        const fragment = marketplace.interface.getFunction("listProduct");
+        const known = LIST_PRODUCT_FIELDS.map((field) => values[field]);
+        const receipt = await send(marketplace, "listProduct", positionalArgs(fragment, known, params.extra));
+        const event = findEvent(marketplace, receipt, "ProductListed", "listProduct");
+        return { productId: event.args[0], receipt };
+    }
+
+    async function addToCart(productId, quantity) {
+        requireInteger(quantity, "quantity", 1);
+        return send(contract("AutoPartsMarketplaceV2"), "addToCart", [productId, quantity]);
+    }
+
+    async function ensureAllowance(spender, amount) {
+        const tbToken = contract("TBToken");
+        const owner = await signerAddress();
+        const allowance = await read(tbToken, "allowance", [owner, spender]);
+        if (allowance < amount) {
+            // Approve the exact amount, never an unlimited allowance
+            await send(tbToken, "approve", [spender, amount]);
+        }
+    }
+
+    async function relayPermit(relayUrl, payload) {
+        const body = JSON.stringify(payload, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+        const response = await fetch(`${relayUrl.replace(/\/$/, "")}/relay/permit`, {
+            method: "POST",
+            headers: { "content-type": "application/json" },
+            body,
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = result.error || {};
+            throw new PermitError(`Permit relay failed: ${error.message || response.statusText}`, { reason: error.code || null });
+        }
+        return result;
+    }
+
+    /**
+     * Authorize the marketplace to pull exactly `amount` TB. By default the
+     * buyer signs an EIP-2612 permit (submitted by `relayUrl` when given, so
+     * the approval costs the buyer no gas; payOrder still does); `payment:
+     * "approve"` falls back to an exact-amount approve() transaction. Nothing
+     * is sent when the allowance already covers `amount`.
+     */
+    async function authorizePayment(spender, amount, { payment, relayUrl, permitTtl, orderId }) {
+        if (payment === "approve") {
+            return ensureAllowance(spender, amount);
+        }
+        if (payment !== "permit") {
+            throw new AutoPartsError(`Unknown payment mode "${payment}"`);
+        }
+
+        const tbToken = contract("TBToken");
+        const allowance = await read(tbToken, "allowance", [await signerAddress(), spender]);
+        if (allowance >= amount) {
+            // The relay refuses permits the allowance already covers
+            return null;
+        }
+        const latest = await runner.provider.getBlock("latest");
+        const deadline = BigInt(latest.timestamp + permitTtl);
+        const signed = await signPermit({ token: tbToken, signer: runner, spender, value: amount, deadline });
+
+        if (relayUrl) {
+            return relayPermit(relayUrl, { orderId, ...signed });
+        }
+        return send(tbToken, "permit", [signed.owner, signed.spender, signed.value, signed.deadline, signed.v, signed.r, signed.s]);
+    }
+
+    /**
+     * Turn the signer's cart into an order and pay it in TB at the current
+     * oracle price. Returns the order id, its USD total and the TB charged.
+     *
+     * payOrder pulls TB from msg.sender, so the buyer always sends the
+     * payment itself; only the allowance step can be relayed.
+     */
+    async function checkout({
+        shipping = {},
+        discountCode = "",
+        referrer = ZeroAddress,
+        extra,
+        payment = "permit",
+        relayUrl = null,
+        permitTtl = 30 * 60,
+    } = {}) {
+        const marketplace = contract("AutoPartsMarketplaceV2");
+        if (referrer !== ZeroAddress && !isAddress(referrer)) {
+            throw new AutoPartsError(`referrer must be an address, got ${referrer}`);
+        }
+
+        const values = {
+            shippingAddress: requireString(shipping.address, "shipping.address"),
+            shippingMethod: requireString(shipping.method || "Standard", "shipping.method"),
+            notes: requireString(shipping.notes, "shipping.notes", { optional: true }),
+            discountCode: requireString(discountCode, "discountCode", { optional: true }),
+            referrer: referrer === ZeroAddress ? ZeroAddress : getAddress(referrer),
+        };
+        const known = {};
+        for (const [index, field] of Object.entries(CHECKOUT_FIELDS)) {
+            known[index] = values[field];
+        }
+
+        const fragment = marketplace.interface.getFunction("createOrderFromCart");
+        const orderReceipt = await send(marketplace, "createOrderFromCart", positionalArgs(fragment, known, extra));
+        const created = findEvent(marketplace, orderReceipt, "OrderCreated", "createOrderFromCart");
+        const orderId = created.args[0];
+
+        const order = await read(marketplace, "orders", [orderId]);
+        const totalUSD = cents(order.totalUSD);
+        const tbCharged = await quoteTB(totalUSD);
+
+        await authorizePayment(marketplace.target, tbCharged.value, { payment, relayUrl, permitTtl, orderId });
+        const paymentReceipt = await send(marketplace, "payOrder", [orderId]);
+
+        return { orderId, totalUSD, tbCharged, receipts: [orderReceipt, paymentReceipt] };
+    }
+
+    async function claimAirdrop(campaignId, proofFile) {
+        const account = await signerAddress();
+        const proofs = readProofFile(proofFile);
+        const key = Object.keys(proofs).find((address) => address.toLowerCase() === account.toLowerCase());
+        if (!key) {
+            throw new AutoPartsError(`${account} is not in this campaign's proofs`);
+        }
+        const { amount, proof } = proofs[key];
+
+        const receipt = await send(contract("AirdropManager"), "claimAirdrop", [campaignId, BigInt(amount), proof]);
+        return { amount: tbWei(BigInt(amount)), receipt };
+    }
+
+    async function getLoyalty(address) {
+        const loyalty = contract("LoyaltyProgram");
+        const [customer, tierIndex, tierName, pointsNeeded, spendNeeded] = await read(loyalty, "getCustomerInfo", [address]);
+        const tier = await read(loyalty, "tiers", [tierIndex]);
+        return {
+            tier: { index: Number(tierIndex), name: tierName },
+            points: customer.loyaltyPoints,
+            totalSpent: cents(customer.totalSpentUSD),
+            totalCashbackReceived: cents(customer.totalCashbackReceived),
+            discount: bps(Number(tier.discount)),
+            cashbackRate: bps(Number(tier.cashback)),
+            nextTier: { pointsNeeded, spendNeeded: cents(spendNeeded) },
+        };
+    }
+
+    return {
+        contracts,
+        getPrice,
+        quoteTB,
+        getProduct,
+        listProduct,
+        addToCart,
+        checkout,
+        claimAirdrop,
+        getLoyalty,
+    };
+}
+
+/** Node convenience: load a network's deployment from disk and build the SDK */
+function connect({ network, runner, ...paths }) {
+    const { addresses, abis } = loadDeployment({ network, ...paths });
+    return createAutoPartsSdk({ runner, addresses, abis });
+}
+
+module.exports = {
+    createAutoPartsSdk,
+    connect,
+};
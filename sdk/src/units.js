@@ -0,0 +1,166 @@
+const { parseUnits, formatUnits } = require("ethers");
+
+/**
+ * Unit-tagged amounts. The contracts mix USD cents (prices, order totals),
+ * 8-decimal USD (PriceOracle.currentPrice), 18-decimal TB and basis points;
+ * every SDK entry point takes an Amount and checks its unit, so passing wei
+ * where cents are expected throws instead of silently listing a $10^16 part.
+ */
+const UNITS = Object.freeze({
+    USD_CENTS: "usd-cents",
+    ORACLE_PRICE: "usd-e8",
+    TB_WEI: "tb-wei",
+    BPS: "bps",
+});
+
+const DECIMALS = {
+    [UNITS.USD_CENTS]: 2,
+    [UNITS.ORACLE_PRICE]: 8,
+    [UNITS.TB_WEI]: 18,
+    [UNITS.BPS]: 2, // formatted as a percentage
+};
+
+class UnitError extends TypeError {
+    constructor(message) {
+        super(message);
+        this.name = "UnitError";
+    }
+}
+
+class Amount {
+    constructor(unit, value) {
+        if (!Object.values(UNITS).includes(unit)) {
+            throw new UnitError(`Unknown unit "${unit}"`);
+        }
+        if (typeof value !== "bigint") {
+            throw new UnitError(`Amount value must be a bigint, got ${typeof value}`);
+        }
+        this.unit = unit;
+        this.value = value;
+        Object.freeze(this);
+    }
+
+    add(other) {
+        return new Amount(this.unit, this.value + expectUnit(other, this.unit, "other"));
+    }
+
+    sub(other) {
+        return new Amount(this.unit, this.value - expectUnit(other, this.unit, "other"));
+    }
+
+    mul(factor) {
+        if (typeof factor !== "bigint" && !Number.isInteger(factor)) {
+            throw new UnitError("Amounts can only be multiplied by integers");
+        }
+        return new Amount(this.unit, this.value * BigInt(factor));
+    }
+
+    applyBps(rate) {
+        return new Amount(this.unit, (this.value * expectUnit(rate, UNITS.BPS, "rate")) / 10000n);
+    }
+
+    eq(other) {
+        return other instanceof Amount && other.unit === this.unit && other.value === this.value;
+    }
+
+    format() {
+        const text = formatUnits(this.value, DECIMALS[this.unit]);
+        switch (this.unit) {
+            case UNITS.USD_CENTS:
+            case UNITS.ORACLE_PRICE:
+                return `$${text}`;
+            case UNITS.TB_WEI:
+                return `${text} TB`;
+            default:
+                return `${text}%`;
+        }
+    }
+
+    toString() {
+        return this.format();
+    }
+
+    toJSON() {
+        return { unit: this.unit, value: this.value.toString() };
+    }
+
+    // Implicit arithmetic (`amount + 1`, `amount * 2`) would drop the unit
+    valueOf() {
+        throw new UnitError(`Use .value to read the raw ${this.unit} amount`);
+    }
+}
+
+function decimalToUnits(value, decimals, unit) {
+    if (typeof value !== "string" && typeof value !== "number") {
+        throw new UnitError(`Expected a decimal string or number for ${unit}, got ${typeof value}`);
+    }
+    return new Amount(unit, parseUnits(String(value), decimals));
+}
+
+function integerValue(value, unit) {
+    if (typeof value === "number" && Number.isInteger(value)) {
+        return BigInt(value);
+    }
+    if (typeof value === "bigint") {
+        return value;
+    }
+    throw new UnitError(`Expected an integer number of ${unit}, got ${String(value)}`);
+}
+
+/** Dollars as a decimal, e.g. usd("12.50") -> 1250 cents */
+const usd = (dollars) => decimalToUnits(dollars, 2, UNITS.USD_CENTS);
+/** Raw USD cents as used by the marketplace, e.g. cents(1250) */
+const cents = (value) => new Amount(UNITS.USD_CENTS, integerValue(value, UNITS.USD_CENTS));
+/** Whole or fractional TB, e.g. tb("1.5") -> 1.5e18 wei */
+const tb = (tokens) => decimalToUnits(tokens, 18, UNITS.TB_WEI);
+/** Raw TB base units (wei) */
+const tbWei = (value) => new Amount(UNITS.TB_WEI, integerValue(value, UNITS.TB_WEI));
+/** Raw 8-decimal USD price as stored by PriceOracle */
+const oraclePrice = (value) => new Amount(UNITS.ORACLE_PRICE, integerValue(value, UNITS.ORACLE_PRICE));
+
+/** Basis points, 0..10000 (500 = 5%) */
+function bps(value) {
+    const amount = new Amount(UNITS.BPS, integerValue(value, UNITS.BPS));
+    if (amount.value < 0n || amount.value > 10000n) {
+        throw new UnitError(`Basis points must be between 0 and 10000, got ${amount.value}`);
+    }
+    return amount;
+}
+
+/**
+ * Return the raw bigint of `amount` after checking it carries `unit`. Bare
+ * numbers and bigints are rejected on purpose.
+ */
+function expectUnit(amount, unit, name = "amount") {
+    if (!(amount instanceof Amount)) {
+        throw new UnitError(`${name} must be an Amount in ${unit} (got ${typeof amount}); use the unit helpers`);
+    }
+    if (amount.unit !== unit) {
+        throw new UnitError(`${name} must be in ${unit}, got ${amount.unit}`);
+    }
+    return amount.value;
+}
+
+/** Mirror of PriceOracle.calculateTBForUSD */
+function tbForUsd(usdAmount, price) {
+    const centsValue = expectUnit(usdAmount, UNITS.USD_CENTS, "usdAmount");
+    const priceValue = expectUnit(price, UNITS.ORACLE_PRICE, "price");
+    if (priceValue === 0n) {
+        throw new UnitError("Oracle price cannot be zero");
+    }
+    return tbWei((centsValue * 10n ** 16n * 10n ** 8n) / priceValue);
+}
+
+module.exports = {
+    UNITS,
+    Amount,
+    UnitError,
+    usd,
+    cents,
+    tb,
+    tbWei,
+    oraclePrice,
+    bps,
+    expectUnit,
+    tbForUsd,
+};
@@ -0,0 +1,44 @@
+const { expect } = require("chai");
+const { Wallet } = require("ethers");
+const { buildAirdropClaim, getClaimDomain, recoverAirdropClaimSigner, CLAIM_TYPES, PermitError } = require("../src");
+
+const AIRDROP_MANAGER = "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
+
+// Minimal stand-in for AirdropManager's EIP-5267 view
+function fakeAirdropManager({ chainId = 31337n, verifyingContract = AIRDROP_MANAGER } = {}) {
+    return {
+        getAddress: async () => AIRDROP_MANAGER,
+        eip712Domain: async () => ["0x0f", "AirdropManager", "1", chainId, verifyingContract, "0x" + "00".repeat(32), []],
+    };
+}
+
+describe("airdrop claim", function () {
+    const wallet = Wallet.createRandom();
+
+    async function sign(domain, fields) {
+        const claim = buildAirdropClaim({ domain, account: wallet.address, ...fields });
+        return { ...claim.message, signature: await wallet.signTypedData(claim.domain, CLAIM_TYPES, claim.message) };
+    }
+
+    it("Should refuse a domain for another contract", async function () {
+        let error;
+        try {
+            await getClaimDomain(fakeAirdropManager({ verifyingContract: Wallet.createRandom().address }), 31337n);
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(PermitError);
+        expect(error.message).to.include("AirdropManager domain verifyingContract");
+    });
+
+    it("Should recover the account only for the signed campaign, amount and deadline", async function () {
+        const domain = await getClaimDomain(fakeAirdropManager(), 31337n);
+        const signed = await sign(domain, { campaignId: 1n, amount: 100n, deadline: 2000000000n });
+
+        expect(recoverAirdropClaimSigner(domain, signed)).to.equal(wallet.address);
+        expect(recoverAirdropClaimSigner(domain, { ...signed, campaignId: 2n })).to.not.equal(wallet.address);
+        expect(recoverAirdropClaimSigner(domain, { ...signed, amount: 101n })).to.not.equal(wallet.address);
+        expect(recoverAirdropClaimSigner(domain, { ...signed, deadline: 2000000001n })).to.not.equal(wallet.address);
+        expect(recoverAirdropClaimSigner({ ...domain, chainId: 1n }, signed)).to.not.equal(wallet.address);
+    });
+});
@@ -0,0 +1,53 @@
+const { expect } = require("chai");
+const { Interface } = require("ethers");
+const {
+    decodeError,
+    ContractRevertError,
+    InvalidProofError,
+    AccessDeniedError,
+    InsufficientAllowanceError,
+    TradingDisabledError,
+} = require("../src");
+
+function revertError(name, args) {
+    const error = new Error("execution reverted");
+    error.code = "CALL_EXCEPTION";
+    error.revert = { name, signature: `${name}()`, args };
+    return error;
+}
+
+describe("decodeError", function () {
+    it("Should map revert strings to typed errors", function () {
+        const error = decodeError(revertError("Error", ["Invalid proof"]), "claimAirdrop");
+
+        expect(error).to.be.instanceOf(InvalidProofError);
+        expect(error).to.be.instanceOf(ContractRevertError);
+        expect(error.reason).to.equal("Invalid proof");
+        expect(error.method).to.equal("claimAirdrop");
+        expect(error.message).to.equal("claimAirdrop reverted: Invalid proof");
+    });
+
+    it("Should map OpenZeppelin custom errors", function () {
+        const iface = new Interface(["error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)"]);
+        const parsed = iface.parseError(iface.encodeErrorResult("ERC20InsufficientAllowance", [
+            "0x0000000000000000000000000000000000000001", 0, 5,
+        ]));
+
+        const error = decodeError(revertError(parsed.name, parsed.args), "payOrder");
+
+        expect(error).to.be.instanceOf(InsufficientAllowanceError);
+        expect(error.args[2]).to.equal(5n);
+        expect(decodeError(revertError("AccessControlUnauthorizedAccount", []))).to.be.instanceOf(AccessDeniedError);
+    });
+
+    it("Should fall back to ContractRevertError for unknown reasons", function () {
+        const error = decodeError(revertError("Error", ["Something else"]));
+        expect(error.constructor).to.equal(ContractRevertError);
+        expect(decodeError({ reason: "Trading is not enabled yet" })).to.be.instanceOf(TradingDisabledError);
+    });
+
+    it("Should pass through errors without revert data", function () {
+        const original = new Error("network down");
+        expect(decodeError(original)).to.equal(original);
+    });
+});
@@ -0,0 +1,55 @@
+const { expect } = require("chai");
+const { Wallet, Signature } = require("ethers");
+const { buildPermit, getPermitDomain, recoverPermitSigner, PERMIT_TYPES, PermitError } = require("../src");
+
+const TOKEN = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const SPENDER = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+
+// Minimal stand-in for TBToken's EIP-5267 / ERC20Permit views
+function fakeToken({ chainId = 31337n, verifyingContract = TOKEN } = {}) {
+    return {
+        getAddress: async () => TOKEN,
+        eip712Domain: async () => ["0x0f", "AutoPartsChain Token", "1", chainId, verifyingContract, "0x" + "00".repeat(32), []],
+    };
+}
+
+describe("permit", function () {
+    const wallet = Wallet.createRandom();
+
+    async function sign(domain, fields) {
+        const permit = buildPermit({ domain, owner: wallet.address, spender: SPENDER, ...fields });
+        const signature = Signature.from(await wallet.signTypedData(permit.domain, PERMIT_TYPES, permit.message));
+        return { ...permit.message, v: signature.v, r: signature.r, s: signature.s };
+    }
+
+    it("Should read the token domain for the current chain", async function () {
+        const domain = await getPermitDomain(fakeToken(), 31337n);
+        expect(domain).to.deep.equal({
+            name: "AutoPartsChain Token",
+            version: "1",
+            chainId: 31337n,
+            verifyingContract: TOKEN,
+        });
+    });
+
+    it("Should refuse a domain bound to another chain", async function () {
+        let error;
+        try {
+            await getPermitDomain(fakeToken({ chainId: 1n }), 31337n);
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(PermitError);
+        expect(error.message).to.include("chainId 1");
+    });
+
+    it("Should recover the owner only for the signed nonce and amount", async function () {
+        const domain = await getPermitDomain(fakeToken(), 31337n);
+        const signed = await sign(domain, { value: 1000n, nonce: 0n, deadline: 2000000000n });
+
+        expect(recoverPermitSigner(domain, signed)).to.equal(wallet.address);
+        expect(recoverPermitSigner(domain, { ...signed, nonce: 1n })).to.not.equal(wallet.address);
+        expect(recoverPermitSigner(domain, { ...signed, value: 1001n })).to.not.equal(wallet.address);
+        expect(recoverPermitSigner({ ...domain, chainId: 1n }, signed)).to.not.equal(wallet.address);
+    });
+});
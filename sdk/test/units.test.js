@@ -0,0 +1,49 @@
+const { expect } = require("chai");
+const { UnitError, usd, cents, tb, tbWei, oraclePrice, bps, expectUnit, tbForUsd, UNITS } = require("../src");
+
+describe("units", function () {
+    it("Should parse dollars into cents and TB into wei", function () {
+        expect(usd("12.50").value).to.equal(1250n);
+        expect(cents(1250).eq(usd("12.5"))).to.be.true;
+        expect(tb("1.5").value).to.equal(1500000000000000000n);
+    });
+
+    it("Should reject bare numbers where an amount is expected", function () {
+        expect(() => expectUnit(1000, UNITS.USD_CENTS, "priceUSD")).to.throw(UnitError, "priceUSD must be an Amount");
+        expect(() => expectUnit(1000n, UNITS.USD_CENTS, "priceUSD")).to.throw(UnitError);
+    });
+
+    it("Should reject a TB amount where cents are expected", function () {
+        expect(() => expectUnit(tb("10"), UNITS.USD_CENTS, "priceUSD")).to.throw(UnitError, "must be in usd-cents, got tb-wei");
+        expect(() => usd("1").add(tbWei(1))).to.throw(UnitError);
+    });
+
+    it("Should refuse implicit arithmetic", function () {
+        expect(() => usd("1") + 1).to.throw(UnitError);
+    });
+
+    it("Should reject fractional cents and out-of-range bps", function () {
+        expect(() => usd("1.234")).to.throw();
+        expect(() => cents(1.5)).to.throw(UnitError);
+        expect(() => bps(10001)).to.throw(UnitError);
+    });
+
+    it("Should apply basis points in the amount's unit", function () {
+        const discounted = usd("20").applyBps(bps(1000));
+        expect(discounted.unit).to.equal(UNITS.USD_CENTS);
+        expect(discounted.value).to.equal(200n);
+    });
+
+    it("Should mirror PriceOracle.calculateTBForUSD", function () {
+        // $10.00 at 1 TB = $0.000001 (price 100, 8 decimals) -> 10,000,000 TB
+        expect(tbForUsd(usd("10"), oraclePrice(100)).eq(tb("10000000"))).to.be.true;
+        expect(() => tbForUsd(tb("10"), oraclePrice(100))).to.throw(UnitError);
+    });
+
+    it("Should format amounts with their unit", function () {
+        expect(usd("12.5").format()).to.equal("$12.5");
+        expect(tb("2").format()).to.equal("2.0 TB");
+        expect(bps(500).format()).to.equal("5.0%");
+        expect(JSON.stringify(usd("1"))).to.equal('{"unit":"usd-cents","value":"100"}');
+    });
+});
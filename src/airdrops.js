@@ -0,0 +1,62 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Merkle trees written by `npx hardhat airdrop:build`, found by merkle root so
+ * campaigns need no extra bookkeeping: every directory under `dir` (and `dir`
+ * itself) holding a root.json and proofs.json is a tree. The directory is
+ * scanned again when a root is missing, so new trees show up without a restart.
+ */
+function createTreeStore(dir) {
+    const trees = new Map();
+
+    function loadTree(treeDir) {
+        const rootFile = path.join(treeDir, "root.json");
+        const proofsFile = path.join(treeDir, "proofs.json");
+        if (!fs.existsSync(rootFile) || !fs.existsSync(proofsFile)) {
+            return;
+        }
+        const meta = JSON.parse(fs.readFileSync(rootFile, "utf8"));
+        const claims = {};
+        for (const [address, claim] of Object.entries(JSON.parse(fs.readFileSync(proofsFile, "utf8")))) {
+            claims[address.toLowerCase()] = { amount: claim.amount, proof: claim.proof };
+        }
+        trees.set(meta.merkleRoot.toLowerCase(), { dir: treeDir, meta, claims });
+    }
+
+    function scan() {
+        trees.clear();
+        if (!dir || !fs.existsSync(dir)) {
+            return;
+        }
+        loadTree(dir);
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (entry.isDirectory()) {
+                loadTree(path.join(dir, entry.name));
+            }
+        }
+    }
+
+    function findTree(merkleRoot) {
+        const key = merkleRoot.toLowerCase();
+        if (!trees.has(key)) {
+            scan();
+        }
+        return trees.get(key) || null;
+    }
+
+    /** `{ amount, proof }` for `address` in the tree with `merkleRoot`, or null */
+    function findClaim(merkleRoot, address) {
+        const tree = findTree(merkleRoot);
+        return tree ? tree.claims[address.toLowerCase()] || null : null;
+    }
+
+    return {
+        findTree,
+        findClaim,
+    };
+}
+
+module.exports = {
+    createTreeStore,
+};
@@ -0,0 +1,78 @@
+const express = require("express");
+const { createCatalog } = require("./catalog");
+const { createTreeStore } = require("./airdrops");
+const { createWebhookService } = require("./webhooks");
+const { DEFAULT_RELAY_RATE_LIMIT, DEFAULT_REPLAY_RATE_LIMIT, createRateLimiter } = require("./rateLimit");
+const { errorHandler, notFoundHandler } = require("./errors");
+const { jsonReplacer } = require("./serialize");
+const { productsRouter } = require("./routes/products");
+const { ordersRouter } = require("./routes/orders");
+const { customersRouter } = require("./routes/customers");
+const { loyaltyRouter } = require("./routes/loyalty");
+const { referralsRouter } = require("./routes/referrals");
+const { priceRouter } = require("./routes/price");
+const { relayRouter } = require("./routes/relay");
+const { airdropsRouter } = require("./routes/airdrops");
+const { webhooksRouter } = require("./routes/webhooks");
+
+/**
+ * Build the API around already-connected contract instances so tests and
+ * scripts can point it at any network. `relayer` is the signer that pays gas
+ * for POST /relay/permit and POST /airdrops/:id/claim; without it those
+ * routes answer 503; `relayRateLimit` ({ limit, windowMs }) caps how often it
+ * pays for the same address. `airdropsDir` holds the trees written by airdrop:build.
+ * `webhooks` is the service behind /webhooks; by default an in-memory one
+ * that only delivers when its poll() is called. `replayRateLimit` caps
+ * POST /webhooks/:id/replay per subscription.
+ */
+function createApp({
+    contracts,
+    manifest = {},
+    relayer = null,
+    relayRateLimit = DEFAULT_RELAY_RATE_LIMIT,
+    airdropsDir = null,
+    webhooks = null,
+    replayRateLimit = DEFAULT_REPLAY_RATE_LIMIT,
+}) {
+    const app = express();
+    app.set("json replacer", jsonReplacer);
+    app.use(express.json());
+
+    const marketplaceDeployment = (manifest.deployments || {}).AutoPartsMarketplaceV2;
+    const catalog = createCatalog(contracts.AutoPartsMarketplaceV2, {
+        fromBlock: marketplaceDeployment ? marketplaceDeployment.blockNumber : 0,
+    });
+    const airdropTrees = createTreeStore(airdropsDir);
+    const deps = {
+        contracts,
+        manifest,
+        catalog,
+        relayer,
+        relayLimiter: createRateLimiter(relayRateLimit),
+        airdropTrees,
+        webhooks: webhooks || createWebhookService({ contracts }),
+        replayLimiter: createRateLimiter({ ...replayRateLimit, label: "webhook replays" }),
+    };
+
+    app.get("/health", (req, res) => {
+        res.json({ status: "ok", network: manifest.network || null });
+    });
+
+    app.use("/products", productsRouter(deps));
+    app.use("/orders", ordersRouter(deps));
+    app.use("/customers", customersRouter(deps));
+    app.use("/loyalty", loyaltyRouter(deps));
+    app.use("/referrals", referralsRouter(deps));
+    app.use("/price", priceRouter(deps));
+    app.use("/relay", relayRouter(deps));
+    app.use("/airdrops", airdropsRouter(deps));
+    app.use("/webhooks", webhooksRouter(deps));
+
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+    return app;
+}
+
+module.exports = {
+    createApp,
+};
@@ -0,0 +1,47 @@
+/**
+ * SVG badges for loyalty tier NFTs. The five default tiers have fixed
+ * colours; tiers added later with addTier() get a hue derived from their index.
+ */
+const TIER_COLORS = {
+    Bronze: ["#cd7f32", "#8c5523"],
+    Silver: ["#d8d8d8", "#8f8f8f"],
+    Gold: ["#ffd700", "#b8860b"],
+    Platinum: ["#e5e4e2", "#7f7d7a"],
+    Diamond: ["#b9f2ff", "#3aa8c1"],
+};
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function tierColors(name, index) {
+    if (TIER_COLORS[name]) {
+        return TIER_COLORS[name];
+    }
+    const hue = (Number(index) * 67) % 360;
+    return [`hsl(${hue}, 70%, 70%)`, `hsl(${hue}, 60%, 35%)`];
+}
+
+function renderBadge({ tierName, tierIndex, points }) {
+    const [light, dark] = tierColors(tierName, tierIndex);
+    const name = escapeXml(tierName);
+    return [
+        '<svg xmlns="http://www.w3.org/2000/svg" width="350" height="350" viewBox="0 0 350 350">',
+        "<defs>",
+        '<radialGradient id="medal" cx="50%" cy="40%" r="60%">',
+        `<stop offset="0%" stop-color="${light}"/>`,
+        `<stop offset="100%" stop-color="${dark}"/>`,
+        "</radialGradient>",
+        "</defs>",
+        '<rect width="350" height="350" rx="24" fill="#111827"/>',
+        `<circle cx="175" cy="150" r="95" fill="url(#medal)" stroke="${dark}" stroke-width="6"/>`,
+        `<text x="175" y="163" text-anchor="middle" font-family="sans-serif" font-size="36" font-weight="bold" fill="#111827">${name}</text>`,
+        '<text x="175" y="285" text-anchor="middle" font-family="sans-serif" font-size="20" fill="#f9fafb">AutoPartsChain Loyalty</text>',
+        `<text x="175" y="318" text-anchor="middle" font-family="sans-serif" font-size="16" fill="#9ca3af">${escapeXml(points)} points</text>`,
+        "</svg>",
+    ].join("");
+}
+
+module.exports = {
+    renderBadge,
+};
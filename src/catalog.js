@@ -0,0 +1,46 @@
+const { toPlain } = require("./serialize");
+
+/**
+ * Product catalog backed by the marketplace. Product ids are discovered from
+ * ProductListed events, scanning only the blocks not seen by a previous call.
+ */
+function createCatalog(marketplace, { fromBlock = 0 } = {}) {
+    const productIds = new Set();
+    let scannedTo = fromBlock - 1;
+
+    async function refreshIds() {
+        const latest = await marketplace.runner.provider.getBlockNumber();
+        if (latest <= scannedTo) {
+            return;
+        }
+        const events = await marketplace.queryFilter(marketplace.filters.ProductListed(), scannedTo + 1, latest);
+        for (const event of events) {
+            productIds.add(event.args[0]);
+        }
+        scannedTo = latest;
+    }
+
+    async function getProduct(id) {
+        const product = toPlain(await marketplace.products(id));
+        if (!product.sku) {
+            return null;
+        }
+        return { id: BigInt(id), ...product };
+    }
+
+    async function listProducts() {
+        await refreshIds();
+        const ids = [...productIds].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        const products = await Promise.all(ids.map(getProduct));
+        return products.filter(Boolean);
+    }
+
+    return {
+        getProduct,
+        listProducts,
+    };
+}
+
+module.exports = {
+    createCatalog,
+};
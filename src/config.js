@@ -0,0 +1,39 @@
+const path = require("path");
+
+const CONTRACTS_DIR = path.join(__dirname, "..", "autopartschain-smart-contracts");
+const DATA_DIR = path.join(__dirname, "..", "data");
+
+function loadConfig(env = process.env) {
+    const network = env.NETWORK || "localhost";
+    return {
+        port: Number(env.PORT || 3000),
+        rpcUrl: env.RPC_URL || "http://127.0.0.1:8545",
+        network,
+        manifestPath: env.MANIFEST_PATH || path.join(CONTRACTS_DIR, "deployed", `addresses-${network}.json`),
+        artifactsDir: env.ARTIFACTS_DIR || path.join(CONTRACTS_DIR, "artifacts"),
+        relayerPrivateKey: env.RELAYER_PRIVATE_KEY || null,
+        relayRateLimit: {
+            limit: Number(env.RELAY_RATE_LIMIT || 3),
+            windowMs: Number(env.RELAY_RATE_WINDOW_MS || 60 * 60 * 1000),
+        },
+        airdropsDir: env.AIRDROPS_DIR || path.join(CONTRACTS_DIR, "airdrops"),
+        webhooks: {
+            file: env.WEBHOOKS_FILE || path.join(DATA_DIR, "webhooks.json"),
+            deadLetterFile: env.WEBHOOK_DEAD_LETTER_FILE || path.join(DATA_DIR, "webhook-dead-letters.jsonl"),
+            confirmations: Number(env.WEBHOOK_CONFIRMATIONS || 3),
+            pollIntervalMs: Number(env.WEBHOOK_POLL_MS || 5000),
+            attempts: Number(env.WEBHOOK_MAX_ATTEMPTS || 5),
+            maxReplayBlocks: Number(env.WEBHOOK_MAX_REPLAY_BLOCKS || 100000),
+            replayRateLimit: {
+                limit: Number(env.WEBHOOK_REPLAY_RATE_LIMIT || 10),
+                windowMs: Number(env.WEBHOOK_REPLAY_RATE_WINDOW_MS || 60 * 60 * 1000),
+            },
+            // Hostnames exempt from the public-address check, e.g. a receiver on this machine
+            allowedHosts: (env.WEBHOOK_ALLOWED_HOSTS || "").split(",").map((host) => host.trim().toLowerCase()).filter(Boolean),
+        },
+    };
+}
+
+module.exports = {
+    loadConfig,
+};
@@ -0,0 +1,50 @@
+const fs = require("fs");
+const path = require("path");
+const { Contract } = require("ethers");
+
+const CONTRACT_NAMES = [
+    "TBToken",
+    "PriceOracle",
+    "LoyaltyProgram",
+    "ReferralProgram",
+    "TBStaking",
+    "AutoPartsMarketplaceV2",
+    "AirdropManager",
+];
+
+function loadManifest(manifestPath) {
+    if (!fs.existsSync(manifestPath)) {
+        throw new Error(`Deployment manifest not found: ${manifestPath}`);
+    }
+    return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+function loadAbi(artifactsDir, name) {
+    const file = path.join(artifactsDir, "contracts", `${name}.sol`, `${name}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Artifact for ${name} not found at ${file}; run "npm run compile" in autopartschain-smart-contracts`);
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8")).abi;
+}
+
+/**
+ * Contract instances for every address recorded in the manifest, connected to
+ * `runner` (a provider for reads, or a signer where a route sends transactions).
+ */
+function createContracts(manifest, artifactsDir, runner) {
+    const contracts = {};
+    for (const name of CONTRACT_NAMES) {
+        const address = manifest.contracts[name];
+        if (address) {
+            contracts[name] = new Contract(address, loadAbi(artifactsDir, name), runner);
+        }
+    }
+    return contracts;
+}
+
+module.exports = {
+    CONTRACT_NAMES,
+    loadManifest,
+    loadAbi,
+    createContracts,
+};
@@ -0,0 +1,58 @@
+/**
+ * Errors thrown by route handlers. Every error leaves the API as
+ * `{ "error": { "code", "message", "details"? } }`.
+ */
+class HttpError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = "HttpError";
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+function badRequest(code, message, details) {
+    return new HttpError(400, code, message, details);
+}
+
+function unauthorized(message) {
+    return new HttpError(401, "UNAUTHORIZED", message);
+}
+
+function notFound(message) {
+    return new HttpError(404, "NOT_FOUND", message);
+}
+
+function notFoundHandler(req, res, next) {
+    next(notFound(`Route ${req.method} ${req.path} not found`));
+}
+
+function errorHandler(err, req, res, next) {
+    let error = err;
+    if (!(error instanceof HttpError)) {
+        if (error.type === "entity.parse.failed") {
+            error = badRequest("INVALID_JSON", "Request body is not valid JSON");
+        } else if (error.code === "CALL_EXCEPTION" || error.code === "NETWORK_ERROR" || error.code === "SERVER_ERROR") {
+            error = new HttpError(502, "UPSTREAM_ERROR", "Blockchain RPC request failed", error.shortMessage || error.message);
+        } else {
+            console.error(error);
+            error = new HttpError(500, "INTERNAL_ERROR", "Internal server error");
+        }
+    }
+
+    const body = { code: error.code, message: error.message };
+    if (error.details !== undefined) {
+        body.details = error.details;
+    }
+    res.status(error.status).json({ error: body });
+}
+
+module.exports = {
+    HttpError,
+    badRequest,
+    unauthorized,
+    notFound,
+    notFoundHandler,
+    errorHandler,
+};
@@ -0,0 +1,50 @@
+const { HttpError } = require("./errors");
+
+const DEFAULT_RELAY_RATE_LIMIT = { limit: 3, windowMs: 60 * 60 * 1000 };
+const DEFAULT_REPLAY_RATE_LIMIT = { limit: 10, windowMs: 60 * 60 * 1000 };
+const SWEEP_THRESHOLD = 10000;
+
+/**
+ * Fixed-window request counter per key, kept in memory. The relay routes key
+ * it by the address the relayer would pay gas for, webhook replays by
+ * subscription; `take(key)` throws a 429 once `limit` requests were accepted
+ * within `windowMs`. `label` names the requests in the error message.
+ */
+function createRateLimiter({ limit, windowMs, label = "relayed requests", now = Date.now }) {
+    const windows = new Map();
+
+    function sweep(time) {
+        for (const [key, window] of windows) {
+            if (time - window.start >= windowMs) windows.delete(key);
+        }
+    }
+
+    function take(key) {
+        const time = now();
+        if (windows.size > SWEEP_THRESHOLD) {
+            sweep(time);
+        }
+        let window = windows.get(key);
+        if (!window || time - window.start >= windowMs) {
+            window = { start: time, count: 0 };
+            windows.set(key, window);
+        }
+        if (window.count >= limit) {
+            const retryAfterMs = window.start + windowMs - time;
+            throw new HttpError(429, "RATE_LIMITED", `Too many ${label}; try again in ${Math.ceil(retryAfterMs / 1000)}s`, {
+                limit,
+                windowMs,
+                retryAfterMs,
+            });
+        }
+        window.count++;
+    }
+
+    return { take };
+}
+
+module.exports = {
+    DEFAULT_RELAY_RATE_LIMIT,
+    DEFAULT_REPLAY_RATE_LIMIT,
+    createRateLimiter,
+};
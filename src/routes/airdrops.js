@@ -0,0 +1,205 @@
+const express = require("express");
+const { Contract, TypedDataEncoder, isHexString } = require("ethers");
+const { buildAirdropClaim, getClaimDomain, recoverAirdropClaimSigner } = require("@autopartschain/sdk");
+const { HttpError, badRequest, notFound } = require("../errors");
+const { parseAddress, parseInteger, parseUint } = require("../validation");
+
+// IERC1271.isValidSignature.selector, returned for a valid signature
+const ERC1271_MAGIC_VALUE = "0x1626ba7e";
+const erc1271Abi = ["function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)"];
+
+// 65-byte ECDSA signatures from accounts; contract wallets define their own format
+function parseClaimSignature(value) {
+    if (!isHexString(value) || value.length <= 2) {
+        throw badRequest("INVALID_SIGNATURE", "signature must be a hex string", { signature: value });
+    }
+    return value;
+}
+
+function recoverClaimSigner(domain, claim) {
+    try {
+        return recoverAirdropClaimSigner(domain, claim);
+    } catch (error) {
+        // Malformed r/s/v values cannot be recovered at all
+        return null;
+    }
+}
+
+/**
+ * Whether `claim.account` signed the claim, the way SignatureChecker checks
+ * it on-chain: a contract wallet (any address with code) through its
+ * ERC-1271 isValidSignature, any other address by ECDSA recovery.
+ */
+async function isValidClaimSignature(provider, domain, claim) {
+    if ((await provider.getCode(claim.account)) === "0x") {
+        return recoverClaimSigner(domain, claim) === claim.account;
+    }
+    const { types, message } = buildAirdropClaim({ domain, ...claim });
+    try {
+        const result = await new Contract(claim.account, erc1271Abi, provider).isValidSignature(
+            TypedDataEncoder.hash(domain, types, message), claim.signature
+        );
+        return result === ERC1271_MAGIC_VALUE;
+    } catch (error) {
+        // A wallet without isValidSignature, or one that reverts, does not approve the claim
+        return false;
+    }
+}
+
+function campaignStatus(campaign, now) {
+    if (!campaign.active) {
+        return "inactive";
+    }
+    if (now < campaign.startTime) {
+        return "upcoming";
+    }
+    return now > campaign.endTime ? "ended" : "open";
+}
+
+/**
+ * Claim portal for AirdropManager campaigns. Amounts and proofs come from the
+ * trees written by airdrop:build (see createTreeStore), matched to a campaign
+ * by its on-chain merkle root.
+ */
+function airdropsRouter({ contracts, airdropTrees, relayer, relayLimiter }) {
+    const router = express.Router();
+    const airdropManager = contracts.AirdropManager;
+
+    async function loadCampaign(id) {
+        const [info, campaign] = await Promise.all([airdropManager.getCampaignInfo(id), airdropManager.campaigns(id)]);
+        const [name, totalAmount, claimedAmount, startTime, endTime, active] = info;
+        // campaigns() returns zeroes for ids that were never created
+        if (campaign.id === 0n) {
+            throw notFound(`Airdrop campaign ${id} not found`);
+        }
+        return {
+            id: BigInt(id),
+            name,
+            merkleRoot: campaign.merkleRoot,
+            totalAmount,
+            claimedAmount,
+            remainingAmount: totalAmount - claimedAmount,
+            startTime,
+            endTime,
+            active,
+        };
+    }
+
+    async function now() {
+        const latest = await airdropManager.runner.provider.getBlock("latest");
+        return BigInt(latest.timestamp);
+    }
+
+    function findClaim(campaign, address) {
+        if (!airdropTrees.findTree(campaign.merkleRoot)) {
+            throw notFound(`No Merkle tree is stored for campaign ${campaign.id} (root ${campaign.merkleRoot})`);
+        }
+        const claim = airdropTrees.findClaim(campaign.merkleRoot, address);
+        if (!claim) {
+            throw notFound(`${address} is not eligible for campaign ${campaign.id}`);
+        }
+        return claim;
+    }
+
+    router.get("/", async (req, res) => {
+        const [count, timestamp] = await Promise.all([airdropManager.campaignCount(), now()]);
+        const ids = Array.from({ length: Number(count) }, (_, i) => i + 1);
+        const campaigns = await Promise.all(ids.map(loadCampaign));
+
+        res.json({
+            campaigns: campaigns.map((campaign) => ({
+                ...campaign,
+                status: campaignStatus(campaign, timestamp),
+                hasTree: airdropTrees.findTree(campaign.merkleRoot) !== null,
+            })),
+        });
+    });
+
+    router.get("/:id/proof/:address", async (req, res) => {
+        const campaign = await loadCampaign(parseInteger(req.params.id, "id", { min: 1 }));
+        const address = parseAddress(req.params.address);
+        const claim = findClaim(campaign, address);
+
+        res.json({
+            campaignId: campaign.id,
+            address,
+            amount: claim.amount,
+            proof: claim.proof,
+            merkleRoot: campaign.merkleRoot,
+        });
+    });
+
+    router.get("/:id/status/:address", async (req, res) => {
+        const campaign = await loadCampaign(parseInteger(req.params.id, "id", { min: 1 }));
+        const address = parseAddress(req.params.address);
+        const [hasClaimed, timestamp] = await Promise.all([airdropManager.hasClaimed(campaign.id, address), now()]);
+
+        // Without the tree eligibility is unknown, not false
+        const tree = airdropTrees.findTree(campaign.merkleRoot);
+        const claim = tree ? airdropTrees.findClaim(campaign.merkleRoot, address) : null;
+
+        res.json({
+            campaignId: campaign.id,
+            address,
+            hasClaimed,
+            eligible: tree ? claim !== null : null,
+            amount: claim ? claim.amount : null,
+            campaignStatus: campaignStatus(campaign, timestamp),
+        });
+    });
+
+    // claimAirdropFor only accepts the claim with the account's EIP-712 signature
+    // (ERC-1271 for contract wallets) and always pays that account; the relayer
+    // pays gas for at most `relayLimiter` claims per address
+    router.post("/:id/claim", async (req, res) => {
+        if (!relayer) {
+            throw new HttpError(503, "RELAY_DISABLED", "No relayer account is configured");
+        }
+
+        const body = req.body || {};
+        const campaign = await loadCampaign(parseInteger(req.params.id, "id", { min: 1 }));
+        const address = parseAddress(body.address);
+        const deadline = parseUint(body.deadline, "deadline");
+        const signature = parseClaimSignature(body.signature);
+        const claim = findClaim(campaign, address);
+
+        const [hasClaimed, timestamp] = await Promise.all([airdropManager.hasClaimed(campaign.id, address), now()]);
+        if (hasClaimed) {
+            throw new HttpError(409, "ALREADY_CLAIMED", `${address} already claimed campaign ${campaign.id}`);
+        }
+        const status = campaignStatus(campaign, timestamp);
+        if (status !== "open") {
+            throw new HttpError(409, "CAMPAIGN_NOT_OPEN", `Campaign ${campaign.id} is ${status}`, { status });
+        }
+        if (deadline <= timestamp) {
+            throw badRequest("CLAIM_EXPIRED", "Claim signature deadline has passed", { deadline, now: timestamp });
+        }
+
+        const provider = airdropManager.runner.provider;
+        const network = await provider.getNetwork();
+        const domain = await getClaimDomain(airdropManager, network.chainId);
+        const signed = { campaignId: campaign.id, account: address, amount: claim.amount, deadline, signature };
+        if (!(await isValidClaimSignature(provider, domain, signed))) {
+            throw badRequest("INVALID_SIGNATURE", "Signature does not match the claim for this address, campaign, amount and deadline");
+        }
+        relayLimiter.take(`claim:${address}`);
+
+        const tx = await airdropManager.connect(relayer).claimAirdropFor(
+            campaign.id, address, claim.amount, claim.proof, deadline, signature
+        );
+        const receipt = await tx.wait();
+        res.status(201).json({
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            campaignId: campaign.id,
+            address,
+            amount: claim.amount,
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    airdropsRouter,
+};
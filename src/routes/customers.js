@@ -0,0 +1,43 @@
+const express = require("express");
+const { parseAddress } = require("../validation");
+
+function customersRouter({ contracts }) {
+    const router = express.Router();
+    const loyalty = contracts.LoyaltyProgram;
+
+    router.get("/:address/loyalty", async (req, res) => {
+        const address = parseAddress(req.params.address);
+        const [info, discountBps] = await Promise.all([
+            loyalty.getCustomerInfo(address),
+            loyalty.getCustomerDiscount(address),
+        ]);
+        const [customer, tierIndex, tierName, nextTierPointsNeeded, nextTierSpendNeeded] = info;
+        const tier = await loyalty.tiers(tierIndex);
+
+        res.json({
+            address,
+            member: customer.joinedAt > 0n,
+            tier: { index: tierIndex, name: tierName },
+            points: customer.loyaltyPoints,
+            totalSpentUSD: customer.totalSpentUSD,
+            cashback: {
+                rateBps: tier.cashback,
+                totalReceived: customer.totalCashbackReceived,
+            },
+            discountBps,
+            referralCount: customer.referralCount,
+            nextTier: {
+                pointsNeeded: nextTierPointsNeeded,
+                spendNeededUSD: nextTierSpendNeeded,
+            },
+            joinedAt: customer.joinedAt,
+            lastPurchaseAt: customer.lastPurchaseAt,
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    customersRouter,
+};
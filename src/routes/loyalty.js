@@ -0,0 +1,76 @@
+const express = require("express");
+const { notFound } = require("../errors");
+const { parseUint } = require("../validation");
+const { renderBadge } = require("../badges");
+
+// Metadata changes as customers earn points, so wallets should re-fetch often
+const CACHE_CONTROL = "public, max-age=60";
+
+/**
+ * Dynamic ERC-721 metadata for LoyaltyProgram NFTs. Token ids are the
+ * customer's address as a uint256, and the tier comes from tokenIdToTier.
+ */
+function loyaltyRouter({ contracts }) {
+    const router = express.Router();
+    const loyalty = contracts.LoyaltyProgram;
+
+    async function loadToken(tokenId) {
+        let owner;
+        try {
+            owner = await loyalty.ownerOf(tokenId);
+        } catch (error) {
+            if (error.code === "CALL_EXCEPTION") {
+                throw notFound(`Loyalty token ${tokenId} does not exist`);
+            }
+            throw error;
+        }
+
+        const tierIndex = await loyalty.tokenIdToTier(tokenId);
+        const [tier, info] = await Promise.all([loyalty.tiers(tierIndex), loyalty.getCustomerInfo(owner)]);
+        const customer = info[0];
+        return {
+            tokenId,
+            owner,
+            tierIndex,
+            tierName: tier.name,
+            points: customer.loyaltyPoints,
+            totalSpentUSD: customer.totalSpentUSD,
+            cashbackReceived: customer.totalCashbackReceived,
+            referralCount: customer.referralCount,
+            joinedAt: customer.joinedAt,
+        };
+    }
+
+    router.get("/:tokenId", async (req, res) => {
+        const token = await loadToken(parseUint(req.params.tokenId, "tokenId"));
+        const svg = renderBadge(token);
+
+        res.set("Cache-Control", CACHE_CONTROL);
+        res.json({
+            name: `AutoPartsChain ${token.tierName} Member`,
+            description: `Loyalty membership of ${token.owner}. Tier, points and rewards update with every purchase.`,
+            image: `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`,
+            attributes: [
+                { trait_type: "Tier", value: token.tierName },
+                { trait_type: "Points", value: Number(token.points), display_type: "number" },
+                { trait_type: "Total Spent (USD)", value: Number(token.totalSpentUSD) / 100, display_type: "number" },
+                { trait_type: "Cashback Received (USD)", value: Number(token.cashbackReceived) / 100, display_type: "number" },
+                { trait_type: "Referrals", value: Number(token.referralCount), display_type: "number" },
+                { trait_type: "Member Since", value: Number(token.joinedAt), display_type: "date" },
+            ],
+        });
+    });
+
+    router.get("/:tokenId/image.svg", async (req, res) => {
+        const token = await loadToken(parseUint(req.params.tokenId, "tokenId"));
+
+        res.set("Cache-Control", CACHE_CONTROL);
+        res.type("image/svg+xml").send(renderBadge(token));
+    });
+
+    return router;
+}
+
+module.exports = {
+    loyaltyRouter,
+};
@@ -0,0 +1,25 @@
+const express = require("express");
+const { ZeroAddress } = require("ethers");
+const { notFound } = require("../errors");
+const { toPlain } = require("../serialize");
+const { parseInteger } = require("../validation");
+
+function ordersRouter({ contracts }) {
+    const router = express.Router();
+    const marketplace = contracts.AutoPartsMarketplaceV2;
+
+    router.get("/:id", async (req, res) => {
+        const id = parseInteger(req.params.id, "id", { min: 1 });
+        const order = toPlain(await marketplace.orders(id));
+        if (!order.customer || order.customer === ZeroAddress) {
+            throw notFound(`Order ${id} not found`);
+        }
+        res.json({ id: BigInt(id), ...order });
+    });
+
+    return router;
+}
+
+module.exports = {
+    ordersRouter,
+};
@@ -0,0 +1,55 @@
+const express = require("express");
+const { formatUnits, parseUnits } = require("ethers");
+const { badRequest } = require("../errors");
+const { parseInteger } = require("../validation");
+
+const PRICE_DECIMALS = 8;
+const TB_DECIMALS = 18;
+
+function parseUsdCents(query) {
+    if (query.cents !== undefined && query.usd !== undefined) {
+        throw badRequest("INVALID_PARAMETER", "Pass either usd or cents, not both");
+    }
+    if (query.cents !== undefined) {
+        return BigInt(parseInteger(query.cents, "cents"));
+    }
+    if (query.usd !== undefined) {
+        if (typeof query.usd !== "string" || !/^\d+(\.\d{1,2})?$/.test(query.usd)) {
+            throw badRequest("INVALID_PARAMETER", "usd must be a dollar amount with at most 2 decimals", { usd: query.usd });
+        }
+        return parseUnits(query.usd, 2);
+    }
+    return null;
+}
+
+function priceRouter({ contracts }) {
+    const router = express.Router();
+    const oracle = contracts.PriceOracle;
+
+    router.get("/", async (req, res) => {
+        const cents = parseUsdCents(req.query);
+        const [currentPrice, lastUpdated] = await Promise.all([oracle.currentPrice(), oracle.lastUpdated()]);
+
+        const body = {
+            price: currentPrice,
+            priceUSD: formatUnits(currentPrice, PRICE_DECIMALS),
+            decimals: PRICE_DECIMALS,
+            lastUpdated,
+        };
+        if (cents !== null) {
+            const tbAmount = await oracle.calculateTBForUSD(cents);
+            body.conversion = {
+                usdCents: cents,
+                tbAmount,
+                tb: formatUnits(tbAmount, TB_DECIMALS),
+            };
+        }
+        res.json(body);
+    });
+
+    return router;
+}
+
+module.exports = {
+    priceRouter,
+};
@@ -0,0 +1,52 @@
+const express = require("express");
+const { notFound } = require("../errors");
+const { parseInteger, optionalString } = require("../validation");
+
+// Query parameter -> product field; matching is case-insensitive
+const FILTERS = {
+    category: { field: "category", match: "equals" },
+    brand: { field: "brand", match: "equals" },
+    vehicle: { field: "vehicle", match: "contains" },
+    sku: { field: "sku", match: "equals" },
+};
+
+function matches(product, filters) {
+    return Object.entries(filters).every(([param, value]) => {
+        const { field, match } = FILTERS[param];
+        const actual = String(product[field] || "").toLowerCase();
+        const expected = value.toLowerCase();
+        return match === "contains" ? actual.includes(expected) : actual === expected;
+    });
+}
+
+function productsRouter({ catalog }) {
+    const router = express.Router();
+
+    router.get("/", async (req, res) => {
+        const filters = {};
+        for (const param of Object.keys(FILTERS)) {
+            const value = optionalString(req.query[param], param);
+            if (value !== undefined) {
+                filters[param] = value;
+            }
+        }
+
+        const products = (await catalog.listProducts()).filter((product) => matches(product, filters));
+        res.json({ count: products.length, products });
+    });
+
+    router.get("/:id", async (req, res) => {
+        const id = parseInteger(req.params.id, "id", { min: 1 });
+        const product = await catalog.getProduct(id);
+        if (!product) {
+            throw notFound(`Product ${id} not found`);
+        }
+        res.json(product);
+    });
+
+    return router;
+}
+
+module.exports = {
+    productsRouter,
+};
@@ -0,0 +1,44 @@
+const express = require("express");
+const { ZeroAddress } = require("ethers");
+const { parseAddress, parseInteger } = require("../validation");
+
+const MAX_DEPTH = 10;
+
+function referralsRouter({ contracts }) {
+    const router = express.Router();
+    const referralProgram = contracts.ReferralProgram;
+
+    router.get("/:address/tree", async (req, res) => {
+        const address = parseAddress(req.params.address);
+        const depth = req.query.depth === undefined
+            ? 3
+            : parseInteger(req.query.depth, "depth", { min: 1, max: MAX_DEPTH });
+
+        const [info, tree] = await Promise.all([
+            referralProgram.getReferralInfo(address),
+            referralProgram.getReferralTree(address, depth),
+        ]);
+        const [referrer, totalEarned, totalReferred, referrals] = info;
+        const [uplineAddresses, levels] = tree;
+
+        // getReferralTree pads the arrays to maxLevel with zero entries
+        const upline = uplineAddresses
+            .map((account, i) => ({ level: levels[i], address: account }))
+            .filter((entry) => entry.address !== ZeroAddress);
+
+        res.json({
+            address,
+            referrer: referrer === ZeroAddress ? null : referrer,
+            totalEarned,
+            totalReferred,
+            referrals: [...referrals],
+            upline,
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    referralsRouter,
+};
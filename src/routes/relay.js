@@ -0,0 +1,115 @@
+const express = require("express");
+const { ZeroAddress, isHexString } = require("ethers");
+const { getPermitDomain, recoverPermitSigner } = require("@autopartschain/sdk");
+const { HttpError, badRequest, notFound } = require("../errors");
+const { parseAddress, parseInteger, parseUint } = require("../validation");
+
+function parseSignature(body) {
+    const v = Number(body.v);
+    if (v !== 27 && v !== 28) {
+        throw badRequest("INVALID_SIGNATURE", "v must be 27 or 28", { v: body.v });
+    }
+    for (const key of ["r", "s"]) {
+        if (!isHexString(body[key], 32)) {
+            throw badRequest("INVALID_SIGNATURE", `${key} must be a 32-byte hex string`, { [key]: body[key] });
+        }
+    }
+    return { v, r: body.r, s: body.s };
+}
+
+// OrderStatus.CART, the enum's first member: created and not yet paid
+const ORDER_STATUS_CART = 0n;
+
+/**
+ * Permit relay for checkout: the buyer signs an ERC-2612 permit for exactly
+ * the TB the order costs and the relayer submits it, so the buyer never sends
+ * approve(). This is not gasless: payOrder pulls TB from msg.sender, so the
+ * buyer still sends and pays for payOrder. The relayer only pays for permits
+ * an unpaid order still needs, at most `relayLimiter` allows per owner.
+ */
+function relayRouter({ contracts, relayer, relayLimiter }) {
+    const router = express.Router();
+    const marketplace = contracts.AutoPartsMarketplaceV2;
+    const oracle = contracts.PriceOracle;
+    const tbToken = contracts.TBToken;
+
+    router.post("/permit", async (req, res) => {
+        if (!relayer) {
+            throw new HttpError(503, "RELAY_DISABLED", "No relayer account is configured");
+        }
+
+        const body = req.body || {};
+        const orderId = parseInteger(String(body.orderId), "orderId", { min: 1 });
+        const owner = parseAddress(body.owner, "owner");
+        const value = parseUint(body.value, "value");
+        const deadline = parseUint(body.deadline, "deadline");
+        const signature = parseSignature(body);
+
+        const [order, network, latest] = await Promise.all([
+            marketplace.orders(orderId),
+            tbToken.runner.provider.getNetwork(),
+            tbToken.runner.provider.getBlock("latest"),
+        ]);
+        if (order.customer === ZeroAddress) {
+            throw notFound(`Order ${orderId} not found`);
+        }
+        if (order.customer !== owner) {
+            throw new HttpError(403, "NOT_ORDER_OWNER", "Permit owner is not the order's customer", { owner, customer: order.customer });
+        }
+        if (order.status !== ORDER_STATUS_CART) {
+            throw new HttpError(409, "ORDER_NOT_PAYABLE", `Order ${orderId} is not awaiting payment`, { status: order.status });
+        }
+
+        if (body.chainId !== undefined && String(body.chainId) !== network.chainId.toString()) {
+            throw badRequest("WRONG_CHAIN", `Permit was signed for chainId ${body.chainId}, relayer is on ${network.chainId}`);
+        }
+
+        const expected = await oracle.calculateTBForUSD(order.totalUSD);
+        if (value !== expected) {
+            throw badRequest("PERMIT_AMOUNT_MISMATCH", "Permit value must equal the order total in TB", {
+                value,
+                expected,
+            });
+        }
+        if (deadline <= BigInt(latest.timestamp)) {
+            throw badRequest("PERMIT_EXPIRED", "Permit deadline has passed", { deadline, now: latest.timestamp });
+        }
+
+        const spender = marketplace.target;
+        const domain = await getPermitDomain(tbToken, network.chainId);
+        const nonce = await tbToken.nonces(owner);
+        const permit = { owner, spender, value, deadline, ...signature };
+
+        if (recoverPermitSigner(domain, { ...permit, nonce }) !== owner) {
+            // A valid signature over an older nonce means it was already used
+            const replayed = nonce > 0n && recoverPermitSigner(domain, { ...permit, nonce: nonce - 1n }) === owner;
+            if (replayed) {
+                throw new HttpError(409, "PERMIT_REPLAYED", "Permit nonce has already been used", { nonce });
+            }
+            throw badRequest("INVALID_SIGNATURE", "Signature does not match the permit for this owner, amount and nonce");
+        }
+
+        const allowance = await tbToken.allowance(owner, spender);
+        if (allowance >= value) {
+            throw new HttpError(409, "ALLOWANCE_SUFFICIENT", "The marketplace allowance already covers this order", { allowance, value });
+        }
+        relayLimiter.take(`permit:${owner}`);
+
+        const tx = await tbToken.connect(relayer).permit(owner, spender, value, deadline, signature.v, signature.r, signature.s);
+        const receipt = await tx.wait();
+        res.status(201).json({
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            owner,
+            spender,
+            value,
+            nonce,
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    relayRouter,
+};
@@ -0,0 +1,156 @@
+const crypto = require("crypto");
+const express = require("express");
+const { badRequest, unauthorized, notFound } = require("../errors");
+const { parseAddress, parseInteger, parseUint } = require("../validation");
+const { WEBHOOK_EVENTS, ownerHash } = require("../webhooks");
+
+const TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+
+/** The bearer token of the request, or null without an Authorization header */
+function bearerToken(req) {
+    const header = req.get("authorization");
+    if (!header) {
+        return null;
+    }
+    const match = /^Bearer (\S+)$/.exec(header);
+    if (!match || !TOKEN_PATTERN.test(match[1])) {
+        throw unauthorized("Authorization must be \"Bearer <token>\" with the token returned when subscribing");
+    }
+    return match[1];
+}
+
+function requireOwner(req) {
+    const token = bearerToken(req);
+    if (!token) {
+        throw unauthorized("Webhook subscriptions can only be managed with the token returned when subscribing");
+    }
+    return ownerHash(token);
+}
+
+function parseUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        url = null;
+    }
+    if (!url || (url.protocol !== "http:" && url.protocol !== "https:")) {
+        throw badRequest("INVALID_URL", "url must be an http(s) URL", { url: value });
+    }
+    return url.toString();
+}
+
+function parseEvents(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+        throw badRequest("INVALID_EVENTS", `events must be a non-empty array of ${Object.keys(WEBHOOK_EVENTS).join(", ")}`);
+    }
+    const unknown = value.filter((name) => !(name in WEBHOOK_EVENTS));
+    if (unknown.length > 0) {
+        throw badRequest("INVALID_EVENTS", `Unknown event(s): ${unknown.join(", ")}`, { supported: Object.keys(WEBHOOK_EVENTS) });
+    }
+    return [...new Set(value)];
+}
+
+function parseFilters(value, events) {
+    const filters = {};
+    if (value === undefined) {
+        return filters;
+    }
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+        throw badRequest("INVALID_FILTERS", "filters must be an object");
+    }
+    for (const [key, raw] of Object.entries(value)) {
+        if (!events.some((name) => key in WEBHOOK_EVENTS[name].filters)) {
+            throw badRequest("INVALID_FILTERS", `Filter ${key} does not apply to ${events.join(", ")}`);
+        }
+        filters[key] = key === "campaignId" ? parseUint(String(raw), key).toString() : parseAddress(raw, key);
+    }
+    return filters;
+}
+
+// The secret is only returned when the subscription is created
+function publicView({ secret, owner, ...subscription }) {
+    return subscription;
+}
+
+/**
+ * Webhook subscriptions. POST returns the HMAC secret once; deliveries are
+ * signed with it (see signPayload in src/webhooks.js). URLs that resolve to
+ * a private, loopback or link-local address are refused unless their host is
+ * in the service's allowedHosts (WEBHOOK_ALLOWED_HOSTS). Every other route
+ * needs `Authorization: Bearer <token>` with the token the subscription was
+ * created with: POST generates one and returns it once unless the request
+ * already sends one, so a client can keep all its subscriptions under one
+ * token. Other clients' subscriptions answer 404. Replays are queued and sent
+ * by the service's next poll; each covers at most the service's
+ * maxReplayBlocks and `replayLimiter` caps how often a subscription replays.
+ */
+function webhooksRouter({ webhooks, replayLimiter }) {
+    const router = express.Router();
+
+    function loadSubscription(req) {
+        const owner = requireOwner(req);
+        const subscription = webhooks.getSubscription(req.params.id);
+        if (!subscription || subscription.owner !== owner) {
+            throw notFound(`Webhook ${req.params.id} not found`);
+        }
+        return subscription;
+    }
+
+    router.post("/", async (req, res) => {
+        const body = req.body || {};
+        const url = parseUrl(body.url);
+        const events = parseEvents(body.events);
+        const filters = parseFilters(body.filters, events);
+        const refusal = await webhooks.checkTarget(url);
+        if (refusal) {
+            throw badRequest("URL_NOT_ALLOWED", `Webhooks cannot be sent there: ${refusal}`, { url });
+        }
+
+        const token = bearerToken(req);
+        const ownerToken = token || crypto.randomBytes(32).toString("hex");
+        const { owner, ...subscription } = webhooks.subscribe({ url, events, filters, owner: ownerHash(ownerToken) });
+        res.status(201).json(token ? subscription : { ...subscription, token: ownerToken });
+    });
+
+    router.get("/", (req, res) => {
+        const subscriptions = webhooks.listSubscriptions(requireOwner(req)).map(publicView);
+        res.json({ count: subscriptions.length, subscriptions });
+    });
+
+    router.get("/:id", (req, res) => {
+        res.json(publicView(loadSubscription(req)));
+    });
+
+    router.delete("/:id", (req, res) => {
+        const subscription = loadSubscription(req);
+        webhooks.unsubscribe(subscription.id);
+        res.status(204).end();
+    });
+
+    router.post("/:id/replay", async (req, res) => {
+        const subscription = loadSubscription(req);
+        const body = req.body || {};
+        const fromBlock = parseInteger(String(body.fromBlock), "fromBlock");
+        const toBlock = body.toBlock === undefined ? undefined : parseInteger(String(body.toBlock), "toBlock");
+        if (toBlock !== undefined && toBlock < fromBlock) {
+            throw badRequest("INVALID_PARAMETER", "toBlock must not be before fromBlock", { fromBlock, toBlock });
+        }
+
+        replayLimiter.take(`replay:${subscription.id}`);
+        const result = await webhooks.replay(subscription, { fromBlock, toBlock });
+        res.status(202).json(result);
+    });
+
+    router.get("/:id/dead-letters", (req, res) => {
+        const subscription = loadSubscription(req);
+        const deadLetters = webhooks.deadLetters(subscription.id);
+        res.json({ count: deadLetters.length, deadLetters });
+    });
+
+    return router;
+}
+
+module.exports = {
+    webhooksRouter,
+};
@@ -0,0 +1,39 @@
+const { Result } = require("ethers");
+
+/**
+ * Convert an ethers Result into plain JSON-friendly data: structs become
+ * objects keyed by field name, arrays stay arrays. BigInts are left as-is and
+ * turned into strings by the app's JSON replacer.
+ */
+function toPlain(value) {
+    if (!(value instanceof Result)) {
+        return value;
+    }
+    if (value.length === 0) {
+        return [];
+    }
+    let object;
+    try {
+        object = value.toObject();
+    } catch (error) {
+        // Unnamed entries: a plain array or tuple
+        return [...value].map(toPlain);
+    }
+    const keys = Object.keys(object);
+    if (keys.length !== value.length || keys.some((key) => key === "_" || /^\d+$/.test(key))) {
+        return [...value].map(toPlain);
+    }
+    for (const key of Object.keys(object)) {
+        object[key] = toPlain(object[key]);
+    }
+    return object;
+}
+
+function jsonReplacer(key, value) {
+    return typeof value === "bigint" ? value.toString() : value;
+}
+
+module.exports = {
+    toPlain,
+    jsonReplacer,
+};
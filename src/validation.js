@@ -0,0 +1,45 @@
+const { isAddress, getAddress } = require("ethers");
+const { badRequest } = require("./errors");
+
+function parseAddress(value, name = "address") {
+    if (typeof value !== "string" || !isAddress(value)) {
+        throw badRequest("INVALID_ADDRESS", `${name} must be a valid Ethereum address`, { [name]: value });
+    }
+    return getAddress(value);
+}
+
+function parseInteger(value, name, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+    if (typeof value !== "string" || !/^\d+$/.test(value)) {
+        throw badRequest("INVALID_PARAMETER", `${name} must be a non-negative integer`, { [name]: value });
+    }
+    const number = Number(value);
+    if (number < min || number > max) {
+        throw badRequest("INVALID_PARAMETER", `${name} must be between ${min} and ${max}`, { [name]: value });
+    }
+    return number;
+}
+
+// uint256 values arrive as decimal strings so they survive JSON without precision loss
+function parseUint(value, name) {
+    if (typeof value !== "string" || !/^\d{1,78}$/.test(value)) {
+        throw badRequest("INVALID_PARAMETER", `${name} must be an unsigned integer as a decimal string`, { [name]: value });
+    }
+    return BigInt(value);
+}
+
+function optionalString(value, name, maxLength = 200) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (typeof value !== "string" || value.length === 0 || value.length > maxLength) {
+        throw badRequest("INVALID_PARAMETER", `${name} must be a non-empty string of at most ${maxLength} characters`);
+    }
+    return value;
+}
+
+module.exports = {
+    parseAddress,
+    parseInteger,
+    parseUint,
+    optionalString,
+};
@@ -0,0 +1,503 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { getAddress } = require("ethers");
+const { queryInBatches } = require("../autopartschain-smart-contracts/scripts/lib/chain");
+const { badRequest } = require("./errors");
+const { toPlain, jsonReplacer } = require("./serialize");
+
+/**
+ * Contract events clients can subscribe to. `filters` maps a subscription
+ * filter to the event argument it matches: `customer` is the buyer, member or
+ * claimer, `campaignId` the airdrop campaign.
+ */
+const WEBHOOK_EVENTS = {
+    OrderPaid: { contract: "AutoPartsMarketplaceV2", filters: { customer: 1 } },
+    TierUpgraded: { contract: "LoyaltyProgram", filters: { customer: 0 } },
+    AirdropClaimed: { contract: "AirdropManager", filters: { campaignId: 0, customer: 1 } },
+};
+
+const SIGNATURE_HEADER = "x-autoparts-signature";
+const TIMESTAMP_HEADER = "x-autoparts-timestamp";
+
+const DEFAULT_RETRY = { attempts: 5, baseDelayMs: 1000, maxDelayMs: 5 * 60 * 1000 };
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) match the IPv4 entries.
+const BLOCKED_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+    ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+]) {
+    BLOCKED_RANGES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [["::", 127], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+    BLOCKED_RANGES.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * Resolve `hostname` and vet the answer: `{ addresses }` when every address
+ * is public or the host is in `allowedHosts`, `{ error }` otherwise.
+ */
+async function resolveTarget(hostname, { allowedHosts = [], lookup = dns.promises.lookup } = {}) {
+    let addresses;
+    try {
+        addresses = net.isIP(hostname) ? [{ address: hostname, family: net.isIP(hostname) }] : await lookup(hostname, { all: true });
+    } catch (error) {
+        return { error: `${hostname} does not resolve` };
+    }
+    if (allowedHosts.includes(hostname)) {
+        return { addresses };
+    }
+    const blocked = addresses.find(({ address, family }) => BLOCKED_RANGES.check(address, family === 6 ? "ipv6" : "ipv4"));
+    if (!blocked) {
+        return { addresses };
+    }
+    return {
+        error: blocked.address === hostname
+            ? `${hostname} is not a public address`
+            : `${hostname} resolves to ${blocked.address}, which is not a public address`,
+    };
+}
+
+/**
+ * Why `url` may not receive webhooks, or null when it may. The host is
+ * resolved and every address it resolves to must be public, unless the host
+ * is in `allowedHosts` (exact hostnames, e.g. a receiver on the same
+ * machine).
+ */
+async function checkTarget(url, { allowedHosts = [], lookup = dns.promises.lookup } = {}) {
+    const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, "$1").toLowerCase();
+    if (allowedHosts.includes(hostname)) {
+        return null;
+    }
+    const { error } = await resolveTarget(hostname, { lookup });
+    return error || null;
+}
+
+/**
+ * POST `body` to `url` and resolve with the response status. The host is
+ * resolved once, by the connection itself, and vetted like checkTarget does,
+ * so the address that was checked is the address connected to: a host that
+ * answers differently the next time it is resolved cannot slip an internal
+ * address in. Redirects are not followed.
+ */
+async function postWebhook(url, { headers = {}, body, timeoutMs = 5000, allowedHosts = [], lookup = dns.promises.lookup }) {
+    const target = new URL(url);
+    const hostname = target.hostname.replace(/^\[(.*)\]$/, "$1").toLowerCase();
+    if (net.isIP(hostname)) {
+        // The connection does not look addresses up, so vet them here
+        const refusal = await checkTarget(url, { allowedHosts });
+        if (refusal) throw new Error(refusal);
+    }
+    const connectLookup = (host, options, callback) => {
+        resolveTarget(host.toLowerCase(), { allowedHosts, lookup }).then(({ addresses, error }) => {
+            if (error) {
+                callback(new Error(error));
+            } else if (options.all) {
+                callback(null, addresses);
+            } else {
+                callback(null, addresses[0].address, addresses[0].family);
+            }
+        }, callback);
+    };
+    return new Promise((resolve, reject) => {
+        const request = (target.protocol === "https:" ? https : http).request(target, {
+            method: "POST",
+            headers: { ...headers, "content-length": Buffer.byteLength(body) },
+            lookup: connectLookup,
+            signal: AbortSignal.timeout(timeoutMs),
+        }, (response) => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+        request.on("error", reject);
+        request.end(body);
+    });
+}
+
+/**
+ * HMAC-SHA256 over `<timestamp>.<body>`, sent as `sha256=<hex>`. Signing the
+ * timestamp too lets receivers reject old deliveries replayed by a third party.
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/** What subscriptions store of the token that manages them */
+function ownerHash(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function verifySignature(secret, timestamp, body, signature) {
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const actual = Buffer.from(String(signature || ""));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function retryDelay(attempt, { baseDelayMs, maxDelayMs }) {
+    return Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+}
+
+// Write to a temp file first so an interrupted write never leaves a truncated file
+function writeJson(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data, jsonReplacer, 2) + "\n");
+    fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Subscriptions, the last scanned block and the deliveries not yet sent,
+ * kept in `file` (JSON) or only in memory when `file` is null. The queue is
+ * written together with the cursor, so a restart never skips a delivery.
+ */
+function createSubscriptionStore(file) {
+    const state = file && fs.existsSync(file)
+        ? JSON.parse(fs.readFileSync(file, "utf8"))
+        : { cursor: null, subscriptions: [] };
+    state.queue = state.queue || [];
+
+    const save = () => {
+        if (file) writeJson(file, state);
+    };
+
+    return {
+        list: () => state.subscriptions,
+        get: (id) => state.subscriptions.find((subscription) => subscription.id === id) || null,
+        add(subscription) {
+            state.subscriptions.push(subscription);
+            save();
+        },
+        remove(id) {
+            const before = state.subscriptions.length;
+            state.subscriptions = state.subscriptions.filter((subscription) => subscription.id !== id);
+            save();
+            return state.subscriptions.length < before;
+        },
+        getCursor: () => state.cursor,
+        setCursor(blockNumber) {
+            state.cursor = blockNumber;
+            save();
+        },
+        // The service changes the queue in place and saves it after each change
+        getQueue: () => state.queue,
+        saveQueue: save,
+    };
+}
+
+function matches(subscription, name, args) {
+    if (!subscription.events.includes(name)) {
+        return false;
+    }
+    const filters = WEBHOOK_EVENTS[name].filters;
+    for (const [key, value] of Object.entries(subscription.filters)) {
+        if (!(key in filters)) {
+            // A filter the event cannot satisfy, e.g. campaignId on OrderPaid
+            return false;
+        }
+        const actual = args[filters[key]];
+        if (key === "campaignId" ? BigInt(actual) !== BigInt(value) : getAddress(actual) !== value) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Webhook deliveries for contract events. `poll()` scans the blocks that
+ * reached `confirmations` since the last poll and queues a delivery per
+ * matching subscription; `start()` does that on a timer. Failed deliveries
+ * are retried with exponential backoff and, after the last attempt, appended
+ * to the dead-letter log (JSON lines in `deadLetterFile`). Pending deliveries
+ * are kept in the store, so a restart resumes them; one that was being sent
+ * at the time is sent again, with the same id. The target is
+ * checked again on each attempt, against the address the attempt connects to
+ * (see postWebhook), and redirects are not followed, so a host cannot be
+ * pointed at an internal address later.
+ */
+function createWebhookService({
+    contracts,
+    store = createSubscriptionStore(null),
+    confirmations = 3,
+    retry = {},
+    deadLetterFile = null,
+    timeoutMs = 5000,
+    allowedHosts = [],
+    lookup = dns.promises.lookup,
+    maxReplayBlocks = 100000,
+    batchSize = 10000,
+    log = console,
+}) {
+    const retryPolicy = { ...DEFAULT_RETRY, ...retry };
+    const queue = store.getQueue();
+    const sending = new Set();
+    const deadLetters = deadLetterFile && fs.existsSync(deadLetterFile)
+        ? fs.readFileSync(deadLetterFile, "utf8").split("\n").filter(Boolean).map((line) => JSON.parse(line))
+        : [];
+    let timer = null;
+    let polling = null;
+
+    /** Highest block with at least `confirmations` confirmations; the event's own block is the first */
+    async function safeHead() {
+        const provider = Object.values(contracts)[0].runner.provider;
+        return (await provider.getBlockNumber()) - Math.max(confirmations, 1) + 1;
+    }
+
+    async function fetchEvents(names, fromBlock, toBlock) {
+        const events = [];
+        for (const name of names) {
+            const contract = contracts[WEBHOOK_EVENTS[name].contract];
+            if (!contract) continue;
+            for (const event of await queryInBatches(contract, contract.filters[name](), fromBlock, toBlock, batchSize)) {
+                events.push({ name, event });
+            }
+        }
+        return events.sort((a, b) => a.event.blockNumber - b.event.blockNumber || a.event.index - b.event.index);
+    }
+
+    function enqueue(subscription, { name, event }, { replay = false } = {}) {
+        const data = {};
+        event.fragment.inputs.forEach((input, i) => {
+            data[input.name] = toPlain(event.args[i]);
+        });
+        queue.push({
+            id: `${subscription.id}:${event.transactionHash}:${event.index}`,
+            subscriptionId: subscription.id,
+            attempts: 0,
+            nextAttemptAt: 0,
+            payload: {
+                event: name,
+                contract: WEBHOOK_EVENTS[name].contract,
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash,
+                logIndex: event.index,
+                replay,
+                data,
+            },
+        });
+    }
+
+    function deadLetter(delivery, subscription, lastError) {
+        const entry = {
+            id: delivery.id,
+            subscriptionId: delivery.subscriptionId,
+            url: subscription ? subscription.url : null,
+            attempts: delivery.attempts,
+            lastError,
+            failedAt: new Date().toISOString(),
+            payload: delivery.payload,
+        };
+        deadLetters.push(entry);
+        if (deadLetterFile) {
+            fs.mkdirSync(path.dirname(deadLetterFile), { recursive: true });
+            fs.appendFileSync(deadLetterFile, JSON.stringify(entry, jsonReplacer) + "\n");
+        }
+        log.error(`Webhook ${delivery.id} dead-lettered after ${delivery.attempts} attempt(s): ${lastError}`);
+    }
+
+    /** Send `delivery` once; false when it was scheduled for another attempt */
+    async function attempt(delivery) {
+        const subscription = store.get(delivery.subscriptionId);
+        if (!subscription) {
+            // Unsubscribed while the delivery was waiting
+            return true;
+        }
+        delivery.attempts++;
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const body = JSON.stringify({ id: delivery.id, subscriptionId: subscription.id, ...delivery.payload }, jsonReplacer);
+
+        let error = null;
+        try {
+            const status = await postWebhook(subscription.url, {
+                headers: {
+                    "content-type": "application/json",
+                    "x-autoparts-event": delivery.payload.event,
+                    "x-autoparts-delivery": delivery.id,
+                    [TIMESTAMP_HEADER]: timestamp,
+                    [SIGNATURE_HEADER]: signPayload(subscription.secret, timestamp, body),
+                },
+                body,
+                timeoutMs,
+                allowedHosts,
+                lookup,
+            });
+            if (status < 200 || status >= 300) {
+                error = `HTTP ${status}`;
+            }
+        } catch (err) {
+            error = err.message;
+        }
+
+        if (error === null) {
+            return true;
+        }
+        if (delivery.attempts >= retryPolicy.attempts) {
+            deadLetter(delivery, subscription, error);
+            return true;
+        }
+        delivery.nextAttemptAt = Date.now() + retryDelay(delivery.attempts, retryPolicy);
+        return false;
+    }
+
+    /** Send every delivery that is due; returns how many were attempted */
+    async function processQueue() {
+        const now = Date.now();
+        // Deliveries an overlapping call is still sending are not due again
+        const due = queue.filter((delivery) => delivery.nextAttemptAt <= now && !sending.has(delivery.id));
+        for (const delivery of due) {
+            sending.add(delivery.id);
+            try {
+                if (await attempt(delivery)) {
+                    queue.splice(queue.indexOf(delivery), 1);
+                }
+                store.saveQueue();
+            } finally {
+                sending.delete(delivery.id);
+            }
+        }
+        return due.length;
+    }
+
+    /** Process the queue until it is empty, waiting out retry delays */
+    async function drain() {
+        while (queue.length > 0) {
+            await processQueue();
+            if (queue.length > 0) {
+                const wait = Math.max(0, Math.min(...queue.map((delivery) => delivery.nextAttemptAt)) - Date.now());
+                await new Promise((resolve) => setTimeout(resolve, wait));
+            }
+        }
+    }
+
+    async function scan() {
+        const head = await safeHead();
+        const cursor = store.getCursor();
+        if (cursor === null) {
+            // First run: start from the current head; older events are available through replay
+            store.setCursor(head);
+            return 0;
+        }
+        if (head <= cursor) {
+            return 0;
+        }
+        const subscriptions = store.list();
+        const events = subscriptions.length > 0 ? await fetchEvents(Object.keys(WEBHOOK_EVENTS), cursor + 1, head) : [];
+        let queued = 0;
+        for (const item of events) {
+            for (const subscription of subscriptions) {
+                if (matches(subscription, item.name, item.event.args)) {
+                    enqueue(subscription, item);
+                    queued++;
+                }
+            }
+        }
+        // Saves the queued deliveries too
+        store.setCursor(head);
+        return queued;
+    }
+
+    /** Queue deliveries for newly confirmed blocks and send what is due */
+    async function poll() {
+        // Overlapping timer ticks share one scan so no block is delivered twice
+        if (!polling) {
+            polling = scan().finally(() => {
+                polling = null;
+            });
+        }
+        const queued = await polling;
+        await processQueue();
+        return queued;
+    }
+
+    /**
+     * Re-deliver a subscription's events from `fromBlock` up to `toBlock` or
+     * the confirmed head; at most `maxReplayBlocks` blocks at a time.
+     */
+    async function replay(subscription, { fromBlock, toBlock }) {
+        const head = await safeHead();
+        const lastBlock = toBlock === undefined ? head : Math.min(toBlock, head);
+        if (fromBlock > lastBlock) {
+            return { fromBlock, toBlock: lastBlock, queued: 0 };
+        }
+        if (lastBlock - fromBlock + 1 > maxReplayBlocks) {
+            throw badRequest("INVALID_PARAMETER", `A replay covers at most ${maxReplayBlocks} blocks; pass a later fromBlock or a toBlock`, {
+                fromBlock,
+                toBlock: lastBlock,
+                maxReplayBlocks,
+            });
+        }
+        const events = await fetchEvents(subscription.events, fromBlock, lastBlock);
+        let queued = 0;
+        for (const item of events) {
+            if (matches(subscription, item.name, item.event.args)) {
+                enqueue(subscription, item, { replay: true });
+                queued++;
+            }
+        }
+        store.saveQueue();
+        return { fromBlock, toBlock: lastBlock, queued };
+    }
+
+    /** `owner` is the ownerHash of the token the subscription is managed with */
+    function subscribe({ url, events, filters = {}, owner }) {
+        const subscription = {
+            id: crypto.randomUUID(),
+            owner,
+            url,
+            events,
+            filters,
+            secret: crypto.randomBytes(32).toString("hex"),
+            createdAt: new Date().toISOString(),
+        };
+        store.add(subscription);
+        return subscription;
+    }
+
+    function start(intervalMs = 5000) {
+        if (timer) return;
+        timer = setInterval(() => {
+            poll().catch((error) => log.error(`Webhook poll failed: ${error.message}`));
+        }, intervalMs);
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return {
+        checkTarget: (url) => checkTarget(url, { allowedHosts, lookup }),
+        subscribe,
+        unsubscribe: (id) => store.remove(id),
+        getSubscription: (id) => store.get(id),
+        listSubscriptions: (owner) => store.list().filter((subscription) => subscription.owner === owner),
+        deadLetters: (subscriptionId) => deadLetters.filter((entry) => !subscriptionId || entry.subscriptionId === subscriptionId),
+        pending: () => queue.length,
+        poll,
+        processQueue,
+        drain,
+        replay,
+        start,
+        stop,
+    };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    signPayload,
+    verifySignature,
+    ownerHash,
+    checkTarget,
+    postWebhook,
+    retryDelay,
+    createSubscriptionStore,
+    createWebhookService,
+};
@@ -0,0 +1,223 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const { ContractFactory, Wallet, parseUnits } = require("ethers");
+const { buildAirdropClaim, getClaimDomain, signAirdropClaim } = require("@autopartschain/sdk");
+const { createApp } = require("../src/app");
+const { connectLocalChain, findEvent } = require("./helpers/chain");
+const { parseEntries, buildTree } = require("../autopartschain-smart-contracts/scripts/lib/merkle");
+
+describe("/airdrops", function () {
+    let chain, app, tree, tmpDir;
+    let claimer, relayer;
+    let gasless, outsider, campaignId;
+    let gaslessWallet;
+
+    // Same files airdrop:build writes
+    function writeTree(dir, campaignTree = tree) {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, "root.json"), JSON.stringify({
+            merkleRoot: campaignTree.root,
+            totalAmount: campaignTree.totalAmount.toString(),
+            recipients: campaignTree.count,
+        }));
+        fs.writeFileSync(path.join(dir, "proofs.json"), JSON.stringify(campaignTree.claims));
+    }
+
+    async function received(address, amount) {
+        const fee = await chain.contracts.TBToken.calculateFee(chain.manifest.contracts.AirdropManager, address, amount);
+        return BigInt(amount) - fee;
+    }
+
+    // Signed by `signer` (default: the gas-less recipient) for its leaf in campaign `id`
+    async function signedClaim(id, { signer = gaslessWallet, ttl = 600 } = {}) {
+        const [network, latest] = await Promise.all([chain.provider.getNetwork(), chain.provider.getBlock("latest")]);
+        const signed = await signAirdropClaim({
+            airdropManager: chain.contracts.AirdropManager,
+            signer,
+            campaignId: id,
+            amount: tree.claims[gasless].amount,
+            deadline: latest.timestamp + ttl,
+            chainId: network.chainId,
+        });
+        return { address: gasless, deadline: signed.deadline.toString(), signature: signed.signature };
+    }
+
+    async function createCampaign(name, campaignTree = tree) {
+        const admin = chain.connect(chain.accounts[0]);
+        const latest = await chain.provider.getBlock("latest");
+        await (await admin.TBToken.approve(chain.manifest.contracts.AirdropManager, campaignTree.totalAmount)).wait();
+        const tx = await admin.AirdropManager.createCampaign(
+            name, campaignTree.root, campaignTree.totalAmount, latest.timestamp, latest.timestamp + 86400
+        );
+        return findEvent(admin.AirdropManager, await tx.wait(), "CampaignCreated").args.campaignId;
+    }
+
+    before(async function () {
+        chain = await connectLocalChain();
+        [claimer, relayer] = [chain.accounts[5], chain.accounts[2]];
+        gaslessWallet = Wallet.createRandom();
+        gasless = gaslessWallet.address;
+        outsider = Wallet.createRandom().address;
+
+        tree = buildTree(parseEntries(`${claimer.address},250\n${gasless},100`, { decimals: 18 }));
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "airdrops-"));
+        writeTree(path.join(tmpDir, "launch"));
+        app = createApp({ contracts: chain.contracts, manifest: chain.manifest, relayer, airdropsDir: tmpDir });
+
+        campaignId = await createCampaign("API Launch");
+    });
+
+    after(function () {
+        if (chain) chain.provider.destroy();
+        if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should list the campaign with its amounts and status", async function () {
+        const res = await request(app).get("/airdrops").expect(200);
+
+        const campaign = res.body.campaigns.find((c) => c.id === campaignId.toString());
+        expect(campaign).to.include({
+            name: "API Launch",
+            merkleRoot: tree.root,
+            totalAmount: parseUnits("350", 18).toString(),
+            claimedAmount: "0",
+            active: true,
+            status: "open",
+            hasTree: true,
+        });
+    });
+
+    it("Should return a proof the recipient can claim with", async function () {
+        const res = await request(app).get(`/airdrops/${campaignId}/proof/${claimer.address.toLowerCase()}`).expect(200);
+
+        expect(res.body.address).to.equal(claimer.address);
+        expect(res.body.amount).to.equal(parseUnits("250", 18).toString());
+        expect(res.body.proof).to.deep.equal(tree.claims[claimer.address].proof);
+
+        const before = await chain.contracts.TBToken.balanceOf(claimer.address);
+        const airdropManager = chain.connect(claimer).AirdropManager;
+        await (await airdropManager.claimAirdrop(campaignId, res.body.amount, res.body.proof)).wait();
+        expect(await chain.contracts.TBToken.balanceOf(claimer.address))
+            .to.equal(before + await received(claimer.address, res.body.amount));
+
+        const status = await request(app).get(`/airdrops/${campaignId}/status/${claimer.address}`).expect(200);
+        expect(status.body).to.include({ hasClaimed: true, eligible: true, amount: res.body.amount, campaignStatus: "open" });
+    });
+
+    it("Should report an address outside the tree as not eligible", async function () {
+        const status = await request(app).get(`/airdrops/${campaignId}/status/${outsider}`).expect(200);
+        expect(status.body).to.include({ hasClaimed: false, eligible: false, amount: null });
+
+        const res = await request(app).get(`/airdrops/${campaignId}/proof/${outsider}`).expect(404);
+        expect(res.body.error.code).to.equal("NOT_FOUND");
+    });
+
+    it("Should only relay a claim the recipient signed before its deadline", async function () {
+        const forged = await signedClaim(campaignId, { signer: Wallet.createRandom() });
+        const expired = await signedClaim(campaignId, { ttl: -1 });
+
+        const unsigned = await request(app).post(`/airdrops/${campaignId}/claim`).send({ address: gasless }).expect(400);
+        const wrongSigner = await request(app).post(`/airdrops/${campaignId}/claim`).send(forged).expect(400);
+        const late = await request(app).post(`/airdrops/${campaignId}/claim`).send(expired).expect(400);
+
+        expect(unsigned.body.error.code).to.equal("INVALID_PARAMETER");
+        expect(wrongSigner.body.error.code).to.equal("INVALID_SIGNATURE");
+        expect(late.body.error.code).to.equal("CLAIM_EXPIRED");
+        expect(await chain.contracts.AirdropManager.hasClaimed(campaignId, gasless)).to.be.false;
+    });
+
+    it("Should rate-limit relayed claims per address", async function () {
+        const limited = createApp({
+            contracts: chain.contracts,
+            manifest: chain.manifest,
+            relayer,
+            relayRateLimit: { limit: 1, windowMs: 60000 },
+            airdropsDir: tmpDir,
+        });
+        const second = await createCampaign("API Second");
+
+        await request(limited).post(`/airdrops/${second}/claim`).send(await signedClaim(second)).expect(201);
+        const res = await request(limited).post(`/airdrops/${campaignId}/claim`).send(await signedClaim(campaignId)).expect(429);
+
+        expect(res.body.error.code).to.equal("RATE_LIMITED");
+        expect(await chain.contracts.AirdropManager.hasClaimed(campaignId, gasless)).to.be.false;
+    });
+
+    it("Should relay a signed claim for a recipient without native gas", async function () {
+        expect(await chain.provider.getBalance(gasless)).to.equal(0n);
+        const before = await chain.contracts.TBToken.balanceOf(gasless);
+
+        const res = await request(app).post(`/airdrops/${campaignId}/claim`).send(await signedClaim(campaignId)).expect(201);
+
+        expect(res.body.amount).to.equal(parseUnits("100", 18).toString());
+        expect(await chain.contracts.TBToken.balanceOf(gasless)).to.equal(before + await received(gasless, res.body.amount));
+        expect(await chain.contracts.AirdropManager.hasClaimed(campaignId, gasless)).to.be.true;
+
+        const again = await request(app).post(`/airdrops/${campaignId}/claim`).send(await signedClaim(campaignId)).expect(409);
+        expect(again.body.error.code).to.equal("ALREADY_CLAIMED");
+
+        const list = await request(app).get("/airdrops").expect(200);
+        const campaign = list.body.campaigns.find((c) => c.id === campaignId.toString());
+        expect(campaign.claimedAmount).to.equal(tree.totalAmount.toString());
+        expect(campaign.remainingAmount).to.equal("0");
+    });
+
+    it("Should relay a claim a contract wallet approves through ERC-1271", async function () {
+        const artifactFile = path.join(chain.config.artifactsDir, "contracts", "mocks", "MockERC1271Wallet.sol", "MockERC1271Wallet.json");
+        const { abi, bytecode } = JSON.parse(fs.readFileSync(artifactFile, "utf8"));
+        const owner = Wallet.createRandom();
+        const wallet = await (await new ContractFactory(abi, bytecode, chain.accounts[0]).deploy(owner.address)).waitForDeployment();
+        const walletAddress = await wallet.getAddress();
+
+        const walletTree = buildTree(parseEntries(`${walletAddress},40\n${outsider},10`, { decimals: 18 }));
+        const dir = path.join(tmpDir, "wallets");
+        writeTree(path.join(dir, "wallet"), walletTree);
+        const walletApp = createApp({ contracts: chain.contracts, manifest: chain.manifest, relayer, airdropsDir: dir });
+        const id = await createCampaign("API Wallet", walletTree);
+
+        const [network, latest] = await Promise.all([chain.provider.getNetwork(), chain.provider.getBlock("latest")]);
+        const claim = buildAirdropClaim({
+            domain: await getClaimDomain(chain.contracts.AirdropManager, network.chainId),
+            campaignId: id,
+            account: walletAddress,
+            amount: walletTree.claims[walletAddress].amount,
+            deadline: latest.timestamp + 600,
+        });
+        const signedBy = async (signer) => ({
+            address: walletAddress,
+            deadline: claim.message.deadline.toString(),
+            signature: await signer.signTypedData(claim.domain, claim.types, claim.message),
+        });
+
+        const rejected = await request(walletApp).post(`/airdrops/${id}/claim`).send(await signedBy(Wallet.createRandom())).expect(400);
+        expect(rejected.body.error.code).to.equal("INVALID_SIGNATURE");
+
+        await request(walletApp).post(`/airdrops/${id}/claim`).send(await signedBy(owner)).expect(201);
+        expect(await chain.contracts.AirdropManager.hasClaimed(id, walletAddress)).to.be.true;
+    });
+
+    it("Should answer 404 for a campaign that does not exist", async function () {
+        const res = await request(app).get(`/airdrops/999999/status/${outsider}`).expect(404);
+
+        expect(res.body.error.code).to.equal("NOT_FOUND");
+    });
+
+    it("Should report unknown eligibility when the campaign's tree is not stored", async function () {
+        const withoutTrees = createApp({ contracts: chain.contracts, manifest: chain.manifest });
+
+        const status = await request(withoutTrees).get(`/airdrops/${campaignId}/status/${outsider}`).expect(200);
+        expect(status.body.eligible).to.equal(null);
+        await request(withoutTrees).get(`/airdrops/${campaignId}/proof/${gasless}`).expect(404);
+    });
+
+    it("Should answer 503 for relayed claims when no relayer is configured", async function () {
+        const disabled = createApp({ contracts: chain.contracts, manifest: chain.manifest, airdropsDir: tmpDir });
+
+        const res = await request(disabled).post(`/airdrops/${campaignId}/claim`).send({ address: gasless }).expect(503);
+
+        expect(res.body.error.code).to.equal("RELAY_DISABLED");
+    });
+});
@@ -0,0 +1,148 @@
+const { expect } = require("chai");
+const request = require("supertest");
+const { parseUnits, MaxUint256, ZeroAddress } = require("ethers");
+const { createApp } = require("../src/app");
+const { connectLocalChain, findEvent } = require("./helpers/chain");
+
+describe("REST API", function () {
+    let chain, app;
+    let deployer, buyer;
+    let sku, productId, orderId;
+
+    before(async function () {
+        chain = await connectLocalChain();
+        [deployer, buyer] = chain.accounts;
+        app = createApp({ contracts: chain.contracts, manifest: chain.manifest });
+
+        const admin = chain.connect(deployer);
+        const customer = chain.connect(buyer);
+        const marketplaceAddress = chain.manifest.contracts.AutoPartsMarketplaceV2;
+
+        sku = `API-${Date.now()}`;
+        const listTx = await admin.AutoPartsMarketplaceV2.listProduct(
+            sku, "Iridium Spark Plug", "Test Description", "Ignition", "NGK", "Toyota Corolla 2015", "ILKAR7B11",
+            ["ipfs://test1"], 1000, 500, 100, 1, 10, 1000, [], false, ""
+        );
+        productId = findEvent(admin.AutoPartsMarketplaceV2, await listTx.wait(), "ProductListed").args[0];
+
+        await (await admin.TBToken.transfer(buyer.address, parseUnits("1000000", 18))).wait();
+        await (await customer.TBToken.approve(marketplaceAddress, MaxUint256)).wait();
+        await (await customer.AutoPartsMarketplaceV2.addToCart(productId, 2)).wait();
+        const orderTx = await customer.AutoPartsMarketplaceV2.createOrderFromCart(
+            "123 Test St", "Standard", "Test notes", "", false, ZeroAddress, ""
+        );
+        orderId = findEvent(customer.AutoPartsMarketplaceV2, await orderTx.wait(), "OrderCreated").args[0];
+        await (await customer.AutoPartsMarketplaceV2.payOrder(orderId)).wait();
+    });
+
+    after(function () {
+        if (chain) chain.provider.destroy();
+    });
+
+    describe("GET /products", function () {
+        it("Should filter products by SKU", async function () {
+            const res = await request(app).get("/products").query({ sku }).expect(200);
+
+            expect(res.body.count).to.equal(1);
+            expect(res.body.products[0].id).to.equal(productId.toString());
+            expect(res.body.products[0].priceUSD).to.equal("1000");
+        });
+
+        it("Should filter by category, brand and vehicle", async function () {
+            const res = await request(app)
+                .get("/products")
+                .query({ category: "ignition", brand: "NGK", vehicle: "corolla" })
+                .expect(200);
+
+            expect(res.body.products.map((p) => p.sku)).to.include(sku);
+        });
+
+        it("Should return an empty list when nothing matches", async function () {
+            const res = await request(app).get("/products").query({ brand: "No Such Brand" }).expect(200);
+            expect(res.body).to.deep.equal({ count: 0, products: [] });
+        });
+    });
+
+    describe("GET /products/:id", function () {
+        it("Should return a product", async function () {
+            const res = await request(app).get(`/products/${productId}`).expect(200);
+            expect(res.body.sku).to.equal(sku);
+        });
+
+        it("Should reject a non-numeric id", async function () {
+            const res = await request(app).get("/products/abc").expect(400);
+            expect(res.body.error.code).to.equal("INVALID_PARAMETER");
+        });
+
+        it("Should return 404 for an unknown product", async function () {
+            const res = await request(app).get("/products/999999999").expect(404);
+            expect(res.body.error.code).to.equal("NOT_FOUND");
+        });
+    });
+
+    describe("GET /orders/:id", function () {
+        it("Should return the paid order", async function () {
+            const res = await request(app).get(`/orders/${orderId}`).expect(200);
+
+            expect(res.body.customer).to.equal(buyer.address);
+            expect(res.body.totalUSD).to.equal("2000");
+            expect(res.body.status).to.equal("2");
+        });
+
+        it("Should return 404 for an unknown order", async function () {
+            await request(app).get("/orders/999999999").expect(404);
+        });
+    });
+
+    describe("GET /customers/:address/loyalty", function () {
+        it("Should return tier, points, cashback and discount", async function () {
+            const res = await request(app).get(`/customers/${buyer.address}/loyalty`).expect(200);
+
+            expect(res.body.member).to.be.true;
+            expect(res.body.tier).to.have.keys("index", "name");
+            expect(BigInt(res.body.points)).to.be.greaterThan(0n);
+            expect(res.body.cashback).to.have.keys("rateBps", "totalReceived");
+            expect(res.body).to.have.property("discountBps");
+        });
+
+        it("Should reject an invalid address", async function () {
+            const res = await request(app).get("/customers/0x1234/loyalty").expect(400);
+            expect(res.body.error).to.include({ code: "INVALID_ADDRESS" });
+        });
+    });
+
+    describe("GET /referrals/:address/tree", function () {
+        it("Should return the referral tree", async function () {
+            const res = await request(app).get(`/referrals/${buyer.address}/tree`).query({ depth: 2 }).expect(200);
+
+            expect(res.body.address).to.equal(buyer.address);
+            expect(res.body.upline).to.be.an("array");
+            expect(res.body.referrals).to.be.an("array");
+        });
+
+        it("Should reject an out-of-range depth", async function () {
+            await request(app).get(`/referrals/${buyer.address}/tree`).query({ depth: 50 }).expect(400);
+        });
+    });
+
+    describe("GET /price", function () {
+        it("Should convert USD to TB through the oracle", async function () {
+            const res = await request(app).get("/price").query({ usd: "10.00" }).expect(200);
+
+            const expected = await chain.contracts.PriceOracle.calculateTBForUSD(1000);
+            expect(res.body.conversion.usdCents).to.equal("1000");
+            expect(res.body.conversion.tbAmount).to.equal(expected.toString());
+            expect(res.body.decimals).to.equal(8);
+        });
+
+        it("Should reject a malformed amount", async function () {
+            const res = await request(app).get("/price").query({ usd: "ten" }).expect(400);
+            expect(res.body.error.code).to.equal("INVALID_PARAMETER");
+        });
+    });
+
+    it("Should return a JSON 404 for unknown routes", async function () {
+        const res = await request(app).get("/nope").expect(404);
+        expect(res.body).to.deep.equal({ error: { code: "NOT_FOUND", message: "Route GET /nope not found" } });
+    });
+});
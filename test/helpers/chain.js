@@ -0,0 +1,43 @@
+/**
+ * Connection to the local hardhat node the API tests run against. Start it
+ * and deploy the suite first:
+ *
+ *   cd autopartschain-smart-contracts && npm run node
+ *   cd autopartschain-smart-contracts && npm run deploy:local
+ */
+const { JsonRpcProvider } = require("ethers");
+const { loadConfig } = require("../../src/config");
+const { loadManifest, createContracts } = require("../../src/contracts");
+const { findEvent } = require("../../autopartschain-smart-contracts/scripts/lib/chain");
+
+async function connectLocalChain() {
+    const config = loadConfig();
+    // Tests mine blocks back to back; the default 250ms cache could answer a stale block number
+    const provider = new JsonRpcProvider(config.rpcUrl, undefined, { cacheTimeout: -1 });
+    try {
+        await provider.getBlockNumber();
+    } catch (error) {
+        provider.destroy();
+        throw new Error(`No node reachable at ${config.rpcUrl}; start one with "npm run node" in autopartschain-smart-contracts`);
+    }
+
+    const manifest = loadManifest(config.manifestPath);
+    const accounts = await provider.listAccounts();
+
+    // Hardhat node accounts are unlocked, so signers can send without private keys
+    const connect = (signer) => createContracts(manifest, config.artifactsDir, signer);
+
+    return {
+        config,
+        provider,
+        manifest,
+        accounts,
+        contracts: createContracts(manifest, config.artifactsDir, provider),
+        connect,
+    };
+}
+
+module.exports = {
+    connectLocalChain,
+    findEvent,
+};
@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const request = require("supertest");
+const { Wallet, ZeroAddress, id } = require("ethers");
+const { createApp } = require("../src/app");
+const { connectLocalChain } = require("./helpers/chain");
+
+describe("GET /loyalty/:tokenId", function () {
+    let chain, app, loyalty;
+    let customer, referrer;
+
+    const tokenIdOf = (address) => BigInt(address).toString();
+
+    function attributes(body) {
+        return Object.fromEntries(body.attributes.map((attribute) => [attribute.trait_type, attribute.value]));
+    }
+
+    function decodeImage(body) {
+        const [prefix, data] = body.image.split(",");
+        expect(prefix).to.equal("data:image/svg+xml;base64");
+        return Buffer.from(data, "base64").toString("utf8");
+    }
+
+    before(async function () {
+        chain = await connectLocalChain();
+        const [deployer, , , recorder] = chain.accounts;
+        app = createApp({ contracts: chain.contracts, manifest: chain.manifest });
+
+        // Act as the marketplace so purchases can be recorded directly
+        const admin = chain.connect(deployer).LoyaltyProgram;
+        await (await admin.grantRole(id("MARKETPLACE_ROLE"), recorder.address)).wait();
+        loyalty = chain.connect(recorder).LoyaltyProgram;
+
+        customer = Wallet.createRandom().address;
+        referrer = Wallet.createRandom().address;
+
+        await (await loyalty.recordPurchase(referrer, 100, ZeroAddress)).wait();
+        await (await loyalty.recordPurchase(customer, 500, referrer)).wait();
+        // 105.00 USD in total crosses the Silver thresholds (1000 points, 100.00 USD)
+        await (await loyalty.recordPurchase(customer, 10000, ZeroAddress)).wait();
+    });
+
+    after(function () {
+        if (chain) chain.provider.destroy();
+    });
+
+    it("Should describe an upgraded member's tier and rewards", async function () {
+        const res = await request(app).get(`/loyalty/${tokenIdOf(customer)}`).expect(200);
+
+        expect(res.body.name).to.equal("AutoPartsChain Silver Member");
+        expect(res.body.description).to.include(customer);
+        expect(attributes(res.body)).to.include({
+            Tier: "Silver",
+            Points: 10500,
+            "Total Spent (USD)": 105,
+            "Cashback Received (USD)": 2,
+            Referrals: 0,
+        });
+        expect(res.headers["cache-control"]).to.include("max-age");
+    });
+
+    it("Should count referrals and referral points for the referrer", async function () {
+        const res = await request(app).get(`/loyalty/${tokenIdOf(referrer)}`).expect(200);
+
+        expect(attributes(res.body)).to.include({ Tier: "Bronze", Points: 150, Referrals: 1 });
+    });
+
+    it("Should embed an SVG badge for the tier", async function () {
+        const res = await request(app).get(`/loyalty/${tokenIdOf(customer)}`).expect(200);
+
+        const svg = decodeImage(res.body);
+        expect(svg).to.match(/^<svg /);
+        expect(svg).to.include(">Silver<");
+        expect(svg).to.include("10500 points");
+    });
+
+    it("Should serve the badge as image/svg+xml", async function () {
+        const res = await request(app).get(`/loyalty/${tokenIdOf(referrer)}/image.svg`).expect(200);
+
+        expect(res.headers["content-type"]).to.include("image/svg+xml");
+        expect(res.body.toString()).to.include(">Bronze<");
+    });
+
+    it("Should return 404 for a token that was never minted", async function () {
+        const res = await request(app).get(`/loyalty/${tokenIdOf(Wallet.createRandom().address)}`).expect(404);
+        expect(res.body.error.code).to.equal("NOT_FOUND");
+    });
+
+    it("Should reject a non-numeric token id", async function () {
+        const res = await request(app).get("/loyalty/0xabc").expect(400);
+        expect(res.body.error.code).to.equal("INVALID_PARAMETER");
+    });
+});
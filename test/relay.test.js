@@ -0,0 +1,218 @@
+const { expect } = require("chai");
+const request = require("supertest");
+const { parseUnits, ZeroAddress } = require("ethers");
+const { signPermit } = require("@autopartschain/sdk");
+const { createApp } = require("../src/app");
+const { createRateLimiter } = require("../src/rateLimit");
+const { connectLocalChain, findEvent } = require("./helpers/chain");
+
+describe("POST /relay/permit", function () {
+    let chain, app;
+    let deployer, buyer, relayer;
+    let customer, marketplaceAddress, productId;
+
+    // Relay bodies are JSON, so bigints travel as decimal strings
+    function toBody(orderId, permit) {
+        return {
+            orderId: orderId.toString(),
+            owner: permit.owner,
+            value: permit.value.toString(),
+            deadline: permit.deadline.toString(),
+            chainId: permit.chainId.toString(),
+            v: permit.v,
+            r: permit.r,
+            s: permit.s,
+        };
+    }
+
+    async function createOrder() {
+        await (await customer.AutoPartsMarketplaceV2.addToCart(productId, 1)).wait();
+        const tx = await customer.AutoPartsMarketplaceV2.createOrderFromCart(
+            "123 Test St", "Standard", "", "", false, ZeroAddress, ""
+        );
+        const orderId = findEvent(customer.AutoPartsMarketplaceV2, await tx.wait(), "OrderCreated").args[0];
+        const order = await chain.contracts.AutoPartsMarketplaceV2.orders(orderId);
+        const amount = await chain.contracts.PriceOracle.calculateTBForUSD(order.totalUSD);
+        return { orderId, amount };
+    }
+
+    async function sign(value, { ttl = 600 } = {}) {
+        const latest = await chain.provider.getBlock("latest");
+        return signPermit({
+            token: customer.TBToken,
+            signer: buyer,
+            spender: marketplaceAddress,
+            value,
+            deadline: BigInt(latest.timestamp + ttl),
+        });
+    }
+
+    before(async function () {
+        chain = await connectLocalChain();
+        [deployer, buyer, relayer] = chain.accounts;
+        app = createApp({
+            contracts: chain.contracts,
+            manifest: chain.manifest,
+            relayer,
+            relayRateLimit: { limit: 100, windowMs: 60000 },
+        });
+
+        const admin = chain.connect(deployer);
+        customer = chain.connect(buyer);
+        marketplaceAddress = chain.manifest.contracts.AutoPartsMarketplaceV2;
+
+        const listTx = await admin.AutoPartsMarketplaceV2.listProduct(
+            `RELAY-${Date.now()}`, "Relay Plug", "Test Description", "Ignition", "NGK", "Any", "R1",
+            ["ipfs://test1"], 1000, 500, 100, 1, 10, 1000, [], false, ""
+        );
+        productId = findEvent(admin.AutoPartsMarketplaceV2, await listTx.wait(), "ProductListed").args[0];
+        await (await admin.TBToken.transfer(buyer.address, parseUnits("1000000", 18))).wait();
+    });
+
+    beforeEach(async function () {
+        // Start each case without a leftover allowance from other suites
+        await (await customer.TBToken.approve(marketplaceAddress, 0)).wait();
+    });
+
+    after(function () {
+        if (chain) chain.provider.destroy();
+    });
+
+    it("Should submit the permit so the buyer can pay without approve()", async function () {
+        const { orderId, amount } = await createOrder();
+        const permit = await sign(amount);
+
+        const res = await request(app).post("/relay/permit").send(toBody(orderId, permit)).expect(201);
+
+        expect(res.body.value).to.equal(amount.toString());
+        expect(res.body.spender).to.equal(marketplaceAddress);
+        expect(await chain.contracts.TBToken.allowance(buyer.address, marketplaceAddress)).to.equal(amount);
+
+        await (await customer.AutoPartsMarketplaceV2.payOrder(orderId)).wait();
+        expect(await chain.contracts.TBToken.allowance(buyer.address, marketplaceAddress)).to.equal(0n);
+    });
+
+    it("Should reject a permit that was already used", async function () {
+        const { orderId, amount } = await createOrder();
+        const permit = await sign(amount);
+        await request(app).post("/relay/permit").send(toBody(orderId, permit)).expect(201);
+
+        const res = await request(app).post("/relay/permit").send(toBody(orderId, permit)).expect(409);
+
+        expect(res.body.error.code).to.equal("PERMIT_REPLAYED");
+    });
+
+    it("Should reject an expired permit", async function () {
+        const { orderId, amount } = await createOrder();
+        const permit = await sign(amount, { ttl: -1 });
+
+        const res = await request(app).post("/relay/permit").send(toBody(orderId, permit)).expect(400);
+
+        expect(res.body.error.code).to.equal("PERMIT_EXPIRED");
+    });
+
+    it("Should reject a permit for a different amount than the order", async function () {
+        const { orderId, amount } = await createOrder();
+        const permit = await sign(amount + 1n);
+
+        const res = await request(app).post("/relay/permit").send(toBody(orderId, permit)).expect(400);
+
+        expect(res.body.error.code).to.equal("PERMIT_AMOUNT_MISMATCH");
+        expect(res.body.error.details.expected).to.equal(amount.toString());
+    });
+
+    it("Should reject a permit signed for another chain", async function () {
+        const { orderId, amount } = await createOrder();
+        const permit = await sign(amount);
+
+        const res = await request(app)
+            .post("/relay/permit")
+            .send({ ...toBody(orderId, permit), chainId: "1" })
+            .expect(400);
+
+        expect(res.body.error.code).to.equal("WRONG_CHAIN");
+    });
+
+    it("Should reject a permit from someone other than the customer", async function () {
+        const { orderId, amount } = await createOrder();
+        const permit = await sign(amount);
+
+        const res = await request(app)
+            .post("/relay/permit")
+            .send({ ...toBody(orderId, permit), owner: deployer.address })
+            .expect(403);
+
+        expect(res.body.error.code).to.equal("NOT_ORDER_OWNER");
+    });
+
+    it("Should reject an order that is already paid", async function () {
+        const { orderId, amount } = await createOrder();
+        await (await customer.TBToken.approve(marketplaceAddress, amount)).wait();
+        await (await customer.AutoPartsMarketplaceV2.payOrder(orderId)).wait();
+        const permit = await sign(amount);
+
+        const res = await request(app).post("/relay/permit").send(toBody(orderId, permit)).expect(409);
+
+        expect(res.body.error.code).to.equal("ORDER_NOT_PAYABLE");
+    });
+
+    it("Should not relay a permit the current allowance already covers", async function () {
+        const { orderId, amount } = await createOrder();
+        await (await customer.TBToken.approve(marketplaceAddress, amount)).wait();
+        const permit = await sign(amount);
+
+        const res = await request(app).post("/relay/permit").send(toBody(orderId, permit)).expect(409);
+
+        expect(res.body.error.code).to.equal("ALLOWANCE_SUFFICIENT");
+        expect(await chain.contracts.TBToken.nonces(buyer.address)).to.equal(permit.nonce);
+    });
+
+    it("Should rate-limit relayed permits per owner", async function () {
+        const limited = createApp({
+            contracts: chain.contracts,
+            manifest: chain.manifest,
+            relayer,
+            relayRateLimit: { limit: 1, windowMs: 60000 },
+        });
+        const first = await createOrder();
+        await request(limited).post("/relay/permit").send(toBody(first.orderId, await sign(first.amount))).expect(201);
+        await (await customer.AutoPartsMarketplaceV2.payOrder(first.orderId)).wait();
+
+        const second = await createOrder();
+        const res = await request(limited)
+            .post("/relay/permit")
+            .send(toBody(second.orderId, await sign(second.amount)))
+            .expect(429);
+
+        expect(res.body.error.code).to.equal("RATE_LIMITED");
+    });
+
+    it("Should answer 503 when no relayer is configured", async function () {
+        const disabled = createApp({ contracts: chain.contracts, manifest: chain.manifest });
+
+        const res = await request(disabled).post("/relay/permit").send({}).expect(503);
+
+        expect(res.body.error.code).to.equal("RELAY_DISABLED");
+    });
+});
+
+describe("createRateLimiter", function () {
+    it("Should count requests per key and reset after the window", function () {
+        let time = 0;
+        const limiter = createRateLimiter({ limit: 2, windowMs: 1000, now: () => time });
+
+        limiter.take("a");
+        limiter.take("a");
+        limiter.take("b");
+        try {
+            limiter.take("a");
+            expect.fail("The third request within the window should be refused");
+        } catch (error) {
+            expect(error).to.include({ status: 429, code: "RATE_LIMITED" });
+            expect(error.details.retryAfterMs).to.equal(1000);
+        }
+
+        time = 1000;
+        limiter.take("a");
+    });
+});
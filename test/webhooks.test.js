@@ -0,0 +1,324 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const request = require("supertest");
+const { Wallet, ZeroAddress, id } = require("ethers");
+const { createApp } = require("../src/app");
+const {
+    createSubscriptionStore, createWebhookService, checkTarget, postWebhook, verifySignature, retryDelay, SIGNATURE_HEADER, TIMESTAMP_HEADER,
+} = require("../src/webhooks");
+const { connectLocalChain } = require("./helpers/chain");
+
+// Local HTTP receiver; `status` decides how it answers the next deliveries
+function startReceiver() {
+    const receiver = { deliveries: [], status: 200 };
+    receiver.server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => {
+            body += chunk;
+        });
+        req.on("end", () => {
+            receiver.deliveries.push({ headers: req.headers, body });
+            res.statusCode = receiver.status;
+            res.end();
+        });
+    });
+    return new Promise((resolve) => {
+        receiver.server.listen(0, "127.0.0.1", () => {
+            receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+            resolve(receiver);
+        });
+    });
+}
+
+describe("/webhooks", function () {
+    const CONFIRMATIONS = 2;
+    let chain, app, webhooks, receiver, loyalty, tmpDir;
+
+    async function mine(blocks) {
+        for (let i = 0; i < blocks; i++) {
+            await chain.provider.send("evm_mine", []);
+        }
+    }
+
+    // 100.00 USD in one purchase crosses the Silver thresholds (1000 points, 100.00 USD)
+    async function upgradeTier(customer) {
+        const receipt = await (await loyalty.recordPurchase(customer, 10000, ZeroAddress)).wait();
+        return receipt.blockNumber;
+    }
+
+    async function subscribe(filters, token) {
+        const req = request(app).post("/webhooks");
+        if (token) req.set("Authorization", `Bearer ${token}`);
+        const res = await req.send({ url: receiver.url, events: ["TierUpgraded"], filters }).expect(201);
+        return { token, ...res.body };
+    }
+
+    // Requests as the owner of `subscription`
+    function as(subscription) {
+        const auth = (req) => req.set("Authorization", `Bearer ${subscription.token}`);
+        return {
+            get: (url) => auth(request(app).get(url)),
+            post: (url) => auth(request(app).post(url)),
+            delete: (url) => auth(request(app).delete(url)),
+        };
+    }
+
+    before(async function () {
+        chain = await connectLocalChain();
+        const [deployer, , , recorder] = chain.accounts;
+        receiver = await startReceiver();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-"));
+
+        webhooks = createWebhookService({
+            contracts: chain.contracts,
+            confirmations: CONFIRMATIONS,
+            retry: { attempts: 3, baseDelayMs: 10, maxDelayMs: 50 },
+            deadLetterFile: path.join(tmpDir, "dead-letters.jsonl"),
+            allowedHosts: ["127.0.0.1"],
+            log: { error: () => {} },
+        });
+        app = createApp({ contracts: chain.contracts, manifest: chain.manifest, webhooks });
+
+        // Act as the marketplace so purchases can be recorded directly
+        await (await chain.connect(deployer).LoyaltyProgram.grantRole(id("MARKETPLACE_ROLE"), recorder.address)).wait();
+        loyalty = chain.connect(recorder).LoyaltyProgram;
+
+        // The first poll only sets the cursor at the confirmed head
+        await webhooks.poll();
+    });
+
+    beforeEach(function () {
+        receiver.deliveries = [];
+        receiver.status = 200;
+    });
+
+    after(function () {
+        if (chain) chain.provider.destroy();
+        if (receiver) receiver.server.close();
+        if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should reject unknown events, bad URLs and filters that do not apply", async function () {
+        const bad = [
+            [{ url: "ftp://example.com", events: ["OrderPaid"] }, "INVALID_URL"],
+            [{ url: receiver.url, events: ["Transfer"] }, "INVALID_EVENTS"],
+            [{ url: receiver.url, events: ["OrderPaid"], filters: { campaignId: "1" } }, "INVALID_FILTERS"],
+            [{ url: receiver.url, events: ["OrderPaid"], filters: { customer: "0x1234" } }, "INVALID_ADDRESS"],
+        ];
+        for (const [body, code] of bad) {
+            const res = await request(app).post("/webhooks").send(body).expect(400);
+            expect(res.body.error.code).to.equal(code);
+        }
+    });
+
+    it("Should refuse URLs that resolve to private, loopback or link-local addresses", async function () {
+        const strict = createApp({
+            contracts: chain.contracts,
+            manifest: chain.manifest,
+            webhooks: createWebhookService({ contracts: chain.contracts }),
+        });
+        const internal = [receiver.url, "http://localhost:8545/", "http://169.254.169.254/latest/meta-data", "http://10.0.0.5/", "http://[::1]/"];
+        for (const url of internal) {
+            const res = await request(strict).post("/webhooks").send({ url, events: ["OrderPaid"] }).expect(400);
+            expect(res.body.error.code).to.equal("URL_NOT_ALLOWED");
+        }
+
+        const lookup = async () => [{ address: "93.184.215.14", family: 4 }, { address: "192.168.1.10", family: 4 }];
+        expect(await checkTarget("https://hooks.example.com/x", { lookup })).to.equal(
+            "hooks.example.com resolves to 192.168.1.10, which is not a public address"
+        );
+        expect(await checkTarget("https://hooks.example.com/x", { lookup: async () => [{ address: "93.184.215.14", family: 4 }] })).to.equal(null);
+    });
+
+    it("Should connect to the address it checked when the host answers differently later", async function () {
+        const url = receiver.url.replace("127.0.0.1", "rebind.example");
+        let lookups = 0;
+        const lookup = async () => (++lookups === 1 ? [{ address: "93.184.215.14", family: 4 }] : [{ address: "127.0.0.1", family: 4 }]);
+        const received = receiver.deliveries.length;
+
+        expect(await checkTarget(url, { lookup })).to.equal(null);
+        let refusal = null;
+        try {
+            await postWebhook(url, { body: "{}", lookup });
+        } catch (error) {
+            refusal = error.message;
+        }
+
+        expect(refusal).to.equal("rebind.example resolves to 127.0.0.1, which is not a public address");
+        expect(lookups).to.equal(2);
+        expect(receiver.deliveries).to.have.length(received);
+
+        // An allowed host is connected to at the address the lookup gave, not resolved again
+        const status = await postWebhook(url, { body: "{}", allowedHosts: ["rebind.example"], lookup });
+        expect(status).to.equal(200);
+        expect(lookups).to.equal(3);
+        expect(receiver.deliveries).to.have.length(received + 1);
+    });
+
+    it("Should return the secret only on creation", async function () {
+        const created = await subscribe({});
+
+        expect(created.secret).to.match(/^[0-9a-f]{64}$/);
+        expect(created.token).to.match(/^[0-9a-f]{64}$/);
+        expect(created).to.not.have.property("owner");
+        const res = await as(created).get(`/webhooks/${created.id}`).expect(200);
+        expect(res.body).to.not.have.property("secret");
+        expect(res.body).to.not.have.property("owner");
+        expect(res.body.events).to.deep.equal(["TierUpgraded"]);
+
+        await as(created).delete(`/webhooks/${created.id}`).expect(204);
+        await as(created).get(`/webhooks/${created.id}`).expect(404);
+    });
+
+    it("Should only let the token a subscription was created with manage it", async function () {
+        const owned = await subscribe({});
+        const alsoOwned = await subscribe({}, owned.token);
+        const theirs = await subscribe({});
+
+        const listed = await as(owned).get("/webhooks").expect(200);
+        expect(listed.body.subscriptions.map((subscription) => subscription.id)).to.have.members([owned.id, alsoOwned.id]);
+        expect((await as(theirs).get("/webhooks").expect(200)).body.count).to.equal(1);
+
+        const missing = await request(app).get("/webhooks").expect(401);
+        expect(missing.body.error.code).to.equal("UNAUTHORIZED");
+        await request(app).get(`/webhooks/${owned.id}`).set("Authorization", "Bearer nope").expect(401);
+        await as(theirs).get(`/webhooks/${owned.id}`).expect(404);
+        await as(theirs).delete(`/webhooks/${owned.id}`).expect(404);
+        await as(theirs).post(`/webhooks/${owned.id}/replay`).send({ fromBlock: 0 }).expect(404);
+        await as(theirs).get(`/webhooks/${owned.id}/dead-letters`).expect(404);
+        await as(owned).get(`/webhooks/${owned.id}`).expect(200);
+
+        for (const subscription of [owned, alsoOwned, theirs]) {
+            await as(subscription).delete(`/webhooks/${subscription.id}`).expect(204);
+        }
+    });
+
+    it("Should deliver a signed payload once the event has enough confirmations", async function () {
+        const customer = Wallet.createRandom().address;
+        const subscription = await subscribe({ customer });
+        await upgradeTier(Wallet.createRandom().address); // Filtered out
+        const blockNumber = await upgradeTier(customer);
+
+        await webhooks.poll();
+        expect(receiver.deliveries).to.have.length(0);
+
+        await mine(CONFIRMATIONS);
+        await webhooks.poll();
+
+        expect(receiver.deliveries).to.have.length(1);
+        const { headers, body } = receiver.deliveries[0];
+        expect(verifySignature(subscription.secret, headers[TIMESTAMP_HEADER], body, headers[SIGNATURE_HEADER])).to.be.true;
+        expect(verifySignature("wrong", headers[TIMESTAMP_HEADER], body, headers[SIGNATURE_HEADER])).to.be.false;
+
+        const payload = JSON.parse(body);
+        expect(payload).to.include({ event: "TierUpgraded", subscriptionId: subscription.id, blockNumber, replay: false });
+        expect(payload.data).to.deep.equal({ customer, oldTier: "0", newTier: "1" });
+
+        await as(subscription).delete(`/webhooks/${subscription.id}`).expect(204);
+    });
+
+    it("Should retry with backoff and dead-letter a delivery that keeps failing", async function () {
+        const customer = Wallet.createRandom().address;
+        const subscription = await subscribe({ customer });
+        await upgradeTier(customer);
+        await mine(CONFIRMATIONS);
+        receiver.status = 500;
+
+        await webhooks.poll();
+        await webhooks.drain();
+
+        expect(receiver.deliveries).to.have.length(3);
+        const res = await as(subscription).get(`/webhooks/${subscription.id}/dead-letters`).expect(200);
+        expect(res.body.count).to.equal(1);
+        expect(res.body.deadLetters[0]).to.include({ attempts: 3, lastError: "HTTP 500", url: receiver.url });
+        expect(fs.readFileSync(path.join(tmpDir, "dead-letters.jsonl"), "utf8").trim().split("\n")).to.have.length(1);
+        expect([1, 2, 3].map((attempt) => retryDelay(attempt, { baseDelayMs: 10, maxDelayMs: 30 }))).to.deep.equal([10, 20, 30]);
+
+        await as(subscription).delete(`/webhooks/${subscription.id}`).expect(204);
+    });
+
+    it("Should keep pending retries across a restart", async function () {
+        const file = path.join(tmpDir, "webhooks.json");
+        const start = () => createWebhookService({
+            contracts: chain.contracts,
+            store: createSubscriptionStore(file),
+            confirmations: CONFIRMATIONS,
+            retry: { attempts: 3, baseDelayMs: 10, maxDelayMs: 50 },
+            allowedHosts: ["127.0.0.1"],
+            log: { error: () => {} },
+        });
+        const customer = Wallet.createRandom().address;
+        const first = start();
+        await first.poll();
+        first.subscribe({ url: receiver.url, events: ["TierUpgraded"], filters: { customer } });
+        await upgradeTier(customer);
+        await mine(CONFIRMATIONS);
+        receiver.status = 500;
+
+        await first.poll();
+        expect(receiver.deliveries).to.have.length(1);
+        expect(first.pending()).to.equal(1);
+
+        // The cursor is past the event now, so only the stored queue can deliver it
+        receiver.status = 200;
+        const restarted = start();
+        expect(restarted.pending()).to.equal(1);
+        await restarted.drain();
+
+        expect(receiver.deliveries).to.have.length(2);
+        const [failed, delivered] = receiver.deliveries.map((delivery) => JSON.parse(delivery.body));
+        expect(delivered.id).to.equal(failed.id);
+        expect(createSubscriptionStore(file).getQueue()).to.deep.equal([]);
+    });
+
+    it("Should replay past events from a block number", async function () {
+        const customer = Wallet.createRandom().address;
+        const blockNumber = await upgradeTier(customer);
+        await mine(CONFIRMATIONS);
+        await webhooks.poll();
+
+        // Subscribed after the event, so only a replay delivers it
+        const subscription = await subscribe({ customer });
+        const res = await as(subscription)
+            .post(`/webhooks/${subscription.id}/replay`)
+            .send({ fromBlock: blockNumber })
+            .expect(202);
+        expect(res.body.queued).to.equal(1);
+
+        await webhooks.drain();
+
+        expect(receiver.deliveries).to.have.length(1);
+        expect(JSON.parse(receiver.deliveries[0].body)).to.include({ replay: true, blockNumber });
+
+        await as(subscription).delete(`/webhooks/${subscription.id}`).expect(204);
+    });
+
+    it("Should cap and rate-limit replays", async function () {
+        const limited = createApp({
+            contracts: chain.contracts,
+            manifest: chain.manifest,
+            webhooks: createWebhookService({ contracts: chain.contracts, confirmations: CONFIRMATIONS, maxReplayBlocks: 3, allowedHosts: ["127.0.0.1"] }),
+            replayRateLimit: { limit: 2, windowMs: 60000 },
+        });
+        const created = await request(limited).post("/webhooks").send({ url: receiver.url, events: ["TierUpgraded"] }).expect(201);
+        const replay = (body) => request(limited)
+            .post(`/webhooks/${created.body.id}/replay`)
+            .set("Authorization", `Bearer ${created.body.token}`)
+            .send(body);
+        await mine(CONFIRMATIONS + 3);
+        const head = (await chain.provider.getBlockNumber()) - CONFIRMATIONS + 1;
+
+        const tooLong = await replay({ fromBlock: 0 }).expect(400);
+        expect(tooLong.body.error).to.include({ code: "INVALID_PARAMETER" });
+        expect(tooLong.body.error.details).to.deep.equal({ fromBlock: 0, toBlock: head, maxReplayBlocks: 3 });
+        const res = await replay({ fromBlock: head - 2 }).expect(202);
+        expect(res.body).to.include({ fromBlock: head - 2, toBlock: head });
+
+        const refused = await replay({ fromBlock: head - 2 }).expect(429);
+        expect(refused.body.error.code).to.equal("RATE_LIMITED");
+        expect(refused.body.error.message).to.match(/^Too many webhook replays/);
+    });
+});